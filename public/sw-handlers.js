@@ -0,0 +1,166 @@
+// public/sw-handlers.js
+// Extra service-worker handlers, pulled into the generated Workbox worker via
+// `workbox.importScripts` in vite.config.js.
+//
+// - Periodic sync: the worker cannot export a backup itself (the vault key and
+//   target settings live in the page), so it only asks an open app window to
+//   run the scheduled backup.
+// - Notification actions (see notifications.js for the payload):
+//   "prayed" writes a "Prayed" timeline event and the prayerLog row (for
+//   streaks) straight into IndexedDB in one transaction, "snooze" shows the
+//   notification again later (through Notification Triggers or an open app
+//   window), "update" opens the add-event form for the prayer. Tapping the
+//   body opens the app at the payload's hash.
+
+const DB_NAME = 'PrayerJournalDB';
+
+function windowClients() {
+  return self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+}
+
+async function broadcast(message) {
+  for (const client of await windowClients()) {
+    client.postMessage(message);
+  }
+}
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag !== 'cp-backup') return;
+
+  event.waitUntil(broadcast({ type: 'cp:backup-due' }));
+});
+
+// ---------- notification actions ----------
+// Opens the existing schema without a version so the app's Dexie instance
+// stays in charge of upgrades.
+function openAppDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('Database open was blocked.'));
+  });
+}
+
+// Same record shapes as utils/prayerLog.js and PrayerEventForm. The event note
+// stays empty, so nothing sensitive is stored in plaintext while the vault is
+// locked.
+async function logPrayedEvent(prayerId) {
+  const database = await openAppDb();
+  const now = new Date().toISOString();
+  // prayerLog arrives with schema v4; skip it if the app has not upgraded yet.
+  const stores = database.objectStoreNames.contains('prayerLog')
+    ? ['events', 'prayerLog']
+    : ['events'];
+
+  try {
+    await new Promise((resolve, reject) => {
+      const transaction = database.transaction(stores, 'readwrite');
+      transaction.objectStore('events').add({
+        prayerId,
+        createdAt: now,
+        title: 'Prayed',
+        note: '',
+        security: 0,
+      });
+      if (stores.includes('prayerLog')) {
+        transaction.objectStore('prayerLog').add({
+          prayerId,
+          prayedAt: now,
+          source: 'notification',
+        });
+      }
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    database.close();
+  }
+
+  await broadcast({ type: 'cp:db-changed' });
+}
+
+async function openApp(url, message) {
+  const [client] = await windowClients();
+
+  if (client) {
+    if (client.focus) await client.focus();
+    client.postMessage(message);
+    return;
+  }
+
+  await self.clients.openWindow(url);
+}
+
+// Same prefix as SNOOZE_TAG_PREFIX in notifications.js, so refreshing the
+// prayer reminders does not cancel a snooze.
+const SNOOZE_TAG_PREFIX = 'cp:notify:snooze:';
+
+async function snooze(notification) {
+  const data = notification.data || {};
+  const delayMs = (Number(data.snoozeMinutes) || 10) * 60 * 1000;
+  const title = data.title || notification.title;
+  const options = {
+    body: data.body || notification.body,
+    tag: `${SNOOZE_TAG_PREFIX}${data.prayerId ?? 'daily'}:${Date.now()}`,
+    actions: Array.from(notification.actions || []),
+    data,
+  };
+
+  if ('TimestampTrigger' in self) {
+    await self.registration.showNotification(title, {
+      ...options,
+      showTrigger: new TimestampTrigger(Date.now() + delayMs),
+    });
+    return;
+  }
+
+  // An open window can hold a timer reliably; a worker may be stopped first.
+  const [client] = await windowClients();
+  if (client) {
+    client.postMessage({ type: 'cp:snooze', title, options, delayMs });
+    return;
+  }
+
+  // A worker may be stopped long before a timer would fire, so say why the
+  // snooze did not take instead of pretending it did.
+  await self.registration.showNotification(title, {
+    body: 'Snooze needs Closet Prayer open in a tab on this browser. Tap to open the prayer.',
+    tag: options.tag,
+    data,
+  });
+}
+
+self.addEventListener('notificationclick', (event) => {
+  const { notification } = event;
+  const data = notification.data || {};
+  const prayerId = Number(data.prayerId);
+  const hasPrayer = Number.isFinite(prayerId) && data.prayerId != null;
+  const scope = self.registration.scope;
+
+  notification.close();
+
+  if (event.action === 'prayed' && hasPrayer) {
+    event.waitUntil(logPrayedEvent(prayerId));
+    return;
+  }
+
+  if (event.action === 'snooze') {
+    event.waitUntil(snooze(notification));
+    return;
+  }
+
+  if (event.action === 'update' && hasPrayer) {
+    event.waitUntil(
+      openApp(`${scope}?action=add-update&prayerId=${prayerId}#daily`, {
+        type: 'cp:add-update',
+        prayerId,
+      })
+    );
+    return;
+  }
+
+  const hash = typeof data.hash === 'string' ? data.hash : '#daily';
+  event.waitUntil(openApp(`${scope}${hash}`, { type: 'cp:navigate', hash }));
+});
@@ -1,6 +1,8 @@
 // src/App.jsx
 // Root app with bottom navigation, first-run tutorial, emergency restore,
 // focused-prayer routing, and launch actions for PWA shortcuts / Android widgets.
+// Also seals rows written while the Private Vault was locked once it unlocks.
+// The Stats screen has no bottom tab; Settings links to it (#stats).
 
 import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import BottomNav from './components/BottomNav';
@@ -11,7 +13,23 @@ import JournalList from './components/JournalList';
 import ErrorBoundary from './components/ErrorBoundary';
 import EmergencyRestore from './components/EmergencyRestore';
 import Settings from './components/Settings';
+import StatsView from './components/StatsView';
+import SearchView from './components/SearchView';
+import TrashView from './components/TrashView';
+import UndoSnackbar from './components/UndoSnackbar';
 import TutorialModal from './components/TutorialModal';
+import PrayerUpdateModal from './components/PrayerUpdateModal';
+import { emitDbChanged } from './db';
+import { encryptAtRest } from './utils/secureStore';
+import {
+  runScheduledBackup,
+  syncPeriodicBackupRegistration,
+} from './utils/backupTargets';
+import {
+  refreshPrayerReminders,
+  snoozeNotification,
+} from './utils/notifications';
+import { isUnlocked } from './utils/vault';
 
 const TAB_STORAGE_KEY = 'cp:activeTab';
 const ONBOARDED_KEY = 'cp:onboarded';
@@ -19,10 +37,13 @@ const ONBOARDED_KEY = 'cp:onboarded';
 const VALID_TABS = new Set([
   'daily',
   'single',
+  'search',
   'categories',
   'journal',
   'security',
   'settings',
+  'stats',
+  'trash',
   'restore',
 ]);
 
@@ -30,6 +51,8 @@ const LAUNCH_ACTIONS = {
   'pray-now': { tab: 'single' },
   'add-prayer': { tab: 'daily', eventName: 'ui:addPrayer' },
   'add-journal': { tab: 'journal', eventName: 'ui:addJournal' },
+  // From a notification's "Add update" action; carries ?prayerId=.
+  'add-update': { tab: 'daily', eventName: 'ui:addPrayerUpdate' },
 };
 
 function readLocationIntent() {
@@ -65,6 +88,7 @@ function removeLaunchActionFromUrl() {
   if (!url.searchParams.has('action')) return;
 
   url.searchParams.delete('action');
+  url.searchParams.delete('prayerId');
   history.replaceState(null, '', `${url.pathname}${url.search}${url.hash}`);
 }
 
@@ -77,6 +101,10 @@ export default function App() {
     () => window.location.hash.toLowerCase() === '#restore'
   );
   const [showTutorial, setShowTutorial] = useState(false);
+  const [updatePrayerId, setUpdatePrayerId] = useState(null);
+  // Search hits that open outside Focus: the list reveals and expands them.
+  const [revealPrayerId, setRevealPrayerId] = useState(null);
+  const [revealJournalId, setRevealJournalId] = useState(null);
 
   const handleTabChange = useCallback((tab) => {
     if (!VALID_TABS.has(tab) || tab === 'restore') return;
@@ -98,6 +126,16 @@ export default function App() {
     handleTabChange('single');
   }, [handleTabChange]);
 
+  const handleShowPrayer = useCallback((prayerId) => {
+    setRevealPrayerId(prayerId);
+    handleTabChange('daily');
+  }, [handleTabChange]);
+
+  const handleShowJournalEntry = useCallback((entryId) => {
+    setRevealJournalId(entryId);
+    handleTabChange('journal');
+  }, [handleTabChange]);
+
   useEffect(() => {
     if (!localStorage.getItem(ONBOARDED_KEY)) setShowTutorial(true);
 
@@ -106,6 +144,16 @@ export default function App() {
     return () => window.removeEventListener('ui:showTutorial', openTutorial);
   }, []);
 
+  useEffect(() => {
+    const onAddUpdate = (event) => {
+      const prayerId = Number(event?.detail?.prayerId);
+      if (Number.isFinite(prayerId) && prayerId > 0) setUpdatePrayerId(prayerId);
+    };
+
+    window.addEventListener('ui:addPrayerUpdate', onAddUpdate);
+    return () => window.removeEventListener('ui:addPrayerUpdate', onAddUpdate);
+  }, []);
+
   useEffect(() => {
     const onNav = (event) => {
       const tab = typeof event?.detail === 'string'
@@ -119,6 +167,85 @@ export default function App() {
     return () => window.removeEventListener('ui:nav', onNav);
   }, [handleTabChange]);
 
+  useEffect(() => {
+    const onVaultChanged = () => {
+      if (!isUnlocked()) return;
+
+      encryptAtRest()
+        .then(({ changed }) => {
+          if (changed) emitDbChanged();
+        })
+        .catch((error) => console.error('At-rest encryption failed', error))
+        // A backup skipped at launch because the vault was locked runs now.
+        .then(() => runScheduledBackup('unlock'))
+        .catch((error) => console.error('Scheduled backup failed', error));
+    };
+
+    window.addEventListener('vault:changed', onVaultChanged);
+    return () => window.removeEventListener('vault:changed', onVaultChanged);
+  }, []);
+
+  useEffect(() => {
+    const runBackup = (reason) => {
+      runScheduledBackup(reason).catch((error) =>
+        console.error('Scheduled backup failed', error)
+      );
+    };
+    const onWorkerMessage = (event) => {
+      const message = event.data || {};
+
+      switch (message.type) {
+        case 'cp:backup-due':
+          runBackup('periodic-sync');
+          break;
+        case 'cp:db-changed':
+          emitDbChanged();
+          break;
+        case 'cp:add-update':
+          window.dispatchEvent(new CustomEvent('ui:addPrayerUpdate', {
+            detail: { prayerId: message.prayerId },
+          }));
+          break;
+        case 'cp:snooze':
+          snoozeNotification(message, message.delayMs);
+          break;
+        case 'cp:navigate':
+          if (typeof message.hash === 'string') window.location.hash = message.hash;
+          break;
+        default:
+          break;
+      }
+    };
+
+    runBackup('app-open');
+    syncPeriodicBackupRegistration();
+
+    navigator.serviceWorker?.addEventListener('message', onWorkerMessage);
+    return () =>
+      navigator.serviceWorker?.removeEventListener('message', onWorkerMessage);
+  }, []);
+
+  // Per-prayer reminders follow the data: edits, answers, imports and deletes
+  // all reschedule them. Debounced so bulk writes reschedule once.
+  useEffect(() => {
+    let timer = 0;
+    const refresh = () => {
+      window.clearTimeout(timer);
+      timer = window.setTimeout(() => {
+        refreshPrayerReminders().catch((error) =>
+          console.warn('Prayer reminder refresh failed', error)
+        );
+      }, 1000);
+    };
+
+    refresh();
+    window.addEventListener('db:changed', refresh);
+    return () => {
+      window.clearTimeout(timer);
+      window.removeEventListener('db:changed', refresh);
+    };
+  }, []);
+
   useEffect(() => {
     const applyLocation = () => {
       const hash = window.location.hash.toLowerCase();
@@ -154,8 +281,10 @@ export default function App() {
 
     const timer = window.setTimeout(() => {
       if (route.eventName) {
+        const prayerId = new URL(window.location.href).searchParams.get('prayerId');
+
         window.dispatchEvent(new CustomEvent(route.eventName, {
-          detail: { source: 'launch-action' },
+          detail: { source: 'launch-action', prayerId },
         }));
       }
 
@@ -174,13 +303,33 @@ export default function App() {
             <PrayerList
               viewType="daily"
               onFocusPrayer={handleFocusPrayer}
+              revealPrayerId={revealPrayerId}
+              onRevealed={() => setRevealPrayerId(null)}
+              onShowJournalEntry={handleShowJournalEntry}
             />
           )}
           {activeTab === 'single' && (
-            <SingleView initialPrayerId={focusedPrayerId} />
+            <SingleView
+              initialPrayerId={focusedPrayerId}
+              onShowJournalEntry={handleShowJournalEntry}
+            />
+          )}
+          {activeTab === 'search' && (
+            <SearchView
+              onFocusPrayer={handleFocusPrayer}
+              onShowPrayer={handleShowPrayer}
+              onShowJournalEntry={handleShowJournalEntry}
+            />
           )}
           {activeTab === 'categories' && <CategoryList />}
-          {activeTab === 'journal' && <JournalList />}
+          {activeTab === 'journal' && (
+            <JournalList
+              revealEntryId={revealJournalId}
+              onRevealed={() => setRevealJournalId(null)}
+              onFocusPrayer={handleFocusPrayer}
+              onShowPrayer={handleShowPrayer}
+            />
+          )}
           {activeTab === 'security' && (
             <PrayerList
               viewType="security"
@@ -188,11 +337,22 @@ export default function App() {
             />
           )}
           {activeTab === 'settings' && <Settings />}
+          {activeTab === 'stats' && <StatsView />}
+          {activeTab === 'trash' && <TrashView />}
         </ErrorBoundary>
       </main>
 
       <BottomNav activeTab={activeTab} onTabChange={handleTabChange} />
 
+      <UndoSnackbar />
+
+      {updatePrayerId != null && (
+        <PrayerUpdateModal
+          prayerId={updatePrayerId}
+          onClose={() => setUpdatePrayerId(null)}
+        />
+      )}
+
       {showTutorial && (
         <TutorialModal
           onClose={() => {
@@ -11,6 +11,7 @@ import React, { useEffect, useRef, useState } from 'react';
 import {
   exportAllAsJson,
   downloadJson,
+  getBackupIncludeTrash,
   importFromJsonBackup,
   importFromCsvBundle,
 } from '../utils/backup';
@@ -92,7 +93,7 @@ export default function BackupRestorePanel() {
     try {
       setBusy(true);
       setMessage('Exporting…');
-      const data = await exportAllAsJson();
+      const data = await exportAllAsJson({ includeTrashed: getBackupIncludeTrash() });
       downloadJson(data);
       setMessage('Backup downloaded.');
     } catch (e) {
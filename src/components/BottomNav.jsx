@@ -1,5 +1,5 @@
 // src/components/BottomNav.jsx
-// Bottom tab bar: Daily, Focus, Categories, Journal, Security, Settings.
+// Bottom tab bar: Daily, Focus, Search, Categories, Journal, Security, Settings.
 // Internal tab keys remain unchanged for stored preferences and deep links.
 
 import React from 'react';
@@ -7,6 +7,7 @@ import React from 'react';
 const TABS = [
   { key: 'daily',      label: 'Daily',      icon: '🗓️' },
   { key: 'single',     label: 'Focus',      icon: '🎯' },
+  { key: 'search',     label: 'Search',     icon: '🔎' },
   { key: 'categories', label: 'Categories', icon: '📂' },
   { key: 'journal',    label: 'Journal',    icon: '📓' },
   { key: 'security',   label: 'Security',   icon: '🔒' },
@@ -39,6 +40,7 @@ export default function BottomNav({ activeTab, onTabChange }) {
               key={tab.key}
               type="button"
               onClick={() => change(tab.key)}
+              data-tour={`nav-${tab.key}`}
               aria-current={active ? 'page' : undefined}
               className={[
                 'flex-1 flex flex-col items-center justify-center gap-0.5 py-2',
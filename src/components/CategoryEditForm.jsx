@@ -1,9 +1,12 @@
 // src/components/CategoryEditForm.jsx
 // Defensive, self-loading category editor with safe deletion checks.
+// Deleting moves the category to the Trash.
 // The showSingle field remains unchanged internally but is labeled as Focus.
 
 import React, { useEffect, useState } from 'react';
 import { db } from '../db';
+import { updateRecord } from '../utils/secureStore';
+import { moveToTrash } from '../utils/trash';
 
 export default function CategoryEditForm({ categoryId, onCancel, onSuccess }) {
   const [loading, setLoading] = useState(true);
@@ -66,7 +69,7 @@ export default function CategoryEditForm({ categoryId, onCancel, onSuccess }) {
 
     try {
       setBusy(true);
-      await db.categories.update(categoryId, {
+      await updateRecord('categories', categoryId, {
         name: name.trim(),
         description: description.trim(),
         showSingle: showSingle ? 1 : 0,
@@ -91,24 +94,23 @@ export default function CategoryEditForm({ categoryId, onCancel, onSuccess }) {
       const count = await db.requestors
         .where('categoryId')
         .equals(categoryId)
+        .filter((requestor) => !requestor.deletedAt)
         .count();
 
       if (count > 0) {
         alert(
           `This category still has ${count} requestor(s).\n\n` +
-          'For safety, delete or move those requestors first before deleting the category.'
+          'For safety, move those requestors to another category first (select them ' +
+          'under “Show requestors”), merge this category, or delete them.'
         );
         return;
       }
 
-      const confirmed = confirm('Delete this category? This cannot be undone.');
-      if (!confirmed) return;
-
       setBusy(true);
-      await db.categories.delete(categoryId);
+      await moveToTrash('categories', categoryId, { label: name });
 
       window.dispatchEvent(new Event('db:changed'));
-      setMessage('Category deleted.');
+      setMessage('Category moved to the Trash.');
 
       if (typeof onSuccess === 'function') onSuccess();
     } catch (error) {
@@ -1,14 +1,21 @@
 // src/components/CategoryList.jsx
 // Categories page with explicit category expansion controls, inline editing,
-// requestor management, a sticky add form, and db:changed refresh support.
+// requestor management (bulk move, merge), a sticky add form, and db:changed
+// refresh support.
 
 import React, { useEffect, useState } from 'react';
 import { db } from '../db';
+import { readWhere } from '../utils/secureStore';
 import CategoryForm from './CategoryForm';
 import CategoryEditForm from './CategoryEditForm';
 import RequestorForm from './RequestorForm';
 import RequestorEditForm from './RequestorEditForm';
 import DataExportButton from './DataExportButton';
+import MergePanel from './MergePanel';
+import PrayerQrShareModal from './PrayerQrShareModal';
+import QrSyncModal from './QrSyncModal';
+import RequestorMoveBar from './RequestorMoveBar';
+import { withoutTrashed } from '../utils/trash';
 
 const SHOW_ARCHIVED_STORAGE_KEY = 'cp:categoriesShowArchived:v1';
 
@@ -29,12 +36,17 @@ function CategoryList() {
   const [editingCategory, setEditingCategory] = useState({});
   const [editingRequestor, setEditingRequestor] = useState({});
   const [showArchived, setShowArchived] = useState(loadShowArchived);
+  const [selectedRequestors, setSelectedRequestors] = useState({});
+  // { tableName, record } of the requestor or category being merged away.
+  const [merging, setMerging] = useState(null);
+  const [qrShareTarget, setQrShareTarget] = useState(null);
+  const [syncCategory, setSyncCategory] = useState(null);
 
   const loadCategories = async () => {
     setLoading(true);
 
     try {
-      const categoryRows = await db.categories.toArray();
+      const categoryRows = await db.categories.toArray().then(withoutTrashed);
       setCategories(categoryRows);
     } catch (error) {
       console.error('Error loading categories:', error);
@@ -45,10 +57,11 @@ function CategoryList() {
 
   const loadRequestors = async (categoryId) => {
     try {
-      const requestorRows = await db.requestors
-        .where('categoryId')
-        .equals(categoryId)
-        .toArray();
+      const requestorRows = await readWhere(
+        'requestors',
+        'categoryId',
+        categoryId
+      );
 
       setRequestors((current) => ({
         ...current,
@@ -88,6 +101,63 @@ function CategoryList() {
     return () => window.removeEventListener('db:changed', onDbChanged);
   }, []);
 
+  // Requestor descriptions are decrypted on read; refresh them on lock/unlock.
+  useEffect(() => {
+    const onVaultChanged = () => {
+      setRequestors({});
+      Object.keys(expanded)
+        .filter((categoryId) => expanded[categoryId])
+        .forEach((categoryId) => loadRequestors(Number(categoryId)));
+    };
+
+    window.addEventListener('vault:changed', onVaultChanged);
+    return () => window.removeEventListener('vault:changed', onVaultChanged);
+  }, [expanded]);
+
+  const reloadExpandedRequestors = () =>
+    Promise.all(
+      Object.keys(expanded)
+        .filter((categoryId) => expanded[categoryId])
+        .map((categoryId) => loadRequestors(Number(categoryId)))
+    );
+
+  const toggleSelectedRequestor = (categoryId, requestorId) => {
+    setSelectedRequestors((current) => {
+      const ids = current[categoryId] || [];
+
+      return {
+        ...current,
+        [categoryId]: ids.includes(requestorId)
+          ? ids.filter((id) => id !== requestorId)
+          : [...ids, requestorId],
+      };
+    });
+  };
+
+  const clearSelectedRequestors = (categoryId) => {
+    setSelectedRequestors((current) => ({
+      ...current,
+      [categoryId]: [],
+    }));
+  };
+
+  const handleRequestorsMoved = async (fromCategoryId, toCategoryId) => {
+    clearSelectedRequestors(fromCategoryId);
+    await Promise.all([
+      loadRequestors(fromCategoryId),
+      expanded[toCategoryId] ? loadRequestors(toCategoryId) : null,
+    ]);
+  };
+
+  const handleMerged = async () => {
+    setMerging(null);
+    setSelectedRequestors({});
+    await reloadExpandedRequestors();
+  };
+
+  const isMerging = (tableName, id) =>
+    merging?.tableName === tableName && merging.record.id === id;
+
   const handleAddSuccess = async () => {
     await loadCategories();
     setShowAddForm(false);
@@ -218,6 +288,9 @@ function CategoryList() {
             const visibleRequestors = categoryRequestors.filter(
               (requestor) => showArchived || !Boolean(requestor.archived)
             );
+            const selectedIds = (selectedRequestors[category.id] || []).filter(
+              (id) => categoryRequestors.some((requestor) => requestor.id === id)
+            );
 
             return (
               <li
@@ -249,6 +322,34 @@ function CategoryList() {
                       id={category.id}
                       title="Export this category with all requestors, prayers, and events"
                     />
+                    <button
+                      type="button"
+                      onClick={() =>
+                        setQrShareTarget({ kind: 'category', id: category.id, name: category.name })
+                      }
+                      className="px-2 py-1 text-sm rounded bg-gray-700 hover:bg-gray-600 text-gray-200"
+                      title="Share this category and its open prayers by QR code"
+                    >
+                      Share QR
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setSyncCategory(category)}
+                      className="px-2 py-1 text-sm rounded bg-gray-700 hover:bg-gray-600 text-gray-200"
+                      title="Two-way sync of this category with a partner's phone"
+                    >
+                      Sync QR
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() =>
+                        setMerging({ tableName: 'categories', record: category })
+                      }
+                      className="px-2 py-1 text-sm rounded bg-gray-700 hover:bg-gray-600 text-gray-200"
+                      title="Merge this category into another one"
+                    >
+                      Merge…
+                    </button>
                     <button
                       type="button"
                       onClick={() => openEditCategory(category.id)}
@@ -260,6 +361,17 @@ function CategoryList() {
                   </div>
                 </div>
 
+                {isMerging('categories', category.id) && (
+                  <div className="px-4 pb-3">
+                    <MergePanel
+                      tableName="categories"
+                      source={category}
+                      onCancel={() => setMerging(null)}
+                      onMerged={handleMerged}
+                    />
+                  </div>
+                )}
+
                 {isEditingCategory && (
                   <div className="px-4 pb-3">
                     <CategoryEditForm
@@ -280,6 +392,18 @@ function CategoryList() {
                       onSuccess={() => loadRequestors(category.id)}
                     />
 
+                    {selectedIds.length > 0 && (
+                      <RequestorMoveBar
+                        categoryId={category.id}
+                        categories={categories}
+                        selectedIds={selectedIds}
+                        onClear={() => clearSelectedRequestors(category.id)}
+                        onMoved={(toCategoryId) =>
+                          handleRequestorsMoved(category.id, toCategoryId)
+                        }
+                      />
+                    )}
+
                     {visibleRequestors.length > 0 ? (
                       <ul className="mt-3 space-y-2">
                         {visibleRequestors.map((requestor) => {
@@ -287,6 +411,19 @@ function CategoryList() {
                             editingRequestor[requestor.id]
                           );
 
+                          if (isMerging('requestors', requestor.id)) {
+                            return (
+                              <li key={requestor.id}>
+                                <MergePanel
+                                  tableName="requestors"
+                                  source={requestor}
+                                  onCancel={() => setMerging(null)}
+                                  onMerged={handleMerged}
+                                />
+                              </li>
+                            );
+                          }
+
                           return (
                             <li
                               key={requestor.id}
@@ -313,6 +450,17 @@ function CategoryList() {
                                 <div className="flex flex-col gap-2 sm:flex-row sm:items-start sm:justify-between">
                                   <div className="w-full min-w-0 flex-1">
                                     <div className="flex flex-wrap items-center gap-2">
+                                      <input
+                                        type="checkbox"
+                                        checked={selectedIds.includes(requestor.id)}
+                                        onChange={() =>
+                                          toggleSelectedRequestor(
+                                            category.id,
+                                            requestor.id
+                                          )
+                                        }
+                                        aria-label={`Select ${requestor.name} to move`}
+                                      />
                                       <p className="text-white font-medium">
                                         {requestor.name}
                                       </p>
@@ -323,7 +471,9 @@ function CategoryList() {
                                       )}
                                     </div>
                                     <p className="text-gray-300 text-sm">
-                                      {requestor.description}
+                                      {requestor.locked
+                                        ? '🔒 Description encrypted'
+                                        : requestor.description}
                                     </p>
                                   </div>
                                   <div className="flex w-full flex-wrap items-center gap-2 sm:w-auto sm:shrink-0 sm:justify-end">
@@ -332,6 +482,29 @@ function CategoryList() {
                                       id={requestor.id}
                                       title="Export this requestor with their category, prayers, and events"
                                     />
+                                    <button
+                                      type="button"
+                                      onClick={() =>
+                                        setQrShareTarget({ kind: 'requestor', id: requestor.id, name: requestor.name })
+                                      }
+                                      className="px-2 py-1 text-sm rounded bg-gray-600 hover:bg-gray-500 text-gray-100"
+                                      title="Share this requestor and their open prayers by QR code"
+                                    >
+                                      Share QR
+                                    </button>
+                                    <button
+                                      type="button"
+                                      onClick={() =>
+                                        setMerging({
+                                          tableName: 'requestors',
+                                          record: requestor,
+                                        })
+                                      }
+                                      className="px-2 py-1 text-sm rounded bg-gray-600 hover:bg-gray-500 text-gray-100"
+                                      title="Merge this requestor into another one"
+                                    >
+                                      Merge…
+                                    </button>
                                     <button
                                       type="button"
                                       onClick={() =>
@@ -370,6 +543,7 @@ function CategoryList() {
           onClick={() => setShowAddForm(true)}
           className="fixed bottom-20 right-5 z-40 w-14 h-14 rounded-full bg-yellow-500 text-black shadow-lg hover:bg-yellow-600 flex items-center justify-center focus:outline-none focus:ring-4 focus:ring-yellow-300"
           aria-label="Add category"
+          data-tour="categories-add"
           title="Add category"
         >
           <svg
@@ -389,6 +563,20 @@ function CategoryList() {
           </svg>
         </button>
       )}
+
+      {qrShareTarget && (
+        <PrayerQrShareModal
+          target={qrShareTarget}
+          onClose={() => setQrShareTarget(null)}
+        />
+      )}
+
+      {syncCategory && (
+        <QrSyncModal
+          category={syncCategory}
+          onClose={() => setSyncCategory(null)}
+        />
+      )}
     </div>
   );
 }
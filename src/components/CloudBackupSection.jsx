@@ -0,0 +1,585 @@
+// src/components/CloudBackupSection.jsx
+// Settings section for cloud backup targets: add/remove WebDAV or S3 targets,
+// turn the schedule on, run a backup now, and restore an earlier version. The
+// first target enabled on a device goes through a one-time privacy notice.
+// Restores are handed to Settings' import flow through `onRestore`.
+
+import React, { useEffect, useState } from 'react';
+import TutorialModal from './TutorialModal';
+import { backupPrivacySlides } from '../utils/tutorialSlides';
+import { parseBackupPreview } from '../utils/backup';
+import {
+  BACKUP_TARGET_ADAPTERS,
+  createTargetId,
+  downloadRemoteBackup,
+  listRemoteBackups,
+  loadBackupTargetsConfig,
+  runBackupToTargets,
+  saveBackupTargetsConfig,
+  syncPeriodicBackupRegistration,
+  testBackupTarget,
+} from '../utils/backupTargets';
+
+const INTERVAL_OPTIONS = [
+  { hours: 6, label: 'Every 6 hours' },
+  { hours: 12, label: 'Every 12 hours' },
+  { hours: 24, label: 'Daily' },
+  { hours: 72, label: 'Every 3 days' },
+  { hours: 168, label: 'Weekly' },
+];
+
+const COUNT_LABELS = [
+  ['categories', 'categories'],
+  ['requestors', 'requestors'],
+  ['prayers', 'prayers'],
+  ['events', 'events'],
+  ['journalEntries', 'journal entries'],
+];
+
+function emptyDraft(kind = 'webdav') {
+  return { kind, name: '', config: {} };
+}
+
+function formatSize(bytes) {
+  if (!bytes) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatWhen(value) {
+  if (!value) return 'never';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? 'never' : date.toLocaleString();
+}
+
+export default function CloudBackupSection({ onRestore }) {
+  const [config, setConfig] = useState(loadBackupTargetsConfig);
+  const [draft, setDraft] = useState(() => emptyDraft());
+  const [showForm, setShowForm] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const [pendingEnableId, setPendingEnableId] = useState(null);
+  // { targetId, files, loading, error }
+  const [browser, setBrowser] = useState(null);
+  // { targetId, name, text, preview }
+  const [remotePreview, setRemotePreview] = useState(null);
+
+  useEffect(() => {
+    const refresh = () => setConfig(loadBackupTargetsConfig());
+    window.addEventListener('backupTargets:changed', refresh);
+    return () => window.removeEventListener('backupTargets:changed', refresh);
+  }, []);
+
+  function save(next) {
+    saveBackupTargetsConfig(next);
+    setConfig(loadBackupTargetsConfig());
+  }
+
+  function patchTarget(targetId, changes) {
+    const current = loadBackupTargetsConfig();
+    save({
+      ...current,
+      targets: current.targets.map((target) =>
+        target.id === targetId ? { ...target, ...changes } : target
+      ),
+    });
+  }
+
+  function handleAddTarget(event) {
+    event.preventDefault();
+
+    const adapter = BACKUP_TARGET_ADAPTERS[draft.kind];
+    const problem = adapter.validate(draft.config);
+    if (problem) {
+      setMessage(problem);
+      return;
+    }
+
+    const current = loadBackupTargetsConfig();
+    save({
+      ...current,
+      targets: [
+        ...current.targets,
+        {
+          id: createTargetId(),
+          kind: draft.kind,
+          name: draft.name.trim() || adapter.label,
+          config: { ...draft.config },
+          enabled: false,
+          lastBackupAt: null,
+          lastError: null,
+        },
+      ],
+    });
+
+    setDraft(emptyDraft(draft.kind));
+    setShowForm(false);
+    setMessage('Target saved. Turn it on to include it in backups.');
+  }
+
+  function handleToggleTarget(target, enabled) {
+    if (enabled && !config.privacyAcknowledged) {
+      setPendingEnableId(target.id);
+      return;
+    }
+
+    patchTarget(target.id, { enabled });
+    syncPeriodicBackupRegistration();
+  }
+
+  function handlePrivacyAccepted() {
+    const current = loadBackupTargetsConfig();
+    save({
+      ...current,
+      privacyAcknowledged: true,
+      targets: current.targets.map((target) =>
+        target.id === pendingEnableId ? { ...target, enabled: true } : target
+      ),
+    });
+    setPendingEnableId(null);
+    syncPeriodicBackupRegistration();
+  }
+
+  function handleRemoveTarget(target) {
+    if (!window.confirm(`Remove the backup target "${target.name}"?`)) return;
+
+    const current = loadBackupTargetsConfig();
+    save({
+      ...current,
+      targets: current.targets.filter((row) => row.id !== target.id),
+    });
+    syncPeriodicBackupRegistration();
+  }
+
+  async function handleTestTarget(target) {
+    setBusy(true);
+    setMessage(`Testing ${target.name}…`);
+
+    try {
+      await testBackupTarget(target);
+      setMessage(`${target.name}: connection OK.`);
+    } catch (error) {
+      setMessage(`${target.name}: ${error?.message || error}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleBrowseTarget(target) {
+    if (browser?.targetId === target.id) {
+      setBrowser(null);
+      setRemotePreview(null);
+      return;
+    }
+
+    setRemotePreview(null);
+    setBrowser({ targetId: target.id, files: [], loading: true, error: '' });
+
+    try {
+      const files = await listRemoteBackups(target);
+      setBrowser({ targetId: target.id, files, loading: false, error: '' });
+    } catch (error) {
+      setBrowser({
+        targetId: target.id,
+        files: [],
+        loading: false,
+        error: error?.message || String(error),
+      });
+    }
+  }
+
+  async function handlePreviewRemote(target, file) {
+    setBusy(true);
+    setMessage(`Downloading ${file.name}…`);
+
+    try {
+      const text = await downloadRemoteBackup(target, file.name);
+      const preview = parseBackupPreview(text, file.name);
+
+      if (!preview.valid) {
+        setRemotePreview(null);
+        setMessage(`${file.name} is not a valid backup: ${preview.error}`);
+        return;
+      }
+
+      setRemotePreview({ targetId: target.id, name: file.name, text, preview });
+      setMessage('');
+    } catch (error) {
+      setMessage(`Download failed: ${error?.message || error}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleRestoreRemote(mode) {
+    if (!remotePreview || !onRestore) return;
+
+    setBusy(true);
+    setMessage('');
+
+    try {
+      const restored = await onRestore(
+        remotePreview.text,
+        remotePreview.preview,
+        mode
+      );
+
+      if (restored) {
+        setMessage(`Restored ${remotePreview.name} (${mode}).`);
+        setRemotePreview(null);
+      } else {
+        setMessage('Restore did not complete. See Backup & Restore above.');
+      }
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function updateSchedule(patch) {
+    const current = loadBackupTargetsConfig();
+    save({ ...current, schedule: { ...current.schedule, ...patch } });
+    syncPeriodicBackupRegistration();
+  }
+
+  async function handleBackupNow() {
+    setBusy(true);
+    setMessage('Backing up…');
+
+    try {
+      const outcome = await runBackupToTargets({ reason: 'manual' });
+
+      if (!outcome.ran) {
+        setMessage(outcome.reason);
+        return;
+      }
+
+      const failed = outcome.results.filter((result) => !result.ok);
+      setMessage(
+        failed.length
+          ? `Uploaded ${outcome.fileName} to ${outcome.results.length - failed.length} of ${outcome.results.length} targets. See the errors below.`
+          : `Uploaded ${outcome.fileName}.`
+      );
+    } catch (error) {
+      setMessage(`Backup failed: ${error?.message || error}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const draftAdapter = BACKUP_TARGET_ADAPTERS[draft.kind];
+  const hasEnabledTarget = config.targets.some((target) => target.enabled);
+
+  return (
+    <section className="bg-gray-800 rounded-lg p-4 shadow space-y-4 mb-6">
+      <div className="flex items-center justify-between gap-3">
+        <h3 className="text-lg font-semibold text-white">Cloud Backup</h3>
+        <button
+          type="button"
+          className="px-3 py-2 bg-blue-600 hover:bg-blue-700 rounded text-white disabled:opacity-50"
+          onClick={handleBackupNow}
+          disabled={busy || !hasEnabledTarget}
+        >
+          Back up now
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-300">
+        Uploads the same file as Export Backup to a WebDAV folder or an
+        S3-compatible bucket. Last run: {formatWhen(config.lastRunAt)}.
+      </p>
+
+      {config.targets.length > 0 && (
+        <ul className="space-y-2">
+          {config.targets.map((target) => (
+            <li key={target.id} className="bg-gray-900 rounded p-3">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <label className="flex items-center gap-2 text-white">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(target.enabled)}
+                    onChange={(event) =>
+                      handleToggleTarget(target, event.target.checked)
+                    }
+                  />
+                  <span className="font-medium">{target.name}</span>
+                  <span className="text-xs text-gray-400">
+                    {BACKUP_TARGET_ADAPTERS[target.kind]?.label || target.kind}
+                  </span>
+                </label>
+
+                <div className="flex gap-2">
+                  <button
+                    type="button"
+                    className="px-2 py-1 text-sm bg-gray-700 hover:bg-gray-600 rounded text-white disabled:opacity-50"
+                    onClick={() => handleBrowseTarget(target)}
+                    disabled={busy}
+                    aria-expanded={browser?.targetId === target.id}
+                  >
+                    {browser?.targetId === target.id ? 'Hide backups' : 'Backups'}
+                  </button>
+                  <button
+                    type="button"
+                    className="px-2 py-1 text-sm bg-gray-700 hover:bg-gray-600 rounded text-white disabled:opacity-50"
+                    onClick={() => handleTestTarget(target)}
+                    disabled={busy}
+                  >
+                    Test
+                  </button>
+                  <button
+                    type="button"
+                    className="px-2 py-1 text-sm bg-red-700 hover:bg-red-800 rounded text-white disabled:opacity-50"
+                    onClick={() => handleRemoveTarget(target)}
+                    disabled={busy}
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+
+              <p className="mt-1 text-xs text-gray-400">
+                Last backup: {formatWhen(target.lastBackupAt)}
+              </p>
+              {target.lastError && (
+                <p className="mt-1 text-xs text-red-300">{target.lastError}</p>
+              )}
+
+              {browser?.targetId === target.id && (
+                <div className="mt-3 border-t border-gray-700 pt-3">
+                  {browser.loading && (
+                    <p className="text-sm text-gray-400">Loading backups…</p>
+                  )}
+                  {browser.error && (
+                    <p className="text-sm text-red-300">{browser.error}</p>
+                  )}
+                  {!browser.loading && !browser.error && !browser.files.length && (
+                    <p className="text-sm text-gray-400">
+                      No backups found on this target.
+                    </p>
+                  )}
+
+                  {browser.files.length > 0 && (
+                    <ul className="space-y-1">
+                      {browser.files.map((file) => {
+                        const selected =
+                          remotePreview?.targetId === target.id &&
+                          remotePreview?.name === file.name;
+
+                        return (
+                          <li
+                            key={file.name}
+                            className={`flex flex-wrap items-center justify-between gap-2 rounded px-2 py-1 ${
+                              selected ? 'bg-gray-700' : ''
+                            }`}
+                          >
+                            <div className="text-sm">
+                              <span className="text-white">
+                                {formatWhen(file.createdAt)}
+                              </span>
+                              <span className="ml-2 text-xs text-gray-400">
+                                {[
+                                  formatSize(file.size),
+                                  file.encrypted ? 'Encrypted' : 'Not encrypted',
+                                ]
+                                  .filter(Boolean)
+                                  .join(' · ')}
+                              </span>
+                            </div>
+                            <button
+                              type="button"
+                              className="px-2 py-1 text-xs bg-gray-700 hover:bg-gray-600 rounded text-white disabled:opacity-50"
+                              onClick={() => handlePreviewRemote(target, file)}
+                              disabled={busy}
+                            >
+                              Preview
+                            </button>
+                          </li>
+                        );
+                      })}
+                    </ul>
+                  )}
+
+                  {remotePreview?.targetId === target.id && (
+                    <div className="mt-3 bg-gray-800 rounded p-3 text-sm text-gray-200">
+                      <p className="font-medium text-white break-all">
+                        {remotePreview.name}
+                      </p>
+                      {remotePreview.preview.encrypted ? (
+                        <p className="mt-1 text-gray-300">
+                          Encrypted backup. Restoring will ask for its
+                          passphrase or Recovery Code.
+                        </p>
+                      ) : (
+                        <p className="mt-1 text-gray-300">
+                          {COUNT_LABELS.map(
+                            ([key, label]) =>
+                              `${remotePreview.preview.counts?.[key] || 0} ${label}`
+                          ).join(', ')}
+                          {remotePreview.preview.entryEncrypted
+                            ? '. Security entries are encrypted.'
+                            : ''}
+                        </p>
+                      )}
+
+                      <div className="mt-2 flex flex-wrap gap-2">
+                        <button
+                          type="button"
+                          className="px-3 py-2 bg-blue-600 hover:bg-blue-700 rounded text-white disabled:opacity-50"
+                          onClick={() => handleRestoreRemote('merge')}
+                          disabled={busy}
+                        >
+                          Restore (Merge)
+                        </button>
+                        <button
+                          type="button"
+                          className="px-3 py-2 bg-red-700 hover:bg-red-800 rounded text-white disabled:opacity-50"
+                          onClick={() => handleRestoreRemote('replace')}
+                          disabled={busy || remotePreview.preview.portable}
+                        >
+                          Restore (Replace)
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {showForm ? (
+        <form onSubmit={handleAddTarget} className="bg-gray-900 rounded p-3 space-y-3">
+          <div className="grid sm:grid-cols-2 gap-3">
+            <div>
+              <label htmlFor="backup-target-kind" className="block text-gray-200 text-sm mb-1">
+                Type
+              </label>
+              <select
+                id="backup-target-kind"
+                className="w-full bg-gray-700 text-white rounded p-2"
+                value={draft.kind}
+                onChange={(event) => setDraft(emptyDraft(event.target.value))}
+              >
+                {Object.values(BACKUP_TARGET_ADAPTERS).map((adapter) => (
+                  <option key={adapter.kind} value={adapter.kind}>
+                    {adapter.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label htmlFor="backup-target-name" className="block text-gray-200 text-sm mb-1">
+                Name
+              </label>
+              <input
+                id="backup-target-name"
+                className="w-full bg-gray-700 text-white rounded p-2"
+                value={draft.name}
+                placeholder={draftAdapter.label}
+                onChange={(event) =>
+                  setDraft((prev) => ({ ...prev, name: event.target.value }))
+                }
+              />
+            </div>
+
+            {draftAdapter.fields.map((field) => (
+              <div key={field.key}>
+                <label
+                  htmlFor={`backup-target-${field.key}`}
+                  className="block text-gray-200 text-sm mb-1"
+                >
+                  {field.label}
+                </label>
+                <input
+                  id={`backup-target-${field.key}`}
+                  type={field.type || 'text'}
+                  autoComplete="off"
+                  className="w-full bg-gray-700 text-white rounded p-2"
+                  placeholder={field.placeholder || ''}
+                  value={draft.config[field.key] || ''}
+                  onChange={(event) =>
+                    setDraft((prev) => ({
+                      ...prev,
+                      config: { ...prev.config, [field.key]: event.target.value },
+                    }))
+                  }
+                />
+              </div>
+            ))}
+          </div>
+
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              className="px-3 py-2 bg-blue-600 hover:bg-blue-700 rounded text-white"
+            >
+              Save target
+            </button>
+            <button
+              type="button"
+              className="px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded text-white"
+              onClick={() => {
+                setShowForm(false);
+                setDraft(emptyDraft());
+              }}
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button
+          type="button"
+          className="px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded text-white"
+          onClick={() => setShowForm(true)}
+        >
+          Add backup target
+        </button>
+      )}
+
+      <div className="bg-gray-900 rounded p-3 flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-2 text-sm text-gray-200">
+          <input
+            type="checkbox"
+            checked={Boolean(config.schedule.enabled)}
+            onChange={(event) => updateSchedule({ enabled: event.target.checked })}
+          />
+          Back up automatically
+        </label>
+        <select
+          aria-label="Backup frequency"
+          className="bg-gray-700 text-white rounded p-2 text-sm disabled:opacity-50"
+          value={config.schedule.intervalHours}
+          onChange={(event) =>
+            updateSchedule({ intervalHours: Number(event.target.value) })
+          }
+          disabled={!config.schedule.enabled}
+        >
+          {INTERVAL_OPTIONS.map((option) => (
+            <option key={option.hours} value={option.hours}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <p className="w-full text-xs text-gray-400">
+          Scheduled backups run when the app opens and, where the browser
+          allows it, in the background while the app is installed. An
+          encrypted backup waits until the vault is unlocked.
+        </p>
+      </div>
+
+      {message && <p className="text-gray-300">{message}</p>}
+
+      {pendingEnableId && (
+        <TutorialModal
+          slides={backupPrivacySlides}
+          label="Cloud backup privacy notice"
+          onComplete={handlePrivacyAccepted}
+          onClose={() => setPendingEnableId(null)}
+        />
+      )}
+    </section>
+  );
+}
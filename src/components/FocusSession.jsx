@@ -0,0 +1,363 @@
+// src/components/FocusSession.jsx
+// Full-screen guided prayer session started from Focus. Steps through a fixed
+// queue with a per-prayer timer and quick Prayed / Add update / Answered
+// actions, then shows a summary that can be saved as a journal entry.
+//
+// Props:
+//   items: [{ prayer, view }]   // view = redactPrayer() output for the prayer
+//   timeBudgetMinutes?: number  // ends the session automatically when spent
+//   onExit: () => void
+
+import React, { useEffect, useState } from 'react';
+import { emitDbChanged } from '../db';
+import PrayerEventForm from './PrayerEventForm';
+import { addRecord, updateRecord } from '../utils/secureStore';
+import { logPrayed } from '../utils/prayerLog';
+
+function formatClock(totalSeconds) {
+  const seconds = Math.max(0, Math.round(totalSeconds));
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function emptyRecord() {
+  return {
+    visited: false,
+    seconds: 0,
+    prayed: false,
+    updated: false,
+    answered: false,
+  };
+}
+
+function buildSessionSummaryText(items, records, totalSeconds) {
+  const visited = items.filter((item) => records[item.prayer.id]?.visited);
+  const lines = [
+    `Prayed through ${visited.length} of ${items.length} ${
+      items.length === 1 ? 'prayer' : 'prayers'
+    } in ${formatClock(totalSeconds)}.`,
+    '',
+  ];
+
+  for (const item of visited) {
+    const record = records[item.prayer.id];
+    const notes = [formatClock(record.seconds)];
+
+    if (record.prayed) notes.push('prayed');
+    if (record.updated) notes.push('update added');
+    if (record.answered) notes.push('marked answered');
+
+    lines.push(
+      `- **${item.view.title || 'Untitled'}** (${item.view.requestorName}) — ${notes.join(' · ')}`
+    );
+  }
+
+  return lines.join('\n');
+}
+
+export default function FocusSession({ items, timeBudgetMinutes = null, onExit }) {
+  const [index, setIndex] = useState(0);
+  const [records, setRecords] = useState(() => {
+    const initial = Object.fromEntries(
+      items.map((item) => [item.prayer.id, emptyRecord()])
+    );
+    if (items[0]) initial[items[0].prayer.id].visited = true;
+    return initial;
+  });
+  const [startedAt] = useState(() => Date.now());
+  const [stepStartedAt, setStepStartedAt] = useState(() => Date.now());
+  const [now, setNow] = useState(() => Date.now());
+  const [finished, setFinished] = useState(false);
+  const [totalSeconds, setTotalSeconds] = useState(0);
+  const [addingUpdate, setAddingUpdate] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [saveState, setSaveState] = useState('');
+
+  const item = items[index];
+  const record = item ? records[item.prayer.id] : null;
+  const budgetSeconds = timeBudgetMinutes ? timeBudgetMinutes * 60 : null;
+  const elapsedSeconds = (now - startedAt) / 1000;
+  const stepSeconds = (record?.seconds || 0) + (now - stepStartedAt) / 1000;
+
+  useEffect(() => {
+    if (finished) return undefined;
+
+    const timer = window.setInterval(() => setNow(Date.now()), 1000);
+    return () => window.clearInterval(timer);
+  }, [finished]);
+
+  function patchRecord(prayerId, patch) {
+    setRecords((current) => ({
+      ...current,
+      [prayerId]: { ...current[prayerId], ...patch },
+    }));
+  }
+
+  function closeStep() {
+    const spent = (Date.now() - stepStartedAt) / 1000;
+
+    patchRecord(item.prayer.id, { seconds: record.seconds + spent });
+    setStepStartedAt(Date.now());
+    setAddingUpdate(false);
+  }
+
+  function goTo(nextIndex) {
+    closeStep();
+    setIndex(nextIndex);
+    patchRecord(items[nextIndex].prayer.id, { visited: true });
+  }
+
+  function finish() {
+    if (finished) return;
+
+    closeStep();
+    setTotalSeconds((Date.now() - startedAt) / 1000);
+    setFinished(true);
+  }
+
+  useEffect(() => {
+    if (!finished && budgetSeconds != null && elapsedSeconds >= budgetSeconds) {
+      finish();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [elapsedSeconds, budgetSeconds, finished]);
+
+  async function handlePrayed() {
+    setBusy(true);
+
+    try {
+      await logPrayed(item.prayer.id, 'session');
+      patchRecord(item.prayer.id, { prayed: true });
+      emitDbChanged();
+    } catch (error) {
+      console.error('Session prayed log failed', error);
+      window.alert(error?.message || 'Failed to log this prayer.');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleAnswered() {
+    if (!window.confirm('Mark this prayer as answered?')) return;
+
+    setBusy(true);
+
+    try {
+      await updateRecord('prayers', item.prayer.id, {
+        status: 'answered',
+        answeredAt: new Date().toISOString().slice(0, 10),
+      });
+      patchRecord(item.prayer.id, { answered: true });
+      emitDbChanged();
+    } catch (error) {
+      console.error('Session answer failed', error);
+      window.alert(error?.message || 'Failed to mark this prayer answered.');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleSaveJournal() {
+    setSaveState('saving');
+
+    try {
+      const createdAt = new Date().toISOString();
+
+      await addRecord('journalEntries', {
+        title: `Prayer session — ${new Date().toLocaleDateString()}`,
+        text: buildSessionSummaryText(items, records, totalSeconds),
+        createdAt,
+        updatedAt: createdAt,
+      });
+      emitDbChanged();
+      setSaveState('saved');
+    } catch (error) {
+      console.error('Session journal save failed', error);
+      setSaveState('error');
+    }
+  }
+
+  const visitedItems = items.filter((entry) => records[entry.prayer.id]?.visited);
+
+  return (
+    <div
+      className="fixed inset-0 z-[10000] flex flex-col bg-gray-900 text-white"
+      role="dialog"
+      aria-modal="true"
+      aria-label="Prayer session"
+    >
+      <div className="flex items-center justify-between border-b border-gray-800 px-4 py-3">
+        <div className="text-sm text-gray-300">
+          {finished
+            ? 'Session complete'
+            : `Prayer ${index + 1} of ${items.length}`}
+          {!finished && budgetSeconds != null && (
+            <> • {formatClock(budgetSeconds - elapsedSeconds)} left</>
+          )}
+        </div>
+        {finished ? (
+          <button
+            type="button"
+            onClick={onExit}
+            className="px-3 py-1 text-sm rounded bg-gray-700 hover:bg-gray-600"
+          >
+            Close
+          </button>
+        ) : (
+          <button
+            type="button"
+            onClick={finish}
+            className="px-3 py-1 text-sm rounded bg-gray-700 hover:bg-gray-600"
+          >
+            End session
+          </button>
+        )}
+      </div>
+
+      {!finished && item && (
+        <div className="flex-1 overflow-y-auto px-4 py-6">
+          <div className="mx-auto max-w-2xl">
+            <div className="text-5xl font-mono text-yellow-300 text-center mb-6" aria-live="off">
+              {formatClock(stepSeconds)}
+            </div>
+
+            <h3 className="text-2xl font-semibold">{item.view.title}</h3>
+            <div className="text-gray-300 text-sm mb-4">
+              {item.view.requestorName} • {item.view.categoryName}
+            </div>
+            <p className="text-gray-100 whitespace-pre-wrap text-lg">
+              {item.prayer.locked && item.view.profile.description
+                ? '🔒 Details encrypted — unlock the Private Vault in Settings to read them.'
+                : item.view.description}
+            </p>
+
+            <div className="mt-6 flex flex-wrap gap-2">
+              <button
+                type="button"
+                onClick={handlePrayed}
+                disabled={busy || record.prayed}
+                className="px-4 py-2 rounded bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50"
+              >
+                {record.prayed ? 'Prayed ✓' : 'Prayed'}
+              </button>
+              {item.view.showEvents && (
+                <button
+                  type="button"
+                  onClick={() => setAddingUpdate((open) => !open)}
+                  disabled={busy}
+                  className="px-4 py-2 rounded bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+                >
+                  {record.updated ? 'Update added ✓' : 'Add update'}
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={handleAnswered}
+                disabled={busy || record.answered}
+                className="px-4 py-2 rounded bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+              >
+                {record.answered ? 'Answered ✓' : 'Answered'}
+              </button>
+            </div>
+
+            {addingUpdate && (
+              <div className="mt-4">
+                <PrayerEventForm
+                  prayerId={item.prayer.id}
+                  onSuccess={() => {
+                    patchRecord(item.prayer.id, { updated: true });
+                    setAddingUpdate(false);
+                  }}
+                  onCancel={() => setAddingUpdate(false)}
+                />
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {!finished && (
+        <div className="flex items-center justify-between border-t border-gray-800 px-4 py-3">
+          <button
+            type="button"
+            onClick={() => goTo(index - 1)}
+            disabled={index === 0}
+            className="px-4 py-2 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-40"
+          >
+            Back
+          </button>
+          {index < items.length - 1 ? (
+            <button
+              type="button"
+              onClick={() => goTo(index + 1)}
+              className="px-4 py-2 rounded bg-yellow-500 hover:bg-yellow-600 text-black"
+            >
+              Next
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={finish}
+              className="px-4 py-2 rounded bg-yellow-500 hover:bg-yellow-600 text-black"
+            >
+              Finish
+            </button>
+          )}
+        </div>
+      )}
+
+      {finished && (
+        <div className="flex-1 overflow-y-auto px-4 py-6">
+          <div className="mx-auto max-w-2xl">
+            <h3 className="text-2xl font-semibold mb-1">Summary</h3>
+            <p className="text-gray-300 mb-4">
+              {visitedItems.length} of {items.length} prayers in{' '}
+              {formatClock(totalSeconds)}
+            </p>
+
+            <ul className="space-y-2 mb-6">
+              {visitedItems.map((entry) => {
+                const entryRecord = records[entry.prayer.id];
+
+                return (
+                  <li key={entry.prayer.id} className="bg-gray-800 rounded-lg p-3">
+                    <div className="font-semibold">{entry.view.title}</div>
+                    <div className="text-xs text-gray-400">
+                      {entry.view.requestorName} • {formatClock(entryRecord.seconds)}
+                      {entryRecord.prayed && <> • Prayed</>}
+                      {entryRecord.updated && <> • Update added</>}
+                      {entryRecord.answered && <> • Answered</>}
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+
+            <div className="flex flex-wrap items-center gap-2">
+              <button
+                type="button"
+                onClick={handleSaveJournal}
+                disabled={saveState === 'saving' || saveState === 'saved'}
+                className="px-4 py-2 rounded bg-green-600 hover:bg-green-700 disabled:opacity-50"
+              >
+                {saveState === 'saved' ? 'Saved to journal ✓' : 'Save to journal'}
+              </button>
+              <button
+                type="button"
+                onClick={onExit}
+                className="px-4 py-2 rounded bg-gray-700 hover:bg-gray-600"
+              >
+                Done
+              </button>
+              {saveState === 'error' && (
+                <span className="text-red-400 text-sm">
+                  Could not save the summary.
+                </span>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
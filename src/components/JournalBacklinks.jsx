@@ -0,0 +1,81 @@
+// src/components/JournalBacklinks.jsx
+// "Mentioned in journal" list for a prayer: journal entries that mention it
+// (`#prayer-<id>`) or its requestor (`@Name`). Entries sealed by a locked
+// vault cannot be scanned and are left out. Renders nothing without matches.
+
+import React, { useEffect, useState } from 'react';
+import { db } from '../db';
+import { readAll } from '../utils/secureStore';
+import { findJournalBacklinks } from '../utils/mentions';
+
+function fmt(dateTime) {
+  if (!dateTime) return '';
+
+  const date = new Date(dateTime);
+  if (Number.isNaN(date.getTime())) return '';
+
+  return date.toLocaleDateString();
+}
+
+export default function JournalBacklinks({ prayerId, onShowJournalEntry }) {
+  const [links, setLinks] = useState([]);
+  const [requestorName, setRequestorName] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const prayer = await db.prayers.get(prayerId);
+        const [requestor, entries] = await Promise.all([
+          prayer ? db.requestors.get(prayer.requestorId) : null,
+          readAll('journalEntries'),
+        ]);
+        if (cancelled) return;
+
+        setRequestorName(requestor?.name || '');
+        setLinks(findJournalBacklinks(entries, prayer, requestor));
+      } catch (error) {
+        console.error('Load journal backlinks failed', error);
+        if (!cancelled) setLinks([]);
+      }
+    };
+
+    load();
+    window.addEventListener('db:changed', load);
+    window.addEventListener('vault:changed', load);
+    return () => {
+      cancelled = true;
+      window.removeEventListener('db:changed', load);
+      window.removeEventListener('vault:changed', load);
+    };
+  }, [prayerId]);
+
+  if (!links.length) return null;
+
+  return (
+    <div className="mt-3">
+      <h5 className="text-sm font-semibold text-gray-300 mb-1">
+        Mentioned in journal
+      </h5>
+      <ul className="space-y-1">
+        {links.map(({ entry, via }) => (
+          <li key={entry.id}>
+            <button
+              type="button"
+              onClick={() => onShowJournalEntry?.(entry.id)}
+              disabled={!onShowJournalEntry}
+              className="w-full text-left text-sm rounded bg-gray-700 hover:bg-gray-600 px-2 py-1 text-gray-100 disabled:hover:bg-gray-700"
+            >
+              <span className="font-medium">{entry.title || '(Untitled)'}</span>
+              <span className="ml-2 text-xs text-gray-400">
+                {fmt(entry.createdAt)}
+                {via === 'requestor' && requestorName && ` • via @${requestorName}`}
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -1,30 +1,42 @@
 // src/components/JournalEditForm.jsx
-// Edit form for an existing journal entry with Delete support.
+// Edit form for an existing journal entry with Delete (to the Trash) support.
 // Props: entry (required), onSuccess(), onCancel()
+// An entry opened while the vault is locked can only have its title and tags
+// edited.
 
 import React, { useState } from 'react';
-import { db, emitDbChanged } from '../db';
+import { emitDbChanged } from '../db';
+import { updateRecord } from '../utils/secureStore';
+import { normalizeTags } from '../utils/tags';
+import { moveToTrash } from '../utils/trash';
+import TagPicker from './TagPicker';
+import MentionTextarea from './MentionTextarea';
 
 export default function JournalEditForm({ entry, onSuccess, onCancel }) {
   const [title, setTitle] = useState(entry.title || '');
   const [text, setText] = useState(entry.text || '');
+  const [tags, setTags] = useState(() => normalizeTags(entry.tags));
+  const textLocked = Boolean(entry.locked);
   const [busy, setBusy] = useState(false);
   const [err, setErr] = useState('');
 
   async function handleSave(e) {
     e?.preventDefault?.();
     setErr('');
-    if (!text.trim()) {
+    if (!textLocked && !text.trim()) {
       setErr('Entry text is required.');
       return;
     }
     try {
       setBusy(true);
-      await db.journalEntries.update(entry.id, {
+      const changes = {
         title: title.trim() || null,
         text: text.trim(),
+        tags: normalizeTags(tags),
         updatedAt: new Date().toISOString(),
-      });
+      };
+      if (textLocked) delete changes.text;
+      await updateRecord('journalEntries', entry.id, changes);
       emitDbChanged();
       onSuccess?.();
     } catch (e2) {
@@ -36,10 +48,11 @@ export default function JournalEditForm({ entry, onSuccess, onCancel }) {
   }
 
   async function handleDelete() {
-    if (!confirm('Delete this journal entry? This cannot be undone.')) return;
     try {
       setBusy(true);
-      await db.journalEntries.delete(entry.id);
+      await moveToTrash('journalEntries', entry.id, {
+        label: entry.title || 'Journal entry',
+      });
       emitDbChanged();
       onSuccess?.();
     } catch (e2) {
@@ -67,12 +80,22 @@ export default function JournalEditForm({ entry, onSuccess, onCancel }) {
 
       <div className="mb-2">
         <label className="block text-gray-300 text-sm mb-1">Entry</label>
-        <textarea
-          value={text}
-          onChange={(e) => setText(e.target.value)}
-          rows={8}
-          className="w-full p-2 bg-gray-600 text-white rounded focus:outline-none focus:ring-2 focus:ring-blue-500 whitespace-pre-wrap"
-        />
+        {textLocked ? (
+          <p className="p-2 bg-gray-600 text-gray-400 text-sm italic rounded">
+            This entry is encrypted. Unlock the Private Vault in Settings to edit it.
+          </p>
+        ) : (
+          <MentionTextarea
+            value={text}
+            onChange={setText}
+            rows={8}
+            className="w-full p-2 bg-gray-600 text-white rounded focus:outline-none focus:ring-2 focus:ring-blue-500 whitespace-pre-wrap"
+          />
+        )}
+      </div>
+
+      <div className="mb-2">
+        <TagPicker idPrefix={`je-${entry.id}`} value={tags} onChange={setTags} />
       </div>
 
       {err && <p className="text-red-300 text-sm mb-2">{err}</p>}
@@ -1,13 +1,19 @@
 // src/components/JournalForm.jsx
 // Small form for creating a new personal journal entry.
 // Props: onSuccess(), onCancel() (both optional)
+// Entries may carry theme tags (see utils/tags) and @/# mentions.
 
 import React, { useState } from 'react';
-import { db, emitDbChanged } from '../db';
+import { emitDbChanged } from '../db';
+import { addRecord } from '../utils/secureStore';
+import { normalizeTags } from '../utils/tags';
+import TagPicker from './TagPicker';
+import MentionTextarea from './MentionTextarea';
 
 export default function JournalForm({ onSuccess, onCancel }) {
   const [title, setTitle] = useState('');
   const [text, setText] = useState('');
+  const [tags, setTags] = useState([]);
   const [busy, setBusy] = useState(false);
   const [err, setErr] = useState('');
 
@@ -21,9 +27,10 @@ export default function JournalForm({ onSuccess, onCancel }) {
     try {
       setBusy(true);
       const now = new Date().toISOString();
-      await db.journalEntries.add({
+      await addRecord('journalEntries', {
         title: title.trim() || null,
         text: text.trim(),
+        tags: normalizeTags(tags),
         createdAt: now,
         updatedAt: now,
       });
@@ -31,6 +38,7 @@ export default function JournalForm({ onSuccess, onCancel }) {
       onSuccess?.();
       setTitle('');
       setText('');
+      setTags([]);
     } catch (e2) {
       console.error('Journal add failed', e2);
       setErr('Failed to save. See console.');
@@ -56,15 +64,19 @@ export default function JournalForm({ onSuccess, onCancel }) {
 
       <div className="mb-2">
         <label className="block text-gray-300 text-sm mb-1">Entry</label>
-        <textarea
+        <MentionTextarea
           value={text}
-          onChange={(e) => setText(e.target.value)}
+          onChange={setText}
           rows={6}
           placeholder="Write your thoughts, prayers, insights…"
           className="w-full p-2 bg-gray-600 text-white rounded focus:outline-none focus:ring-2 focus:ring-blue-500 whitespace-pre-wrap"
         />
       </div>
 
+      <div className="mb-2">
+        <TagPicker idPrefix="jf-new" value={tags} onChange={setTags} />
+      </div>
+
       {err && <p className="text-red-300 text-sm mb-2">{err}</p>}
 
       <div className="flex gap-2">
@@ -1,14 +1,29 @@
 // src/components/JournalList.jsx
 // Personal journal list with search, Markdown rendering, explicit read controls,
 // add/edit controls, db refresh, and PWA launch-action support.
+// `revealEntryId` (from global search) expands and scrolls to one entry.
+// Entries can be narrowed to one tag; tapping a tag chip selects it.
+// `@Requestor` and `#prayer-<id>` mentions render as links that open the
+// prayer in Focus (or the Daily list when Focus would skip it).
 
 import React, { useEffect, useMemo, useState } from 'react';
 import { db } from '../db';
+import { readAll } from '../utils/secureStore';
 import JournalForm from './JournalForm';
 import JournalEditForm from './JournalEditForm';
 import DataExportButton from './DataExportButton';
+import PrayerQrShareModal from './PrayerQrShareModal';
+import TagChips from './TagChips';
+import { hasTag, normalizeTags } from '../utils/tags';
+import {
+  createRequestorResolver,
+  parseMentionHref,
+  remarkMentions,
+} from '../utils/mentions';
+import { openPrayer, openRequestorPrayer } from '../utils/prayerNav';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
+import { withoutTrashed } from '../utils/trash';
 
 function fmtDateTime(iso) {
   if (!iso) return '';
@@ -24,21 +39,37 @@ function ciIncludes(haystack = '', needle = '') {
   return haystack.toLowerCase().includes(needle.toLowerCase());
 }
 
-export default function JournalList() {
+export default function JournalList({
+  revealEntryId = null,
+  onRevealed,
+  onFocusPrayer,
+  onShowPrayer,
+}) {
   const [entries, setEntries] = useState([]);
+  const [mentionTargets, setMentionTargets] = useState({
+    prayers: [],
+    requestors: [],
+  });
   const [loading, setLoading] = useState(true);
   const [expanded, setExpanded] = useState({});
   const [editing, setEditing] = useState({});
   const [showAddForm, setShowAddForm] = useState(false);
   const [query, setQuery] = useState('');
+  const [tagFilter, setTagFilter] = useState('');
+  const [qrShareTarget, setQrShareTarget] = useState(null);
 
   async function load() {
     setLoading(true);
 
     try {
-      const all = await db.journalEntries.toArray();
+      const [all, prayers, requestors] = await Promise.all([
+        readAll('journalEntries'),
+        db.prayers.toArray().then(withoutTrashed),
+        db.requestors.toArray().then(withoutTrashed),
+      ]);
       all.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
       setEntries(all);
+      setMentionTargets({ prayers, requestors });
     } catch (error) {
       console.error('Load journal failed', error);
       setEntries([]);
@@ -55,7 +86,11 @@ export default function JournalList() {
     const onDbChanged = () => load();
 
     window.addEventListener('db:changed', onDbChanged);
-    return () => window.removeEventListener('db:changed', onDbChanged);
+    window.addEventListener('vault:changed', onDbChanged);
+    return () => {
+      window.removeEventListener('db:changed', onDbChanged);
+      window.removeEventListener('vault:changed', onDbChanged);
+    };
   }, []);
 
   useEffect(() => {
@@ -70,18 +105,73 @@ export default function JournalList() {
     return () => window.removeEventListener('ui:addJournal', openAddJournal);
   }, []);
 
+  useEffect(() => {
+    if (revealEntryId == null || loading) return;
+    if (!entries.some((entry) => entry.id === revealEntryId)) {
+      onRevealed?.();
+      return;
+    }
+
+    setQuery('');
+    setTagFilter('');
+    setExpanded((current) => ({ ...current, [revealEntryId]: true }));
+    window.requestAnimationFrame(() => {
+      document
+        .getElementById(`journal-entry-${revealEntryId}`)
+        ?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    });
+    onRevealed?.();
+  }, [revealEntryId, entries, loading]);
+
+  const tagOptions = useMemo(() => {
+    const tags = new Set();
+    for (const entry of entries) {
+      for (const tag of normalizeTags(entry.tags)) tags.add(tag);
+    }
+    return Array.from(tags).sort((a, b) => a.localeCompare(b));
+  }, [entries]);
+
   const filtered = useMemo(() => {
-    if (!query.trim()) return entries;
+    const tagged = tagFilter
+      ? entries.filter((entry) => hasTag(entry, tagFilter))
+      : entries;
+    if (!query.trim()) return tagged;
 
-    return entries.filter(
+    return tagged.filter(
       (entry) =>
         ciIncludes(entry.title || '', query) ||
         ciIncludes(entry.text || '', query)
     );
-  }, [entries, query]);
+  }, [entries, query, tagFilter]);
 
   const hasEntries = filtered.length > 0;
 
+  const mentionOptions = useMemo(
+    () => ({
+      prayerById: new Map(
+        mentionTargets.prayers.map((prayer) => [prayer.id, prayer])
+      ),
+      resolveRequestor: createRequestorResolver(mentionTargets.requestors),
+    }),
+    [mentionTargets]
+  );
+
+  function openMention(target) {
+    const handlers = { onFocusPrayer, onShowPrayer };
+    const opening =
+      target.kind === 'prayer'
+        ? openPrayer(target.id, handlers)
+        : openRequestorPrayer(target.id, handlers);
+
+    opening
+      .then((opened) => {
+        if (!opened && target.kind === 'requestor') {
+          window.dispatchEvent(new CustomEvent('ui:nav', { detail: 'categories' }));
+        }
+      })
+      .catch((error) => console.error('Open mention failed', error));
+  }
+
   const handleAddSuccess = async () => {
     await load();
     setShowAddForm(false);
@@ -97,7 +187,7 @@ export default function JournalList() {
   function Markdown({ children }) {
     return (
       <ReactMarkdown
-        remarkPlugins={[remarkGfm]}
+        remarkPlugins={[remarkGfm, [remarkMentions, mentionOptions]]}
         components={{
           h1: ({ node, ...props }) => (
             <h1 className="text-2xl font-bold mt-2 mb-1 text-white" {...props} />
@@ -111,9 +201,24 @@ export default function JournalList() {
           p: ({ node, ...props }) => (
             <p className="text-gray-100 leading-relaxed my-2" {...props} />
           ),
-          a: ({ node, ...props }) => (
-            <a className="text-blue-300 hover:underline" {...props} />
-          ),
+          a: ({ node, ...props }) => {
+            const mention = parseMentionHref(props.href);
+            if (!mention) {
+              return <a className="text-blue-300 hover:underline" {...props} />;
+            }
+
+            return (
+              <a
+                {...props}
+                className="rounded bg-indigo-900/60 px-1 text-indigo-200 hover:underline"
+                onClick={(event) => {
+                  event.preventDefault();
+                  event.stopPropagation();
+                  openMention(mention);
+                }}
+              />
+            );
+          },
           ul: ({ node, ...props }) => (
             <ul className="list-disc ml-5 my-2 space-y-1 text-gray-100" {...props} />
           ),
@@ -185,7 +290,7 @@ export default function JournalList() {
         <div className="max-w-3xl mx-auto flex flex-col gap-3">
           <div className="flex items-center gap-2">
             <h2 className="text-lg font-semibold text-white">Personal Journal</h2>
-            {query.trim() && (
+            {(query.trim() || tagFilter) && (
               <span className="text-xs text-gray-400">
                 {filtered.length} result{filtered.length === 1 ? '' : 's'}
               </span>
@@ -210,6 +315,24 @@ export default function JournalList() {
                 Clear
               </button>
             )}
+            {(tagOptions.length > 0 || tagFilter) && (
+              <select
+                value={tagFilter}
+                onChange={(event) => setTagFilter(event.target.value)}
+                className="p-2 rounded bg-gray-800 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                aria-label="Filter by tag"
+              >
+                <option value="">All tags</option>
+                {tagFilter && !tagOptions.includes(tagFilter) && (
+                  <option value={tagFilter}>#{tagFilter}</option>
+                )}
+                {tagOptions.map((tag) => (
+                  <option key={tag} value={tag}>
+                    #{tag}
+                  </option>
+                ))}
+              </select>
+            )}
           </div>
 
           {showAddForm && (
@@ -238,7 +361,9 @@ export default function JournalList() {
 
       {!loading && !hasEntries && (
         <p className="text-gray-400 mt-3">
-          No journal entries{query ? ' match your search' : ''}.
+          No journal entries
+          {query || tagFilter ? ' match your search' : ''}
+          {tagFilter ? ` tagged #${tagFilter}` : ''}.
         </p>
       )}
 
@@ -281,6 +406,12 @@ export default function JournalList() {
                               <> • edited {fmtDateTime(entry.updatedAt)}</>
                             )}
                         </div>
+                        <TagChips
+                          tags={entry.tags}
+                          onSelect={setTagFilter}
+                          activeTag={tagFilter}
+                          className="mt-1"
+                        />
                       </div>
 
                       <div className="flex w-full flex-wrap items-center gap-2 sm:w-auto sm:shrink-0 sm:justify-end">
@@ -298,6 +429,16 @@ export default function JournalList() {
                           id={entry.id}
                           title="Export this journal entry as a portable database package"
                         />
+                        <button
+                          type="button"
+                          onClick={() =>
+                            setQrShareTarget({ kind: 'journal', id: entry.id, name: entry.title })
+                          }
+                          className="text-sm px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-gray-200"
+                          title="Share this journal entry by QR code"
+                        >
+                          Share QR
+                        </button>
                         <button
                           type="button"
                           onClick={() =>
@@ -321,12 +462,26 @@ export default function JournalList() {
                       </div>
                     )}
 
+                    {!isExpanded && entry.locked && (
+                      <p className="mt-2 text-sm italic text-gray-400">
+                        Encrypted — unlock the Private Vault in Settings to read
+                        this entry.
+                      </p>
+                    )}
+
                     {isExpanded && (
                       <div
                         id={`journal-entry-${entry.id}`}
                         className="mt-3 text-gray-100 prose-invert"
                       >
-                        <Markdown>{entry.text || '(No content)'}</Markdown>
+                        {entry.locked ? (
+                          <p className="text-sm italic text-gray-400">
+                            Encrypted — unlock the Private Vault in Settings to
+                            read this entry.
+                          </p>
+                        ) : (
+                          <Markdown>{entry.text || '(No content)'}</Markdown>
+                        )}
                       </div>
                     )}
                   </>
@@ -362,6 +517,13 @@ export default function JournalList() {
           </svg>
         </button>
       )}
+
+      {qrShareTarget && (
+        <PrayerQrShareModal
+          target={qrShareTarget}
+          onClose={() => setQrShareTarget(null)}
+        />
+      )}
     </div>
   );
 }
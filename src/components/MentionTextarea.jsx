@@ -0,0 +1,135 @@
+// src/components/MentionTextarea.jsx
+// Journal textarea with mention autocomplete: typing `@` suggests requestors
+// and `#` suggests prayers (see utils/mentions). Arrow keys move through the
+// list; Enter or Tab inserts the mention, Escape dismisses it.
+// Other props are passed through to the <textarea>.
+
+import React, { useEffect, useRef, useState } from 'react';
+import { db } from '../db';
+import { getMentionQuery, suggestMentions } from '../utils/mentions';
+import { withoutTrashed } from '../utils/trash';
+
+export default function MentionTextarea({ value, onChange, ...props }) {
+  const textareaRef = useRef(null);
+  const [targets, setTargets] = useState({ prayers: [], requestors: [] });
+  const [mention, setMention] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    Promise.all([
+      db.prayers.toArray().then(withoutTrashed),
+      db.requestors.toArray().then(withoutTrashed),
+    ])
+      .then(([prayers, requestors]) => {
+        if (!cancelled) setTargets({ prayers, requestors });
+      })
+      .catch((error) => console.error('Load mention targets failed', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const suggestions = mention ? suggestMentions(mention, targets) : [];
+  const open = suggestions.length > 0;
+
+  function updateMention(textarea) {
+    const caret = textarea.selectionStart;
+    const next =
+      caret === textarea.selectionEnd
+        ? getMentionQuery(textarea.value.slice(0, caret))
+        : null;
+
+    setMention(next ? { ...next, end: caret } : null);
+    setActiveIndex(0);
+  }
+
+  function insert(suggestion) {
+    const before = value.slice(0, mention.start);
+    const after = value.slice(mention.end).replace(/^[^\s]*/, '');
+    const inserted = `${suggestion.token} `;
+    const caret = before.length + inserted.length;
+
+    onChange(`${before}${inserted}${after}`);
+    setMention(null);
+
+    window.requestAnimationFrame(() => {
+      textareaRef.current?.focus();
+      textareaRef.current?.setSelectionRange(caret, caret);
+    });
+  }
+
+  function handleKeyDown(event) {
+    if (!open) return;
+
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex(
+        (index) => (index + step + suggestions.length) % suggestions.length
+      );
+    } else if (event.key === 'Enter' || event.key === 'Tab') {
+      event.preventDefault();
+      insert(suggestions[Math.min(activeIndex, suggestions.length - 1)]);
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      setMention(null);
+    }
+  }
+
+  return (
+    <div className="relative">
+      <textarea
+        {...props}
+        ref={textareaRef}
+        value={value}
+        onChange={(event) => {
+          onChange(event.target.value);
+          updateMention(event.target);
+        }}
+        onKeyDown={handleKeyDown}
+        onClick={(event) => updateMention(event.currentTarget)}
+        onBlur={() => setMention(null)}
+        aria-autocomplete="list"
+        aria-expanded={open}
+      />
+      {open && (
+        <ul
+          role="listbox"
+          className="absolute left-0 right-0 z-20 mt-1 max-h-56 overflow-y-auto rounded bg-gray-800 shadow-lg ring-1 ring-gray-600"
+        >
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={suggestion.key}
+              role="option"
+              aria-selected={index === activeIndex}
+              // mousedown keeps focus in the textarea until the pick lands.
+              onMouseDown={(event) => {
+                event.preventDefault();
+                insert(suggestion);
+              }}
+              className={`cursor-pointer px-3 py-2 text-sm ${
+                index === activeIndex
+                  ? 'bg-blue-600 text-white'
+                  : 'text-gray-200 hover:bg-gray-700'
+              }`}
+            >
+              {suggestion.label}
+              {suggestion.detail && (
+                <span className="ml-2 text-xs text-gray-400">
+                  {suggestion.detail}
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      <p className="mt-1 text-xs text-gray-400">
+        Type @ to mention a person or # to link a prayer.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,191 @@
+// src/components/MergePanel.jsx
+// Inline "merge into…" tool for a requestor or a category. Picking a target
+// shows a dry-run preview (see utils/reassign) before anything is written.
+
+import React, { useEffect, useState } from 'react';
+import { db, emitDbChanged } from '../db';
+import { mergeRecords, previewMerge } from '../utils/reassign';
+import { withoutTrashed } from '../utils/trash';
+
+const KIND_LABELS = {
+  categories: {
+    one: 'category',
+    childTable: 'requestors',
+    child: ['requestor', 'requestors'],
+  },
+  requestors: {
+    one: 'requestor',
+    childTable: 'prayers',
+    child: ['prayer', 'prayers'],
+  },
+};
+
+function plural(count, [one, many]) {
+  return `${count} ${count === 1 ? one : many}`;
+}
+
+export default function MergePanel({ tableName, source, onCancel, onMerged }) {
+  const labels = KIND_LABELS[tableName];
+  const selectId = `merge-${tableName}-${source.id}`;
+  const [targets, setTargets] = useState([]);
+  const [targetId, setTargetId] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function loadTargets() {
+      try {
+        const [rows, categories] = await Promise.all([
+          db.table(tableName).toArray().then(withoutTrashed),
+          db.categories.toArray(),
+        ]);
+        const categoryNames = new Map(
+          categories.map((category) => [category.id, category.name])
+        );
+
+        const options = rows
+          .filter((row) => row.id !== source.id)
+          .map((row) => ({
+            id: row.id,
+            label:
+              tableName === 'requestors'
+                ? `${row.name} (${categoryNames.get(row.categoryId) || 'No category'})`
+                : row.name,
+          }))
+          .sort((a, b) =>
+            a.label.localeCompare(b.label, undefined, { sensitivity: 'base' })
+          );
+
+        if (!cancelled) setTargets(options);
+      } catch (loadError) {
+        console.error('Load merge targets failed', loadError);
+        if (!cancelled) setError('Failed to load merge targets.');
+      }
+    }
+
+    loadTargets();
+    return () => {
+      cancelled = true;
+    };
+  }, [tableName, source.id]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    setPreview(null);
+    setError('');
+    if (!targetId) return undefined;
+
+    previewMerge(tableName, source.id, Number(targetId))
+      .then((next) => {
+        if (!cancelled) setPreview(next);
+      })
+      .catch((previewError) => {
+        console.error('Merge preview failed', previewError);
+        if (!cancelled) setError(previewError?.message || 'Preview failed.');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [tableName, source.id, targetId]);
+
+  async function handleMerge() {
+    if (!preview) return;
+
+    setBusy(true);
+    setError('');
+
+    try {
+      const applied = await mergeRecords(tableName, source.id, preview.target.id);
+      emitDbChanged();
+      onMerged?.(applied);
+    } catch (mergeError) {
+      console.error('Merge failed', mergeError);
+      setError(mergeError?.message || 'Merge failed (see console).');
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="p-4 bg-gray-700 rounded">
+      <h4 className="text-white font-semibold mb-3">
+        Merge “{source.name}” into another {labels.one}
+      </h4>
+
+      <label className="block text-gray-300 text-sm mb-1" htmlFor={selectId}>
+        Merge into
+      </label>
+      <select
+        id={selectId}
+        value={targetId}
+        onChange={(event) => setTargetId(event.target.value)}
+        disabled={busy}
+        className="w-full p-2 bg-gray-600 text-white rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        <option value="">Choose a {labels.one}…</option>
+        {targets.map((target) => (
+          <option key={target.id} value={target.id}>
+            {target.label}
+          </option>
+        ))}
+      </select>
+
+      {preview && (
+        <div className="mt-3 rounded bg-gray-800 p-3 text-sm text-gray-200">
+          <p className="font-semibold text-white mb-1">
+            Preview (nothing has changed yet)
+          </p>
+          <ul className="list-disc pl-5 space-y-1">
+            <li>
+              Moves {plural(preview.moves[labels.childTable], labels.child)}
+              {tableName === 'categories' &&
+                ` (${plural(preview.moves.prayers, ['prayer', 'prayers'])})`}{' '}
+              to “{preview.target.name}”.
+            </li>
+            {preview.trashedMoves > 0 && (
+              <li>
+                {plural(preview.trashedMoves, labels.child)} in the Trash will
+                follow, so restoring them lands on “{preview.target.name}”.
+              </li>
+            )}
+            <li>
+              Keeps the name, description and settings of “{preview.target.name}”
+              and moves the emptied “{preview.source.name}” to the Trash.
+            </li>
+            <li>
+              {`Imports and QR shares of “${preview.source.name}” will update “${preview.target.name}” from now on.`}
+            </li>
+            {preview.notes.map((note) => (
+              <li key={note}>{note}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {error && <p className="text-red-300 text-sm mt-2">{error}</p>}
+
+      <div className="flex flex-wrap gap-2 mt-3">
+        <button
+          type="button"
+          onClick={handleMerge}
+          disabled={!preview || busy}
+          className="px-3 py-1 bg-red-600 hover:bg-red-700 rounded text-white disabled:opacity-50"
+        >
+          {busy ? 'Merging…' : 'Merge'}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={busy}
+          className="px-3 py-1 bg-gray-600 hover:bg-gray-500 rounded text-white"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,7 +1,9 @@
 // src/components/PrayerEditForm.jsx
 
 import React, { useState } from 'react';
-import { db } from '../db';
+import { updateRecord } from '../utils/secureStore';
+import { moveToTrash } from '../utils/trash';
+import RedactionProfileFields from './RedactionProfileFields';
 
 /**
  * PrayerEditForm allows editing and deleting of an existing prayer request.
@@ -15,7 +17,8 @@ import { db } from '../db';
  *     requestedAt,
  *     answeredAt,
  *     status,
- *     security
+ *     security,
+ *     redaction
  *   }
  * - onCancel: () => void         // Called when the user clicks “Cancel”
  * - onSuccess: () => void        // Called after a successful save or delete
@@ -28,6 +31,7 @@ export default function PrayerEditForm({ prayer, onCancel, onSuccess }) {
   const [requestedAt, setRequestedAt] = useState(prayer.requestedAt.slice(0, 10));
   const [status, setStatus] = useState(prayer.status);
   const [security, setSecurity] = useState(Boolean(prayer.security));
+  const [redaction, setRedaction] = useState(prayer.redaction || null);
   const [error, setError] = useState(null);
   const [submitting, setSubmitting] = useState(false);
 
@@ -48,8 +52,7 @@ export default function PrayerEditForm({ prayer, onCancel, onSuccess }) {
     setSubmitting(true);
     try {
       // Update the record (keeping the original id and requestorId)
-      await db.prayers.put({
-        id: prayer.id,
+      await updateRecord('prayers', prayer.id, {
         requestorId: prayer.requestorId,
         name: name.trim(),
         description: description.trim(),
@@ -57,6 +60,7 @@ export default function PrayerEditForm({ prayer, onCancel, onSuccess }) {
         answeredAt: prayer.answeredAt, // keep original answeredAt
         status,
         security: security ? 1 : 0,
+        redaction,
       });
 
       // Refresh parent list and exit edit mode
@@ -70,15 +74,11 @@ export default function PrayerEditForm({ prayer, onCancel, onSuccess }) {
 
   /**
    * handleDelete
-   * Confirms with the user, deletes this prayer from IndexedDB,
-   * then calls onSuccess().
+   * Moves this prayer and its events to the Trash, then calls onSuccess().
    */
   const handleDelete = async () => {
-    if (!window.confirm('Are you sure you want to delete this prayer?')) {
-      return;
-    }
     try {
-      await db.prayers.delete(prayer.id);
+      await moveToTrash('prayers', prayer.id, { label: prayer.name });
       onSuccess();
     } catch (err) {
       console.error('Error deleting prayer:', err);
@@ -146,6 +146,14 @@ export default function PrayerEditForm({ prayer, onCancel, onSuccess }) {
         <span className="ml-2">Security View Only</span>
       </label>
 
+      {/* Redaction Profile */}
+      <RedactionProfileFields
+        idPrefix={`prayer-edit-${prayer.id}`}
+        value={redaction}
+        onChange={setRedaction}
+        inheritLabel="Uses the requestor's profile, or shows everything when the requestor has none."
+      />
+
       {/* Error Message */}
       {error && <p className="text-red-400 text-sm">{error}</p>}
 
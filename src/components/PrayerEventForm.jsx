@@ -8,10 +8,16 @@
 // UX notes:
 // - Defaults the timestamp to "now" but lets user adjust.
 // - Title is optional; note is the main content.
+// - "Lock behind vault" seals the title and note with the Private Vault key.
+//   Tags are plain index values, so locked events are saved without them.
 // - Emits `db:changed` so other components refresh.
 
 import React, { useState } from 'react';
-import { db, emitDbChanged } from '../db';
+import { emitDbChanged } from '../db';
+import { addRecord } from '../utils/secureStore';
+import { isUnlocked, isVaultEnabled } from '../utils/vault';
+import { normalizeTags } from '../utils/tags';
+import TagPicker from './TagPicker';
 
 export default function PrayerEventForm({ prayerId, onSuccess, onCancel }) {
   const [title, setTitle] = useState('');
@@ -24,8 +30,11 @@ export default function PrayerEventForm({ prayerId, onSuccess, onCancel }) {
     return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
   });
 
+  const [tags, setTags] = useState([]);
+  const [locked, setLocked] = useState(false);
   const [busy, setBusy] = useState(false);
   const [error, setError] = useState('');
+  const vaultEnabled = isVaultEnabled();
 
   async function handleSubmit(e) {
     e?.preventDefault?.();
@@ -40,15 +49,22 @@ export default function PrayerEventForm({ prayerId, onSuccess, onCancel }) {
       return;
     }
 
+    if (locked && !isUnlocked()) {
+      setError('Unlock the Private Vault in Settings to save a locked event.');
+      return;
+    }
+
     try {
       setBusy(true);
       const createdAt = new Date(when).toISOString();
 
-      await db.events.add({
+      await addRecord('events', {
         prayerId,
         createdAt,
         title: title.trim() || null,
         note: note.trim(),
+        tags: locked ? [] : normalizeTags(tags),
+        security: locked ? 1 : 0,
       });
 
       emitDbChanged();
@@ -56,6 +72,8 @@ export default function PrayerEventForm({ prayerId, onSuccess, onCancel }) {
       // Reset form if kept open
       setTitle('');
       setNote('');
+      setTags([]);
+      setLocked(false);
     } catch (err) {
       console.error('add event failed', err);
       setError('Failed to add event (see console).');
@@ -103,6 +121,34 @@ export default function PrayerEventForm({ prayerId, onSuccess, onCancel }) {
         />
       </div>
 
+      {/* Tags (optional) */}
+      <div className="mb-2">
+        <TagPicker
+          idPrefix={`pef-${prayerId}`}
+          value={locked ? [] : tags}
+          onChange={setTags}
+          disabled={locked}
+        />
+      </div>
+
+      {/* Lock (optional) */}
+      <div className="mb-2">
+        <label className="inline-flex items-center gap-2 text-gray-200 text-sm">
+          <input
+            type="checkbox"
+            checked={locked}
+            onChange={(e) => setLocked(e.target.checked)}
+            disabled={!vaultEnabled}
+          />
+          Lock behind vault
+        </label>
+        {!vaultEnabled && (
+          <p className="text-xs text-gray-400 mt-1">
+            Enable the Private Vault in Settings to lock individual events.
+          </p>
+        )}
+      </div>
+
       {error && <p className="text-red-300 text-sm mb-2">{error}</p>}
 
       <div className="flex gap-2">
@@ -1,9 +1,17 @@
 // src/components/PrayerEventList.jsx
 // Read-only timeline of events for a prayer, with portable export and optional delete.
+// Locked events stay sealed by the Private Vault and render as a placeholder
+// until the vault is unlocked. `highlightEventId` marks an answered prayer's
+// answering event; `onMarkAnswer` lets the archive choose that event.
+// Deleted events go to the Trash.
 
 import React, { useEffect, useState } from 'react';
-import { db, emitDbChanged } from '../db';
+import { emitDbChanged } from '../db';
 import DataExportButton from './DataExportButton';
+import TagChips from './TagChips';
+import { readWhere, updateRecord } from '../utils/secureStore';
+import { isUnlocked, isVaultEnabled } from '../utils/vault';
+import { moveToTrash } from '../utils/trash';
 
 function fmt(dateTime) {
   if (!dateTime) return '';
@@ -18,6 +26,8 @@ export default function PrayerEventList({
   prayerId,
   allowDelete = true,
   compact = false,
+  highlightEventId = null,
+  onMarkAnswer,
 }) {
   const [events, setEvents] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -28,10 +38,7 @@ export default function PrayerEventList({
     setLoading(true);
 
     try {
-      const list = await db.events
-        .where('prayerId')
-        .equals(prayerId)
-        .toArray();
+      const list = await readWhere('events', 'prayerId', prayerId);
 
       list.sort(
         (eventA, eventB) =>
@@ -54,18 +61,30 @@ export default function PrayerEventList({
     const onDbChanged = () => load();
 
     window.addEventListener('db:changed', onDbChanged);
-    return () => window.removeEventListener('db:changed', onDbChanged);
+    window.addEventListener('vault:changed', onDbChanged);
+    return () => {
+      window.removeEventListener('db:changed', onDbChanged);
+      window.removeEventListener('vault:changed', onDbChanged);
+    };
   }, [prayerId]);
 
-  async function handleDelete(eventId) {
-    const confirmed = window.confirm(
-      'Delete this event? This cannot be undone.'
-    );
-
-    if (!confirmed) return;
+  async function handleToggleLock(event) {
+    try {
+      await updateRecord('events', event.id, {
+        security: event.security ? 0 : 1,
+      });
+      emitDbChanged();
+    } catch (error) {
+      console.error('Toggle event lock failed', error);
+      window.alert(error?.message || 'Failed to change the event lock.');
+    }
+  }
 
+  async function handleDelete(event) {
     try {
-      await db.events.delete(eventId);
+      await moveToTrash('events', event.id, {
+        label: event.locked ? 'Locked update' : event.title || 'Prayer update',
+      });
       emitDbChanged();
     } catch (error) {
       console.error('Delete event failed', error);
@@ -84,23 +103,80 @@ export default function PrayerEventList({
       )}
 
       {events.map((event) => (
-        <div key={event.id} className="bg-gray-700 rounded p-3">
+        <div
+          key={event.id}
+          className={`rounded p-3 ${
+            event.id === highlightEventId
+              ? 'bg-emerald-900/60 ring-2 ring-emerald-500'
+              : 'bg-gray-700'
+          }`}
+        >
           <div className="flex flex-col gap-2 sm:flex-row sm:items-start sm:justify-between">
             <div className="w-full min-w-0 flex-1">
               <div className="text-gray-300 text-sm">
                 {fmt(event.createdAt)}
+                {event.id === highlightEventId && (
+                  <span className="ml-2 rounded bg-emerald-700 px-1.5 py-0.5 text-xs text-white">
+                    Answer
+                  </span>
+                )}
+                {Boolean(event.security) && (
+                  <span className="ml-2 rounded bg-amber-700 px-1.5 py-0.5 text-xs text-white">
+                    🔒 Locked
+                  </span>
+                )}
               </div>
-              {event.title && (
-                <div className="text-white font-semibold">{event.title}</div>
-              )}
-              {event.note && (
-                <div className="text-gray-100 whitespace-pre-wrap">
-                  {event.note}
+              {event.locked && event.security ? (
+                <div className="mt-1 select-none rounded bg-gray-800 px-2 py-1 text-sm italic text-gray-400">
+                  Locked event — unlock the Private Vault in Settings to view it.
                 </div>
+              ) : (
+                <>
+                  {event.title && (
+                    <div className="text-white font-semibold">{event.title}</div>
+                  )}
+                  {event.locked ? (
+                    <div className="text-sm italic text-gray-400">
+                      Note encrypted — unlock the Private Vault to read it.
+                    </div>
+                  ) : (
+                    event.note && (
+                      <div className="text-gray-100 whitespace-pre-wrap">
+                        {event.note}
+                      </div>
+                    )
+                  )}
+                  <TagChips tags={event.tags} className="mt-1" />
+                </>
               )}
             </div>
 
             <div className="flex w-full flex-wrap items-center gap-2 sm:w-auto sm:shrink-0 sm:justify-end">
+              {isVaultEnabled() && isUnlocked() && (
+                <button
+                  type="button"
+                  onClick={() => handleToggleLock(event)}
+                  className="text-xs px-2 py-1 bg-gray-600 hover:bg-gray-500 rounded text-white"
+                  title={
+                    event.security
+                      ? 'Remove the individual lock from this event'
+                      : 'Seal this event with the Private Vault'
+                  }
+                >
+                  {event.security ? 'Unlock' : 'Lock'}
+                </button>
+              )}
+              {typeof onMarkAnswer === 'function' &&
+                event.id !== highlightEventId && (
+                  <button
+                    type="button"
+                    onClick={() => onMarkAnswer(event.id)}
+                    className="text-xs px-2 py-1 bg-emerald-700 hover:bg-emerald-600 rounded text-white"
+                    title="Mark the event that records how this prayer was answered"
+                  >
+                    Mark as answer
+                  </button>
+                )}
               <DataExportButton
                 kind="event"
                 id={event.id}
@@ -109,7 +185,7 @@ export default function PrayerEventList({
               {allowDelete && (
                 <button
                   type="button"
-                  onClick={() => handleDelete(event.id)}
+                  onClick={() => handleDelete(event)}
                   className="text-xs px-2 py-1 bg-red-600 hover:bg-red-700 rounded text-white"
                   title="Delete event"
                 >
@@ -1,14 +1,18 @@
 // src/components/PrayerForm.jsx
 // Unified form for CREATE and EDIT of prayers.
 // - If props.initialPrayer is provided, acts as EDIT; otherwise CREATE.
-// - Includes category -> requestor cascading select, title/description, dates, status, security.
+// - Includes category -> requestor cascading select, title/description, dates, status, security,
+//   the Security-view redaction profile, an optional per-prayer reminder, and tags.
+// - Marking a prayer answered turns its reminder off.
 // - Archived requestors are excluded from prayer assignment.
 // - On submit (create): adds a new prayer.
 // - On submit (edit): updates the existing prayer by id (does NOT touch events).
+// - Delete (edit only) moves the prayer and its events to the Trash.
 //
 // Props:
 //   initialPrayer?: {
-//     id, requestorId, name, description, requestedAt, answeredAt, status, security
+//     id, requestorId, name, description, requestedAt, answeredAt, status, security, redaction,
+//     reminder, tags
 //   }
 //   onSuccess?: () => void
 //   onCancel?: () => void
@@ -16,12 +20,22 @@
 // Notes:
 // - Fully compatible with existing "add" usage on the Daily tab (no props needed except onSuccess/onCancel).
 // - For EDIT, we pre-populate categoryId by looking up the prayer's requestor's category.
+// - Saves go through secureStore so details are sealed while the vault is enabled.
+//   A prayer opened while the vault is locked keeps its encrypted details.
 
 import React, { useEffect, useMemo, useState } from 'react';
 import { db, emitDbChanged } from '../db';
+import { addRecord, updateRecord } from '../utils/secureStore';
+import { ensurePermission } from '../utils/notifications';
+import RedactionProfileFields from './RedactionProfileFields';
+import PrayerReminderFields from './PrayerReminderFields';
+import TagPicker from './TagPicker';
+import { normalizeTags } from '../utils/tags';
+import { moveToTrash, withoutTrashed } from '../utils/trash';
 
 export default function PrayerForm({ initialPrayer, onSuccess, onCancel }) {
   const isEdit = Boolean(initialPrayer?.id);
+  const detailsLocked = isEdit && Boolean(initialPrayer.locked);
 
   // Data sources
   const [categories, setCategories] = useState([]);
@@ -54,6 +68,15 @@ export default function PrayerForm({ initialPrayer, onSuccess, onCancel }) {
   const [security, setSecurity] = useState(
     isEdit ? Boolean(initialPrayer.security) : false
   );
+  const [redaction, setRedaction] = useState(
+    isEdit ? initialPrayer.redaction || null : null
+  );
+  const [reminder, setReminder] = useState(
+    isEdit ? initialPrayer.reminder || null : null
+  );
+  const [tags, setTags] = useState(
+    isEdit ? normalizeTags(initialPrayer.tags) : []
+  );
   const [busy, setBusy] = useState(false);
   const [err, setErr] = useState('');
 
@@ -61,8 +84,8 @@ export default function PrayerForm({ initialPrayer, onSuccess, onCancel }) {
   useEffect(() => {
     (async () => {
       const [cats, reqs] = await Promise.all([
-        db.categories.toArray(),
-        db.requestors.toArray(),
+        db.categories.toArray().then(withoutTrashed),
+        db.requestors.toArray().then(withoutTrashed),
       ]);
       const activeRequestors = reqs.filter(
         (requestor) => !Boolean(requestor.archived)
@@ -110,6 +133,12 @@ export default function PrayerForm({ initialPrayer, onSuccess, onCancel }) {
     event?.preventDefault?.();
     setErr('');
 
+    const remind = Boolean(reminder?.enabled) && status !== 'answered';
+
+    // Ask while the submit tap still counts as a user gesture; reminders are
+    // saved either way and scheduled once permission exists.
+    if (remind) ensurePermission().catch(() => {});
+
     if (!categoryId) return setErr('Please choose a category.');
     if (!requestorId) return setErr('Please choose a requestor.');
     if (!name.trim()) return setErr('Please enter a title.');
@@ -118,32 +147,27 @@ export default function PrayerForm({ initialPrayer, onSuccess, onCancel }) {
     setBusy(true);
 
     try {
+      const record = {
+        requestorId: Number(requestorId),
+        name: name.trim(),
+        description: description.trim(),
+        requestedAt,
+        answeredAt:
+          status === 'answered'
+            ? answeredAt || new Date().toISOString().slice(0, 10)
+            : null,
+        status,
+        security: security ? 1 : 0,
+        redaction,
+        reminder: reminder ? { ...reminder, enabled: remind } : null,
+        tags: normalizeTags(tags),
+      };
+
       if (isEdit) {
-        await db.prayers.update(initialPrayer.id, {
-          requestorId: Number(requestorId),
-          name: name.trim(),
-          description: description.trim(),
-          requestedAt,
-          answeredAt:
-            status === 'answered'
-              ? answeredAt || new Date().toISOString().slice(0, 10)
-              : null,
-          status,
-          security: security ? 1 : 0,
-        });
+        if (detailsLocked) delete record.description;
+        await updateRecord('prayers', initialPrayer.id, record);
       } else {
-        await db.prayers.add({
-          requestorId: Number(requestorId),
-          name: name.trim(),
-          description: description.trim(),
-          requestedAt,
-          answeredAt:
-            status === 'answered'
-              ? answeredAt || new Date().toISOString().slice(0, 10)
-              : null,
-          status,
-          security: security ? 1 : 0,
-        });
+        await addRecord('prayers', record);
       }
 
       emitDbChanged();
@@ -158,10 +182,31 @@ export default function PrayerForm({ initialPrayer, onSuccess, onCancel }) {
         setAnsweredAt('');
         setStatus('requested');
         setSecurity(false);
+        setRedaction(null);
+        setReminder(null);
+        setTags([]);
       }
     } catch (saveError) {
       console.error('Prayer save failed', saveError);
-      setErr('Failed to save. See console for details.');
+      setErr(saveError?.message || 'Failed to save. See console for details.');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleDelete() {
+    setErr('');
+
+    try {
+      setBusy(true);
+      await moveToTrash('prayers', initialPrayer.id, {
+        label: initialPrayer.name || 'Prayer request',
+      });
+      emitDbChanged();
+      onSuccess?.();
+    } catch (deleteError) {
+      console.error('Prayer delete failed', deleteError);
+      setErr('Failed to delete. See console for details.');
     } finally {
       setBusy(false);
     }
@@ -232,12 +277,19 @@ export default function PrayerForm({ initialPrayer, onSuccess, onCancel }) {
 
       <div className="mb-2">
         <label className="block text-gray-300 text-sm mb-1">Details</label>
-        <textarea
-          value={description}
-          onChange={(event) => setDescription(event.target.value)}
-          rows={3}
-          className="w-full p-2 bg-gray-600 text-white rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
-        />
+        {detailsLocked ? (
+          <p className="p-2 bg-gray-600 text-gray-400 text-sm italic rounded">
+            Details are encrypted. Unlock the Private Vault in Settings to edit
+            them.
+          </p>
+        ) : (
+          <textarea
+            value={description}
+            onChange={(event) => setDescription(event.target.value)}
+            rows={3}
+            className="w-full p-2 bg-gray-600 text-white rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        )}
       </div>
 
       <div className="mb-2">
@@ -273,6 +325,14 @@ export default function PrayerForm({ initialPrayer, onSuccess, onCancel }) {
         )}
       </div>
 
+      <div className="mb-2">
+        <TagPicker
+          idPrefix={`pf-${initialPrayer?.id ?? 'new'}`}
+          value={tags}
+          onChange={setTags}
+        />
+      </div>
+
       <div className="flex items-center mb-2">
         <input
           id="pf-security"
@@ -286,6 +346,24 @@ export default function PrayerForm({ initialPrayer, onSuccess, onCancel }) {
         </label>
       </div>
 
+      <div className="mb-2">
+        <RedactionProfileFields
+          idPrefix={`pf-${initialPrayer?.id ?? 'new'}`}
+          value={redaction}
+          onChange={setRedaction}
+          inheritLabel="Uses the requestor's profile, or shows everything when the requestor has none."
+        />
+      </div>
+
+      <div className="mb-2">
+        <PrayerReminderFields
+          idPrefix={`pf-${initialPrayer?.id ?? 'new'}`}
+          value={reminder}
+          onChange={setReminder}
+          answered={status === 'answered'}
+        />
+      </div>
+
       {err && <p className="text-red-400 text-sm mb-2">{err}</p>}
 
       <div className="flex gap-2">
@@ -306,6 +384,17 @@ export default function PrayerForm({ initialPrayer, onSuccess, onCancel }) {
             Cancel
           </button>
         )}
+
+        {isEdit && (
+          <button
+            type="button"
+            onClick={handleDelete}
+            disabled={busy}
+            className="ml-auto px-3 py-1 bg-red-600 hover:bg-red-700 rounded text-white disabled:opacity-50"
+          >
+            Delete
+          </button>
+        )}
       </div>
     </form>
   );
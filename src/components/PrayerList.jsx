@@ -1,50 +1,86 @@
 // src/components/PrayerList.jsx
 // Daily/Security list with grouped Daily view, flat Security view,
 // prayer events, explicit detail controls, add/edit controls, and PWA actions.
+// The Security view renders each prayer through its redaction profile.
+// Daily switches between open requests and an answered archive grouped by the
+// month each prayer was answered. Open requests carry a "Prayed" tap (see
+// utils/prayerLog) with the last prayed date and streak, and can be narrowed to
+// prayers not prayed for in N days. `revealPrayerId` (from global search)
+// switches to the prayer's status, expands it and scrolls it into view.
+// Both views filter by tag; tapping a card's tag chip applies that filter.
+// Daily details list the journal entries that mention each prayer.
 
 import React, { useEffect, useMemo, useState } from 'react';
-import { db } from '../db';
+import { db, emitDbChanged } from '../db';
 import PrayerForm from './PrayerForm';
 import PrayerUpsertModal from './PrayerUpsertModal';
 import PrayerEventList from './PrayerEventList';
+import JournalBacklinks from './JournalBacklinks';
 import PrayerEventForm from './PrayerEventForm';
 import DataExportButton from './DataExportButton';
 import PrayerQrShareModal from './PrayerQrShareModal';
 import PrayerQrScannerModal from './PrayerQrScannerModal';
-
-const DAILY_FILTER_STORAGE_KEY = 'cp:dailyStatusFilters:v1';
-
-function loadDailyStatusFilters() {
+import QrSyncModal from './QrSyncModal';
+import TagChips from './TagChips';
+import { redactPrayer, resolveRedactionProfile } from '../utils/redaction';
+import { openRows, readAll, updateRecord } from '../utils/secureStore';
+import {
+  describePrayerReminder,
+  isPrayerReminderActive,
+} from '../utils/notifications';
+import {
+  daysSincePrayed,
+  formatLastPrayed,
+  loadPrayerLogSummary,
+  logPrayed,
+} from '../utils/prayerLog';
+import { normalizeTags } from '../utils/tags';
+import {
+  findAnsweringEvent,
+  formatWaitDuration,
+  getPrayerStatus,
+  getWaitDays,
+  groupAnsweredByMonth,
+  isFocusEligible as isFocusEligiblePrayer,
+} from '../utils/prayerStatus';
+import { withoutTrashed } from '../utils/trash';
+
+const DAILY_VIEW_STORAGE_KEY = 'cp:dailyStatusView:v1';
+// Superseded by DAILY_VIEW_STORAGE_KEY; read once to carry the old choice over.
+const LEGACY_DAILY_FILTER_STORAGE_KEY = 'cp:dailyStatusFilters:v1';
+
+const NOT_PRAYED_DAYS_STORAGE_KEY = 'cp:dailyNotPrayedDays:v1';
+const NOT_PRAYED_DAYS_OPTIONS = [1, 3, 7, 14, 30];
+
+function loadNotPrayedDays() {
   try {
-    const saved = JSON.parse(
-      localStorage.getItem(DAILY_FILTER_STORAGE_KEY) || 'null'
-    );
-
-    const showRequested = saved?.showRequested !== false;
-    const showAnswered = saved?.showAnswered !== false;
-
-    if (!showRequested && !showAnswered) {
-      return { showRequested: true, showAnswered: true };
-    }
-
-    return { showRequested, showAnswered };
+    const saved = Number(localStorage.getItem(NOT_PRAYED_DAYS_STORAGE_KEY));
+    return NOT_PRAYED_DAYS_OPTIONS.includes(saved) ? saved : 0;
   } catch {
-    return { showRequested: true, showAnswered: true };
+    return 0;
   }
 }
 
-function getPrayerStatus(prayer) {
-  const normalizedStatus = String(prayer?.status ?? '')
-    .trim()
-    .toLowerCase();
+function loadDailyStatusView() {
+  try {
+    const saved = localStorage.getItem(DAILY_VIEW_STORAGE_KEY);
+    if (saved === 'requested' || saved === 'answered') return saved;
 
-  if (normalizedStatus === 'answered') return 'answered';
-  if (normalizedStatus === 'requested') return 'requested';
+    const legacy = JSON.parse(
+      localStorage.getItem(LEGACY_DAILY_FILTER_STORAGE_KEY) || 'null'
+    );
 
-  // Legacy fallback only: explicit status always wins when present.
-  return prayer?.answeredAt ? 'answered' : 'requested';
+    return legacy?.showAnswered !== false && legacy?.showRequested === false
+      ? 'answered'
+      : 'requested';
+  } catch {
+    return 'requested';
+  }
 }
 
+const ENCRYPTED_DETAILS_LABEL =
+  '🔒 Details encrypted — unlock the Private Vault in Settings to read them.';
+
 function fmt(iso) {
   if (!iso) return '';
 
@@ -58,6 +94,9 @@ export default function PrayerList({
   viewType = 'daily',
   isSecurity: isSecurityProp = false,
   onFocusPrayer,
+  revealPrayerId = null,
+  onRevealed,
+  onShowJournalEntry,
 }) {
   const isSecurity = isSecurityProp || viewType === 'security';
   const [categories, setCategories] = useState([]);
@@ -70,22 +109,29 @@ export default function PrayerList({
   const [editTarget, setEditTarget] = useState(null);
   const [qrSharePrayer, setQrSharePrayer] = useState(null);
   const [showQrScanner, setShowQrScanner] = useState(false);
-  const [dailyStatusFilters, setDailyStatusFilters] = useState(
-    loadDailyStatusFilters
-  );
+  const [showQrSync, setShowQrSync] = useState(false);
+  const [dailyView, setDailyView] = useState(loadDailyStatusView);
+  const [answerEvents, setAnswerEvents] = useState(() => new Map());
+  const [prayerLog, setPrayerLog] = useState(null);
+  const [notPrayedDays, setNotPrayedDays] = useState(loadNotPrayedDays);
+  const [prayingId, setPrayingId] = useState(null);
+  const [tagFilter, setTagFilter] = useState('');
 
   async function load() {
     setLoading(true);
 
     try {
-      const [categoryRows, requestorRows, prayerRows] = await Promise.all([
-        db.categories.toArray(),
-        db.requestors.toArray(),
-        db.prayers.toArray(),
-      ]);
+      const [categoryRows, requestorRows, prayerRows, logSummary] =
+        await Promise.all([
+          db.categories.toArray().then(withoutTrashed),
+          readAll('requestors'),
+          readAll('prayers'),
+          loadPrayerLogSummary(),
+        ]);
 
       setCategories(categoryRows);
       setRequestors(requestorRows);
+      setPrayerLog(logSummary);
 
       const filtered = isSecurity
         ? prayerRows.filter((prayer) => Boolean(prayer.security))
@@ -114,7 +160,11 @@ export default function PrayerList({
     const onDbChanged = () => load();
 
     window.addEventListener('db:changed', onDbChanged);
-    return () => window.removeEventListener('db:changed', onDbChanged);
+    window.addEventListener('vault:changed', onDbChanged);
+    return () => {
+      window.removeEventListener('db:changed', onDbChanged);
+      window.removeEventListener('vault:changed', onDbChanged);
+    };
   }, [isSecurity]);
 
   useEffect(() => {
@@ -129,6 +179,25 @@ export default function PrayerList({
     return () => window.removeEventListener('ui:addPrayer', openAddPrayer);
   }, []);
 
+  useEffect(() => {
+    if (revealPrayerId == null || loading) return;
+
+    const prayer = prayers.find((item) => item.id === revealPrayerId);
+
+    if (prayer) {
+      if (!isSecurity) setDailyView(getPrayerStatus(prayer));
+      setNotPrayedDays(0);
+      setExpanded((current) => ({ ...current, [revealPrayerId]: true }));
+      window.requestAnimationFrame(() => {
+        document
+          .getElementById(`prayer-details-${revealPrayerId}`)
+          ?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+      });
+    }
+
+    onRevealed?.();
+  }, [revealPrayerId, prayers, loading]);
+
   const categoryById = useMemo(() => {
     const map = new Map();
 
@@ -149,29 +218,109 @@ export default function PrayerList({
     return map;
   }, [requestors]);
 
+  // The Security view only exposes tags where the description is shown.
+  function visibleTags(prayer) {
+    if (
+      isSecurity &&
+      !resolveRedactionProfile(prayer, requestorById.get(prayer.requestorId))
+        .description
+    ) {
+      return [];
+    }
+
+    return normalizeTags(prayer.tags);
+  }
+
   const visiblePrayers = useMemo(() => {
     const prayersForActiveRequestors = prayers.filter((prayer) => {
       const requestor = requestorById.get(prayer.requestorId);
       return !Boolean(requestor?.archived);
     });
 
-    if (isSecurity) return prayersForActiveRequestors;
+    const tagged = tagFilter
+      ? prayersForActiveRequestors.filter((prayer) =>
+          visibleTags(prayer).includes(tagFilter)
+        )
+      : prayersForActiveRequestors;
+
+    if (isSecurity) return tagged;
 
-    return prayersForActiveRequestors.filter((prayer) => {
-      const status = getPrayerStatus(prayer);
+    return tagged.filter((prayer) => {
+      if (getPrayerStatus(prayer) !== dailyView) return false;
+      if (dailyView !== 'requested' || !notPrayedDays) return true;
 
-      if (status === 'answered') return dailyStatusFilters.showAnswered;
-      return dailyStatusFilters.showRequested;
+      // Never prayed counts as overdue.
+      const days = daysSincePrayed(
+        prayerLog?.byPrayer.get(prayer.id)?.lastPrayedAt
+      );
+      return days == null || days >= notPrayedDays;
     });
   }, [
     isSecurity,
     prayers,
-    dailyStatusFilters,
+    dailyView,
+    notPrayedDays,
+    prayerLog,
     requestorById,
+    tagFilter,
   ]);
 
+  const tagOptions = useMemo(() => {
+    const tags = new Set();
+    for (const prayer of prayers) {
+      for (const tag of visibleTags(prayer)) tags.add(tag);
+    }
+    return Array.from(tags).sort((a, b) => a.localeCompare(b));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [prayers, requestorById, isSecurity]);
+
+  const isArchive = !isSecurity && dailyView === 'answered';
+
+  const answeredGroups = useMemo(
+    () => (isArchive ? groupAnsweredByMonth(visiblePrayers) : null),
+    [isArchive, visiblePrayers]
+  );
+
+  // The archive highlights each prayer's answering event without expanding it.
+  useEffect(() => {
+    if (!isArchive) return undefined;
+
+    let cancelled = false;
+
+    async function loadAnswerEvents() {
+      try {
+        const ids = visiblePrayers.map((prayer) => prayer.id);
+        const rows = ids.length
+          ? await openRows(
+              'events',
+              withoutTrashed(
+                await db.events.where('prayerId').anyOf(ids).toArray()
+              )
+            )
+          : [];
+        const byPrayer = new Map();
+
+        for (const event of rows) {
+          if (!byPrayer.has(event.prayerId)) byPrayer.set(event.prayerId, []);
+          byPrayer.get(event.prayerId).push(event);
+        }
+
+        if (!cancelled) setAnswerEvents(byPrayer);
+      } catch (error) {
+        console.error('Error loading answering events:', error);
+      }
+    }
+
+    loadAnswerEvents();
+    window.addEventListener('db:changed', loadAnswerEvents);
+    return () => {
+      cancelled = true;
+      window.removeEventListener('db:changed', loadAnswerEvents);
+    };
+  }, [isArchive, visiblePrayers]);
+
   const groupedDaily = useMemo(() => {
-    if (isSecurity) return null;
+    if (isSecurity || isArchive) return null;
 
     const byCategory = new Map();
 
@@ -218,57 +367,141 @@ export default function PrayerList({
     }
 
     return output;
-  }, [isSecurity, visiblePrayers, requestorById, categoryById]);
+  }, [isSecurity, isArchive, visiblePrayers, requestorById, categoryById]);
 
   const handleAddSuccess = async () => {
     await load();
     setShowAddForm(false);
   };
 
-  function updateDailyStatusFilter(filterName, enabled) {
-    setDailyStatusFilters((current) => {
-      const next = {
-        ...current,
-        [filterName]: enabled,
-      };
+  function changeDailyView(nextView) {
+    setDailyView(nextView);
+    localStorage.setItem(DAILY_VIEW_STORAGE_KEY, nextView);
+  }
 
-      if (!next.showRequested && !next.showAnswered) {
-        return current;
-      }
+  function changeNotPrayedDays(nextDays) {
+    setNotPrayedDays(nextDays);
+    localStorage.setItem(NOT_PRAYED_DAYS_STORAGE_KEY, String(nextDays));
+  }
 
-      localStorage.setItem(
-        DAILY_FILTER_STORAGE_KEY,
-        JSON.stringify(next)
-      );
+  async function markPrayed(prayer) {
+    setPrayingId(prayer.id);
 
-      return next;
-    });
+    try {
+      await logPrayed(prayer.id);
+      emitDbChanged();
+    } catch (error) {
+      console.error('Error logging prayer:', error);
+      window.alert(error?.message || 'Failed to log this prayer.');
+    } finally {
+      setPrayingId(null);
+    }
   }
 
-  function renderStatusToggle({ label, checked, onChange, disabled }) {
+  async function markAnsweringEvent(prayer, eventId) {
+    try {
+      await updateRecord('prayers', prayer.id, { answeredEventId: eventId });
+      emitDbChanged();
+    } catch (error) {
+      console.error('Error marking answering event:', error);
+      window.alert(error?.message || 'Failed to mark the answering event.');
+    }
+  }
+
+  function renderDailyViewToggle() {
+    const options = [
+      { value: 'requested', label: 'Requested' },
+      { value: 'answered', label: 'Answered' },
+    ];
+
     return (
-      <label
-        className={`inline-flex items-center gap-2 text-sm ${
-          disabled ? 'cursor-not-allowed opacity-70' : 'cursor-pointer'
-        }`}
+      <div
+        role="radiogroup"
+        aria-label="Daily prayer status"
+        className="inline-flex rounded-lg bg-gray-800 p-1 shadow"
       >
-        <span className="text-gray-200">{label}</span>
-        <span className="relative inline-flex">
-          <input
-            type="checkbox"
-            className="peer sr-only"
-            checked={checked}
-            disabled={disabled}
-            onChange={(event) => onChange(event.target.checked)}
-            aria-label={`Show ${label.toLowerCase()} prayers`}
-          />
-          <span className="h-6 w-11 rounded-full bg-gray-600 transition peer-checked:bg-yellow-500 peer-focus-visible:outline peer-focus-visible:outline-2 peer-focus-visible:outline-offset-2 peer-focus-visible:outline-yellow-300 peer-disabled:cursor-not-allowed" />
-          <span className="pointer-events-none absolute left-1 top-1 h-4 w-4 rounded-full bg-white transition-transform peer-checked:translate-x-5" />
-        </span>
+        {options.map((option) => {
+          const selected = dailyView === option.value;
+
+          return (
+            <button
+              key={option.value}
+              type="button"
+              role="radio"
+              aria-checked={selected}
+              onClick={() => changeDailyView(option.value)}
+              className={`rounded-md px-3 py-1.5 text-sm font-semibold transition ${
+                selected
+                  ? 'bg-yellow-500 text-black'
+                  : 'text-gray-300 hover:bg-gray-700'
+              }`}
+            >
+              {option.label}
+            </button>
+          );
+        })}
+      </div>
+    );
+  }
+
+  function renderNotPrayedFilter() {
+    return (
+      <label className="flex items-center gap-2 text-sm text-gray-300">
+        Not prayed for in
+        <select
+          value={notPrayedDays}
+          onChange={(event) => changeNotPrayedDays(Number(event.target.value))}
+          className="rounded bg-gray-800 px-2 py-1 text-white focus:outline-none focus:ring-2 focus:ring-yellow-500"
+        >
+          <option value={0}>Any time</option>
+          {NOT_PRAYED_DAYS_OPTIONS.map((days) => (
+            <option key={days} value={days}>
+              {days === 1 ? '1 day' : `${days} days`}
+            </option>
+          ))}
+        </select>
       </label>
     );
   }
 
+  function renderTagFilter() {
+    if (!tagOptions.length && !tagFilter) return null;
+
+    return (
+      <label className="flex items-center gap-2 text-sm text-gray-300">
+        Tag
+        <select
+          value={tagFilter}
+          onChange={(event) => setTagFilter(event.target.value)}
+          className="rounded bg-gray-800 px-2 py-1 text-white focus:outline-none focus:ring-2 focus:ring-yellow-500"
+        >
+          <option value="">All</option>
+          {tagFilter && !tagOptions.includes(tagFilter) && (
+            <option value={tagFilter}>#{tagFilter}</option>
+          )}
+          {tagOptions.map((tag) => (
+            <option key={tag} value={tag}>
+              #{tag}
+            </option>
+          ))}
+        </select>
+      </label>
+    );
+  }
+
+  function renderStreakSummary() {
+    const overall = prayerLog?.overall;
+    if (!overall) return null;
+
+    return (
+      <p className="text-sm text-gray-400">
+        Prayed today: {overall.prayersToday}{' '}
+        {overall.prayersToday === 1 ? 'prayer' : 'prayers'} • Streak:{' '}
+        {overall.streak} {overall.streak === 1 ? 'day' : 'days'}
+      </p>
+    );
+  }
+
   function togglePrayerDetails(prayerId) {
     setExpanded((current) => ({
       ...current,
@@ -276,7 +509,7 @@ export default function PrayerList({
     }));
   }
 
-  function renderEvents(prayer) {
+  function renderEvents(prayer, answeringEvent = null) {
     return (
       <div className="mt-4">
         <div className="flex items-center justify-between mb-2">
@@ -313,7 +546,23 @@ export default function PrayerList({
           />
         )}
 
-        <PrayerEventList prayerId={prayer.id} allowDelete compact />
+        <PrayerEventList
+          prayerId={prayer.id}
+          allowDelete
+          compact
+          highlightEventId={answeringEvent?.id ?? null}
+          onMarkAnswer={
+            isArchive
+              ? (eventId) => markAnsweringEvent(prayer, eventId)
+              : undefined
+          }
+        />
+        {!isSecurity && (
+          <JournalBacklinks
+            prayerId={prayer.id}
+            onShowJournalEntry={onShowJournalEntry}
+          />
+        )}
       </div>
     );
   }
@@ -326,26 +575,124 @@ export default function PrayerList({
       ? categoryById.get(requestor.categoryId)
       : null;
     const prayerStatus = getPrayerStatus(prayer);
-    const isFocusEligible =
-      Boolean(category?.showSingle) && prayerStatus === 'requested';
+    const isFocusEligible = isFocusEligiblePrayer({
+      prayer,
+      requestor,
+      category,
+    });
+    const answeringEvent = isArchive
+      ? findAnsweringEvent(prayer, answerEvents.get(prayer.id))
+      : null;
+    const canPray = !isSecurity && prayerStatus !== 'answered';
+    const logEntry = prayerLog?.byPrayer.get(prayer.id) || null;
+    const view = isSecurity
+      ? redactPrayer({
+          prayer: prayer.locked
+            ? { ...prayer, description: ENCRYPTED_DETAILS_LABEL }
+            : prayer,
+          requestor,
+          category,
+        })
+      : {
+          title: prayer.name || (prayer.locked ? '🔒 Locked request' : ''),
+          description: prayer.locked
+            ? ENCRYPTED_DETAILS_LABEL
+            : prayer.description,
+          requestorName,
+          categoryName: category?.name || 'Unassigned',
+          requestedAt: prayer.requestedAt,
+          showEvents: true,
+          redacted: false,
+        };
 
     return (
       <li key={prayer.id} className="bg-gray-800 rounded-lg p-3 shadow">
         <div className="flex flex-col gap-3 sm:flex-row sm:items-start sm:justify-between">
           <div className="w-full min-w-0 flex-1">
             <Heading className="text-white font-semibold">
-              {prayer.name}
+              {view.title}
             </Heading>
             <p className="text-gray-300 text-sm line-clamp-2">
-              {prayer.description}
+              {view.description}
             </p>
             <div className="text-gray-400 text-xs mt-1">
-              Requestor: {requestorName} • Requested: {fmt(prayer.requestedAt)} • Status:{' '}
+              Requestor: {view.requestorName}
+              {isSecurity && <> • Category: {view.categoryName}</>}
+              {view.requestedAt && <> • Requested: {fmt(view.requestedAt)}</>}
+              {' '}• Status:{' '}
               {prayerStatus === 'answered' ? 'Answered' : 'Requested'}
             </div>
+            <TagChips
+              tags={visibleTags(prayer)}
+              onSelect={setTagFilter}
+              activeTag={tagFilter}
+              className="mt-1"
+            />
+            {!isSecurity && (
+              <div className="text-xs mt-1 text-yellow-300">
+                {formatLastPrayed(logEntry?.lastPrayedAt)}
+                {logEntry?.streak > 1 && <> • {logEntry.streak}-day streak</>}
+              </div>
+            )}
+            {!isSecurity && isPrayerReminderActive(prayer) && (
+              <div className="text-xs mt-1 text-blue-300">
+                Reminder: {describePrayerReminder(prayer.reminder)}
+              </div>
+            )}
+            {isArchive && (
+              <div className="text-xs mt-1 text-emerald-300">
+                {formatWaitDuration(getWaitDays(prayer)) || 'Wait time unknown'}
+                {prayer.answeredAt && <> • Answered: {fmt(prayer.answeredAt)}</>}
+              </div>
+            )}
+            {view.redacted && (
+              <span className="mt-1 inline-block rounded bg-gray-700 px-2 py-0.5 text-xs text-gray-300">
+                Redacted
+              </span>
+            )}
+            {answeringEvent && (
+              <div className="mt-2 rounded border-l-4 border-emerald-500 bg-emerald-900/40 px-2 py-1 text-sm">
+                <div className="text-xs font-semibold uppercase tracking-wide text-emerald-300">
+                  Answer • {fmt(answeringEvent.createdAt)}
+                </div>
+                {answeringEvent.locked ? (
+                  <div className="italic text-gray-400">
+                    Locked event — unlock the Private Vault to view it.
+                  </div>
+                ) : (
+                  <>
+                    {answeringEvent.title && (
+                      <div className="font-semibold text-white">
+                        {answeringEvent.title}
+                      </div>
+                    )}
+                    {answeringEvent.note && (
+                      <div className="text-gray-100 line-clamp-3 whitespace-pre-wrap">
+                        {answeringEvent.note}
+                      </div>
+                    )}
+                  </>
+                )}
+              </div>
+            )}
           </div>
 
           <div className="flex w-full flex-wrap items-center gap-2 sm:w-auto sm:shrink-0 sm:justify-end">
+            {canPray && (
+              <button
+                type="button"
+                onClick={() => markPrayed(prayer)}
+                disabled={prayingId === prayer.id}
+                className={`text-sm px-2 py-1 rounded disabled:opacity-50 ${
+                  logEntry?.prayedToday
+                    ? 'bg-emerald-800 hover:bg-emerald-700 text-emerald-100'
+                    : 'bg-emerald-600 hover:bg-emerald-700 text-white'
+                }`}
+                title="Record that you prayed for this today"
+              >
+                {logEntry?.prayedToday ? 'Prayed ✓' : 'Prayed'}
+              </button>
+            )}
             <button
               type="button"
               onClick={() => togglePrayerDetails(prayer.id)}
@@ -395,8 +742,8 @@ export default function PrayerList({
             id={`prayer-details-${prayer.id}`}
             className="mt-2 text-gray-200 whitespace-pre-wrap"
           >
-            {prayer.description}
-            {renderEvents(prayer)}
+            {view.description}
+            {view.showEvents && renderEvents(prayer, answeringEvent)}
           </div>
         )}
       </li>
@@ -433,53 +780,54 @@ export default function PrayerList({
         </h2>
 
         {isSecurity && (
-          <button
-            type="button"
-            onClick={() => setShowQrScanner(true)}
-            className="rounded-lg bg-purple-600 px-3 py-2 text-sm font-semibold text-white shadow hover:bg-purple-700"
-            title="Scan a Closet Prayer QR share with this device's camera"
-          >
-            Scan QR
-          </button>
-        )}
-
-        {!isSecurity && (
-          <div
-            className="flex flex-wrap items-center justify-end gap-x-4 gap-y-2 rounded-lg bg-gray-800 px-3 py-2 shadow"
-            aria-label="Daily prayer status filters"
-          >
-            <span className="text-xs font-medium uppercase tracking-wide text-gray-400">
-              Show
-            </span>
-            {renderStatusToggle({
-              label: 'Requested',
-              checked: dailyStatusFilters.showRequested,
-              disabled:
-                dailyStatusFilters.showRequested &&
-                !dailyStatusFilters.showAnswered,
-              onChange: (enabled) =>
-                updateDailyStatusFilter('showRequested', enabled),
-            })}
-            {renderStatusToggle({
-              label: 'Answered',
-              checked: dailyStatusFilters.showAnswered,
-              disabled:
-                dailyStatusFilters.showAnswered &&
-                !dailyStatusFilters.showRequested,
-              onChange: (enabled) =>
-                updateDailyStatusFilter('showAnswered', enabled),
-            })}
+          <div className="flex flex-wrap gap-2">
+            <button
+              type="button"
+              onClick={() => setShowQrSync(true)}
+              className="rounded-lg bg-gray-700 px-3 py-2 text-sm font-semibold text-white shadow hover:bg-gray-600"
+              title="Answer a partner's two-way QR sync of a category"
+            >
+              Sync
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowQrScanner(true)}
+              className="rounded-lg bg-purple-600 px-3 py-2 text-sm font-semibold text-white shadow hover:bg-purple-700"
+              title="Scan a Closet Prayer QR share with this device's camera"
+            >
+              Scan QR
+            </button>
           </div>
         )}
+
+        {!isSecurity && renderDailyViewToggle()}
       </div>
 
+      {!isSecurity && !isArchive && (
+        <div className="mb-4 flex flex-wrap items-center justify-between gap-3">
+          {renderStreakSummary()}
+          {renderNotPrayedFilter()}
+        </div>
+      )}
+
+      {(tagOptions.length > 0 || tagFilter) && (
+        <div className="mb-4 flex flex-wrap items-center gap-3">
+          {renderTagFilter()}
+        </div>
+      )}
+
       {loading && <p className="text-gray-400">Loading…</p>}
 
       {!loading && visiblePrayers.length === 0 && (
         <p className="text-gray-400">
           {isSecurity
             ? 'No prayers found.'
-            : 'No prayers match the selected status filters.'}
+            : isArchive
+              ? 'No answered prayers yet.'
+              : notPrayedDays
+                ? 'Every open request has been prayed for recently.'
+                : 'No open prayer requests.'}
+          {tagFilter && ` (filtered by #${tagFilter})`}
         </p>
       )}
 
@@ -499,6 +847,30 @@ export default function PrayerList({
         </section>
       )}
 
+      {!loading &&
+        answeredGroups &&
+        answeredGroups.map((group) => (
+          <section key={group.key} className="mb-6">
+            <h3 className="text-lg font-semibold text-white mb-2">
+              {group.label}
+              <span className="ml-2 text-sm font-normal text-gray-400">
+                {group.items.length} answered
+              </span>
+            </h3>
+            <ul className="space-y-3">
+              {group.items.map((prayer) => {
+                const requestor = requestorById.get(prayer.requestorId);
+
+                return renderPrayerCard(
+                  prayer,
+                  requestor?.name || 'Unassigned',
+                  'h4'
+                );
+              })}
+            </ul>
+          </section>
+        ))}
+
       {!loading &&
         !isSecurity &&
         groupedDaily &&
@@ -543,6 +915,7 @@ export default function PrayerList({
           onClick={() => setShowAddForm(true)}
           className="fixed bottom-20 right-5 z-40 w-14 h-14 rounded-full bg-yellow-500 text-black shadow-lg hover:bg-yellow-600 flex items-center justify-center focus:outline-none focus:ring-4 focus:ring-yellow-300"
           aria-label="Add prayer"
+          data-tour={`${viewType}-add`}
           title="Add prayer"
         >
           <svg
@@ -573,7 +946,7 @@ export default function PrayerList({
 
       {qrSharePrayer && (
         <PrayerQrShareModal
-          prayerId={qrSharePrayer.id}
+          target={{ kind: 'prayer', id: qrSharePrayer.id, name: qrSharePrayer.name }}
           onClose={() => setQrSharePrayer(null)}
         />
       )}
@@ -583,6 +956,8 @@ export default function PrayerList({
           onClose={() => setShowQrScanner(false)}
         />
       )}
+
+      {showQrSync && <QrSyncModal onClose={() => setShowQrSync(false)} />}
     </div>
   );
 }
@@ -1,13 +1,25 @@
 // src/components/PrayerQrScannerModal.jsx
 // Camera scanner for Closet Prayer QR transfers. Camera use is limited to this modal.
+// Protected shares are held after the last frame until the code or passphrase
+// shown on the sharing phone is entered. Screenshots and short screen
+// recordings can be picked instead (see utils/qrMedia); their frames join the
+// same assembly, so a multi-frame share can be built from several of them.
+// With `onPayload` (QR sync), a decoded payload that passes `acceptPayload`
+// is handed over, with the secret that opened it, instead of being imported.
 
 import React, { useEffect, useRef, useState } from 'react';
 import decodeQR from 'qr/decode.js';
 import {
   collectQrShareFrame,
   decodeQrShareAssembly,
-  importPrayerSharePayload,
+  getQrShareProtection,
+  importQrSharePayload,
 } from '../utils/qrShare';
+import { decodeQrImageFile, isQrVideoFile, scanQrVideoFile } from '../utils/qrMedia';
+
+function plural(count, one) {
+  return `${count} ${count === 1 ? one : `${one}s`}`;
+}
 
 function cameraErrorMessage(error) {
   if (error?.name === 'NotAllowedError' || error?.name === 'SecurityError') {
@@ -32,7 +44,12 @@ function createNativeQrDetector() {
   }
 }
 
-export default function PrayerQrScannerModal({ onClose }) {
+export default function PrayerQrScannerModal({
+  onClose,
+  title = 'Scan QR Share',
+  acceptPayload,
+  onPayload,
+}) {
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
   const streamRef = useRef(null);
@@ -44,12 +61,17 @@ export default function PrayerQrScannerModal({ onClose }) {
   const barcodeDetectorRef = useRef(null);
   const scanInFlightRef = useRef(false);
   const scanGenerationRef = useRef(0);
+  const fileInputRef = useRef(null);
 
   const [cameraState, setCameraState] = useState('idle');
   const [status, setStatus] = useState('Point the camera at a Closet Prayer sharing QR code.');
   const [error, setError] = useState('');
-  const [progress, setProgress] = useState({ received: 0, total: 0 });
+  const [progress, setProgress] = useState({ received: 0, total: 0, mode: 'fixed' });
   const [importResult, setImportResult] = useState(null);
+  // Complete but protected assembly waiting for its secret.
+  const [lockedAssembly, setLockedAssembly] = useState(null);
+  const [secret, setSecret] = useState('');
+  const [readingFiles, setReadingFiles] = useState(false);
 
   function stopCamera() {
     scanGenerationRef.current += 1;
@@ -81,29 +103,66 @@ export default function PrayerQrScannerModal({ onClose }) {
     return () => window.removeEventListener('keydown', onKey);
   }, [onClose]);
 
-  async function finishAssembly(assembly) {
+  function holdForSecret(assembly) {
+    processingRef.current = true;
+    stopCamera();
+    setLockedAssembly(assembly);
+    setSecret('');
+    setCameraState('locked');
+    setStatus(
+      getQrShareProtection(assembly) === 'code'
+        ? 'QR transfer complete. Enter the code shown on the sharing phone.'
+        : 'QR transfer complete. Enter the share passphrase.'
+    );
+  }
+
+  async function finishAssembly(assembly, shareSecret = '') {
     processingRef.current = true;
     setCameraState('importing');
     setStatus('QR transfer complete. Importing…');
     stopCamera();
 
     try {
-      const payload = await decodeQrShareAssembly(assembly);
-      const result = await importPrayerSharePayload(payload);
+      const payload = await decodeQrShareAssembly(assembly, {
+        secret: shareSecret,
+        ...(acceptPayload ? { accept: acceptPayload } : {}),
+      });
+      if (onPayload) {
+        setStatus('QR transfer complete.');
+        await onPayload(payload, { secret: shareSecret });
+        return;
+      }
+
+      const result = await importQrSharePayload(payload);
       const meta = payload.qrShare || {};
       setImportResult({
         result,
+        kind: meta.kind || 'prayer',
+        label: meta.label || '',
         prayerName: meta.prayerName || 'Prayer request',
         requestorName: meta.requestorName || 'Shared Requestor',
         categoryName: meta.categoryName || 'Shared Prayers',
+        requestorCount: meta.requestorCount || 0,
+        prayerCount: meta.prayerCount || 0,
       });
+      setLockedAssembly(null);
       setCameraState('success');
       setError('');
-      setStatus('Prayer imported successfully.');
+      setStatus('Share imported successfully.');
     } catch (err) {
       console.error('QR import failed:', err);
+
+      // A mistyped code keeps the frames; ask again instead of rescanning.
+      if (err?.code === 'NEEDS_SECRET') {
+        setCameraState('locked');
+        setError(err?.message || 'The code did not unlock this share.');
+        setStatus('Enter the code again.');
+        return;
+      }
+
       assemblyRef.current = null;
-      setProgress({ received: 0, total: 0 });
+      setLockedAssembly(null);
+      setProgress({ received: 0, total: 0, mode: 'fixed' });
       setCameraState('error');
       setError(err?.message || 'The QR transfer could not be imported.');
       setStatus('Import failed.');
@@ -112,27 +171,106 @@ export default function PrayerQrScannerModal({ onClose }) {
     }
   }
 
+  // Returns whether the text was a usable share frame.
   async function acceptDecodedText(rawText) {
-    if (processingRef.current) return;
+    if (processingRef.current) return false;
 
     let collected;
     try {
       collected = collectQrShareFrame(assemblyRef.current, rawText);
     } catch (err) {
       setError(err?.message || 'This QR code is not a supported Closet Prayer share.');
-      return;
+      return false;
     }
 
     assemblyRef.current = collected.assembly;
     setError('');
-    setProgress({ received: collected.received, total: collected.total });
+    setProgress({
+      received: collected.received,
+      total: collected.total,
+      mode: collected.mode,
+    });
 
     if (collected.complete) {
-      await finishAssembly(collected.assembly);
-      return;
+      if (getQrShareProtection(collected.assembly)) {
+        holdForSecret(collected.assembly);
+      } else {
+        await finishAssembly(collected.assembly);
+      }
+      return true;
+    }
+
+    setStatus(
+      collected.mode === 'fountain'
+        ? `Scanning transfer… ${Math.round(collected.recoverable * 100)}% recoverable.`
+        : `Scanning transfer… ${collected.received} of ${collected.total} frames received.`
+    );
+    return true;
+  }
+
+  async function readFile(file) {
+    if (!isQrVideoFile(file)) {
+      const rawText = await decodeQrImageFile(file);
+      return Boolean(rawText) && acceptDecodedText(rawText);
+    }
+
+    let accepted = false;
+    await scanQrVideoFile(file, {
+      onText: async (rawText) => {
+        if (await acceptDecodedText(rawText)) accepted = true;
+      },
+      shouldStop: () => processingRef.current,
+    });
+    return accepted;
+  }
+
+  async function handleFiles(event) {
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';
+    if (!files.length) return;
+
+    stopCamera();
+    // A share held for its secret is replaced by the picked files; a
+    // partial one keeps collecting frames from them.
+    if (lockedAssembly) {
+      assemblyRef.current = null;
+      setLockedAssembly(null);
+      setProgress({ received: 0, total: 0, mode: 'fixed' });
+    }
+    processingRef.current = false;
+    setCameraState('idle');
+    setReadingFiles(true);
+    setError('');
+
+    const unreadable = [];
+    try {
+      for (const file of files) {
+        if (processingRef.current) break;
+
+        setStatus(`Reading ${file.name}…`);
+        try {
+          if (!(await readFile(file))) unreadable.push(file.name);
+        } catch (err) {
+          console.error('QR file read failed:', err);
+          unreadable.push(file.name);
+        }
+      }
+    } finally {
+      setReadingFiles(false);
     }
 
-    setStatus(`Scanning transfer… ${collected.received} of ${collected.total} frames received.`);
+    if (processingRef.current) return;
+
+    if (unreadable.length) {
+      setError(`No Closet Prayer share QR code was found in ${unreadable.join(', ')}.`);
+    }
+    if (assemblyRef.current) {
+      setStatus(
+        'Part of a multi-frame share was read. Add more screenshots or a screen recording, or start the camera to collect the rest.'
+      );
+    } else {
+      setStatus('Pick a screenshot or screen recording of a sharing QR code, or use the camera.');
+    }
   }
 
   async function decodeCanvasFrame(canvas, context, width, height) {
@@ -221,8 +359,13 @@ export default function PrayerQrScannerModal({ onClose }) {
 
   async function startCamera() {
     stopCamera();
-    assemblyRef.current = null;
-    setProgress({ received: 0, total: 0 });
+    // Frames already read from screenshots count towards the same share.
+    if (lockedAssembly) {
+      assemblyRef.current = null;
+      setLockedAssembly(null);
+      setProgress({ received: 0, total: 0, mode: 'fixed' });
+    }
+    processingRef.current = false;
     setImportResult(null);
     setError('');
     setStatus('Starting camera…');
@@ -275,9 +418,21 @@ export default function PrayerQrScannerModal({ onClose }) {
     }
   }
 
+  const lockedMode = getQrShareProtection(lockedAssembly);
+
+  function handleUnlock(event) {
+    event.preventDefault();
+    if (!lockedAssembly || !secret) return;
+
+    setError('');
+    finishAssembly(lockedAssembly, secret);
+  }
+
   function resetScanner() {
     assemblyRef.current = null;
-    setProgress({ received: 0, total: 0 });
+    setLockedAssembly(null);
+    processingRef.current = false;
+    setProgress({ received: 0, total: 0, mode: 'fixed' });
     setImportResult(null);
     setError('');
     setStatus('Point the camera at a Closet Prayer sharing QR code.');
@@ -301,8 +456,10 @@ export default function PrayerQrScannerModal({ onClose }) {
       <div className="relative z-10 flex max-h-[94vh] w-full max-w-lg flex-col overflow-hidden rounded-xl border border-gray-700 bg-gray-900 shadow-2xl">
         <div className="flex items-center justify-between border-b border-gray-700 px-4 py-3">
           <div>
-            <h2 className="text-lg font-semibold text-white">Scan Prayer QR</h2>
-            <p className="text-xs text-gray-400">Automatic Merge Import</p>
+            <h2 className="text-lg font-semibold text-white">{title}</h2>
+            <p className="text-xs text-gray-400">
+              {onPayload ? 'QR sync' : 'Automatic Merge Import'}
+            </p>
           </div>
           <button
             type="button"
@@ -318,12 +475,37 @@ export default function PrayerQrScannerModal({ onClose }) {
             <div className="rounded-lg border border-emerald-700 bg-emerald-950/40 p-4">
               <h3 className="text-lg font-semibold text-emerald-300">Imported</h3>
               <p className="mt-2 text-sm text-gray-200">
-                <strong>{importResult.prayerName}</strong> was merged under{' '}
-                <strong>{importResult.categoryName}</strong> →{' '}
-                <strong>{importResult.requestorName}</strong>.
+                {importResult.kind === 'prayer' && (
+                  <>
+                    <strong>{importResult.prayerName}</strong> was merged under{' '}
+                    <strong>{importResult.categoryName}</strong> →{' '}
+                    <strong>{importResult.requestorName}</strong>.
+                  </>
+                )}
+                {importResult.kind === 'requestor' && (
+                  <>
+                    <strong>{importResult.requestorName}</strong> was merged under{' '}
+                    <strong>{importResult.categoryName}</strong> with{' '}
+                    {plural(importResult.prayerCount, 'open prayer')}.
+                  </>
+                )}
+                {importResult.kind === 'category' && (
+                  <>
+                    <strong>{importResult.categoryName}</strong> was merged with{' '}
+                    {plural(importResult.requestorCount, 'requestor')} and{' '}
+                    {plural(importResult.prayerCount, 'open prayer')}.
+                  </>
+                )}
+                {importResult.kind === 'journal' && (
+                  <>
+                    The journal entry <strong>{importResult.label}</strong> was added.
+                  </>
+                )}
               </p>
               <p className="mt-2 text-xs text-gray-400">
-                Required category or requestor records were created automatically when needed.
+                {importResult.kind === 'journal'
+                  ? 'Prayer mentions point at matching prayers on this device when they exist.'
+                  : 'Required category or requestor records were created automatically when needed.'}
               </p>
               <div className="mt-4 flex gap-2">
                 <button
@@ -360,8 +542,19 @@ export default function PrayerQrScannerModal({ onClose }) {
                 {progress.total > 1 && (
                   <div className="mt-2">
                     <div className="mb-1 flex justify-between text-xs text-gray-400">
-                      <span>Frames received</span>
-                      <span>{progress.received} / {progress.total}</span>
+                      {progress.mode === 'fountain' ? (
+                        <>
+                          <span>Recoverable</span>
+                          <span>
+                            {Math.round((progress.received / progress.total) * 100)}%
+                          </span>
+                        </>
+                      ) : (
+                        <>
+                          <span>Frames received</span>
+                          <span>{progress.received} / {progress.total}</span>
+                        </>
+                      )}
                     </div>
                     <div className="h-2 overflow-hidden rounded bg-gray-700">
                       <div
@@ -377,6 +570,35 @@ export default function PrayerQrScannerModal({ onClose }) {
                 )}
               </div>
 
+              {cameraState === 'locked' && lockedAssembly && (
+                <form onSubmit={handleUnlock} className="mt-3 rounded-lg border border-yellow-600/60 bg-gray-800 p-3">
+                  <label htmlFor="qr-share-secret" className="block text-sm font-semibold text-white">
+                    🔒 {lockedMode === 'code' ? 'Share code' : 'Share passphrase'}
+                  </label>
+                  <div className="mt-2 flex gap-2">
+                    <input
+                      id="qr-share-secret"
+                      type={lockedMode === 'code' ? 'text' : 'password'}
+                      value={secret}
+                      onChange={(event) => setSecret(event.target.value)}
+                      autoComplete="off"
+                      autoCapitalize="characters"
+                      spellCheck={false}
+                      autoFocus
+                      placeholder={lockedMode === 'code' ? 'XXXX-XXXX' : ''}
+                      className="min-w-0 flex-1 rounded bg-gray-700 p-2 font-mono text-white"
+                    />
+                    <button
+                      type="submit"
+                      disabled={!secret}
+                      className="rounded bg-yellow-500 px-4 py-2 font-semibold text-black hover:bg-yellow-400 disabled:opacity-50"
+                    >
+                      Unlock
+                    </button>
+                  </div>
+                </form>
+              )}
+
               {error && (
                 <div className="mt-3 rounded-lg border border-red-800 bg-red-950/40 p-3 text-sm text-red-300">
                   {error}
@@ -384,17 +606,44 @@ export default function PrayerQrScannerModal({ onClose }) {
               )}
 
               <p className="mt-3 text-xs text-gray-400">
-                Camera access is used only for QR sharing. Frames are processed locally in this app and are not uploaded or stored. Camera access requires a secure HTTPS context; LAN HTTP development URLs cannot request camera permission on mobile browsers.
+                Camera access is used only for QR sharing. Frames and picked files are processed locally in this app and are not uploaded or stored. Camera access requires a secure HTTPS context; LAN HTTP development URLs cannot request camera permission on mobile browsers.
               </p>
 
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept="image/*,video/*"
+                multiple
+                onChange={handleFiles}
+                className="hidden"
+                aria-hidden="true"
+                tabIndex={-1}
+              />
+
               <div className="mt-4 flex gap-2">
+                {cameraState !== 'importing' && (
+                  <button
+                    type="button"
+                    onClick={() => fileInputRef.current?.click()}
+                    disabled={readingFiles}
+                    className="flex-1 rounded bg-gray-700 px-4 py-3 text-white hover:bg-gray-600 disabled:cursor-wait disabled:opacity-60"
+                    title="Read a screenshot, photo or short screen recording of a sharing QR code"
+                  >
+                    {readingFiles ? 'Reading…' : 'Import from image'}
+                  </button>
+                )}
                 {cameraState !== 'scanning' && cameraState !== 'starting' && cameraState !== 'importing' && (
                   <button
                     type="button"
                     onClick={startCamera}
+                    disabled={readingFiles}
                     className="flex-1 rounded bg-blue-600 px-4 py-3 font-semibold text-white hover:bg-blue-700"
                   >
-                    {cameraState === 'error' ? 'Try camera again' : 'Start camera'}
+                    {cameraState === 'error'
+                      ? 'Try camera again'
+                      : cameraState === 'locked'
+                        ? 'Scan a different share'
+                        : 'Start camera'}
                   </button>
                 )}
                 {cameraState === 'scanning' && (
@@ -1,18 +1,42 @@
 // src/components/PrayerQrShareModal.jsx
-// Lets a Security-page user choose disclosure depth and display a QR transfer.
+// Displays a QR transfer of a prayer (with a chosen disclosure depth), a
+// requestor, a category or a journal entry, optionally protected by a
+// passphrase or a one-time code shown here.
+// `target` is `{ kind, id, name }` (see QR_SHARE_KINDS).
 
 import React, { useEffect, useState } from 'react';
-import QrMatrix from './QrMatrix';
+import QrTransferView from './QrTransferView';
 import {
-  createPrayerShareFrames,
+  createQrShareFrames,
+  generateShareCode,
+  QR_SHARE_KINDS,
   QR_SHARE_SCOPES,
 } from '../utils/qrShare';
 
-export default function PrayerQrShareModal({ prayerId, onClose }) {
+const MIN_PASSPHRASE_LENGTH = 6;
+
+const PROTECTION_OPTIONS = {
+  none: {
+    label: 'No protection',
+    description: 'Anyone who scans the code can read the share.',
+  },
+  code: {
+    label: 'One-time code',
+    description: 'A short code is shown next to the QR. Tell it to the receiver; it is never part of the QR.',
+  },
+  passphrase: {
+    label: 'Passphrase',
+    description: 'Encrypt with a passphrase you have agreed on with the receiver.',
+  },
+};
+
+export default function PrayerQrShareModal({ target, onClose }) {
+  const kind = target.kind || 'prayer';
+  const kindLabel = QR_SHARE_KINDS[kind].label;
   const [scope, setScope] = useState('prayer');
+  const [protection, setProtection] = useState('none');
+  const [passphrase, setPassphrase] = useState('');
   const [transfer, setTransfer] = useState(null);
-  const [frameIndex, setFrameIndex] = useState(0);
-  const [paused, setPaused] = useState(false);
   const [working, setWorking] = useState(false);
   const [error, setError] = useState('');
 
@@ -25,32 +49,30 @@ export default function PrayerQrShareModal({ prayerId, onClose }) {
     return () => window.removeEventListener('keydown', onKey);
   }, [onClose]);
 
-  useEffect(() => {
-    if (!transfer || paused || transfer.frames.length <= 1) return undefined;
-
-    const timer = window.setInterval(() => {
-      setFrameIndex((current) => (current + 1) % transfer.frames.length);
-    }, 650);
-
-    return () => window.clearInterval(timer);
-  }, [transfer, paused]);
-
   useEffect(() => {
     setTransfer(null);
-    setFrameIndex(0);
-    setPaused(false);
     setError('');
-  }, [scope, prayerId]);
+  }, [scope, kind, target.id]);
 
   async function handleCreateQr() {
-    setWorking(true);
     setError('');
 
+    if (protection === 'passphrase' && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      setError(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+      return;
+    }
+
+    setWorking(true);
+
     try {
-      const result = await createPrayerShareFrames(prayerId, scope);
-      setTransfer(result);
-      setFrameIndex(0);
-      setPaused(false);
+      const code = protection === 'code' ? generateShareCode() : '';
+      const result = await createQrShareFrames({ kind, id: target.id, scope }, {
+        protection:
+          protection === 'none'
+            ? null
+            : { mode: protection, secret: code || passphrase },
+      });
+      setTransfer({ ...result, code });
     } catch (err) {
       console.error('Create QR share failed:', err);
       setError(err?.message || 'Unable to create the QR share.');
@@ -59,15 +81,12 @@ export default function PrayerQrShareModal({ prayerId, onClose }) {
     }
   }
 
-  const frameCount = transfer?.frames?.length || 0;
-  const currentFrame = frameCount ? transfer.frames[frameIndex] : '';
-
   return (
     <div
       className="fixed inset-0 z-[80] flex items-center justify-center p-3"
       role="dialog"
       aria-modal="true"
-      aria-label="Share prayer by QR code"
+      aria-label={`Share ${kindLabel.toLowerCase()} by QR code`}
     >
       <button
         type="button"
@@ -79,8 +98,10 @@ export default function PrayerQrShareModal({ prayerId, onClose }) {
       <div className="relative z-10 flex max-h-[94vh] w-full max-w-lg flex-col overflow-hidden rounded-xl border border-gray-700 bg-gray-900 shadow-2xl">
         <div className="flex items-center justify-between border-b border-gray-700 px-4 py-3">
           <div>
-            <h2 className="text-lg font-semibold text-white">Share Prayer</h2>
-            <p className="text-xs text-gray-400">QR transfer from the Security page</p>
+            <h2 className="text-lg font-semibold text-white">Share {kindLabel}</h2>
+            <p className="text-xs text-gray-400">
+              {target.name ? `QR transfer of “${target.name}”` : 'QR transfer'}
+            </p>
           </div>
           <button
             type="button"
@@ -94,12 +115,18 @@ export default function PrayerQrShareModal({ prayerId, onClose }) {
         <div className="overflow-y-auto p-4">
           {!transfer ? (
             <>
-              <p className="mb-3 text-sm text-gray-300">
-                Choose how much context to send with this prayer. The receiving app will merge it automatically and create any required parent records.
-              </p>
+              {kind === 'prayer' ? (
+                <p className="mb-3 text-sm text-gray-300">
+                  Choose how much context to send with this prayer. The receiving app will merge it automatically and create any required parent records.
+                </p>
+              ) : (
+                <p className="mb-3 text-sm text-gray-300">
+                  {QR_SHARE_KINDS[kind].description} The receiving app merges it automatically; sharing again updates the same records instead of duplicating them.
+                </p>
+              )}
 
               <div className="space-y-2">
-                {Object.entries(QR_SHARE_SCOPES).map(([key, option]) => (
+                {kind === 'prayer' && Object.entries(QR_SHARE_SCOPES).map(([key, option]) => (
                   <label
                     key={key}
                     className={`block cursor-pointer rounded-lg border p-3 ${
@@ -126,9 +153,47 @@ export default function PrayerQrShareModal({ prayerId, onClose }) {
                 ))}
               </div>
 
-              <div className="mt-4 rounded-lg border border-amber-700/70 bg-amber-950/40 p-3 text-sm text-amber-200">
-                QR sharing is an intentional plaintext transfer. Anyone who can scan the displayed code can read the data you chose to share. Private Vault backup encryption is not applied to QR shares.
-              </div>
+              <fieldset className="mt-4">
+                <legend className="mb-2 text-sm font-semibold text-white">Protection</legend>
+                <div className="space-y-2">
+                  {Object.entries(PROTECTION_OPTIONS).map(([key, option]) => (
+                    <label
+                      key={key}
+                      className="flex cursor-pointer items-start gap-3 rounded-lg bg-gray-800 p-3"
+                    >
+                      <input
+                        type="radio"
+                        name="qr-share-protection"
+                        value={key}
+                        checked={protection === key}
+                        onChange={() => setProtection(key)}
+                        className="mt-1"
+                      />
+                      <div>
+                        <div className="font-semibold text-white">{option.label}</div>
+                        <div className="mt-1 text-sm text-gray-300">{option.description}</div>
+                      </div>
+                    </label>
+                  ))}
+                </div>
+                {protection === 'passphrase' && (
+                  <input
+                    type="password"
+                    value={passphrase}
+                    onChange={(event) => setPassphrase(event.target.value)}
+                    autoComplete="new-password"
+                    placeholder="Share passphrase"
+                    aria-label="Share passphrase"
+                    className="mt-2 w-full rounded bg-gray-700 p-2 text-white"
+                  />
+                )}
+              </fieldset>
+
+              {protection === 'none' && (
+                <div className="mt-4 rounded-lg border border-amber-700/70 bg-amber-950/40 p-3 text-sm text-amber-200">
+                  QR sharing is an intentional plaintext transfer. Anyone who can scan the displayed code can read the data you chose to share. Private Vault backup encryption is not applied to QR shares.
+                </div>
+              )}
 
               {error && <p className="mt-3 text-sm text-red-400">{error}</p>}
 
@@ -145,60 +210,37 @@ export default function PrayerQrShareModal({ prayerId, onClose }) {
             <div className="flex flex-col items-center">
               <div className="mb-3 w-full rounded-lg bg-gray-800 p-3 text-sm text-gray-300">
                 <div className="font-semibold text-white">
-                  {QR_SHARE_SCOPES[scope].label}
+                  {kind === 'prayer' ? QR_SHARE_SCOPES[scope].label : kindLabel}
                 </div>
+                {transfer.withheld > 0 && (
+                  <div className="mt-1 text-amber-200">
+                    {transfer.withheld === 1
+                      ? '1 prayer was left out because its redaction profile hides this requestor or category.'
+                      : `${transfer.withheld} prayers were left out because their redaction profiles hide this requestor or category.`}
+                  </div>
+                )}
                 <div className="mt-1">
                   Ask the other user to open <strong>Security → Scan QR</strong> and point their camera at this screen.
                 </div>
               </div>
 
-              <div className="rounded-xl bg-white p-2 shadow-lg">
-                <QrMatrix value={currentFrame} />
-              </div>
-
-              {frameCount > 1 ? (
-                <div className="mt-3 w-full text-center">
-                  <div className="text-sm font-medium text-gray-200">
-                    Animated QR • frame {frameIndex + 1} of {frameCount}
+              {transfer.code && (
+                <div className="mb-3 w-full rounded-lg border border-yellow-500/60 bg-yellow-500/10 p-3 text-center">
+                  <div className="text-xs text-yellow-200">
+                    Tell the receiver this code. It is not in the QR.
                   </div>
-                  <p className="mt-1 text-xs text-gray-400">
-                    Keep this screen visible. The receiving phone collects the frames automatically in any order.
-                  </p>
-                  <div className="mt-3 flex flex-wrap justify-center gap-2">
-                    <button
-                      type="button"
-                      onClick={() => setPaused((value) => !value)}
-                      className="rounded bg-gray-700 px-3 py-1.5 text-sm text-white hover:bg-gray-600"
-                    >
-                      {paused ? 'Resume' : 'Pause'}
-                    </button>
-                    <button
-                      type="button"
-                      onClick={() => {
-                        setPaused(true);
-                        setFrameIndex((current) =>
-                          (current - 1 + frameCount) % frameCount
-                        );
-                      }}
-                      className="rounded bg-gray-700 px-3 py-1.5 text-sm text-white hover:bg-gray-600"
-                    >
-                      Previous
-                    </button>
-                    <button
-                      type="button"
-                      onClick={() => {
-                        setPaused(true);
-                        setFrameIndex((current) => (current + 1) % frameCount);
-                      }}
-                      className="rounded bg-gray-700 px-3 py-1.5 text-sm text-white hover:bg-gray-600"
-                    >
-                      Next
-                    </button>
+                  <div className="mt-1 font-mono text-2xl font-bold tracking-widest text-white">
+                    {transfer.code}
                   </div>
                 </div>
-              ) : (
-                <p className="mt-3 text-sm text-gray-400">Single-frame QR share</p>
               )}
+              {transfer.protection === 'passphrase' && (
+                <p className="mb-3 w-full text-center text-sm text-gray-300">
+                  🔒 The receiver will need your share passphrase.
+                </p>
+              )}
+
+              <QrTransferView transfer={transfer} />
 
               <div className="mt-4 flex w-full gap-2">
                 <button
@@ -206,7 +248,7 @@ export default function PrayerQrShareModal({ prayerId, onClose }) {
                   onClick={() => setTransfer(null)}
                   className="flex-1 rounded bg-gray-700 px-3 py-2 text-white hover:bg-gray-600"
                 >
-                  Change sharing level
+                  {kind === 'prayer' ? 'Change sharing level' : 'Change protection'}
                 </button>
                 <button
                   type="button"
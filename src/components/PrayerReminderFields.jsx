@@ -0,0 +1,150 @@
+// src/components/PrayerReminderFields.jsx
+// Editor for a prayer's own reminder rule (see notifications.js). `value` is
+// null until a reminder is set up; answered prayers show the rule as paused.
+
+import React from 'react';
+import { normalizePrayerReminder } from '../utils/notifications';
+
+const DAY_LABELS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+const DAY_NAMES = [
+  'Sunday',
+  'Monday',
+  'Tuesday',
+  'Wednesday',
+  'Thursday',
+  'Friday',
+  'Saturday',
+];
+
+function todayKey() {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
+export default function PrayerReminderFields({
+  idPrefix,
+  value,
+  onChange,
+  answered = false,
+  disabled = false,
+}) {
+  const rule = normalizePrayerReminder(value);
+  const enabled = Boolean(rule?.enabled);
+
+  function update(patch) {
+    onChange?.({
+      ...(rule || normalizePrayerReminder({})),
+      ...patch,
+    });
+  }
+
+  function setEnabled(next) {
+    update({
+      enabled: next,
+      startDate: rule?.startDate || todayKey(),
+    });
+  }
+
+  function toggleDay(index, checked) {
+    const daysOfWeek = [...rule.daysOfWeek];
+    daysOfWeek[index] = checked;
+    if (daysOfWeek.some(Boolean)) update({ daysOfWeek });
+  }
+
+  return (
+    <fieldset className="rounded-lg border border-gray-600 p-3">
+      <legend className="px-1 text-sm text-gray-300">Reminder</legend>
+
+      <label className="inline-flex items-center gap-2 text-sm text-gray-200">
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={(event) => setEnabled(event.target.checked)}
+          disabled={disabled || answered}
+        />
+        Remind me to pray for this
+      </label>
+
+      {answered && (
+        <p className="mt-1 text-xs text-gray-400">
+          Reminders stop once a prayer is answered.
+        </p>
+      )}
+
+      {enabled && !answered && (
+        <div className="mt-2 space-y-2">
+          <div className="flex flex-wrap gap-1" role="group" aria-label="Reminder days">
+            {DAY_LABELS.map((label, index) => (
+              <label
+                key={DAY_NAMES[index]}
+                htmlFor={`${idPrefix}-reminder-day-${index}`}
+                title={DAY_NAMES[index]}
+                className={`w-8 h-8 flex items-center justify-center rounded cursor-pointer text-sm ${
+                  rule.daysOfWeek[index]
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-gray-600 text-gray-300'
+                }`}
+              >
+                <input
+                  id={`${idPrefix}-reminder-day-${index}`}
+                  type="checkbox"
+                  className="sr-only"
+                  checked={rule.daysOfWeek[index]}
+                  onChange={(event) => toggleDay(index, event.target.checked)}
+                  disabled={disabled}
+                  aria-label={DAY_NAMES[index]}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label
+                htmlFor={`${idPrefix}-reminder-time`}
+                className="block text-gray-300 text-xs mb-1"
+              >
+                Time
+              </label>
+              <input
+                id={`${idPrefix}-reminder-time`}
+                type="time"
+                value={rule.time}
+                onChange={(event) => update({ time: event.target.value })}
+                disabled={disabled}
+                className="w-full p-2 bg-gray-600 text-white rounded"
+              />
+            </div>
+            <div>
+              <label
+                htmlFor={`${idPrefix}-reminder-end`}
+                className="block text-gray-300 text-xs mb-1"
+              >
+                Last day (optional)
+              </label>
+              <input
+                id={`${idPrefix}-reminder-end`}
+                type="date"
+                value={rule.endDate || ''}
+                min={rule.startDate || undefined}
+                onChange={(event) =>
+                  update({ endDate: event.target.value || null })
+                }
+                disabled={disabled}
+                className="w-full p-2 bg-gray-600 text-white rounded"
+              />
+            </div>
+          </div>
+
+          <p className="text-xs text-gray-400">
+            {rule.endDate
+              ? 'Stops after the last day, or sooner if answered.'
+              : 'Repeats until the prayer is answered.'}{' '}
+            Delivery needs notification permission (Settings → Notifications).
+          </p>
+        </div>
+      )}
+    </fieldset>
+  );
+}
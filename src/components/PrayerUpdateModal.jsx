@@ -0,0 +1,58 @@
+// src/components/PrayerUpdateModal.jsx
+// Modal wrapper around PrayerEventForm for adding an update to one prayer from
+// outside its list, e.g. a notification's "Add update" action.
+
+import React, { useEffect, useState } from 'react';
+import PrayerEventForm from './PrayerEventForm';
+import { readRecord } from '../utils/secureStore';
+
+export default function PrayerUpdateModal({ prayerId, onClose }) {
+  const [prayer, setPrayer] = useState(undefined);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    readRecord('prayers', prayerId)
+      .then((record) => {
+        if (!cancelled) setPrayer(record || null);
+      })
+      .catch(() => {
+        if (!cancelled) setPrayer(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [prayerId]);
+
+  return (
+    <div className="fixed inset-0 z-[9998] flex items-center justify-center bg-black/60">
+      <div className="w-[92vw] max-w-lg bg-gray-800 text-white rounded-lg shadow-xl p-4">
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-lg font-semibold">
+            {prayer ? `Add update: ${prayer.name}` : 'Add update'}
+          </h3>
+          <button
+            onClick={onClose}
+            className="px-2 py-1 text-sm rounded bg-gray-600 hover:bg-gray-500"
+            aria-label="Close"
+          >
+            Close
+          </button>
+        </div>
+
+        {prayer === undefined && <p className="text-gray-300">Loading…</p>}
+        {prayer === null && (
+          <p className="text-gray-300">This prayer no longer exists.</p>
+        )}
+        {prayer && (
+          <PrayerEventForm
+            prayerId={prayer.id}
+            onSuccess={onClose}
+            onCancel={onClose}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,332 @@
+// src/components/QrSyncModal.jsx
+// Two-phone QR sync of a category (see utils/qrSync). The phone that starts
+// shows a summary, scans the partner's reply, and shows back what the
+// partner asked for; the partner scans the summary, shows its reply and scans
+// that last QR. Opened without a `category`, the modal can only answer.
+// A category with security records needs a passphrase; the answering phone
+// reuses the one that opened the summary.
+
+import React, { useEffect, useState } from 'react';
+import PrayerQrScannerModal from './PrayerQrScannerModal';
+import QrTransferView from './QrTransferView';
+import {
+  answerSyncSummary,
+  applySyncChanges,
+  applySyncReply,
+  buildSyncSummary,
+  createSyncFrames,
+  isQrSyncPayload,
+} from '../utils/qrSync';
+
+const MIN_PASSPHRASE_LENGTH = 6;
+
+const SCAN_STEPS = {
+  summary: {
+    title: 'Scan Sync Summary',
+    accept: (payload) => isQrSyncPayload(payload, 'summary'),
+  },
+  reply: {
+    title: 'Scan Sync Reply',
+    accept: (payload) => isQrSyncPayload(payload, 'reply'),
+  },
+  changes: {
+    title: 'Scan Sync Changes',
+    accept: (payload) => isQrSyncPayload(payload, 'changes'),
+  },
+};
+
+function plural(count, one) {
+  return `${count} ${count === 1 ? one : `${one}s`}`;
+}
+
+function describeCounts({ added, updated, skipped }) {
+  const parts = [`${plural(added, 'record')} added`, `${updated} updated`];
+  if (skipped) parts.push(`${skipped} skipped`);
+  return parts.join(', ');
+}
+
+export default function QrSyncModal({ category = null, onClose }) {
+  // choose → (starter) summary → changes | done
+  //        → (answerer) reply → done
+  const [step, setStep] = useState('choose');
+  const [scanning, setScanning] = useState(null);
+  const [session, setSession] = useState(null);
+  const [transfer, setTransfer] = useState(null);
+  const [passphrase, setPassphrase] = useState('');
+  const [outcome, setOutcome] = useState([]);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const onKey = (event) => {
+      if (event.key === 'Escape' && !scanning) onClose?.();
+    };
+
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [onClose, scanning]);
+
+  function protection(secret = passphrase) {
+    return secret ? { mode: 'passphrase', secret } : null;
+  }
+
+  function checkPassphrase() {
+    if (passphrase && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      setError(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters, or none.`);
+      return false;
+    }
+    return true;
+  }
+
+  async function handleStart() {
+    setError('');
+    if (!checkPassphrase()) return;
+
+    setWorking(true);
+    try {
+      const summary = await buildSyncSummary(category.id);
+      setTransfer(await createSyncFrames(summary, protection()));
+      setSession({
+        sessionId: summary.qrSync.sessionId,
+        categoryName: summary.qrSync.category.name,
+      });
+      setStep('summary');
+    } catch (err) {
+      console.error('Start QR sync failed:', err);
+      setError(err?.message || 'Unable to start the sync.');
+    } finally {
+      setWorking(false);
+    }
+  }
+
+  function handleAnswer() {
+    setError('');
+    if (checkPassphrase()) setScanning('summary');
+  }
+
+  // Each handler runs inside the scanner; a thrown error is shown there.
+  async function handleSummary(summary, { secret }) {
+    const answer = await answerSyncSummary(summary);
+    const frames = await createSyncFrames(answer.payload, protection(passphrase || secret));
+
+    setSession({
+      sessionId: summary.qrSync.sessionId,
+      categoryName: summary.qrSync.category.name,
+    });
+    setTransfer(frames);
+    setOutcome([
+      `Sending ${plural(answer.sending, 'record')}; asking for ${answer.wanted}.`,
+    ]);
+    setScanning(null);
+    setStep('reply');
+  }
+
+  async function handleReply(reply, { secret }) {
+    const applied = await applySyncReply(reply, session.sessionId);
+    const lines = [`This phone: ${describeCounts(applied.counts)}.`];
+
+    setScanning(null);
+    if (applied.payload) {
+      setTransfer(
+        await createSyncFrames(applied.payload, protection(passphrase || secret))
+      );
+      setOutcome(lines);
+      setStep('changes');
+    } else {
+      setTransfer(null);
+      setOutcome([...lines, 'Your partner needs nothing back; they can tap Finish.']);
+      setStep('done');
+    }
+  }
+
+  async function handleChanges(changes) {
+    const applied = await applySyncChanges(changes, session.sessionId);
+
+    setScanning(null);
+    setTransfer(null);
+    setOutcome([`This phone: ${describeCounts(applied.counts)}.`]);
+    setStep('done');
+  }
+
+  const scanHandlers = {
+    summary: handleSummary,
+    reply: handleReply,
+    changes: handleChanges,
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-[80] flex items-center justify-center p-3"
+      role="dialog"
+      aria-modal="true"
+      aria-label="Sync a category by QR code"
+    >
+      <button
+        type="button"
+        className="absolute inset-0 bg-black/80"
+        onClick={onClose}
+        aria-label="Close QR sync"
+      />
+
+      <div className="relative z-10 flex max-h-[94vh] w-full max-w-lg flex-col overflow-hidden rounded-xl border border-gray-700 bg-gray-900 shadow-2xl">
+        <div className="flex items-center justify-between border-b border-gray-700 px-4 py-3">
+          <div>
+            <h2 className="text-lg font-semibold text-white">Sync with a partner</h2>
+            <p className="text-xs text-gray-400">
+              {session?.categoryName || category?.name
+                ? `Category “${session?.categoryName || category.name}”`
+                : 'Two-way QR sync'}
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="rounded bg-gray-700 px-3 py-1.5 text-sm text-gray-200 hover:bg-gray-600"
+          >
+            Close
+          </button>
+        </div>
+
+        <div className="overflow-y-auto p-4 text-sm text-gray-300">
+          {step === 'choose' && (
+            <>
+              <p>
+                Both phones end up with every requestor, prayer and event of the
+                category. When both changed the same field, the later edit wins.
+                Deleting is not synced.
+              </p>
+
+              <label className="mt-4 block" htmlFor="qr-sync-passphrase">
+                <span className="font-semibold text-white">Passphrase</span>
+                <span className="mt-1 block text-gray-400">
+                  Agree on it with your partner; both phones enter the same one.
+                  Required when the category holds security records.
+                </span>
+              </label>
+              <input
+                id="qr-sync-passphrase"
+                type="password"
+                value={passphrase}
+                onChange={(event) => setPassphrase(event.target.value)}
+                autoComplete="new-password"
+                className="mt-2 w-full rounded bg-gray-700 p-2 text-white"
+              />
+
+              {error && <p className="mt-3 text-red-400">{error}</p>}
+
+              <div className="mt-4 flex flex-col gap-2">
+                {category && (
+                  <button
+                    type="button"
+                    onClick={handleStart}
+                    disabled={working}
+                    className="w-full rounded-lg bg-yellow-500 px-4 py-3 font-semibold text-black hover:bg-yellow-400 disabled:cursor-wait disabled:opacity-60"
+                  >
+                    {working ? 'Preparing…' : `Start sync of “${category.name}”`}
+                  </button>
+                )}
+                <button
+                  type="button"
+                  onClick={handleAnswer}
+                  disabled={working}
+                  className="w-full rounded-lg bg-blue-600 px-4 py-3 font-semibold text-white hover:bg-blue-700"
+                >
+                  Answer my partner’s sync
+                </button>
+              </div>
+            </>
+          )}
+
+          {step === 'summary' && (
+            <>
+              <p className="mb-3">
+                <strong className="text-white">1 of 3.</strong> On your partner’s
+                phone, open <strong>Security → Sync</strong>, choose{' '}
+                <strong>Answer my partner’s sync</strong> and scan this code.
+              </p>
+              <QrTransferView transfer={transfer} />
+              <button
+                type="button"
+                onClick={() => setScanning('reply')}
+                className="mt-4 w-full rounded-lg bg-yellow-500 px-4 py-3 font-semibold text-black hover:bg-yellow-400"
+              >
+                Next: scan their reply
+              </button>
+            </>
+          )}
+
+          {step === 'reply' && (
+            <>
+              <p className="mb-3">
+                <strong className="text-white">2 of 3.</strong> Let your partner
+                scan this reply. {outcome.join(' ')}
+              </p>
+              <QrTransferView transfer={transfer} />
+              <div className="mt-4 flex gap-2">
+                <button
+                  type="button"
+                  onClick={() => setScanning('changes')}
+                  className="flex-1 rounded-lg bg-yellow-500 px-4 py-3 font-semibold text-black hover:bg-yellow-400"
+                >
+                  Next: scan their changes
+                </button>
+                <button
+                  type="button"
+                  onClick={onClose}
+                  className="rounded-lg bg-gray-700 px-4 py-3 text-white hover:bg-gray-600"
+                  title="Use when your partner's phone says you need nothing back"
+                >
+                  Finish
+                </button>
+              </div>
+            </>
+          )}
+
+          {step === 'changes' && (
+            <>
+              <p className="mb-3">
+                <strong className="text-white">3 of 3.</strong> {outcome.join(' ')}{' '}
+                Let your partner scan these changes to finish.
+              </p>
+              <QrTransferView transfer={transfer} />
+              <button
+                type="button"
+                onClick={onClose}
+                className="mt-4 w-full rounded-lg bg-blue-600 px-4 py-3 font-semibold text-white hover:bg-blue-700"
+              >
+                Done
+              </button>
+            </>
+          )}
+
+          {step === 'done' && (
+            <div className="rounded-lg border border-emerald-700 bg-emerald-950/40 p-4">
+              <h3 className="text-lg font-semibold text-emerald-300">Synced</h3>
+              {outcome.map((line) => (
+                <p key={line} className="mt-2 text-gray-200">
+                  {line}
+                </p>
+              ))}
+              <button
+                type="button"
+                onClick={onClose}
+                className="mt-4 w-full rounded bg-emerald-600 px-3 py-2 font-semibold text-white hover:bg-emerald-700"
+              >
+                Finish
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {scanning && (
+        <PrayerQrScannerModal
+          title={SCAN_STEPS[scanning].title}
+          acceptPayload={SCAN_STEPS[scanning].accept}
+          onPayload={scanHandlers[scanning]}
+          onClose={() => setScanning(null)}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+// src/components/QrTransferView.jsx
+// Shows a QR transfer from utils/qrShare: one static code, or an animated
+// loop (fixed frames) / endless stream (fountain frames) with pause and step
+// controls. Used by the share modal and by QR sync.
+
+import React, { useEffect, useState } from 'react';
+import QrMatrix from './QrMatrix';
+import { qrShareFrameAt } from '../utils/qrShare';
+
+export default function QrTransferView({ transfer }) {
+  const [frameIndex, setFrameIndex] = useState(0);
+  const [paused, setPaused] = useState(false);
+
+  const frameCount = transfer?.frameCount || 0;
+  const fountain = transfer?.mode === 'fountain';
+
+  useEffect(() => {
+    setFrameIndex(0);
+    setPaused(false);
+  }, [transfer]);
+
+  useEffect(() => {
+    if (!transfer || paused || transfer.frameCount <= 1) return undefined;
+
+    const timer = window.setInterval(() => {
+      setFrameIndex((current) =>
+        transfer.mode === 'fountain'
+          ? current + 1
+          : (current + 1) % transfer.frameCount
+      );
+    }, 650);
+
+    return () => window.clearInterval(timer);
+  }, [transfer, paused]);
+
+  // Fountain frames never repeat, so stepping back stops at the first one.
+  function stepFrame(delta) {
+    setPaused(true);
+    setFrameIndex((current) =>
+      fountain
+        ? Math.max(0, current + delta)
+        : (current + delta + frameCount) % frameCount
+    );
+  }
+
+  if (!frameCount) return null;
+
+  return (
+    <div className="flex w-full flex-col items-center">
+      <div className="rounded-xl bg-white p-2 shadow-lg">
+        <QrMatrix value={qrShareFrameAt(transfer, frameIndex)} />
+      </div>
+
+      {frameCount > 1 ? (
+        <div className="mt-3 w-full text-center">
+          <div className="text-sm font-medium text-gray-200">
+            {fountain
+              ? `Animated QR • frame ${frameIndex + 1} (about ${frameCount} needed)`
+              : `Animated QR • frame ${frameIndex + 1} of ${frameCount}`}
+          </div>
+          <p className="mt-1 text-xs text-gray-400">
+            {fountain
+              ? 'Keep this screen visible. Every frame is new, so a missed frame is made up by the next ones instead of waiting for a full loop.'
+              : 'Keep this screen visible. The receiving phone collects the frames automatically in any order.'}
+          </p>
+          <div className="mt-3 flex flex-wrap justify-center gap-2">
+            <button
+              type="button"
+              onClick={() => setPaused((value) => !value)}
+              className="rounded bg-gray-700 px-3 py-1.5 text-sm text-white hover:bg-gray-600"
+            >
+              {paused ? 'Resume' : 'Pause'}
+            </button>
+            <button
+              type="button"
+              onClick={() => stepFrame(-1)}
+              className="rounded bg-gray-700 px-3 py-1.5 text-sm text-white hover:bg-gray-600"
+            >
+              Previous
+            </button>
+            <button
+              type="button"
+              onClick={() => stepFrame(1)}
+              className="rounded bg-gray-700 px-3 py-1.5 text-sm text-white hover:bg-gray-600"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      ) : (
+        <p className="mt-3 text-sm text-gray-400">Single-frame QR share</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+// src/components/RedactionProfileFields.jsx
+// Editor for a Security-view redaction profile, shared by the prayer and
+// requestor forms. `value` is null when the record inherits its profile.
+
+import React from 'react';
+import {
+  FULL_REDACTION_PROFILE,
+  REDACTION_FIELDS,
+  normalizeRedactionProfile,
+} from '../utils/redaction';
+
+export default function RedactionProfileFields({
+  idPrefix,
+  value,
+  onChange,
+  inheritLabel = 'Show everything',
+  disabled = false,
+}) {
+  const profile = normalizeRedactionProfile(value);
+  const isCustom = Boolean(profile);
+
+  function setCustom(enabled) {
+    onChange?.(enabled ? { ...FULL_REDACTION_PROFILE } : null);
+  }
+
+  function toggleField(key, visible) {
+    onChange?.({
+      ...(profile || FULL_REDACTION_PROFILE),
+      [key]: visible,
+    });
+  }
+
+  return (
+    <fieldset className="rounded-lg border border-gray-600 p-3">
+      <legend className="px-1 text-sm text-gray-300">
+        Visible outside the Daily view
+      </legend>
+
+      <label className="inline-flex items-center gap-2 text-sm text-gray-200">
+        <input
+          type="checkbox"
+          checked={isCustom}
+          onChange={(event) => setCustom(event.target.checked)}
+          disabled={disabled}
+        />
+        Use a custom redaction profile
+      </label>
+
+      {!isCustom && (
+        <p className="mt-1 text-xs text-gray-400">{inheritLabel}</p>
+      )}
+
+      {isCustom && (
+        <div className="mt-2 grid grid-cols-2 gap-x-3 gap-y-1">
+          {REDACTION_FIELDS.map(({ key, label }) => (
+            <label
+              key={key}
+              htmlFor={`${idPrefix}-redaction-${key}`}
+              className="inline-flex items-center gap-2 text-sm text-gray-200"
+            >
+              <input
+                id={`${idPrefix}-redaction-${key}`}
+                type="checkbox"
+                checked={profile[key]}
+                onChange={(event) => toggleField(key, event.target.checked)}
+                disabled={disabled}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+      )}
+
+      {isCustom && (
+        <p className="mt-2 text-xs text-gray-400">
+          Unchecked fields are hidden in Security, Focus, notifications, and
+          QR shares.
+        </p>
+      )}
+    </fieldset>
+  );
+}
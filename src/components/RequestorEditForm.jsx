@@ -1,8 +1,13 @@
 // src/components/RequestorEditForm.jsx
-// Edits a requestor, including category changes and archive status.
+// Edits a requestor, including category changes, archive status, and the
+// default Security-view redaction profile for their prayers. Deleting moves
+// the requestor and their prayers to the Trash.
 
 import React, { useEffect, useState } from 'react';
 import { db, emitDbChanged } from '../db';
+import { updateRecord } from '../utils/secureStore';
+import RedactionProfileFields from './RedactionProfileFields';
+import { moveToTrash, withoutTrashed } from '../utils/trash';
 
 export default function RequestorEditForm({
   requestor,
@@ -15,8 +20,11 @@ export default function RequestorEditForm({
   const [description, setDescription] = useState(
     requestor.description || ''
   );
+  // Opened while the vault was locked: keep the encrypted description as-is.
+  const descriptionLocked = Boolean(requestor.locked);
   const [security, setSecurity] = useState(Boolean(requestor.security));
   const [archived, setArchived] = useState(Boolean(requestor.archived));
+  const [redaction, setRedaction] = useState(requestor.redaction || null);
   const [loadingCategories, setLoadingCategories] = useState(true);
   const [error, setError] = useState(null);
   const [submitting, setSubmitting] = useState(false);
@@ -28,7 +36,7 @@ export default function RequestorEditForm({
       setLoadingCategories(true);
 
       try {
-        const categoryRows = await db.categories.toArray();
+        const categoryRows = await db.categories.toArray().then(withoutTrashed);
         categoryRows.sort((categoryA, categoryB) =>
           (categoryA.name || '').localeCompare(categoryB.name || '', undefined, {
             sensitivity: 'base',
@@ -78,13 +86,17 @@ export default function RequestorEditForm({
       const nextCategoryId = Number(categoryId);
       const previousCategoryId = Number(requestor.categoryId);
 
-      await db.requestors.update(requestor.id, {
+      const changes = {
         categoryId: nextCategoryId,
         name: name.trim(),
         description: description.trim(),
         security: security ? 1 : 0,
         archived: archived ? 1 : 0,
-      });
+        redaction,
+      };
+
+      if (descriptionLocked) delete changes.description;
+      await updateRecord('requestors', requestor.id, changes);
 
       emitDbChanged();
       onSuccess?.({
@@ -94,14 +106,16 @@ export default function RequestorEditForm({
       });
     } catch (saveError) {
       console.error('Error saving requestor:', saveError);
-      setError('Failed to save changes. See console for details.');
+      setError(
+        saveError?.message || 'Failed to save changes. See console for details.'
+      );
     } finally {
       setSubmitting(false);
     }
   };
 
   const handleDelete = async () => {
-    if (!window.confirm('Delete this requestor and all its prayers?')) {
+    if (!window.confirm('Move this requestor and all their prayers to the Trash?')) {
       return;
     }
 
@@ -109,13 +123,7 @@ export default function RequestorEditForm({
     setSubmitting(true);
 
     try {
-      await db.transaction('rw', db.requestors, db.prayers, async () => {
-        await db.requestors.delete(requestor.id);
-        await db.prayers
-          .where('requestorId')
-          .equals(requestor.id)
-          .delete();
-      });
+      await moveToTrash('requestors', requestor.id, { label: requestor.name });
 
       emitDbChanged();
       onSuccess?.({
@@ -183,13 +191,19 @@ export default function RequestorEditForm({
         <label className="block text-gray-300" htmlFor={`requestor-description-${requestor.id}`}>
           Description
         </label>
-        <textarea
-          id={`requestor-description-${requestor.id}`}
-          className="w-full mt-1 p-2 bg-gray-700 rounded text-white"
-          value={description}
-          onChange={(event) => setDescription(event.target.value)}
-          disabled={submitting}
-        />
+        {descriptionLocked ? (
+          <p className="mt-1 p-2 bg-gray-700 rounded text-sm italic text-gray-400">
+            Encrypted. Unlock the Private Vault in Settings to edit it.
+          </p>
+        ) : (
+          <textarea
+            id={`requestor-description-${requestor.id}`}
+            className="w-full mt-1 p-2 bg-gray-700 rounded text-white"
+            value={description}
+            onChange={(event) => setDescription(event.target.value)}
+            disabled={submitting}
+          />
+        )}
       </div>
 
       <label className="inline-flex items-center text-gray-300">
@@ -203,6 +217,14 @@ export default function RequestorEditForm({
         <span className="ml-2">Security View Only</span>
       </label>
 
+      <RedactionProfileFields
+        idPrefix={`requestor-${requestor.id}`}
+        value={redaction}
+        onChange={setRedaction}
+        inheritLabel="Shows everything. Individual prayers can still set their own profile."
+        disabled={submitting}
+      />
+
       <div className="rounded-lg border border-gray-700 bg-gray-900/50 p-3">
         <label className="inline-flex items-center text-gray-200">
           <input
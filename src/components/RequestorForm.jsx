@@ -2,7 +2,7 @@
 // Adds a new active requestor under a specific category in IndexedDB.
 
 import React, { useState } from 'react';
-import { db } from '../db';
+import { addRecord } from '../utils/secureStore';
 
 /**
  * RequestorForm allows creation of a new requestor for a given category.
@@ -29,7 +29,7 @@ function RequestorForm({ categoryId, onSuccess }) {
     }
 
     try {
-      await db.requestors.add({
+      await addRecord('requestors', {
         categoryId,
         name: name.trim(),
         description: description.trim(),
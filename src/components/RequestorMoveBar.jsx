@@ -0,0 +1,79 @@
+// src/components/RequestorMoveBar.jsx
+// Bulk "move selected requestors to another category" bar shown under a
+// category in the Categories page while any of its requestors are selected.
+
+import React, { useState } from 'react';
+import { emitDbChanged } from '../db';
+import { moveRequestors } from '../utils/reassign';
+
+export default function RequestorMoveBar({
+  categoryId,
+  categories,
+  selectedIds,
+  onClear,
+  onMoved,
+}) {
+  const [targetId, setTargetId] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const destinations = categories.filter((category) => category.id !== categoryId);
+
+  async function handleMove() {
+    if (!targetId) return;
+
+    setBusy(true);
+    setError('');
+
+    try {
+      const target = Number(targetId);
+      await moveRequestors(selectedIds, target);
+      emitDbChanged();
+      setTargetId('');
+      onMoved?.(target);
+    } catch (moveError) {
+      console.error('Move requestors failed', moveError);
+      setError(moveError?.message || 'Move failed (see console).');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="mt-3 flex flex-wrap items-center gap-2 rounded bg-gray-900 p-2 text-sm">
+      <span className="text-gray-200">
+        {selectedIds.length} selected — move to
+      </span>
+      <select
+        value={targetId}
+        onChange={(event) => setTargetId(event.target.value)}
+        disabled={busy}
+        className="p-1 bg-gray-700 text-white rounded"
+        aria-label="Destination category"
+      >
+        <option value="">Choose a category…</option>
+        {destinations.map((category) => (
+          <option key={category.id} value={category.id}>
+            {category.name}
+          </option>
+        ))}
+      </select>
+      <button
+        type="button"
+        onClick={handleMove}
+        disabled={!targetId || busy}
+        className="px-2 py-1 rounded bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
+      >
+        {busy ? 'Moving…' : 'Move'}
+      </button>
+      <button
+        type="button"
+        onClick={onClear}
+        disabled={busy}
+        className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-gray-200"
+      >
+        Clear selection
+      </button>
+      {error && <p className="w-full text-red-300">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,345 @@
+// src/components/SearchView.jsx
+// Global search over prayers, events, requestors and journal entries, backed by
+// the in-memory index in utils/searchIndex (kept current on db:changed and
+// vault:changed). Prayer and event hits open the prayer in Focus when it is
+// Focus-eligible, otherwise in the Daily list; journal hits open the entry.
+//
+// Props:
+//   onFocusPrayer(prayerId)
+//   onShowPrayer(prayerId)
+//   onShowJournalEntry(entryId)
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { db } from '../db';
+import {
+  SEARCH_TYPES,
+  buildSnippet,
+  createSearchIndex,
+  loadSearchDocs,
+} from '../utils/searchIndex';
+import { openPrayer } from '../utils/prayerNav';
+import { withoutTrashed } from '../utils/trash';
+
+const RESULT_LIMIT = 50;
+
+const TYPE_LABELS = {
+  prayer: 'Prayer',
+  event: 'Event',
+  requestor: 'Requestor',
+  journal: 'Journal',
+};
+
+function fmt(iso) {
+  if (!iso) return '';
+
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(iso)
+    ? new Date(`${iso}T00:00:00`)
+    : new Date(iso);
+  if (Number.isNaN(date.getTime())) return '';
+
+  return date.toLocaleDateString();
+}
+
+function Highlighted({ segments }) {
+  return segments.map((segment, index) =>
+    segment.match ? (
+      <mark key={index} className="bg-yellow-500/40 text-white rounded px-0.5">
+        {segment.text}
+      </mark>
+    ) : (
+      <React.Fragment key={index}>{segment.text}</React.Fragment>
+    )
+  );
+}
+
+export default function SearchView({
+  onFocusPrayer,
+  onShowPrayer,
+  onShowJournalEntry,
+}) {
+  const indexRef = useRef(null);
+  if (!indexRef.current) indexRef.current = createSearchIndex();
+
+  const [version, setVersion] = useState(0);
+  const [ready, setReady] = useState(false);
+  const [categories, setCategories] = useState([]);
+  const [query, setQuery] = useState('');
+  const [showFilters, setShowFilters] = useState(false);
+  const [types, setTypes] = useState([]);
+  const [status, setStatus] = useState('');
+  const [categoryId, setCategoryId] = useState('');
+  const [security, setSecurity] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const refresh = async () => {
+      try {
+        const [docs, categoryRows] = await Promise.all([
+          loadSearchDocs(),
+          db.categories.toArray().then(withoutTrashed),
+        ]);
+        if (cancelled) return;
+
+        if (indexRef.current.sync(docs)) setVersion((value) => value + 1);
+        setCategories(categoryRows);
+        setReady(true);
+      } catch (error) {
+        console.error('Search index refresh failed', error);
+      }
+    };
+
+    refresh();
+    window.addEventListener('db:changed', refresh);
+    window.addEventListener('vault:changed', refresh);
+    return () => {
+      cancelled = true;
+      window.removeEventListener('db:changed', refresh);
+      window.removeEventListener('vault:changed', refresh);
+    };
+  }, []);
+
+  const filters = useMemo(
+    () => ({
+      types,
+      status: status || null,
+      categoryId: categoryId ? Number(categoryId) : null,
+      security: security || null,
+      from: from || null,
+      to: to || null,
+    }),
+    [types, status, categoryId, security, from, to]
+  );
+
+  const activeFilterCount = [
+    types.length,
+    status,
+    categoryId,
+    security,
+    from,
+    to,
+  ].filter(Boolean).length;
+
+  const results = useMemo(
+    () => (ready ? indexRef.current.search(query, filters) : []),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [ready, version, query, filters]
+  );
+
+  function toggleType(value, checked) {
+    setTypes((current) =>
+      checked ? [...current, value] : current.filter((type) => type !== value)
+    );
+  }
+
+  function clearFilters() {
+    setTypes([]);
+    setStatus('');
+    setCategoryId('');
+    setSecurity('');
+    setFrom('');
+    setTo('');
+  }
+
+  function openResult(doc) {
+    if (doc.type === 'prayer' || doc.type === 'event') {
+      openPrayer(doc.prayerId, { onFocusPrayer, onShowPrayer }).catch((error) =>
+        console.error('Open search result failed', error)
+      );
+    } else if (doc.type === 'journal') {
+      onShowJournalEntry?.(doc.id);
+    } else if (doc.type === 'requestor') {
+      window.dispatchEvent(new CustomEvent('ui:nav', { detail: 'categories' }));
+    }
+  }
+
+  function contextLine(doc) {
+    const categoryName = categories.find(
+      (category) => category.id === doc.categoryId
+    )?.name;
+    const parts = [];
+
+    if (doc.type === 'prayer') parts.push(doc.requestorName);
+    if (doc.type === 'event') parts.push(`On “${doc.context || 'Unknown prayer'}”`);
+    if (categoryName) parts.push(categoryName);
+    if (doc.status) parts.push(doc.status === 'answered' ? 'Answered' : 'Requested');
+    if (doc.date) parts.push(fmt(doc.date));
+
+    return parts.join(' • ');
+  }
+
+  return (
+    <div className="p-4 pb-24 max-w-3xl mx-auto">
+      <h2 className="text-2xl font-bold mb-4">Search</h2>
+
+      <div className="flex gap-2 mb-3">
+        <input
+          type="search"
+          value={query}
+          onChange={(event) => setQuery(event.target.value)}
+          placeholder="Search prayers, events, people and journal…"
+          className="flex-1 p-2 bg-gray-800 text-white rounded focus:outline-none focus:ring-2 focus:ring-yellow-500"
+          aria-label="Search"
+          autoFocus
+        />
+        <button
+          type="button"
+          onClick={() => setShowFilters((open) => !open)}
+          className="px-3 py-2 text-sm rounded bg-gray-700 hover:bg-gray-600 text-gray-200"
+          aria-expanded={showFilters}
+        >
+          Filters{activeFilterCount ? ` (${activeFilterCount})` : ''}
+        </button>
+      </div>
+
+      {showFilters && (
+        <div className="bg-gray-800 rounded-lg p-3 mb-4 space-y-3 text-sm text-gray-200">
+          <div className="flex flex-wrap gap-3">
+            {SEARCH_TYPES.map((type) => (
+              <label key={type.value} className="inline-flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={types.includes(type.value)}
+                  onChange={(event) => toggleType(type.value, event.target.checked)}
+                />
+                {type.label}
+              </label>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+            <label className="block">
+              <span className="block text-gray-400 text-xs mb-1">Status</span>
+              <select
+                value={status}
+                onChange={(event) => setStatus(event.target.value)}
+                className="w-full p-2 bg-gray-700 text-white rounded"
+              >
+                <option value="">Any</option>
+                <option value="requested">Requested</option>
+                <option value="answered">Answered</option>
+              </select>
+            </label>
+            <label className="block">
+              <span className="block text-gray-400 text-xs mb-1">Category</span>
+              <select
+                value={categoryId}
+                onChange={(event) => setCategoryId(event.target.value)}
+                className="w-full p-2 bg-gray-700 text-white rounded"
+              >
+                <option value="">Any</option>
+                {categories.map((category) => (
+                  <option key={category.id} value={category.id}>
+                    {category.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              <span className="block text-gray-400 text-xs mb-1">Security</span>
+              <select
+                value={security}
+                onChange={(event) => setSecurity(event.target.value)}
+                className="w-full p-2 bg-gray-700 text-white rounded"
+              >
+                <option value="">Any</option>
+                <option value="only">Security only</option>
+                <option value="exclude">Exclude security</option>
+              </select>
+            </label>
+          </div>
+
+          <div className="grid grid-cols-2 gap-2">
+            <label className="block">
+              <span className="block text-gray-400 text-xs mb-1">From</span>
+              <input
+                type="date"
+                value={from}
+                onChange={(event) => setFrom(event.target.value)}
+                className="w-full p-2 bg-gray-700 text-white rounded"
+              />
+            </label>
+            <label className="block">
+              <span className="block text-gray-400 text-xs mb-1">To</span>
+              <input
+                type="date"
+                value={to}
+                min={from || undefined}
+                onChange={(event) => setTo(event.target.value)}
+                className="w-full p-2 bg-gray-700 text-white rounded"
+              />
+            </label>
+          </div>
+
+          {activeFilterCount > 0 && (
+            <button
+              type="button"
+              onClick={clearFilters}
+              className="text-sm underline text-gray-300 hover:text-white"
+            >
+              Clear filters
+            </button>
+          )}
+        </div>
+      )}
+
+      {!ready && <p className="text-gray-400">Building search index…</p>}
+
+      {ready && query.trim() && results.length === 0 && (
+        <p className="text-gray-400">No matches.</p>
+      )}
+
+      {ready && results.length > 0 && (
+        <>
+          <p className="text-xs text-gray-400 mb-2">
+            {results.length > RESULT_LIMIT
+              ? `Showing ${RESULT_LIMIT} of ${results.length} matches`
+              : `${results.length} ${results.length === 1 ? 'match' : 'matches'}`}
+          </p>
+          <ul className="space-y-2">
+            {results.slice(0, RESULT_LIMIT).map((doc) => {
+              const snippet = buildSnippet(doc.body, query);
+
+              return (
+                <li key={doc.key}>
+                  <button
+                    type="button"
+                    onClick={() => openResult(doc)}
+                    className="w-full text-left bg-gray-800 hover:bg-gray-700 rounded-lg p-3 shadow"
+                  >
+                    <div className="flex items-center gap-2">
+                      <span className="rounded bg-gray-700 px-2 py-0.5 text-xs text-gray-300">
+                        {TYPE_LABELS[doc.type]}
+                      </span>
+                      <span className="font-semibold text-white truncate">
+                        <Highlighted
+                          segments={buildSnippet(
+                            doc.title || '(Untitled)',
+                            query,
+                            200
+                          )}
+                        />
+                      </span>
+                    </div>
+                    {contextLine(doc) && (
+                      <div className="text-xs text-gray-400 mt-1">
+                        {contextLine(doc)}
+                      </div>
+                    )}
+                    {snippet.length > 0 && (
+                      <p className="text-sm text-gray-300 mt-1 line-clamp-2">
+                        <Highlighted segments={snippet} />
+                      </p>
+                    )}
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
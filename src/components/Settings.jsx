@@ -1,14 +1,19 @@
 // src/components/Settings.jsx
 // Settings page with PWA installation, Private Vault controls,
-// notifications, JSON backup/restore, onboarding, and privacy information.
+// notifications, JSON backup/restore, a link to Stats, onboarding, and privacy
+// information.
 // Legacy CSV import has been removed.
 
 import React, { useEffect, useRef, useState } from 'react';
 import { emitDbChanged, db } from '../db';
 import {
   exportSmartJson,
+  exportEntryEncryptedBackup,
   downloadJson,
+  getBackupIncludeTrash,
   importSmartFromFileText,
+  parseBackupPreview,
+  setBackupIncludeTrash,
 } from '../utils/backup';
 import {
   loadNotificationConfig,
@@ -18,6 +23,8 @@ import {
   clearScheduledNotifications,
   buildICS,
   downloadICS,
+  loadPrayerReminderEntries,
+  refreshPrayerReminders,
 } from '../utils/notifications';
 import {
   isVaultEnabled,
@@ -30,7 +37,11 @@ import {
   lockNow,
   setIdleMinutes,
   getIdleMinutes,
+  disableVault,
 } from '../utils/vault';
+import { decryptAtRest, encryptAtRest } from '../utils/secureStore';
+import CloudBackupSection from './CloudBackupSection';
+import { withoutTrashed } from '../utils/trash';
 
 const DEFAULT_NOTIFICATION_CONFIG = {
   enabled: false,
@@ -244,8 +255,8 @@ export default function Settings() {
     async function loadNotificationOptions() {
       try {
         const [categoryRows, requestorRows] = await Promise.all([
-          db.categories.toArray(),
-          db.requestors.toArray(),
+          db.categories.toArray().then(withoutTrashed),
+          db.requestors.toArray().then(withoutTrashed),
         ]);
 
         categoryRows.sort((a, b) =>
@@ -341,8 +352,9 @@ export default function Settings() {
 
       if (!notificationConfig.enabled) {
         await clearScheduledNotifications();
+        await refreshPrayerReminders();
         setNotificationMessage(
-          'Notifications are disabled. Existing local schedules were cleared.'
+          'Notifications are disabled. Existing local schedules were cleared; reminders set on individual prayers stay on.'
         );
         return;
       }
@@ -410,9 +422,10 @@ export default function Settings() {
     }
   }
 
-  function handleExportCalendar() {
+  async function handleExportCalendar() {
     try {
-      const calendarText = buildICS(notificationConfig, 60);
+      const prayerReminders = await loadPrayerReminderEntries();
+      const calendarText = buildICS(notificationConfig, 60, prayerReminders);
       downloadICS(calendarText);
       setNotificationMessage('Calendar reminder file exported.');
     } catch (error) {
@@ -437,6 +450,12 @@ export default function Settings() {
     setVaultUnlocked(isUnlocked());
   }
 
+  // The idle timer can lock the vault while Settings is open.
+  useEffect(() => {
+    window.addEventListener('vault:changed', syncVaultState);
+    return () => window.removeEventListener('vault:changed', syncVaultState);
+  }, []);
+
   async function handleEnableVault() {
     const accepted = window.confirm(
       'Private Vault warning:\n\nIf you forget both your passphrase and Recovery Code, encrypted data cannot be recovered. Continue only if you are prepared to store the Recovery Code safely.'
@@ -461,10 +480,16 @@ export default function Settings() {
       const result = await enableVaultFirstTime(passphrase);
       setRecoveryCode(result.recoveryCode);
       setShowRecoveryCode(true);
+      syncVaultState();
+      setVaultMessage('Vault enabled. Encrypting stored details…');
+
+      const { changed, failed } = await encryptAtRest();
+      emitDbChanged();
       setVaultMessage(
-        'Vault enabled and unlocked for this session. Save the Recovery Code now.'
+        `Vault enabled and unlocked for this session. Encrypted ${changed} record${
+          changed === 1 ? '' : 's'
+        }${failed ? ` (${failed} could not be encrypted)` : ''}. Save the Recovery Code now.`
       );
-      syncVaultState();
     } catch (error) {
       setVaultMessage(error?.message || 'Failed to enable the vault.');
     }
@@ -551,6 +576,49 @@ export default function Settings() {
     }
   }
 
+  async function handleDisableVault() {
+    if (!vaultUnlocked) {
+      setVaultMessage('Unlock the vault before turning it off.');
+      return;
+    }
+
+    const accepted = window.confirm(
+      'Turn off the Private Vault?\n\nEncrypted details and locked events will be decrypted and stored in plain text on this device.'
+    );
+
+    if (!accepted) return;
+
+    try {
+      setVaultMessage('Decrypting stored details…');
+      const { changed, failed } = await decryptAtRest();
+
+      if (failed) {
+        const proceed = window.confirm(
+          `${failed} record${failed === 1 ? '' : 's'} could not be decrypted with this vault key and will stay unreadable. Turn off the vault anyway?`
+        );
+
+        if (!proceed) {
+          setVaultMessage(
+            `Decrypted ${changed} record${changed === 1 ? '' : 's'}. The vault is still on.`
+          );
+          emitDbChanged();
+          return;
+        }
+      }
+
+      disableVault();
+      setRecoveryCode('');
+      setShowRecoveryCode(false);
+      syncVaultState();
+      emitDbChanged();
+      setVaultMessage(
+        `Vault turned off. Decrypted ${changed} record${changed === 1 ? '' : 's'}.`
+      );
+    } catch (error) {
+      setVaultMessage(error?.message || 'Failed to turn off the vault.');
+    }
+  }
+
   function handleLockNow() {
     lockNow();
     setRecoveryCode('');
@@ -600,6 +668,14 @@ export default function Settings() {
   const [backupDebugEvents, setBackupDebugEvents] = useState(
     () => readBackupDebugEvents()
   );
+  const [backupIncludeTrash, setIncludeTrashState] = useState(
+    () => getBackupIncludeTrash()
+  );
+
+  function updateBackupIncludeTrash(include) {
+    setIncludeTrashState(include);
+    setBackupIncludeTrash(include);
+  }
 
   const cachedBackup = getBackupImportCache();
   const effectiveBackupPreview =
@@ -703,57 +779,6 @@ export default function Settings() {
     }
   }, [backupPreview]);
 
-  function parseBackupPreview(text, fileName = 'backup.json') {
-    try {
-      const parsed = JSON.parse(text);
-
-      if (parsed?.header?.type === 'cp/encrypted-backup') {
-        return {
-          fileName,
-          encrypted: true,
-          portable: parsed?.header?.contents === 'portable-graft',
-          selection: null,
-          counts: null,
-          valid: true,
-          raw: parsed,
-        };
-      }
-
-      const portable = parsed?.exportType === 'cp/portable-graft';
-      const data = parsed?.data || parsed || {};
-      const counts = {
-        categories: Array.isArray(data.categories) ? data.categories.length : 0,
-        requestors: Array.isArray(data.requestors) ? data.requestors.length : 0,
-        prayers: Array.isArray(data.prayers) ? data.prayers.length : 0,
-        events: Array.isArray(data.events) ? data.events.length : 0,
-        journalEntries: Array.isArray(data.journalEntries)
-          ? data.journalEntries.length
-          : 0,
-      };
-
-      return {
-        fileName,
-        encrypted: false,
-        portable,
-        selection: parsed?.selection || null,
-        counts,
-        valid: true,
-        raw: parsed,
-      };
-    } catch (error) {
-      return {
-        fileName,
-        encrypted: false,
-        portable: false,
-        selection: null,
-        counts: null,
-        valid: false,
-        error: error?.message || 'Invalid JSON',
-        raw: null,
-      };
-    }
-  }
-
   function resetBackupFileInputElement() {
     if (backupFileRef.current) {
       backupFileRef.current.value = '';
@@ -802,7 +827,9 @@ export default function Settings() {
         selectionPreserved: Boolean(effectiveBackupPreview?.valid),
       });
 
-      const result = await exportSmartJson();
+      const result = await exportSmartJson({
+        includeTrashed: backupIncludeTrash,
+      });
       downloadJson(result.text, result.fileName);
       setBackupMessage(
         vaultEnabled ? 'Encrypted backup exported.' : 'Backup exported as JSON.'
@@ -822,6 +849,33 @@ export default function Settings() {
     }
   }
 
+  async function handleExportEntryBackup() {
+    try {
+      setBackupBusy(true);
+      setBackupMessage('');
+      recordBackupDebug('entry-export-started');
+
+      const result = await exportEntryEncryptedBackup({
+        includeTrashed: backupIncludeTrash,
+      });
+      downloadJson(result.text, result.fileName);
+      setBackupMessage(
+        'Backup exported as JSON with Security records encrypted entry by entry.'
+      );
+      recordBackupDebug('entry-export-finished', {
+        exportedFileName: result.fileName || null,
+      });
+    } catch (error) {
+      console.error(error);
+      setBackupMessage(error?.message || 'Backup export failed.');
+      recordBackupDebug('entry-export-failed', {
+        error: error?.message || String(error),
+      });
+    } finally {
+      setBackupBusy(false);
+    }
+  }
+
   async function handleBackupFileChange(event) {
     setBackupMessage('');
 
@@ -889,7 +943,9 @@ export default function Settings() {
       } else {
         const prefix = preview.portable
           ? `Portable ${preview.selection?.kind || 'data'} graft loaded: `
-          : 'Loaded ';
+          : preview.entryEncrypted
+            ? 'Loaded backup with encrypted entries '
+            : 'Loaded ';
         setBackupMessage(
           prefix +
             `${preview.fileName}: ` +
@@ -930,16 +986,77 @@ export default function Settings() {
     }
   }
 
-  async function handleImportBackup(mode) {
+  // Tries the unlocked vault key first, then asks for the backup's passphrase
+  // or Recovery Code, or imports the encrypted entries as locked records.
+  async function importEntryEncryptedBackup(text, mode) {
+    try {
+      return await importSmartFromFileText(text, { mode });
+    } catch (error) {
+      if (error?.code !== 'NEEDS_SECRET') throw error;
+    }
+
+    const method = window.prompt(
+      'This backup has encrypted entries. Type "pass" to use its passphrase, "recovery" to use its Recovery Code, or "locked" to import those entries as locked records:'
+    );
+
+    if (!method) {
+      recordBackupDebug('import-unlock-cancelled', { mode });
+      return null;
+    }
+
+    const normalizedMethod = method.trim().toLowerCase();
+
+    if (normalizedMethod === 'locked') {
+      return importSmartFromFileText(text, { mode, keepLocked: true });
+    }
+
+    if (normalizedMethod !== 'pass' && normalizedMethod !== 'recovery') {
+      setBackupMessage('Import cancelled: unknown unlock method.');
+      recordBackupDebug('import-unlock-method-invalid', {
+        mode,
+        method: normalizedMethod,
+      });
+      return null;
+    }
+
+    const secret = window.prompt(
+      normalizedMethod === 'pass'
+        ? 'Enter the backup passphrase:'
+        : 'Enter the backup Recovery Code:'
+    );
+
+    if (!secret) {
+      recordBackupDebug('import-secret-cancelled', { mode });
+      return null;
+    }
+
+    return importSmartFromFileText(text, {
+      mode,
+      secretKind: normalizedMethod === 'pass' ? 'passphrase' : 'recovery',
+      secret,
+    });
+  }
+
+  // `selection` ({ text, preview }) imports a backup fetched from a cloud
+  // target instead of the file chosen here; the local selection is kept.
+  async function handleImportBackup(mode, selection = null) {
     const cache = getBackupImportCache();
-    const activePreview =
-      effectiveBackupPreview?.valid ? effectiveBackupPreview : cache.preview;
-    const activeText = effectiveBackupFileText || cache.text || '';
+    const activePreview = selection
+      ? selection.preview
+      : effectiveBackupPreview?.valid
+        ? effectiveBackupPreview
+        : cache.preview;
+    const activeText = selection
+      ? selection.text
+      : effectiveBackupFileText || cache.text || '';
+    const finishImport = () => {
+      if (!selection) clearSelectedBackup('successful-import');
+    };
 
     if (!activePreview?.valid || !activePreview?.raw) {
       setBackupMessage('Choose a valid backup file first.');
       recordBackupDebug('import-blocked-no-selection', { mode });
-      return;
+      return false;
     }
 
     if (mode === 'replace' && activePreview.portable) {
@@ -949,7 +1066,7 @@ export default function Settings() {
       recordBackupDebug('import-blocked-portable-replace', {
         fileName: activePreview.fileName || null,
       });
-      return;
+      return false;
     }
 
     if (
@@ -961,7 +1078,7 @@ export default function Settings() {
       recordBackupDebug('import-replace-cancelled', {
         fileName: activePreview.fileName || null,
       });
-      return;
+      return false;
     }
 
     try {
@@ -982,7 +1099,7 @@ export default function Settings() {
 
         if (!method) {
           recordBackupDebug('import-unlock-cancelled', { mode });
-          return;
+          return false;
         }
 
         const normalizedMethod = method.trim().toLowerCase();
@@ -993,7 +1110,7 @@ export default function Settings() {
             mode,
             method: normalizedMethod,
           });
-          return;
+          return false;
         }
 
         const secret = window.prompt(
@@ -1004,7 +1121,7 @@ export default function Settings() {
 
         if (!secret) {
           recordBackupDebug('import-secret-cancelled', { mode });
-          return;
+          return false;
         }
 
         await importSmartFromFileText(
@@ -1016,6 +1133,29 @@ export default function Settings() {
             secret,
           }
         );
+      } else if (activePreview.entryEncrypted) {
+        const outcome = await importEntryEncryptedBackup(
+          activeText || JSON.stringify(activePreview.raw),
+          mode
+        );
+
+        if (!outcome) return false;
+
+        emitDbChanged();
+        setBackupMessage(
+          outcome.locked
+            ? `Import (${mode}) complete. ${outcome.locked} encrypted record${
+                outcome.locked === 1 ? ' was' : 's were'
+              } kept locked.`
+            : `Import (${mode}) complete.`
+        );
+        recordBackupDebug('import-succeeded', {
+          mode,
+          fileName: activePreview.fileName || null,
+          lockedRecords: outcome.locked || 0,
+        });
+        finishImport();
+        return true;
       } else {
         await importSmartFromFileText(
           activeText || JSON.stringify(activePreview.raw),
@@ -1033,7 +1173,8 @@ export default function Settings() {
         mode,
         fileName: activePreview.fileName || null,
       });
-      clearSelectedBackup('successful-import');
+      finishImport();
+      return true;
     } catch (error) {
       console.error(error);
       setBackupMessage(
@@ -1045,6 +1186,7 @@ export default function Settings() {
         error: error?.message || String(error),
         selectionRetained: Boolean(getBackupImportCache().preview?.valid),
       });
+      return false;
     } finally {
       setBackupBusy(false);
     }
@@ -1237,7 +1379,9 @@ export default function Settings() {
             <p className="text-gray-300 text-sm">
               The Private Vault protects encrypted data with a passphrase and a
               one-time Recovery Code. The vault key remains only in memory while
-              the vault is unlocked.
+              the vault is unlocked. Prayer details, requestor descriptions,
+              event notes, and journal text are encrypted on this device while
+              the vault is on.
             </p>
             <button
               type="button"
@@ -1289,6 +1433,13 @@ export default function Settings() {
                 >
                   Lock now
                 </button>
+                <button
+                  type="button"
+                  className="px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded text-white"
+                  onClick={handleDisableVault}
+                >
+                  Turn off vault
+                </button>
               </div>
             )}
 
@@ -1663,6 +1814,27 @@ export default function Settings() {
             {vaultEnabled ? 'Export encrypted backup' : 'Export JSON'}
           </button>
 
+          {vaultEnabled && (
+            <button
+              type="button"
+              onClick={handleExportEntryBackup}
+              disabled={backupBusy}
+              className="px-4 py-2 bg-gray-700 text-white rounded hover:bg-gray-600 disabled:opacity-50"
+              title="Readable JSON where only Security records have their content encrypted"
+            >
+              Export JSON, encrypt Security entries
+            </button>
+          )}
+
+          <label className="inline-flex items-center gap-2 text-sm text-gray-300">
+            <input
+              type="checkbox"
+              checked={backupIncludeTrash}
+              onChange={(event) => updateBackupIncludeTrash(event.target.checked)}
+            />
+            Include items in Trash
+          </label>
+
           <label className="inline-flex items-center gap-2 cursor-pointer">
             <span className="px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded text-white">
               Choose backup file
@@ -1868,6 +2040,47 @@ export default function Settings() {
         )}
       </section>
 
+      <CloudBackupSection
+        onRestore={(text, preview, mode) =>
+          handleImportBackup(mode, { text, preview })
+        }
+      />
+
+      <section className="bg-gray-800 rounded-lg p-4 shadow mb-6">
+        <h3 className="text-lg font-semibold text-white mb-2">Trash</h3>
+        <p className="text-gray-300 text-sm mb-3">
+          Deleted categories, requestors, prayers, updates and journal entries
+          stay in the Trash until you restore them or delete them for good.
+        </p>
+        <button
+          type="button"
+          className="px-3 py-2 bg-blue-600 hover:bg-blue-700 rounded text-white"
+          onClick={() =>
+            window.dispatchEvent(new CustomEvent('ui:nav', { detail: 'trash' }))
+          }
+        >
+          Open Trash
+        </button>
+      </section>
+
+      <section className="bg-gray-800 rounded-lg p-4 shadow mb-6">
+        <h3 className="text-lg font-semibold text-white mb-2">Statistics</h3>
+        <p className="text-gray-300 text-sm mb-3">
+          Charts of requests opened and answered, answer times, active
+          requestors, and journaling, computed on this device. The numbers can
+          be exported as CSV.
+        </p>
+        <button
+          type="button"
+          className="px-3 py-2 bg-blue-600 hover:bg-blue-700 rounded text-white"
+          onClick={() =>
+            window.dispatchEvent(new CustomEvent('ui:nav', { detail: 'stats' }))
+          }
+        >
+          Open stats
+        </button>
+      </section>
+
       <section className="bg-gray-800 rounded-lg p-4 shadow mb-6">
         <h3 className="text-lg font-semibold text-white mb-2">Onboarding</h3>
         <div className="flex flex-wrap gap-2">
@@ -1,13 +1,38 @@
 // src/components/SingleView.jsx
 // Focus view of one eligible prayer, opened directly by ID or chosen randomly.
-// Editing does not modify the prayer's event timeline.
+// Editing does not modify the prayer's event timeline. Hidden fields from the
+// prayer's redaction profile are never shown here. Eligibility (never an
+// answered prayer) comes from the shared selector in utils/prayerStatus.
+// "Prayed" records a tap in the prayer log and shows the prayer's streak.
+// "Next" follows the rotation mode chosen here (see utils/focusRotation).
+// "Session" queues N prayers or a time budget for a guided FocusSession.
 
-import React, { useCallback, useEffect, useState } from 'react';
-import { db } from '../db';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { db, emitDbChanged } from '../db';
 import PrayerUpsertModal from './PrayerUpsertModal';
 import PrayerEventList from './PrayerEventList';
+import JournalBacklinks from './JournalBacklinks';
 import PrayerEventForm from './PrayerEventForm';
 import DataExportButton from './DataExportButton';
+import FocusSession from './FocusSession';
+import { redactPrayer } from '../utils/redaction';
+import { readAll } from '../utils/secureStore';
+import { selectFocusPrayers } from '../utils/prayerStatus';
+import {
+  formatLastPrayed,
+  loadPrayerLogSummary,
+  logPrayed,
+} from '../utils/prayerLog';
+import {
+  ROTATION_MODES,
+  buildSessionQueue,
+  endFocusSession,
+  getFocusSessionRequestorId,
+  loadRotationMode,
+  pickNextFocusPrayer,
+  saveRotationMode,
+} from '../utils/focusRotation';
+import { withoutTrashed } from '../utils/trash';
 
 function fmt(iso) {
   if (!iso) return '';
@@ -18,85 +43,95 @@ function fmt(iso) {
   return date.toLocaleDateString();
 }
 
-function randomPrayer(prayers) {
-  if (!prayers.length) return null;
-  return prayers[Math.floor(Math.random() * prayers.length)];
-}
-
-function getPrayerStatus(prayer) {
-  const normalizedStatus = String(prayer?.status ?? '')
-    .trim()
-    .toLowerCase();
-
-  if (normalizedStatus === 'answered') return 'answered';
-  if (normalizedStatus === 'requested') return 'requested';
+function lastPrayedMap(prayerLog) {
+  const map = new Map();
 
-  // Legacy fallback only: explicit status always wins when present.
-  return prayer?.answeredAt ? 'answered' : 'requested';
-}
+  for (const [prayerId, entry] of prayerLog?.byPrayer || []) {
+    map.set(prayerId, entry.lastPrayedAt);
+  }
 
-function isActivePrayer(prayer) {
-  return getPrayerStatus(prayer) === 'requested';
+  return map;
 }
 
-export default function SingleView({ initialPrayerId = null }) {
+export default function SingleView({
+  initialPrayerId = null,
+  onShowJournalEntry,
+}) {
   const [eligible, setEligible] = useState([]);
+  const [requestorById, setRequestorById] = useState(() => new Map());
+  const [categoryById, setCategoryById] = useState(() => new Map());
   const [current, setCurrent] = useState(null);
   const [loading, setLoading] = useState(true);
   const [editOpen, setEditOpen] = useState(false);
   const [addEventOpen, setAddEventOpen] = useState(false);
+  const [prayerLog, setPrayerLog] = useState(null);
+  const [praying, setPraying] = useState(false);
+  const [rotationMode, setRotationMode] = useState(loadRotationMode);
+  const [sessionSetupOpen, setSessionSetupOpen] = useState(false);
+  const [sessionKind, setSessionKind] = useState('count');
+  const [sessionCount, setSessionCount] = useState(5);
+  const [sessionMinutes, setSessionMinutes] = useState(10);
+  const [session, setSession] = useState(null);
+  const currentRef = useRef(null);
+  const rotationModeRef = useRef(rotationMode);
+
+  rotationModeRef.current = rotationMode;
+
+  const showPrayer = useCallback((prayer) => {
+    currentRef.current = prayer;
+    setCurrent(prayer);
+  }, []);
 
   const loadEligible = useCallback(async ({ preferInitial = false } = {}) => {
     setLoading(true);
 
     try {
-      const [categories, requestors, prayers] = await Promise.all([
-        db.categories.toArray(),
-        db.requestors.toArray(),
-        db.prayers.toArray(),
+      const [categories, requestors, prayers, logSummary] = await Promise.all([
+        db.categories.toArray().then(withoutTrashed),
+        readAll('requestors'),
+        readAll('prayers'),
+        loadPrayerLogSummary(),
       ]);
 
-      const eligibleCategoryIds = new Set(
-        categories
-          .filter((category) => Boolean(category.showSingle))
-          .map((category) => category.id)
-      );
-      const eligibleRequestorIds = new Set(
-        requestors
-          .filter(
-            (requestor) =>
-              !Boolean(requestor.archived) &&
-              eligibleCategoryIds.has(requestor.categoryId)
-          )
-          .map((requestor) => requestor.id)
-      );
-      const eligiblePrayers = prayers.filter(
-        (prayer) =>
-          eligibleRequestorIds.has(prayer.requestorId) &&
-          isActivePrayer(prayer)
-      );
+      const eligiblePrayers = selectFocusPrayers({
+        prayers,
+        requestors,
+        categories,
+      });
 
+      setRequestorById(new Map(requestors.map((row) => [row.id, row])));
+      setCategoryById(new Map(categories.map((row) => [row.id, row])));
       setEligible(eligiblePrayers);
-      setCurrent((previous) => {
-        if (preferInitial && initialPrayerId != null) {
-          return eligiblePrayers.find((prayer) => prayer.id === initialPrayerId) || null;
-        }
+      setPrayerLog(logSummary);
 
-        if (previous) {
-          const refreshed = eligiblePrayers.find((prayer) => prayer.id === previous.id);
-          if (refreshed) return refreshed;
-        }
+      const previous = currentRef.current;
 
-        return randomPrayer(eligiblePrayers);
-      });
+      if (preferInitial && initialPrayerId != null) {
+        showPrayer(
+          eligiblePrayers.find((prayer) => prayer.id === initialPrayerId) || null
+        );
+        return;
+      }
+
+      const refreshed = previous
+        ? eligiblePrayers.find((prayer) => prayer.id === previous.id)
+        : null;
+
+      showPrayer(
+        refreshed ||
+          pickNextFocusPrayer(rotationModeRef.current, eligiblePrayers, {
+            currentId: previous?.id ?? null,
+            lastPrayedById: lastPrayedMap(logSummary),
+          })
+      );
     } catch (error) {
       console.error('Load eligible failed', error);
       setEligible([]);
-      setCurrent(null);
+      showPrayer(null);
     } finally {
       setLoading(false);
     }
-  }, [initialPrayerId]);
+  }, [initialPrayerId, showPrayer]);
 
   useEffect(() => {
     loadEligible({ preferInitial: true });
@@ -106,14 +141,90 @@ export default function SingleView({ initialPrayerId = null }) {
     const onDbChanged = () => loadEligible({ preferInitial: false });
 
     window.addEventListener('db:changed', onDbChanged);
-    return () => window.removeEventListener('db:changed', onDbChanged);
+    window.addEventListener('vault:changed', onDbChanged);
+    return () => {
+      window.removeEventListener('db:changed', onDbChanged);
+      window.removeEventListener('vault:changed', onDbChanged);
+    };
   }, [loadEligible]);
 
-  function nextRandom() {
+  function nextPrayer() {
     if (!eligible.length) return;
 
     setAddEventOpen(false);
-    setCurrent(randomPrayer(eligible));
+    showPrayer(
+      pickNextFocusPrayer(rotationMode, eligible, {
+        currentId: current?.id ?? null,
+        lastPrayedById: lastPrayedMap(prayerLog),
+      })
+    );
+  }
+
+  function nextPerson() {
+    endFocusSession();
+    nextPrayer();
+  }
+
+  function changeRotationMode(mode) {
+    setRotationMode(mode);
+    saveRotationMode(mode);
+  }
+
+  async function markPrayed() {
+    setPraying(true);
+
+    try {
+      await logPrayed(current.id);
+      emitDbChanged();
+    } catch (error) {
+      console.error('Log prayed failed', error);
+      window.alert(error?.message || 'Failed to log this prayer.');
+    } finally {
+      setPraying(false);
+    }
+  }
+
+  function viewFor(prayer) {
+    const owner = requestorById.get(prayer.requestorId) || null;
+
+    return redactPrayer({
+      prayer,
+      requestor: owner,
+      category: owner ? categoryById.get(owner.categoryId) || null : null,
+    });
+  }
+
+  function startSession(event) {
+    event?.preventDefault?.();
+
+    const byTime = sessionKind === 'time';
+    const queue = buildSessionQueue(
+      rotationMode,
+      eligible,
+      byTime ? eligible.length : Number(sessionCount) || 1,
+      { lastPrayedById: lastPrayedMap(prayerLog) }
+    );
+
+    if (!queue.length) return;
+
+    setSessionSetupOpen(false);
+    setAddEventOpen(false);
+    setSession({
+      items: queue.map((prayer) => ({ prayer, view: viewFor(prayer) })),
+      timeBudgetMinutes: byTime ? Math.max(1, Number(sessionMinutes) || 1) : null,
+    });
+  }
+
+  // Rendered ahead of the loading state so db:changed reloads mid-session
+  // don't unmount it.
+  if (session) {
+    return (
+      <FocusSession
+        items={session.items}
+        timeBudgetMinutes={session.timeBudgetMinutes}
+        onExit={() => setSession(null)}
+      />
+    );
   }
 
   if (loading) return <div className="p-4">Loading…</div>;
@@ -122,6 +233,13 @@ export default function SingleView({ initialPrayerId = null }) {
     return <div className="p-4">No eligible prayers for Focus.</div>;
   }
 
+  const view = viewFor(current);
+  const logEntry = prayerLog?.byPrayer.get(current.id) || null;
+  const sessionRequestor =
+    rotationMode === 'requestor'
+      ? requestorById.get(getFocusSessionRequestorId()) || null
+      : null;
+
   return (
     <div className="p-4 pb-24">
       <div
@@ -135,9 +253,15 @@ export default function SingleView({ initialPrayerId = null }) {
       >
         <div className="flex flex-col gap-3 sm:flex-row sm:items-start sm:justify-between">
           <div className="w-full min-w-0 sm:pr-2">
-            <h3 className="text-xl font-semibold text-white">{current.name}</h3>
+            <h3 className="text-xl font-semibold text-white">{view.title}</h3>
             <div className="text-gray-300 text-sm">
-              Requested: {fmt(current.requestedAt)} • Status: Requested
+              {view.requestorName} • {view.categoryName}
+              {view.requestedAt && <> • Requested: {fmt(view.requestedAt)}</>}
+              {' '}• Status: Requested
+            </div>
+            <div className="text-yellow-300 text-xs mt-1">
+              {formatLastPrayed(logEntry?.lastPrayedAt)}
+              {logEntry?.streak > 1 && <> • {logEntry.streak}-day streak</>}
             </div>
           </div>
 
@@ -159,41 +283,160 @@ export default function SingleView({ initialPrayerId = null }) {
 
         <div className="mt-3 min-h-0 flex-1 overflow-y-auto pr-1">
           <p className="text-gray-100 whitespace-pre-wrap">
-            {current.description || '(No details)'}
+            {current.locked && view.profile.description
+              ? '🔒 Details encrypted — unlock the Private Vault in Settings to read them.'
+              : view.description || (view.profile.description ? '(No details)' : '(Details hidden)')}
           </p>
 
-          <div className="mt-4">
-            <div className="flex items-center justify-between mb-2">
-              <h4 className="text-white font-semibold">Events</h4>
-              <button
-                type="button"
-                onClick={() => setAddEventOpen((open) => !open)}
-                className="text-sm px-2 py-1 rounded bg-indigo-600 hover:bg-indigo-700 text-white"
-              >
-                {addEventOpen ? 'Close' : 'Add event'}
-              </button>
-            </div>
+          {view.showEvents && (
+            <div className="mt-4">
+              <div className="flex items-center justify-between mb-2">
+                <h4 className="text-white font-semibold">Events</h4>
+                <button
+                  type="button"
+                  onClick={() => setAddEventOpen((open) => !open)}
+                  className="text-sm px-2 py-1 rounded bg-indigo-600 hover:bg-indigo-700 text-white"
+                >
+                  {addEventOpen ? 'Close' : 'Add event'}
+                </button>
+              </div>
 
-            {addEventOpen && (
-              <PrayerEventForm
+              {addEventOpen && (
+                <PrayerEventForm
+                  prayerId={current.id}
+                  onSuccess={() => setAddEventOpen(false)}
+                  onCancel={() => setAddEventOpen(false)}
+                />
+              )}
+
+              <PrayerEventList prayerId={current.id} allowDelete />
+              <JournalBacklinks
                 prayerId={current.id}
-                onSuccess={() => setAddEventOpen(false)}
-                onCancel={() => setAddEventOpen(false)}
+                onShowJournalEntry={onShowJournalEntry}
               />
-            )}
-
-            <PrayerEventList prayerId={current.id} allowDelete />
-          </div>
+            </div>
+          )}
         </div>
 
         <div className="mt-3 border-t border-gray-700 pt-3 flex-shrink-0">
-          <button
-            type="button"
-            onClick={nextRandom}
-            className="px-3 py-1 rounded bg-yellow-500 hover:bg-yellow-600 text-black"
-          >
-            Next
-          </button>
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              type="button"
+              onClick={markPrayed}
+              disabled={praying}
+              className="px-3 py-1 rounded bg-emerald-600 hover:bg-emerald-700 text-white disabled:opacity-50"
+              title="Record that you prayed for this today"
+            >
+              {logEntry?.prayedToday ? 'Prayed ✓' : 'Prayed'}
+            </button>
+            <button
+              type="button"
+              onClick={nextPrayer}
+              className="px-3 py-1 rounded bg-yellow-500 hover:bg-yellow-600 text-black"
+            >
+              Next
+            </button>
+            <button
+              type="button"
+              onClick={() => setSessionSetupOpen((open) => !open)}
+              className="px-3 py-1 rounded bg-indigo-600 hover:bg-indigo-700 text-white"
+              aria-expanded={sessionSetupOpen}
+            >
+              Session
+            </button>
+            {rotationMode === 'requestor' && (
+              <button
+                type="button"
+                onClick={nextPerson}
+                className="px-3 py-1 rounded bg-gray-600 hover:bg-gray-500 text-white"
+              >
+                Next person
+              </button>
+            )}
+            <label className="ml-auto flex items-center gap-2 text-sm text-gray-300">
+              Order
+              <select
+                value={rotationMode}
+                onChange={(event) => changeRotationMode(event.target.value)}
+                className="rounded bg-gray-700 px-2 py-1 text-white focus:outline-none focus:ring-2 focus:ring-yellow-500"
+              >
+                {ROTATION_MODES.map((mode) => (
+                  <option key={mode.value} value={mode.value}>
+                    {mode.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+          {sessionRequestor && (
+            <p className="mt-2 text-xs text-gray-400">
+              Praying for {sessionRequestor.name} this session.
+            </p>
+          )}
+          {sessionSetupOpen && (
+            <form
+              onSubmit={startSession}
+              className="mt-3 rounded bg-gray-700 p-3 text-sm text-gray-200 space-y-2"
+            >
+              <div className="font-semibold text-white">Guided session</div>
+              <label className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  name="focus-session-kind"
+                  checked={sessionKind === 'count'}
+                  onChange={() => setSessionKind('count')}
+                />
+                <input
+                  type="number"
+                  min="1"
+                  max={eligible.length}
+                  value={sessionCount}
+                  onChange={(event) => setSessionCount(event.target.value)}
+                  onFocus={() => setSessionKind('count')}
+                  className="w-16 rounded bg-gray-600 px-2 py-1 text-white"
+                  aria-label="Number of prayers"
+                />
+                prayers (of {eligible.length})
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  name="focus-session-kind"
+                  checked={sessionKind === 'time'}
+                  onChange={() => setSessionKind('time')}
+                />
+                <input
+                  type="number"
+                  min="1"
+                  max="240"
+                  value={sessionMinutes}
+                  onChange={(event) => setSessionMinutes(event.target.value)}
+                  onFocus={() => setSessionKind('time')}
+                  className="w-16 rounded bg-gray-600 px-2 py-1 text-white"
+                  aria-label="Time budget in minutes"
+                />
+                minutes
+              </label>
+              <p className="text-xs text-gray-400">
+                Prayers come in the order chosen above.
+              </p>
+              <div className="flex gap-2">
+                <button
+                  type="submit"
+                  className="px-3 py-1 rounded bg-green-600 hover:bg-green-700 text-white"
+                >
+                  Start
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setSessionSetupOpen(false)}
+                  className="px-3 py-1 rounded bg-gray-600 hover:bg-gray-500 text-white"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
         </div>
       </div>
 
@@ -0,0 +1,94 @@
+// src/components/StatsBarChart.jsx
+// Small grouped bar chart drawn as inline SVG (no chart library, no network).
+//
+// Props:
+//   data: [{ key, label, ...values }]
+//   series: [{ key, label, className }]  // className sets the bar fill
+//   title: string                        // accessible name for the chart
+
+import React from 'react';
+
+const HEIGHT = 140;
+const LABEL_SPACE = 18;
+const GROUP_WIDTH = 28;
+const GROUP_GAP = 8;
+
+export default function StatsBarChart({ data, series, title }) {
+  const max = Math.max(
+    1,
+    ...data.flatMap((row) => series.map((item) => Number(row[item.key]) || 0))
+  );
+  const barWidth = GROUP_WIDTH / series.length;
+  const width = data.length * (GROUP_WIDTH + GROUP_GAP);
+  // Label every other group once the axis gets crowded.
+  const labelEvery = data.length > 8 ? 2 : 1;
+
+  return (
+    <figure>
+      <div className="overflow-x-auto">
+        <svg
+          role="img"
+          aria-label={title}
+          viewBox={`0 0 ${width} ${HEIGHT + LABEL_SPACE}`}
+          className="w-full min-w-[320px]"
+        >
+          <line
+            x1="0"
+            x2={width}
+            y1={HEIGHT}
+            y2={HEIGHT}
+            className="stroke-gray-600"
+            strokeWidth="1"
+          />
+          {data.map((row, index) => {
+            const x = index * (GROUP_WIDTH + GROUP_GAP) + GROUP_GAP / 2;
+
+            return (
+              <g key={row.key}>
+                {series.map((item, seriesIndex) => {
+                  const value = Number(row[item.key]) || 0;
+                  const height = Math.round((value / max) * (HEIGHT - 12));
+
+                  return (
+                    <rect
+                      key={item.key}
+                      x={x + seriesIndex * barWidth}
+                      y={HEIGHT - height}
+                      width={Math.max(1, barWidth - 2)}
+                      height={height}
+                      className={item.className}
+                    >
+                      <title>{`${row.label} — ${item.label}: ${value}`}</title>
+                    </rect>
+                  );
+                })}
+                {index % labelEvery === 0 && (
+                  <text
+                    x={x + GROUP_WIDTH / 2}
+                    y={HEIGHT + 13}
+                    textAnchor="middle"
+                    className="fill-gray-400"
+                    fontSize="9"
+                  >
+                    {row.label}
+                  </text>
+                )}
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+      <figcaption className="mt-1 flex flex-wrap gap-3 text-xs text-gray-300">
+        {series.map((item) => (
+          <span key={item.key} className="inline-flex items-center gap-1">
+            <svg width="10" height="10" aria-hidden="true">
+              <rect width="10" height="10" className={item.className} />
+            </svg>
+            {item.label}
+          </span>
+        ))}
+        <span className="text-gray-500">Max {max}</span>
+      </figcaption>
+    </figure>
+  );
+}
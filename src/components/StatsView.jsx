@@ -0,0 +1,225 @@
+// src/components/StatsView.jsx
+// Stats screen (opened from Settings or #stats): requests opened/answered per
+// month, median time to answer per category, most active requestors, timeline
+// events and journal entries per week. Charts are local SVG; "Export CSV"
+// downloads the same numbers via papaparse.
+
+import React, { useEffect, useState } from 'react';
+import Papa from 'papaparse';
+import StatsBarChart from './StatsBarChart';
+import {
+  STATS_MONTHS,
+  STATS_WEEKS,
+  loadPrayerStats,
+  statsToCsvRows,
+} from '../utils/prayerStats';
+
+function fmt(iso) {
+  if (!iso) return '';
+
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) return '';
+
+  return date.toLocaleDateString();
+}
+
+function formatDays(days) {
+  if (days == null) return '—';
+  const rounded = Math.round(days * 10) / 10;
+  return `${rounded} day${rounded === 1 ? '' : 's'}`;
+}
+
+function downloadCsv(csvText, fileName) {
+  const blob = new Blob([csvText], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const anchor = document.createElement('a');
+
+  anchor.href = url;
+  anchor.download = fileName;
+  document.body.appendChild(anchor);
+  anchor.click();
+
+  setTimeout(() => {
+    document.body.removeChild(anchor);
+    URL.revokeObjectURL(url);
+  }, 0);
+}
+
+function Card({ title, children }) {
+  return (
+    <section className="bg-gray-800 rounded-lg p-4 shadow mb-6">
+      <h3 className="text-lg font-semibold text-white mb-3">{title}</h3>
+      {children}
+    </section>
+  );
+}
+
+export default function StatsView() {
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const next = await loadPrayerStats();
+        if (!cancelled) {
+          setStats(next);
+          setError('');
+        }
+      } catch (loadError) {
+        console.error('Error loading stats:', loadError);
+        if (!cancelled) setError('Could not load statistics.');
+      }
+    };
+
+    load();
+    window.addEventListener('db:changed', load);
+    return () => {
+      cancelled = true;
+      window.removeEventListener('db:changed', load);
+    };
+  }, []);
+
+  function handleExportCsv() {
+    const csv = Papa.unparse(statsToCsvRows(stats), {
+      columns: ['section', 'period', 'label', 'metric', 'value'],
+    });
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    downloadCsv(csv, `closet-prayer-stats-${stamp}.csv`);
+  }
+
+  const maxMedian = Math.max(
+    1,
+    ...(stats?.answerTimes || []).map((row) => row.medianDays || 0)
+  );
+  const maxActivity = Math.max(
+    1,
+    ...(stats?.topRequestors || []).map((row) => row.prayers + row.events)
+  );
+
+  return (
+    <div className="p-4 pb-24 max-w-3xl mx-auto">
+      <div className="mb-4 flex flex-wrap items-center justify-between gap-3">
+        <h2 className="text-2xl font-bold">Stats</h2>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={handleExportCsv}
+            disabled={!stats}
+            className="px-3 py-2 text-sm rounded bg-green-600 hover:bg-green-700 text-white disabled:opacity-50"
+          >
+            Export CSV
+          </button>
+          <button
+            type="button"
+            onClick={() =>
+              window.dispatchEvent(
+                new CustomEvent('ui:nav', { detail: 'settings' })
+              )
+            }
+            className="px-3 py-2 text-sm rounded bg-gray-700 hover:bg-gray-600 text-gray-200"
+          >
+            Back to Settings
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-red-400 mb-4">{error}</p>}
+      {!stats && !error && <p className="text-gray-400">Loading…</p>}
+
+      {stats && (
+        <>
+          <Card title={`Requests per month (last ${STATS_MONTHS})`}>
+            <StatsBarChart
+              title="Prayer requests opened and answered per month"
+              data={stats.monthly}
+              series={[
+                { key: 'opened', label: 'Opened', className: 'fill-yellow-500' },
+                { key: 'answered', label: 'Answered', className: 'fill-emerald-500' },
+              ]}
+            />
+          </Card>
+
+          <Card title="Median time to answer by category">
+            {stats.answerTimes.length === 0 ? (
+              <p className="text-gray-400 text-sm">No answered prayers yet.</p>
+            ) : (
+              <ul className="space-y-2">
+                {stats.answerTimes.map((row) => (
+                  <li key={row.categoryId ?? 'none'}>
+                    <div className="flex justify-between text-sm text-gray-200">
+                      <span>{row.categoryName}</span>
+                      <span className="text-gray-400">
+                        {formatDays(row.medianDays)} • {row.answered} answered
+                      </span>
+                    </div>
+                    <div className="mt-1 h-2 rounded bg-gray-700">
+                      <div
+                        className="h-2 rounded bg-emerald-500"
+                        style={{
+                          width: `${((row.medianDays || 0) / maxMedian) * 100}%`,
+                        }}
+                      />
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </Card>
+
+          <Card title="Most active requestors">
+            {stats.topRequestors.length === 0 ? (
+              <p className="text-gray-400 text-sm">No prayers yet.</p>
+            ) : (
+              <ul className="space-y-2">
+                {stats.topRequestors.map((row) => (
+                  <li key={row.requestorId ?? 'none'}>
+                    <div className="flex justify-between gap-2 text-sm text-gray-200">
+                      <span className="truncate">
+                        {row.name}
+                        <span className="text-gray-500"> • {row.categoryName}</span>
+                      </span>
+                      <span className="shrink-0 text-gray-400">
+                        {row.prayers} prayers ({row.open} open) • {row.events} events
+                      </span>
+                    </div>
+                    <div className="mt-1 h-2 rounded bg-gray-700">
+                      <div
+                        className="h-2 rounded bg-blue-500"
+                        style={{
+                          width: `${((row.prayers + row.events) / maxActivity) * 100}%`,
+                        }}
+                      />
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </Card>
+
+          <Card title={`Timeline events and journaling per week (last ${STATS_WEEKS})`}>
+            <StatsBarChart
+              title="Timeline events and journal entries per week"
+              data={stats.weekly}
+              series={[
+                { key: 'events', label: 'Timeline events', className: 'fill-indigo-500' },
+                { key: 'journal', label: 'Journal entries', className: 'fill-pink-500' },
+              ]}
+            />
+            <p className="mt-3 text-sm text-gray-300">
+              Journal: {stats.journal.total} entries in total •{' '}
+              {stats.journal.last30Days} in the last 30 days •{' '}
+              {stats.journal.perWeek} per week
+              {stats.journal.lastEntryAt && (
+                <> • Last entry {fmt(stats.journal.lastEntryAt)}</>
+              )}
+            </p>
+          </Card>
+        </>
+      )}
+    </div>
+  );
+}
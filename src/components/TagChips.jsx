@@ -0,0 +1,39 @@
+// src/components/TagChips.jsx
+// Read-only tag chips for cards. With `onSelect`, each chip becomes a button
+// (used to filter a list by that tag); `activeTag` is shown highlighted.
+
+import React from 'react';
+import { normalizeTags } from '../utils/tags';
+
+export default function TagChips({ tags, onSelect, activeTag = '', className = '' }) {
+  const list = normalizeTags(tags);
+  if (!list.length) return null;
+
+  return (
+    <div className={`flex flex-wrap gap-1 ${className}`}>
+      {list.map((tag) => {
+        const chipClass = `rounded-full px-2 py-0.5 text-xs ${
+          tag === activeTag
+            ? 'bg-teal-500 text-black'
+            : 'bg-teal-800 text-teal-100'
+        }`;
+
+        return onSelect ? (
+          <button
+            key={tag}
+            type="button"
+            onClick={() => onSelect(tag)}
+            className={`${chipClass} hover:bg-teal-600`}
+            title={`Show only #${tag}`}
+          >
+            #{tag}
+          </button>
+        ) : (
+          <span key={tag} className={chipClass}>
+            #{tag}
+          </span>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+// src/components/TagPicker.jsx
+// Tag editor for prayer, event and journal forms. Type a tag and press Enter or
+// comma; existing tags are offered as suggestions. `value` is a string array.
+
+import React, { useEffect, useState } from 'react';
+import { loadTagCounts, normalizeTags, parseTagInput } from '../utils/tags';
+
+export default function TagPicker({ idPrefix, value, onChange, disabled = false }) {
+  const tags = normalizeTags(value);
+  const [draft, setDraft] = useState('');
+  const [known, setKnown] = useState([]);
+  const inputId = `${idPrefix}-tags`;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadTagCounts()
+      .then((rows) => {
+        if (!cancelled) setKnown(rows.map((row) => row.tag));
+      })
+      .catch(() => {});
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  function commit(text = draft) {
+    const added = parseTagInput(text);
+    if (added.length) onChange?.(normalizeTags([...tags, ...added]));
+    setDraft('');
+  }
+
+  function remove(tag) {
+    onChange?.(tags.filter((item) => item !== tag));
+  }
+
+  function handleKeyDown(event) {
+    if (event.key === 'Enter' || event.key === ',') {
+      event.preventDefault();
+      commit();
+    } else if (event.key === 'Backspace' && !draft && tags.length) {
+      remove(tags[tags.length - 1]);
+    }
+  }
+
+  const suggestions = known.filter((tag) => !tags.includes(tag));
+
+  return (
+    <div>
+      <label htmlFor={inputId} className="block text-gray-300 text-sm mb-1">
+        Tags (optional)
+      </label>
+      <div className="flex flex-wrap items-center gap-1 p-2 bg-gray-600 rounded focus-within:ring-2 focus-within:ring-blue-500">
+        {tags.map((tag) => (
+          <span
+            key={tag}
+            className="inline-flex items-center gap-1 rounded-full bg-teal-700 px-2 py-0.5 text-xs text-teal-50"
+          >
+            #{tag}
+            <button
+              type="button"
+              onClick={() => remove(tag)}
+              disabled={disabled}
+              className="text-teal-200 hover:text-white"
+              aria-label={`Remove tag ${tag}`}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+        <input
+          id={inputId}
+          type="text"
+          value={draft}
+          list={`${inputId}-suggestions`}
+          onChange={(event) => {
+            const next = event.target.value;
+            const inputType = event.nativeEvent?.inputType;
+            // Picking a datalist suggestion replaces the whole value at once.
+            const picked =
+              (!inputType || inputType === 'insertReplacementText') &&
+              suggestions.includes(next);
+
+            if (picked) commit(next);
+            else setDraft(next);
+          }}
+          onKeyDown={handleKeyDown}
+          onBlur={() => draft.trim() && commit()}
+          disabled={disabled}
+          placeholder={tags.length ? '' : 'e.g., healing, provision'}
+          className="min-w-[8rem] flex-1 bg-transparent text-white text-sm focus:outline-none"
+        />
+        <datalist id={`${inputId}-suggestions`}>
+          {suggestions.map((tag) => (
+            <option key={tag} value={tag} />
+          ))}
+        </datalist>
+      </div>
+    </div>
+  );
+}
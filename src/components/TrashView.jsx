@@ -0,0 +1,196 @@
+// src/components/TrashView.jsx
+// Trash screen (opened from Settings or #trash). Lists deletes newest first,
+// one row per delete with what came along with it (a requestor's prayers, a
+// prayer's updates), and restores or permanently deletes them.
+
+import React, { useEffect, useState } from 'react';
+import { emitDbChanged } from '../db';
+import {
+  emptyTrash,
+  listTrash,
+  purgeFromTrash,
+  restoreFromTrash,
+} from '../utils/trash';
+
+const KIND_LABELS = {
+  categories: ['category', 'categories'],
+  requestors: ['requestor', 'requestors'],
+  prayers: ['prayer', 'prayers'],
+  events: ['update', 'updates'],
+  journalEntries: ['journal entry', 'journal entries'],
+  prayerLog: ['prayed log entry', 'prayed log entries'],
+};
+
+function fmtDateTime(iso) {
+  if (!iso) return '';
+
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) return '';
+
+  return date.toLocaleString();
+}
+
+function describeCounts(batch) {
+  return Object.entries(batch.counts)
+    .map(([tableName, count]) => {
+      // The batch's own row is named in the title.
+      const others = tableName === batch.tableName ? count - 1 : count;
+      if (!others) return null;
+
+      const [one, many] = KIND_LABELS[tableName] || [tableName, tableName];
+      return `${others} ${others === 1 ? one : many}`;
+    })
+    .filter(Boolean)
+    .join(', ');
+}
+
+export default function TrashView() {
+  const [batches, setBatches] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const next = await listTrash();
+        if (!cancelled) setBatches(next);
+      } catch (error) {
+        console.error('Load trash failed', error);
+        if (!cancelled) setBatches([]);
+      }
+    };
+
+    load();
+    window.addEventListener('db:changed', load);
+    return () => {
+      cancelled = true;
+      window.removeEventListener('db:changed', load);
+    };
+  }, []);
+
+  async function run(batchId, task, doneMessage) {
+    setBusyId(batchId);
+    setMessage('');
+
+    try {
+      await task();
+      emitDbChanged();
+      setMessage(doneMessage);
+    } catch (error) {
+      console.error('Trash action failed', error);
+      setMessage(error?.message || 'That did not work. See the console.');
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  function handlePurge(batch) {
+    const confirmed = window.confirm(
+      `Permanently delete “${batch.label}”? This cannot be undone.`
+    );
+    if (!confirmed) return;
+
+    run(batch.batchId, () => purgeFromTrash(batch.batchId), 'Deleted permanently.');
+  }
+
+  function handleEmpty() {
+    const confirmed = window.confirm(
+      'Permanently delete everything in the Trash? This cannot be undone.'
+    );
+    if (!confirmed) return;
+
+    run('all', emptyTrash, 'Trash emptied.');
+  }
+
+  return (
+    <div className="p-4 pb-24 max-w-3xl mx-auto">
+      <div className="mb-4 flex flex-wrap items-center justify-between gap-3">
+        <h2 className="text-2xl font-bold">Trash</h2>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={handleEmpty}
+            disabled={!batches?.length || busyId != null}
+            className="px-3 py-2 text-sm rounded bg-red-600 hover:bg-red-700 text-white disabled:opacity-50"
+          >
+            Empty Trash
+          </button>
+          <button
+            type="button"
+            onClick={() =>
+              window.dispatchEvent(
+                new CustomEvent('ui:nav', { detail: 'settings' })
+              )
+            }
+            className="px-3 py-2 text-sm rounded bg-gray-700 hover:bg-gray-600 text-gray-200"
+          >
+            Back to Settings
+          </button>
+        </div>
+      </div>
+
+      {message && <p className="text-gray-300 mb-4">{message}</p>}
+      {!batches && <p className="text-gray-400">Loading…</p>}
+      {batches?.length === 0 && (
+        <p className="text-gray-400">The Trash is empty.</p>
+      )}
+
+      {batches?.length > 0 && (
+        <ul className="space-y-2">
+          {batches.map((batch) => {
+            const [kind] = KIND_LABELS[batch.tableName] || [batch.tableName];
+            const extra = describeCounts(batch);
+
+            return (
+              <li
+                key={batch.batchId}
+                className="bg-gray-800 rounded-lg p-3 shadow flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between"
+              >
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="rounded bg-gray-700 px-2 py-0.5 text-xs capitalize text-gray-300">
+                      {kind}
+                    </span>
+                    <span className="font-semibold text-white truncate">
+                      {batch.label}
+                    </span>
+                  </div>
+                  <div className="text-xs text-gray-400 mt-1">
+                    Deleted {fmtDateTime(batch.deletedAt)}
+                    {extra && ` • with ${extra}`}
+                  </div>
+                </div>
+                <div className="flex gap-2 sm:shrink-0">
+                  <button
+                    type="button"
+                    onClick={() =>
+                      run(
+                        batch.batchId,
+                        () => restoreFromTrash(batch.batchId),
+                        `Restored “${batch.label}”.`
+                      )
+                    }
+                    disabled={busyId != null}
+                    className="px-3 py-1 text-sm rounded bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
+                  >
+                    Restore
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handlePurge(batch)}
+                    disabled={busyId != null}
+                    className="px-3 py-1 text-sm rounded bg-gray-700 hover:bg-red-700 text-gray-100 disabled:opacity-50"
+                  >
+                    Delete forever
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -1,10 +1,116 @@
 // src/components/TutorialModal.jsx
-import React, { useEffect, useState } from 'react';
-import slides from '../utils/tutorialSlides';
+// Slide-deck walkthrough. A slide may point at real UI:
+// - `tab`: switch to this tab (via `ui:nav`) before the slide shows.
+// - `target`: CSS selector (usually `[data-tour="…"]`) to spotlight; the rest
+//   of the screen is dimmed and blocked.
+// - `waitForTap`: advance only when the user taps the spotlighted element.
+// - `media`: `{ type: 'image' | 'video', src, alt }`, src relative to public/.
+// Slides whose target never appears fall back to a plain centered card.
+import React, { useEffect, useRef, useState } from 'react';
+import tutorialSlides from '../utils/tutorialSlides';
 
-export default function TutorialModal({ onClose }) {
+const SPOTLIGHT_PADDING = 8;
+const TARGET_WAIT_MS = 2000;
+
+function sameRect(a, b) {
+  return (
+    a && b &&
+    a.top === b.top &&
+    a.left === b.left &&
+    a.width === b.width &&
+    a.height === b.height
+  );
+}
+
+// Tracks the target's padded viewport rect every frame, so scrolling, resizing
+// and tab transitions keep the spotlight aligned. Null when there is no target.
+function useSpotlightRect(selector) {
+  const [rect, setRect] = useState(null);
+
+  useEffect(() => {
+    setRect(null);
+    if (!selector) return undefined;
+
+    const startedAt = Date.now();
+    let frame = 0;
+    let scrolled = false;
+
+    const measure = () => {
+      const element = document.querySelector(selector);
+
+      if (!element) {
+        setRect(null);
+        if (!scrolled && Date.now() - startedAt > TARGET_WAIT_MS) return;
+        frame = requestAnimationFrame(measure);
+        return;
+      }
+
+      if (!scrolled) {
+        scrolled = true;
+        element.scrollIntoView?.({ block: 'center', behavior: 'smooth' });
+      }
+
+      const box = element.getBoundingClientRect();
+      const next = {
+        top: Math.round(box.top - SPOTLIGHT_PADDING),
+        left: Math.round(box.left - SPOTLIGHT_PADDING),
+        width: Math.round(box.width + SPOTLIGHT_PADDING * 2),
+        height: Math.round(box.height + SPOTLIGHT_PADDING * 2),
+      };
+
+      setRect((prev) => (sameRect(prev, next) ? prev : next));
+      frame = requestAnimationFrame(measure);
+    };
+
+    frame = requestAnimationFrame(measure);
+    return () => cancelAnimationFrame(frame);
+  }, [selector]);
+
+  return rect;
+}
+
+function SlideMedia({ media }) {
+  if (!media?.src) return null;
+
+  const src = `${import.meta.env.BASE_URL}${media.src.replace(/^\/+/, '')}`;
+
+  if (media.type === 'video') {
+    return (
+      <video
+        className="mb-4 w-full max-h-48 rounded-lg bg-black object-contain"
+        src={src}
+        aria-label={media.alt || undefined}
+        autoPlay
+        loop
+        muted
+        playsInline
+      />
+    );
+  }
+
+  return (
+    <img
+      className="mb-4 mx-auto max-h-48 rounded-lg object-contain"
+      src={src}
+      alt={media.alt || ''}
+    />
+  );
+}
+
+// `slides` defaults to the onboarding tour; other one-off walkthroughs (e.g.
+// the cloud backup privacy notice) pass their own. `onComplete` runs when the
+// last slide is confirmed; closing early only calls `onClose`.
+export default function TutorialModal({
+  onClose,
+  onComplete,
+  slides = tutorialSlides,
+  label = 'Onboarding tutorial',
+}) {
   const [idx, setIdx] = useState(0);
   const slide = slides[idx];
+  const rect = useSpotlightRect(slide.target);
+  const waitingForTap = Boolean(slide.waitForTap && rect);
+  const advanceRef = useRef(null);
 
   // Escape closes
   useEffect(() => {
@@ -15,17 +121,40 @@ export default function TutorialModal({ onClose }) {
     return () => window.removeEventListener('keydown', onKey);
   }, [onClose]);
 
+  // Bring the slide's tab on screen before spotlighting inside it.
+  useEffect(() => {
+    if (!slide.tab) return;
+    try {
+      window.dispatchEvent(new CustomEvent('ui:nav', { detail: slide.tab }));
+    } catch {}
+  }, [slide.tab]);
+
+  // The tapped element still receives its own click; the tour follows.
+  useEffect(() => {
+    if (!waitingForTap) return undefined;
+
+    const onClick = (event) => {
+      if (event.target?.closest?.(slide.target)) advanceRef.current?.();
+    };
+
+    document.addEventListener('click', onClick, true);
+    return () => document.removeEventListener('click', onClick, true);
+  }, [waitingForTap, slide.target]);
+
   const isFirst = idx === 0;
   const isLast = idx === slides.length - 1;
 
   function handlePrimary() {
     if (isLast) {
-      onClose?.();
+      if (onComplete) onComplete();
+      else onClose?.();
       return;
     }
     setIdx((i) => Math.min(slides.length - 1, i + 1));
   }
 
+  advanceRef.current = handlePrimary;
+
   function handleBack() {
     setIdx((i) => Math.max(0, i - 1));
   }
@@ -42,21 +171,81 @@ export default function TutorialModal({ onClose }) {
     } catch {}
   }
 
+  // Keep the card clear of the spotlight: above targets in the lower half of
+  // the screen, below the rest.
+  const cardPlacement = !rect
+    ? 'items-center'
+    : rect.top + rect.height / 2 > window.innerHeight / 2
+      ? 'items-start pt-6'
+      : 'items-end pb-28';
+
   return (
     <div
-      className="fixed inset-0 z-50 flex items-center justify-center"
+      className={`fixed inset-0 z-[10000] flex justify-center pointer-events-none ${cardPlacement}`}
       role="dialog"
       aria-modal="true"
-      aria-label="Onboarding tutorial"
+      aria-label={label}
     >
-      {/* backdrop */}
-      <div
-        className="absolute inset-0 bg-black/70"
-        onClick={onClose}
-        aria-hidden="true"
-      />
+      {rect ? (
+        <>
+          {/* Dim everything but the target; the four blockers stop taps
+              outside it, the hole blocker unless a tap is expected. */}
+          <div
+            className="fixed rounded-lg ring-4 ring-yellow-400 transition-all duration-200"
+            style={{
+              top: rect.top,
+              left: rect.left,
+              width: rect.width,
+              height: rect.height,
+              boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.7)',
+            }}
+            aria-hidden="true"
+          />
+          <div
+            className="fixed inset-x-0 top-0 pointer-events-auto"
+            style={{ height: Math.max(0, rect.top) }}
+            aria-hidden="true"
+          />
+          <div
+            className="fixed inset-x-0 bottom-0 pointer-events-auto"
+            style={{ top: rect.top + rect.height }}
+            aria-hidden="true"
+          />
+          <div
+            className="fixed left-0 pointer-events-auto"
+            style={{ top: rect.top, height: rect.height, width: Math.max(0, rect.left) }}
+            aria-hidden="true"
+          />
+          <div
+            className="fixed right-0 pointer-events-auto"
+            style={{ top: rect.top, height: rect.height, left: rect.left + rect.width }}
+            aria-hidden="true"
+          />
+          {!waitingForTap && (
+            <div
+              className="fixed pointer-events-auto"
+              style={{
+                top: rect.top,
+                left: rect.left,
+                width: rect.width,
+                height: rect.height,
+              }}
+              aria-hidden="true"
+            />
+          )}
+        </>
+      ) : (
+        /* backdrop */
+        <div
+          className="absolute inset-0 bg-black/70 pointer-events-auto"
+          onClick={onClose}
+          aria-hidden="true"
+        />
+      )}
+
       {/* card */}
-      <div className="relative z-10 max-w-md w-[92%] bg-gray-900 text-white rounded-xl shadow-lg p-5">
+      <div className="relative z-10 max-w-md w-[92%] bg-gray-900 text-white rounded-xl shadow-lg p-5 pointer-events-auto">
+        <SlideMedia media={slide.media} />
         <h2 className="text-xl font-semibold mb-3">{slide.title}</h2>
         <p className="text-gray-200 mb-6 whitespace-pre-wrap">{slide.body}</p>
 
@@ -71,12 +260,18 @@ export default function TutorialModal({ onClose }) {
 
           <div className="text-sm text-gray-400">{idx + 1} / {slides.length}</div>
 
-          <button
-            className="px-4 py-2 rounded bg-blue-600 hover:bg-blue-700"
-            onClick={handlePrimary}
-          >
-            {slide.cta || (isLast ? 'Finish' : 'Next')}
-          </button>
+          {waitingForTap ? (
+            <span className="px-2 py-2 text-sm text-yellow-300">
+              Tap the highlighted item
+            </span>
+          ) : (
+            <button
+              className="px-4 py-2 rounded bg-blue-600 hover:bg-blue-700"
+              onClick={handlePrimary}
+            >
+              {slide.cta || (isLast ? 'Finish' : 'Next')}
+            </button>
+          )}
         </div>
 
         {/* Secondary CTA (link-style), only when provided */}
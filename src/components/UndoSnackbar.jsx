@@ -0,0 +1,61 @@
+// src/components/UndoSnackbar.jsx
+// App-wide "Moved to Trash — Undo" bar. Listens for `trash:moved` (see
+// utils/trash) and offers to restore that delete for a few seconds.
+
+import React, { useEffect, useRef, useState } from 'react';
+import { emitDbChanged } from '../db';
+import { TRASHED_EVENT, restoreFromTrash } from '../utils/trash';
+
+const UNDO_WINDOW_MS = 6000;
+
+export default function UndoSnackbar() {
+  const [notice, setNotice] = useState(null);
+  const timerRef = useRef(null);
+
+  useEffect(() => {
+    const onTrashed = (event) => {
+      window.clearTimeout(timerRef.current);
+      setNotice(event.detail);
+      timerRef.current = window.setTimeout(() => setNotice(null), UNDO_WINDOW_MS);
+    };
+
+    window.addEventListener(TRASHED_EVENT, onTrashed);
+    return () => {
+      window.removeEventListener(TRASHED_EVENT, onTrashed);
+      window.clearTimeout(timerRef.current);
+    };
+  }, []);
+
+  if (!notice) return null;
+
+  async function handleUndo() {
+    window.clearTimeout(timerRef.current);
+    setNotice(null);
+
+    try {
+      await restoreFromTrash(notice.batchId);
+      emitDbChanged();
+    } catch (error) {
+      console.error('Undo delete failed', error);
+      window.alert('Could not undo. The item is still in the Trash.');
+    }
+  }
+
+  return (
+    <div
+      role="status"
+      className="fixed bottom-20 left-1/2 z-50 flex w-[calc(100%-2rem)] max-w-md -translate-x-1/2 items-center gap-3 rounded-lg bg-gray-700 px-4 py-3 text-sm text-white shadow-lg"
+    >
+      <span className="min-w-0 flex-1 truncate">
+        Moved {notice.label ? `“${notice.label}”` : 'item'} to the Trash
+      </span>
+      <button
+        type="button"
+        onClick={handleUndo}
+        className="font-semibold text-yellow-400 hover:text-yellow-300"
+      >
+        Undo
+      </button>
+    </div>
+  );
+}
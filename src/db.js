@@ -1,32 +1,17 @@
 // src/db.js
 // IndexedDB setup using Dexie.js for offline-first data storage.
 // DB name intentionally remains "PrayerJournalDB" (so existing data persists).
-// This file adds a new "journalEntries" table in a safe, additive schema bump.
+// The schema itself is declared step by step in src/migrations.js.
 
 import Dexie from 'dexie';
+import { applyMigrations } from './migrations';
 
 // Keep the original, known-good DB name so user data remains visible.
 export const db = new Dexie('PrayerJournalDB');
 
-/**
- * Schema
- * - Existing tables (categories, requestors, prayers) unchanged.
- * - "events" table retained (per-prayer timeline).
- * - NEW: "journalEntries" for personal journaling (freeform notes).
- *
- * Bump the version number by one compared to your current file.
- * If your repo currently has version(2), use version(3). If it already uses 3, use 4, etc.
- */
-db.version(3).stores({
-  categories: '++id, name, description, showSingle',
-  requestors: '++id, categoryId, name, description, security',
-  prayers: '++id, requestorId, name, description, requestedAt, answeredAt, status, security',
-  events: '++id, prayerId, createdAt', // timeline entries for prayers
-
-  // NEW: freeform personal journal
-  // Index createdAt for sorting; include title for future quick lookups.
-  journalEntries: '++id, title, createdAt, updatedAt',
-});
+// Schema versions and their row backfills live in migrations.js. Add a step
+// there instead of calling db.version() here.
+applyMigrations(db);
 
 /**
  * Broadcast so views can refresh without a full reload.
@@ -40,7 +25,11 @@ export function emitDbChanged() {
  * Existing helper used by lists.
  */
 export function getPrayersByStatus(status) {
-  return db.prayers.where('status').equals(status).toArray();
+  return db.prayers
+    .where('status')
+    .equals(status)
+    .and((prayer) => !prayer.deletedAt)
+    .toArray();
 }
 
 /**
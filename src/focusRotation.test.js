@@ -0,0 +1,244 @@
+// src/focusRotation.test.js
+// Focus rotation strategies against in-memory localStorage / sessionStorage.
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  buildSessionQueue,
+  endFocusSession,
+  focusWeight,
+  getFocusSessionRequestorId,
+  loadRotationMode,
+  pickNextFocusPrayer,
+  saveRotationMode,
+} from './utils/focusRotation';
+
+function memoryStorage() {
+  const store = new Map();
+  return {
+    store,
+    getItem: (key) => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: (key) => store.delete(key),
+  };
+}
+
+const NOW = new Date('2025-06-01T12:00:00Z');
+
+const PRAYERS = [
+  { id: 1, requestorId: 10, name: 'Job', requestedAt: '2025-05-01' },
+  { id: 2, requestorId: 10, name: 'Health', requestedAt: '2025-01-01' },
+  { id: 3, requestorId: 20, name: 'Exams', requestedAt: '2025-05-20' },
+  { id: 4, requestorId: 20, name: 'Move', requestedAt: '2025-03-01' },
+  { id: 5, requestorId: 30, name: 'Rest', requestedAt: '2025-04-01' },
+];
+
+// Follows Focus: each pick becomes the prayer on screen, a minute apart.
+function pickRun(mode, prayers, times, options = {}) {
+  const picked = [];
+  let currentId = options.currentId ?? null;
+  for (let step = 0; step < times; step += 1) {
+    const now = new Date(NOW.getTime() + step * 60_000);
+    const prayer = pickNextFocusPrayer(mode, prayers, { ...options, currentId, now });
+    picked.push(prayer.id);
+    currentId = prayer.id;
+  }
+  return picked;
+}
+
+beforeEach(() => {
+  vi.stubGlobal('localStorage', memoryStorage());
+  vi.stubGlobal('sessionStorage', memoryStorage());
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+});
+
+describe('rotation mode setting', () => {
+  it('defaults to random and ignores unknown modes', () => {
+    expect(loadRotationMode()).toBe('random');
+
+    saveRotationMode('deck');
+    expect(loadRotationMode()).toBe('deck');
+
+    saveRotationMode('sideways');
+    expect(loadRotationMode()).toBe('deck');
+
+    localStorage.setItem('cp:focusRotation:v1', 'sideways');
+    expect(loadRotationMode()).toBe('random');
+  });
+});
+
+describe('random', () => {
+  it('never repeats the prayer on screen when another is eligible', () => {
+    for (let step = 0; step < 20; step += 1) {
+      expect(pickNextFocusPrayer('random', PRAYERS, { currentId: 3 }).id).not.toBe(3);
+    }
+    expect(pickNextFocusPrayer('random', [PRAYERS[0]], { currentId: 1 }).id).toBe(1);
+  });
+});
+
+describe('shuffled deck', () => {
+  it('shows every prayer once before any repeats', () => {
+    const picked = pickRun('deck', PRAYERS, 10);
+
+    expect(new Set(picked.slice(0, 5)).size).toBe(5);
+    expect(new Set(picked.slice(5)).size).toBe(5);
+    picked.slice(1).forEach((id, index) => expect(id).not.toBe(picked[index]));
+  });
+
+  it('keeps its position in localStorage across calls', () => {
+    const first = pickRun('deck', PRAYERS, 2);
+    const saved = JSON.parse(localStorage.getItem('cp:focusDeck:v1'));
+
+    expect(saved.position).toBe(2);
+    expect(saved.order.slice(0, 2)).toEqual(first);
+  });
+
+  it('follows prayers that are added or answered mid-deck', () => {
+    const [first, second] = pickRun('deck', PRAYERS, 2);
+    const remaining = PRAYERS.filter((prayer) => ![first, second].includes(prayer.id));
+    const answered = remaining[0].id;
+    const now = [
+      ...PRAYERS.filter((prayer) => prayer.id !== answered),
+      { id: 6, requestorId: 30, name: 'New', requestedAt: '2025-05-30' },
+    ];
+
+    const rest = pickRun('deck', now, 3, { currentId: second });
+
+    expect(rest).not.toContain(answered);
+    expect(rest).not.toContain(first);
+    expect(rest.sort()).toEqual(
+      [...remaining.slice(1).map((prayer) => prayer.id), 6].sort()
+    );
+  });
+});
+
+describe('least recently prayed', () => {
+  const lastPrayedById = new Map([
+    [1, '2025-05-31T08:00:00Z'],
+    [2, '2025-05-01T08:00:00Z'],
+    [3, '2025-05-30T08:00:00Z'],
+  ]);
+
+  it('starts with prayers never prayed for, oldest request first', () => {
+    expect(pickNextFocusPrayer('least-recent', PRAYERS, { lastPrayedById, now: NOW }).id).toBe(4);
+  });
+
+  it('moves through the list when Next is used without praying', () => {
+    expect(pickRun('least-recent', PRAYERS, 6)).toEqual([2, 4, 5, 1, 3, 2]);
+  });
+
+  it('remembers what was shown in localStorage', () => {
+    pickRun('least-recent', PRAYERS, 2);
+
+    expect(Object.keys(JSON.parse(localStorage.getItem('cp:focusShown:v1')))).toEqual([
+      '2',
+      '4',
+    ]);
+  });
+});
+
+describe('weighted', () => {
+  it('weighs old and long-unprayed requests more', () => {
+    const old = { requestedAt: '2025-01-01' };
+    const fresh = { requestedAt: '2025-05-31' };
+
+    expect(focusWeight(old, null, NOW)).toBeGreaterThan(focusWeight(fresh, null, NOW));
+    expect(focusWeight(old, '2025-01-02T00:00:00Z', NOW)).toBeGreaterThan(
+      focusWeight(old, '2025-05-31T00:00:00Z', NOW)
+    );
+    expect(focusWeight({}, null, NOW)).toBe(1);
+  });
+
+  it('picks in proportion to weight and skips the prayer on screen', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    expect(pickNextFocusPrayer('weighted', PRAYERS, { currentId: 1, now: NOW }).id).toBe(2);
+
+    Math.random.mockReturnValue(0.9999);
+    expect(pickNextFocusPrayer('weighted', PRAYERS, { currentId: 5, now: NOW }).id).toBe(4);
+  });
+});
+
+describe('one person per session', () => {
+  it("cycles one requestor's prayers, oldest request first", () => {
+    const picked = pickRun('requestor', PRAYERS, 4);
+    const requestorId = getFocusSessionRequestorId();
+    const own = PRAYERS.filter((prayer) => prayer.requestorId === requestorId)
+      .sort((a, b) => a.requestedAt.localeCompare(b.requestedAt))
+      .map((prayer) => prayer.id);
+
+    expect(picked).toEqual(picked.map((_, index) => own[index % own.length]));
+  });
+
+  it('moves to someone else once the session ends', () => {
+    pickRun('requestor', PRAYERS, 1);
+    const first = getFocusSessionRequestorId();
+
+    endFocusSession();
+    expect(getFocusSessionRequestorId()).toBeNull();
+
+    const [next] = pickRun('requestor', PRAYERS, 1);
+    expect(getFocusSessionRequestorId()).not.toBe(first);
+    expect(PRAYERS.find((prayer) => prayer.id === next).requestorId).toBe(
+      getFocusSessionRequestorId()
+    );
+  });
+
+  it('keeps the session in sessionStorage only', () => {
+    pickRun('requestor', PRAYERS, 1);
+
+    expect(sessionStorage.store.has('cp:focusSession:v1')).toBe(true);
+    expect(localStorage.store.has('cp:focusSession:v1')).toBe(false);
+  });
+});
+
+describe('guided session queue', () => {
+  function snapshot() {
+    return { local: new Map(localStorage.store), session: new Map(sessionStorage.store) };
+  }
+
+  it('queues distinct prayers in rotation order', () => {
+    const queue = buildSessionQueue('deck', PRAYERS, 4, { now: NOW });
+
+    expect(queue).toHaveLength(4);
+    expect(new Set(queue.map((prayer) => prayer.id)).size).toBe(4);
+    expect(buildSessionQueue('deck', PRAYERS, 20, { now: NOW })).toHaveLength(5);
+  });
+
+  it('leaves the deck, shown times and session where they were', () => {
+    pickRun('deck', PRAYERS, 2);
+    pickRun('least-recent', PRAYERS, 2);
+    pickRun('requestor', PRAYERS, 1);
+    const before = snapshot();
+
+    for (const mode of ['deck', 'least-recent', 'weighted', 'requestor', 'random']) {
+      buildSessionQueue(mode, PRAYERS, 5, { now: NOW });
+    }
+
+    expect(snapshot()).toEqual(before);
+    expect(pickRun('deck', PRAYERS, 3)).toHaveLength(3);
+    expect(JSON.parse(localStorage.getItem('cp:focusDeck:v1')).position).toBe(5);
+  });
+
+  it("fills a one-person session only with that person's prayers", () => {
+    pickRun('requestor', PRAYERS, 1);
+    const requestorId = getFocusSessionRequestorId();
+    const own = PRAYERS.filter((prayer) => prayer.requestorId === requestorId);
+
+    const queue = buildSessionQueue('requestor', PRAYERS, 5, { now: NOW });
+
+    expect(queue.map((prayer) => prayer.id).sort()).toEqual(
+      own.map((prayer) => prayer.id).sort()
+    );
+  });
+
+  it('picks a person for the session without keeping them', () => {
+    const queue = buildSessionQueue('requestor', PRAYERS, 5, { now: NOW });
+
+    expect(new Set(queue.map((prayer) => prayer.requestorId)).size).toBe(1);
+    expect(getFocusSessionRequestorId()).toBeNull();
+    expect(localStorage.store.size).toBe(0);
+  });
+});
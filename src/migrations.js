@@ -0,0 +1,148 @@
+// src/migrations.js
+// Ordered Dexie schema registry for PrayerJournalDB. Each step declares the
+// stores that change at its version and, optionally, an `upgrade(tx)` that
+// backfills existing rows. To change the schema, append a step with the next
+// version number; never edit a step that has shipped.
+//
+// Upgrades run inside Dexie's versionchange transaction, so they may only
+// await Dexie calls on `tx` (no fetch, no vault, no other async work).
+
+import { getPrayerStatus } from './utils/prayerStatus';
+import { getOrCreateDatabaseTransferId, makePortableId } from './utils/portableIds';
+
+// Tables whose rows carry a `portableId` once exported or backfilled.
+export const PORTABLE_TABLES = [
+  'categories',
+  'requestors',
+  'prayers',
+  'events',
+  'journalEntries',
+];
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * v6 backfill: explicit prayer status, requestor `archived` flags, portable
+ * ids on every graftable row, and event/journal timestamps.
+ */
+async function backfillRows(tx) {
+  const now = new Date().toISOString();
+  const sourceDatabaseId = getOrCreateDatabaseTransferId();
+
+  await tx
+    .table('prayers')
+    .toCollection()
+    .modify((prayer) => {
+      prayer.status = getPrayerStatus(prayer);
+    });
+
+  await tx
+    .table('requestors')
+    .toCollection()
+    .modify((requestor) => {
+      requestor.archived = requestor.archived ? 1 : 0;
+    });
+
+  await tx
+    .table('events')
+    .toCollection()
+    .modify((event) => {
+      if (isMissing(event.createdAt)) event.createdAt = now;
+    });
+
+  await tx
+    .table('journalEntries')
+    .toCollection()
+    .modify((entry) => {
+      if (isMissing(entry.createdAt)) entry.createdAt = entry.updatedAt || now;
+      if (isMissing(entry.updatedAt)) entry.updatedAt = entry.createdAt;
+    });
+
+  for (const tableName of PORTABLE_TABLES) {
+    await tx
+      .table(tableName)
+      .toCollection()
+      .modify((row) => {
+        if (!row.portableId) {
+          row.portableId = makePortableId(sourceDatabaseId, tableName, row.id);
+        }
+      });
+  }
+}
+
+export const MIGRATIONS = [
+  {
+    // Versions 1-2 predate the journal; opening them simply adds the table.
+    version: 3,
+    description: 'Journal entries',
+    stores: {
+      categories: '++id, name, description, showSingle',
+      requestors: '++id, categoryId, name, description, security',
+      prayers:
+        '++id, requestorId, name, description, requestedAt, answeredAt, status, security',
+      events: '++id, prayerId, createdAt',
+      journalEntries: '++id, title, createdAt, updatedAt',
+    },
+  },
+  {
+    // One row per "Prayed" tap, kept apart from the user-authored events.
+    version: 4,
+    description: 'Prayed log',
+    stores: {
+      prayerLog: '++id, prayerId, prayedAt',
+    },
+  },
+  {
+    // `*tags` is multi-entry: `where('tags').equals('healing')` matches any
+    // row carrying that tag. Tags are never sealed by the Private Vault.
+    version: 5,
+    description: 'Tags',
+    stores: {
+      prayers:
+        '++id, requestorId, name, description, requestedAt, answeredAt, status, security, *tags',
+      events: '++id, prayerId, createdAt, *tags',
+      journalEntries: '++id, title, createdAt, updatedAt, *tags',
+    },
+  },
+  {
+    version: 6,
+    description: 'Backfill status, archived, portable ids and timestamps',
+    stores: {},
+    upgrade: backfillRows,
+  },
+  {
+    // Soft delete (utils/trash): every row of one delete shares a trashBatch.
+    version: 7,
+    description: 'Trash',
+    stores: {
+      categories: '++id, name, description, showSingle, trashBatch',
+      requestors: '++id, categoryId, name, description, security, trashBatch',
+      prayers:
+        '++id, requestorId, name, description, requestedAt, answeredAt, status, security, *tags, trashBatch',
+      events: '++id, prayerId, createdAt, *tags, trashBatch',
+      journalEntries: '++id, title, createdAt, updatedAt, *tags, trashBatch',
+      prayerLog: '++id, prayerId, prayedAt, trashBatch',
+    },
+  },
+];
+
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/** Registers `migrations` on a Dexie instance, checking their order first. */
+export function applyMigrations(database, migrations = MIGRATIONS) {
+  migrations.forEach((step, index) => {
+    const previous = migrations[index - 1];
+    if (previous && step.version !== previous.version + 1) {
+      throw new Error(
+        `Migration ${step.version} must directly follow ${previous.version}.`
+      );
+    }
+
+    const version = database.version(step.version).stores(step.stores || {});
+    if (step.upgrade) version.upgrade(step.upgrade);
+  });
+
+  return database;
+}
@@ -0,0 +1,248 @@
+// src/migrations.test.js
+// Opens fixtures written at every historical schema version in fake
+// IndexedDB, then upgrades them through the full registry.
+
+import 'fake-indexeddb/auto';
+import Dexie from 'dexie';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import {
+  LATEST_VERSION,
+  MIGRATIONS,
+  PORTABLE_TABLES,
+  applyMigrations,
+} from './migrations';
+
+const TRANSFER_ID = 'test-db';
+
+// Versions 1-2 (before the journal) were never kept in this registry.
+const PRE_JOURNAL_SCHEMA = {
+  categories: '++id, name, description, showSingle',
+  requestors: '++id, categoryId, name, description, security',
+  prayers:
+    '++id, requestorId, name, description, requestedAt, answeredAt, status, security',
+  events: '++id, prayerId, createdAt',
+};
+
+const FIXTURE_ROWS = {
+  categories: [{ id: 1, name: 'Family', description: '', showSingle: 1 }],
+  requestors: [
+    { id: 1, categoryId: 1, name: 'Jane', description: 'Sister', security: 0 },
+    {
+      id: 2,
+      categoryId: 1,
+      name: 'Old friend',
+      description: '',
+      security: 0,
+      archived: true,
+    },
+  ],
+  prayers: [
+    { id: 1, requestorId: 1, name: 'Healing', requestedAt: '2024-01-02' },
+    {
+      id: 2,
+      requestorId: 1,
+      name: 'New job',
+      requestedAt: '2024-02-01',
+      answeredAt: '2024-03-01',
+    },
+    { id: 3, requestorId: 2, name: 'Visit', status: ' Answered ' },
+    {
+      id: 4,
+      requestorId: 2,
+      name: 'Move',
+      status: 'requested',
+      portableId: 'other-db:prayers:9',
+    },
+  ],
+  events: [
+    { id: 1, prayerId: 1, title: 'Update', createdAt: '2024-01-05T10:00:00Z' },
+    { id: 2, prayerId: 1, title: 'Undated' },
+  ],
+  journalEntries: [
+    { id: 1, title: 'Morning', text: 'Grateful', createdAt: '2024-01-01T08:00:00Z' },
+    { id: 2, title: 'Evening', text: 'Rest', updatedAt: '2024-01-02T20:00:00Z' },
+  ],
+};
+
+let dbName;
+let counter = 0;
+
+function openDatabase(migrations) {
+  return applyMigrations(new Dexie(dbName), migrations);
+}
+
+async function writeFixture(version) {
+  const database = new Dexie(dbName);
+
+  if (version < MIGRATIONS[0].version) {
+    database.version(version).stores(PRE_JOURNAL_SCHEMA);
+  } else {
+    applyMigrations(
+      database,
+      MIGRATIONS.filter((step) => step.version <= version)
+    );
+  }
+
+  await database.open();
+  for (const table of database.tables) {
+    const rows = FIXTURE_ROWS[table.name];
+    if (rows) await table.bulkAdd(rows);
+  }
+  database.close();
+}
+
+async function openLatest() {
+  const database = openDatabase(MIGRATIONS);
+  await database.open();
+  return database;
+}
+
+const HISTORICAL_VERSIONS = [
+  2,
+  ...MIGRATIONS.map((step) => step.version).filter(
+    (version) => version < LATEST_VERSION
+  ),
+];
+
+// Rows written after the backfill step already carry what it fills in.
+const BACKFILL_VERSION = MIGRATIONS.find((step) => step.upgrade).version;
+const PRE_BACKFILL_VERSIONS = HISTORICAL_VERSIONS.filter(
+  (version) => version < BACKFILL_VERSION
+);
+
+beforeEach(() => {
+  counter += 1;
+  dbName = `MigrationTest-${counter}`;
+
+  const store = new Map([['cp:databaseTransferId:v1', TRANSFER_ID]]);
+  globalThis.localStorage = {
+    getItem: (key) => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: (key) => store.delete(key),
+  };
+});
+
+afterEach(async () => {
+  await Dexie.delete(dbName);
+  delete globalThis.localStorage;
+});
+
+describe('migration registry', () => {
+  it('numbers steps consecutively', () => {
+    MIGRATIONS.forEach((step, index) => {
+      if (index) expect(step.version).toBe(MIGRATIONS[index - 1].version + 1);
+    });
+  });
+
+  it('rejects a gap in the version sequence', () => {
+    const gapped = [MIGRATIONS[0], { version: MIGRATIONS[0].version + 2, stores: {} }];
+    expect(() => applyMigrations(new Dexie(dbName), gapped)).toThrow(
+      /must directly follow/
+    );
+  });
+
+  it('creates a fresh database at the latest version', async () => {
+    const database = await openLatest();
+
+    expect(database.verno).toBe(LATEST_VERSION);
+    expect(database.tables.map((table) => table.name).sort()).toEqual(
+      ['categories', 'events', 'journalEntries', 'prayerLog', 'prayers', 'requestors']
+    );
+    database.close();
+  });
+});
+
+describe.each(HISTORICAL_VERSIONS)('upgrading a v%i database', (version) => {
+  it('keeps every row and lands on the latest schema', async () => {
+    await writeFixture(version);
+    const database = await openLatest();
+
+    expect(database.verno).toBe(LATEST_VERSION);
+    for (const [tableName, rows] of Object.entries(FIXTURE_ROWS)) {
+      const expected = tableName === 'journalEntries' && version < 3 ? 0 : rows.length;
+      expect(await database.table(tableName).count()).toBe(expected);
+    }
+    expect(await database.prayerLog.count()).toBe(0);
+    database.close();
+  });
+
+  it('supports the indexes added since', async () => {
+    await writeFixture(version);
+    const database = await openLatest();
+
+    await database.prayers.update(1, { tags: ['healing', 'family'] });
+    expect(
+      (await database.prayers.where('tags').equals('healing').toArray()).map(
+        (prayer) => prayer.id
+      )
+    ).toEqual([1]);
+    await database.prayerLog.add({ prayerId: 1, prayedAt: '2024-05-01T07:00:00Z' });
+    expect(await database.prayerLog.where('prayerId').equals(1).count()).toBe(1);
+    await database.events.update(1, { trashBatch: 'batch-1' });
+    expect(await database.events.where('trashBatch').equals('batch-1').count()).toBe(1);
+    database.close();
+  });
+});
+
+describe.each(PRE_BACKFILL_VERSIONS)('backfilling a v%i database', (version) => {
+  it('normalizes prayer status', async () => {
+    await writeFixture(version);
+    const database = await openLatest();
+    const statuses = (await database.prayers.orderBy('id').toArray()).map(
+      (prayer) => prayer.status
+    );
+
+    expect(statuses).toEqual(['requested', 'answered', 'answered', 'requested']);
+    expect(await database.prayers.where('status').equals('answered').count()).toBe(2);
+    database.close();
+  });
+
+  it('backfills archived flags and timestamps', async () => {
+    await writeFixture(version);
+    const database = await openLatest();
+
+    expect((await database.requestors.toArray()).map((row) => row.archived)).toEqual([
+      0, 1,
+    ]);
+
+    const undated = await database.events.get(2);
+    expect(Number.isNaN(new Date(undated.createdAt).getTime())).toBe(false);
+    expect((await database.events.get(1)).createdAt).toBe('2024-01-05T10:00:00Z');
+
+    if (version >= 3) {
+      const [morning, evening] = await database.journalEntries.orderBy('id').toArray();
+      expect(morning.updatedAt).toBe(morning.createdAt);
+      expect(evening.createdAt).toBe('2024-01-02T20:00:00Z');
+    }
+    database.close();
+  });
+
+  it('assigns portable ids without replacing existing ones', async () => {
+    await writeFixture(version);
+    const database = await openLatest();
+
+    for (const tableName of PORTABLE_TABLES) {
+      for (const row of await database.table(tableName).toArray()) {
+        const expected =
+          tableName === 'prayers' && row.id === 4
+            ? 'other-db:prayers:9'
+            : `${TRANSFER_ID}:${tableName}:${row.id}`;
+        expect(row.portableId).toBe(expected);
+      }
+    }
+    database.close();
+  });
+});
+
+describe('re-opening an upgraded database', () => {
+  it('does not run the backfill again', async () => {
+    await writeFixture(5);
+    let database = await openLatest();
+    await database.events.update(2, { createdAt: null });
+    database.close();
+
+    database = await openLatest();
+    expect((await database.events.get(2)).createdAt).toBeNull();
+    database.close();
+  });
+});
@@ -0,0 +1,72 @@
+// src/notifications.test.js
+// In-app notification timers (no Notification Triggers): rescheduling replaces
+// the schedule but leaves a pending snooze alone.
+
+import 'fake-indexeddb/auto';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { scheduleNotifications, snoozeNotification } from './utils/notifications';
+
+const MINUTE = 60 * 1000;
+
+const HOURLY = {
+  enabled: true,
+  mode: 'simple',
+  scheduleType: 'interval',
+  intervalMinutes: 60,
+};
+
+let shown;
+
+class FakeNotification {
+  static permission = 'granted';
+
+  constructor(title, options) {
+    shown.push({ title, tag: options?.tag });
+  }
+}
+
+function memoryStorage() {
+  const store = new Map();
+  return {
+    getItem: (key) => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: (key) => store.delete(key),
+  };
+}
+
+beforeEach(() => {
+  shown = [];
+  vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+  vi.stubGlobal('Notification', FakeNotification);
+  vi.stubGlobal('window', { Notification: FakeNotification, dispatchEvent: () => true });
+  vi.stubGlobal('navigator', {});
+  vi.stubGlobal('localStorage', memoryStorage());
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+});
+
+describe('scheduleNotifications', () => {
+  it('keeps a pending snooze when the schedule is rebuilt', async () => {
+    snoozeNotification(
+      { title: 'Pray for Jane', options: { body: 'Healing', data: { prayerId: 7 } } },
+      10 * MINUTE
+    );
+
+    await scheduleNotifications(HOURLY);
+    await scheduleNotifications(HOURLY);
+
+    await vi.advanceTimersByTimeAsync(10 * MINUTE);
+
+    expect(shown).toHaveLength(1);
+    expect(shown[0].title).toBe('Pray for Jane');
+    expect(shown[0].tag).toMatch(/^cp:notify:snooze:7:/);
+
+    // The first schedule's timers were replaced, not doubled up.
+    await vi.advanceTimersByTimeAsync(50 * MINUTE);
+
+    expect(shown.filter((item) => !item.tag.startsWith('cp:notify:snooze:'))).toHaveLength(1);
+  });
+});
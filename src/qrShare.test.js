@@ -0,0 +1,208 @@
+// src/qrShare.test.js
+// Fountain-coded (v2) QR transfers: multi-block payloads rebuilt from repair
+// symbols after systematic frames are lost. Also the checks on the encryption
+// header a protected share carries.
+
+import { describe, expect, it } from 'vitest';
+import {
+  collectQrShareFrame,
+  createQrPayloadFrames,
+  decodeQrShareAssembly,
+  parseQrShareFrame,
+  qrShareFrameAt,
+} from './utils/qrShare';
+
+// Seeded, so every run drops the same frames.
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    return state / 4294967296;
+  };
+}
+
+// Random text barely compresses, so the transfer spans many blocks.
+function bulkyPayload(length = 8000) {
+  const random = seededRandom(7);
+  let text = '';
+  while (text.length < length) text += Math.floor(random() * 36).toString(36);
+  return { note: text };
+}
+
+const acceptAny = () => true;
+
+function collectAll(frames, assembly = null) {
+  let progress = { assembly };
+  const seen = [];
+  for (const frame of frames) {
+    progress = collectQrShareFrame(progress.assembly, frame);
+    seen.push(progress);
+    if (progress.complete) break;
+  }
+  return { progress, seen };
+}
+
+// Repair symbols come after the n systematic frames.
+function repairFrames(transfer, count) {
+  return Array.from({ length: count }, (_, offset) =>
+    qrShareFrameAt(transfer, transfer.frameCount + offset)
+  );
+}
+
+describe('fountain QR transfers', () => {
+  it('uses fountain frames once the payload needs several blocks', async () => {
+    const transfer = await createQrPayloadFrames(bulkyPayload());
+
+    expect(transfer.mode).toBe('fountain');
+    expect(transfer.frameCount).toBeGreaterThan(10);
+    expect(JSON.parse(qrShareFrameAt(transfer, 0))).toMatchObject({
+      v: 2,
+      x: 0,
+      n: transfer.frameCount,
+      l: transfer.transferBytes,
+    });
+  });
+
+  it('decodes from the systematic frames alone', async () => {
+    const payload = bulkyPayload();
+    const transfer = await createQrPayloadFrames(payload);
+    const frames = Array.from({ length: transfer.frameCount }, (_, index) =>
+      qrShareFrameAt(transfer, index)
+    );
+
+    const { progress, seen } = collectAll(frames);
+
+    expect(seen).toHaveLength(transfer.frameCount);
+    expect(progress.complete).toBe(true);
+    expect(await decodeQrShareAssembly(progress.assembly, { accept: acceptAny })).toEqual(
+      payload
+    );
+  });
+
+  it('decodes from repair symbols only', async () => {
+    const payload = bulkyPayload();
+    const transfer = await createQrPayloadFrames(payload);
+    const n = transfer.frameCount;
+
+    const { progress, seen } = collectAll(repairFrames(transfer, n * 4));
+
+    expect(progress.complete).toBe(true);
+    expect(seen.length).toBeGreaterThanOrEqual(n);
+    expect(await decodeQrShareAssembly(progress.assembly, { accept: acceptAny })).toEqual(
+      payload
+    );
+
+    // Progress only grows, and reaches 1 on the frame that completes it.
+    const fractions = seen.map((step) => step.recoverable);
+    fractions.forEach((value, index) => {
+      expect(value).toBeGreaterThanOrEqual(index ? fractions[index - 1] : 0);
+    });
+    expect(fractions.slice(0, -1).every((value) => value < 1)).toBe(true);
+    expect(fractions.at(-1)).toBe(1);
+    expect(seen.at(-1).received).toBe(n);
+  });
+
+  it('fills dropped systematic frames from later repair symbols', async () => {
+    const payload = bulkyPayload();
+    const transfer = await createQrPayloadFrames(payload);
+    const n = transfer.frameCount;
+    const random = seededRandom(42);
+    const kept = [];
+    for (let index = 0; index < n; index += 1) {
+      if (random() >= 0.4) kept.push(qrShareFrameAt(transfer, index));
+    }
+
+    const partial = collectAll(kept);
+    expect(partial.progress.complete).toBe(false);
+    expect(partial.progress.received).toBe(kept.length);
+
+    const { progress } = collectAll(repairFrames(transfer, n * 4), partial.progress.assembly);
+
+    expect(progress.complete).toBe(true);
+    expect(progress.assembly.frames).toBeLessThan(n * 3);
+    expect(await decodeQrShareAssembly(progress.assembly, { accept: acceptAny })).toEqual(
+      payload
+    );
+  });
+
+  it('ignores a repeated frame', async () => {
+    const transfer = await createQrPayloadFrames(bulkyPayload());
+    const frame = qrShareFrameAt(transfer, transfer.frameCount + 3);
+
+    const first = collectQrShareFrame(null, frame);
+    const again = collectQrShareFrame(first.assembly, frame);
+
+    expect(again.assembly.frames).toBe(1);
+    expect(again.received).toBe(first.received);
+  });
+
+  it('fails the integrity check when a block arrives damaged', async () => {
+    const transfer = await createQrPayloadFrames(bulkyPayload());
+    const frames = Array.from({ length: transfer.frameCount }, (_, index) =>
+      qrShareFrameAt(transfer, index)
+    );
+    const damaged = JSON.parse(frames[0]);
+    damaged.d = `${damaged.d[0] === 'A' ? 'B' : 'A'}${damaged.d.slice(1)}`;
+    frames[0] = JSON.stringify(damaged);
+
+    const { progress } = collectAll(frames);
+
+    expect(progress.complete).toBe(true);
+    await expect(
+      decodeQrShareAssembly(progress.assembly, { accept: acceptAny })
+    ).rejects.toThrow(/integrity check/);
+  });
+
+  it('rejects a frame claiming more blocks than any share can have', async () => {
+    const frame = JSON.parse(qrShareFrameAt(await createQrPayloadFrames(bulkyPayload()), 0));
+    const withBlocks = (n) => JSON.stringify({ ...frame, n, l: n * 225 });
+
+    expect(() => parseQrShareFrame(withBlocks(4000))).not.toThrow();
+    expect(() => parseQrShareFrame(withBlocks(4001))).toThrow(/not a supported/);
+    expect(() => collectQrShareFrame(null, withBlocks(1e9))).toThrow(/not a supported/);
+  });
+
+  it('refuses frames from a different share', async () => {
+    const one = await createQrPayloadFrames(bulkyPayload());
+    const other = await createQrPayloadFrames(bulkyPayload(9000));
+
+    const { assembly } = collectQrShareFrame(null, qrShareFrameAt(one, 0));
+    const mixed = JSON.parse(qrShareFrameAt(other, 1));
+    mixed.s = one.shareId;
+
+    expect(() => collectQrShareFrame(assembly, JSON.stringify(mixed))).toThrow(
+      /different shares/
+    );
+  });
+});
+
+describe('protected QR transfers', () => {
+  const protection = { mode: 'passphrase', secret: 'correct horse' };
+
+  async function protectedFrame() {
+    const transfer = await createQrPayloadFrames({ note: 'short' }, { protection });
+    return JSON.parse(qrShareFrameAt(transfer, 0));
+  }
+
+  it('opens with the passphrase it was sealed with', async () => {
+    const frame = await protectedFrame();
+    const { assembly, complete } = collectQrShareFrame(null, JSON.stringify(frame));
+
+    expect(complete).toBe(true);
+    await expect(
+      decodeQrShareAssembly(assembly, { accept: acceptAny, secret: 'wrong guess' })
+    ).rejects.toMatchObject({ code: 'NEEDS_SECRET' });
+    expect(
+      await decodeQrShareAssembly(assembly, { accept: acceptAny, secret: protection.secret })
+    ).toEqual({ note: 'short' });
+  });
+
+  it('rejects a header asking for an unbounded key derivation', async () => {
+    const frame = await protectedFrame();
+
+    const withIterations = (k) => JSON.stringify({ ...frame, e: { ...frame.e, k } });
+
+    expect(() => parseQrShareFrame(withIterations(1_000_000))).not.toThrow();
+    expect(() => parseQrShareFrame(withIterations(2 ** 31))).toThrow(/not a supported/);
+  });
+});
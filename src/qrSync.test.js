@@ -0,0 +1,420 @@
+// src/qrSync.test.js
+// Two phones in fake IndexedDB, each with its own database, localStorage
+// and module instances, syncing a category through utils/qrSync.
+
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import Dexie from 'dexie';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { SYNCED_FIELDS } from './utils/fieldStamps';
+
+const T0 = Date.UTC(2025, 0, 1);
+
+function memoryStorage(entries = []) {
+  const store = new Map(entries);
+  return {
+    getItem: (key) => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: (key) => store.delete(key),
+  };
+}
+
+// Loads a fresh copy of the app modules bound to a new IndexedDB.
+async function createPhone(transferId) {
+  Dexie.dependencies.indexedDB = new IDBFactory();
+  Dexie.dependencies.IDBKeyRange = IDBKeyRange;
+  vi.resetModules();
+
+  const storage = memoryStorage([['cp:databaseTransferId:v1', transferId]]);
+  globalThis.localStorage = storage;
+  const { db, dbReady } = await import('./db');
+  const sync = await import('./utils/qrSync');
+  await dbReady();
+
+  // Every call runs against this phone's localStorage.
+  const on = (fn) => async (...args) => {
+    globalThis.localStorage = storage;
+    return fn(...args);
+  };
+
+  return {
+    db,
+    buildSummary: on(sync.buildSyncSummary),
+    answer: on(sync.answerSyncSummary),
+    applyReply: on(sync.applySyncReply),
+    applyChanges: on(sync.applySyncChanges),
+    createFrames: on(sync.createSyncFrames),
+    isPayload: sync.isQrSyncPayload,
+  };
+}
+
+// What a QR hop keeps: plain JSON.
+function carry(payload) {
+  return JSON.parse(JSON.stringify(payload));
+}
+
+async function runSession(a, b, categoryId) {
+  const summary = carry(await a.buildSummary(categoryId));
+  const answer = await b.answer(summary);
+  const reply = carry(answer.payload);
+  const applied = await a.applyReply(reply, summary.qrSync.sessionId);
+  const changes = applied.payload ? carry(applied.payload) : null;
+  const finished = changes
+    ? await b.applyChanges(changes, summary.qrSync.sessionId)
+    : null;
+
+  return { summary, answer, reply, applied, changes, finished };
+}
+
+// A phone's rows as comparable values: portable id → synced fields.
+async function snapshot(phone, transferId) {
+  const portable = (tableName, row) =>
+    row.portableId || `${transferId}:${tableName}:${row.id}`;
+  const ids = {};
+  const result = {};
+
+  for (const tableName of ['categories', 'requestors', 'prayers', 'events']) {
+    ids[tableName] = new Map();
+    for (const row of await phone.db.table(tableName).toArray()) {
+      ids[tableName].set(row.id, portable(tableName, row));
+    }
+  }
+
+  const parents = {
+    requestors: ['categoryId', 'categories'],
+    prayers: ['requestorId', 'requestors'],
+    events: ['prayerId', 'prayers'],
+  };
+  for (const tableName of Object.keys(ids)) {
+    const [reference, parentTable] = parents[tableName] || [];
+
+    for (const row of await phone.db.table(tableName).toArray()) {
+      const fields = {};
+      for (const field of SYNCED_FIELDS[tableName]) {
+        fields[field] =
+          field === reference ? ids[parentTable].get(row[field]) : row[field] ?? null;
+      }
+      result[portable(tableName, row)] = fields;
+    }
+  }
+
+  return result;
+}
+
+function stamped(fields, at) {
+  return {
+    ...fields,
+    fieldUpdatedAt: Object.fromEntries(Object.keys(fields).map((field) => [field, at])),
+  };
+}
+
+async function seedFamily(phone) {
+  await phone.db.categories.add(
+    { id: 1, ...stamped({ name: 'Family', description: '', showSingle: 0 }, T0) }
+  );
+  await phone.db.requestors.add({
+    id: 1,
+    ...stamped({ categoryId: 1, name: 'Jane', description: 'Sister', security: 0, archived: 0 }, T0),
+  });
+  await phone.db.prayers.add({
+    id: 1,
+    ...stamped(
+      { requestorId: 1, name: 'Healing', description: 'Knee', status: 'requested', requestedAt: '2025-01-01' },
+      T0
+    ),
+  });
+  await phone.db.events.add({
+    id: 1,
+    ...stamped({ prayerId: 1, title: 'Surgery set', note: '', createdAt: '2025-01-02T09:00:00Z' }, T0),
+  });
+}
+
+let a;
+let b;
+
+beforeEach(async () => {
+  globalThis.window = { dispatchEvent: () => true };
+  a = await createPhone('phone-a');
+  b = await createPhone('phone-b');
+});
+
+afterEach(() => {
+  a.db.close();
+  b.db.close();
+  delete globalThis.localStorage;
+  delete globalThis.window;
+});
+
+describe('QR sync round trip', () => {
+  it('copies a whole category to an empty phone', async () => {
+    await seedFamily(a);
+
+    const { answer, applied, finished } = await runSession(a, b, 1);
+
+    expect(answer.sending).toBe(0);
+    expect(answer.wanted).toBe(4);
+    expect(applied.counts).toEqual({ added: 0, updated: 0, skipped: 0 });
+    expect(finished.counts).toEqual({ added: 4, updated: 0, skipped: 0 });
+    expect(await snapshot(b, 'phone-b')).toEqual(await snapshot(a, 'phone-a'));
+  });
+
+  it('converges after edits on both phones, field by field', async () => {
+    await seedFamily(a);
+    await runSession(a, b, 1);
+
+    await a.db.prayers.update(1, {
+      name: 'Healing after surgery',
+      fieldUpdatedAt: { ...(await a.db.prayers.get(1)).fieldUpdatedAt, name: T0 + 10 },
+    });
+    const copy = await b.db.prayers.toCollection().first();
+    await b.db.prayers.update(copy.id, {
+      description: 'Left knee',
+      fieldUpdatedAt: { ...copy.fieldUpdatedAt, description: T0 + 20 },
+    });
+    await b.db.events.add({
+      prayerId: copy.id,
+      ...stamped({ title: 'Walking again', note: '', createdAt: '2025-02-01T09:00:00Z' }, T0 + 30),
+    });
+
+    const { answer, applied, finished } = await runSession(a, b, 1);
+
+    expect(answer.sending).toBe(2);
+    expect(applied.counts).toEqual({ added: 1, updated: 1, skipped: 0 });
+    expect(finished.counts).toEqual({ added: 0, updated: 1, skipped: 0 });
+
+    const prayer = await a.db.prayers.get(1);
+    expect(prayer.name).toBe('Healing after surgery');
+    expect(prayer.description).toBe('Left knee');
+    expect(await snapshot(b, 'phone-b')).toEqual(await snapshot(a, 'phone-a'));
+
+    // Nothing is left to exchange.
+    const again = await runSession(a, b, 1);
+    expect(again.answer.sending).toBe(0);
+    expect(again.answer.wanted).toBe(0);
+    expect(again.changes).toBeNull();
+  });
+
+  it('breaks equal field stamps the same way on both phones', async () => {
+    await seedFamily(a);
+    await runSession(a, b, 1);
+
+    const copy = await b.db.requestors.toCollection().first();
+    await a.db.requestors.update(1, { description: 'Big sister' });
+    await b.db.requestors.update(copy.id, { description: 'Older sister' });
+
+    await runSession(a, b, 1);
+
+    // Same stamps everywhere: the larger value wins on both phones.
+    expect((await a.db.requestors.get(1)).description).toBe('Older sister');
+    expect((await b.db.requestors.get(copy.id)).description).toBe('Older sister');
+  });
+
+  it('lets the copy edited last win an equal field stamp', async () => {
+    await seedFamily(a);
+    await runSession(a, b, 1);
+
+    const copy = await b.db.requestors.toCollection().first();
+    await a.db.requestors.update(1, { description: 'Big sister' });
+    await b.db.requestors.update(copy.id, {
+      description: 'Auntie',
+      fieldUpdatedAt: { ...copy.fieldUpdatedAt, name: T0 + 5 },
+    });
+
+    await runSession(a, b, 1);
+
+    expect((await a.db.requestors.get(1)).description).toBe('Auntie');
+    expect((await b.db.requestors.get(copy.id)).description).toBe('Auntie');
+  });
+
+  it('moves a newer stamp onto an equal value without counting an update', async () => {
+    await seedFamily(a);
+    await runSession(a, b, 1);
+
+    await a.db.categories.update(1, {
+      description: 'Mine',
+      fieldUpdatedAt: { ...(await a.db.categories.get(1)).fieldUpdatedAt, description: T0 + 50 },
+    });
+    const copy = await b.db.categories.toCollection().first();
+    await b.db.categories.update(copy.id, {
+      fieldUpdatedAt: { ...copy.fieldUpdatedAt, name: T0 + 40 },
+    });
+
+    const { applied } = await runSession(a, b, 1);
+
+    expect(applied.counts).toEqual({ added: 0, updated: 0, skipped: 0 });
+    const category = await a.db.categories.get(1);
+    expect(category.description).toBe('Mine');
+    expect(category.fieldUpdatedAt.name).toBe(T0 + 40);
+    expect((await b.db.categories.get(copy.id)).description).toBe('Mine');
+  });
+
+  it('skips a record whose parent this phone does not have', async () => {
+    await seedFamily(a);
+    const summary = carry(await a.buildSummary(1));
+    const changes = {
+      qrSync: { ...summary.qrSync, step: 'changes' },
+      records: [
+        {
+          tableName: 'prayers',
+          portableId: 'phone-c:prayers:7',
+          fields: { requestorId: 'phone-c:requestors:3', name: 'Orphan' },
+          stamps: { name: T0 },
+        },
+      ],
+    };
+
+    const { counts } = await b.applyChanges(changes, summary.qrSync.sessionId);
+
+    expect(counts).toEqual({ added: 0, updated: 0, skipped: 1 });
+    expect(await b.db.prayers.count()).toBe(0);
+  });
+
+  it('rejects a payload from another session', async () => {
+    await seedFamily(a);
+    const summary = carry(await a.buildSummary(1));
+    const { payload } = await b.answer(summary);
+
+    await expect(a.applyReply(carry(payload), 'other-session')).rejects.toThrow(
+      /different sync session/
+    );
+  });
+});
+
+describe('answering a summary', () => {
+  async function seedShared(phone, fieldUpdatedAt) {
+    await phone.db.categories.add({
+      id: 1,
+      portableId: 'phone-a:categories:1',
+      name: 'Family',
+      description: 'Mine',
+      showSingle: 0,
+      fieldUpdatedAt,
+    });
+  }
+
+  function summaryOf(entries) {
+    return {
+      qrSync: {
+        version: 1,
+        step: 'summary',
+        sessionId: 'session-1',
+        category: { portableId: 'phone-a:categories:1', name: 'Family' },
+        protected: false,
+      },
+      entries,
+    };
+  }
+
+  it('asks for records it lacks and sends the ones the summary lacks', async () => {
+    await seedShared(b, { name: T0 });
+    await b.db.requestors.add({ id: 1, categoryId: 1, name: 'Jane', fieldUpdatedAt: { name: T0 } });
+
+    const { payload } = await b.answer(
+      summaryOf([
+        ['phone-a:categories:1', T0, 'differs'],
+        ['phone-a:requestors:9', T0, 'new'],
+      ])
+    );
+
+    expect(payload.want).toEqual(['phone-a:categories:1', 'phone-a:requestors:9']);
+    expect(payload.records.map((record) => record.portableId)).toEqual([
+      'phone-a:categories:1',
+      'phone-b:requestors:1',
+    ]);
+  });
+
+  it('only sends when the summary copy was never stamped', async () => {
+    await seedShared(b, { name: T0 });
+
+    const { payload } = await b.answer(summaryOf([['phone-a:categories:1', 0, 'differs']]));
+
+    expect(payload.records).toHaveLength(1);
+    expect(payload.want).toEqual([]);
+  });
+
+  it('only asks when its own copy was never stamped', async () => {
+    await seedShared(b, {});
+
+    const { payload } = await b.answer(summaryOf([['phone-a:categories:1', T0, 'differs']]));
+
+    expect(payload.records).toEqual([]);
+    expect(payload.want).toEqual(['phone-a:categories:1']);
+  });
+
+  it('leaves matching copies alone', async () => {
+    await seedFamily(a);
+    await runSession(a, b, 1);
+
+    const { answer } = await runSession(a, b, 1);
+
+    expect(answer.payload.records).toEqual([]);
+    expect(answer.payload.want).toEqual([]);
+  });
+});
+
+describe('privacy', () => {
+  it('never sends vault-locked events', async () => {
+    await seedFamily(a);
+    await a.db.events.add({
+      id: 2,
+      ...stamped({ prayerId: 1, title: 'Diagnosis', note: 'Private', createdAt: '2025-01-03T09:00:00Z', security: 1 }, T0),
+    });
+
+    const { summary, changes } = await runSession(a, b, 1);
+
+    expect(summary.entries.map(([portableId]) => portableId)).not.toContain(
+      'phone-a:events:2'
+    );
+    expect(JSON.stringify(changes)).not.toContain('Diagnosis');
+    expect(await b.db.events.count()).toBe(1);
+  });
+
+  it('withholds prayers whose profile hides the requestor and leaves out hidden fields', async () => {
+    await seedFamily(a);
+    await a.db.prayers.add({
+      id: 2,
+      ...stamped(
+        {
+          requestorId: 1,
+          name: 'Marriage',
+          status: 'requested',
+          redaction: { requestor: false },
+        },
+        T0
+      ),
+    });
+    await a.db.prayers.update(1, {
+      redaction: { title: false, events: false },
+    });
+
+    const { changes } = await runSession(a, b, 1);
+    const sent = JSON.stringify(changes);
+
+    expect(sent).not.toContain('Marriage');
+    expect(sent).not.toContain('Healing');
+    expect(sent).not.toContain('Surgery set');
+
+    const prayers = await b.db.prayers.toArray();
+    expect(prayers).toHaveLength(1);
+    expect(prayers[0].name).toBe('Private request');
+    expect(prayers[0].description).toBe('Knee');
+
+    // Both phones hide the same fields, so the next session is quiet.
+    const again = await runSession(a, b, 1);
+    expect(again.answer.sending).toBe(0);
+    expect(again.changes).toBeNull();
+  });
+
+  it('requires protection when either phone holds security records', async () => {
+    await seedFamily(a);
+    await a.db.requestors.update(1, { security: 1 });
+
+    const summary = carry(await a.buildSummary(1));
+    const { payload } = await b.answer(summary);
+
+    expect(summary.qrSync.protected).toBe(true);
+    expect(payload.qrSync.protected).toBe(true);
+    await expect(a.createFrames(summary)).rejects.toMatchObject({
+      code: 'NEEDS_PROTECTION',
+    });
+  });
+});
@@ -11,48 +11,37 @@ import {
   isVaultEnabled,
   isUnlocked,
 } from './vault';
+import { encryptAtRest, openRows } from './secureStore';
+import {
+  isFieldEnvelope,
+  openFieldEnvelopes,
+  parkFieldEnvelopes,
+  sealFieldEnvelopes,
+} from './sealedRecords';
+import { isTrashed, withoutTrashed } from './trash';
+import { getOrCreateDatabaseTransferId, makePortableId } from './portableIds';
 
 const PORTABLE_EXPORT_TYPE = 'cp/portable-graft';
 const PORTABLE_EXPORT_VERSION = 1;
-const DATABASE_TRANSFER_ID_KEY = 'cp:databaseTransferId:v1';
+const BACKUP_INCLUDE_TRASH_KEY = 'cp:backupIncludeTrash:v1';
+const ENTRY_ENCRYPTED_EXPORT_TYPE = 'cp/entry-encrypted-backup';
+const ENTRY_ENCRYPTION_VERSION = 1;
+
+// Content fields replaced with `{iv, ct}` envelopes on records marked secure
+// in per-entry encrypted backups. Ids, links, dates and flags stay readable.
+export const ENTRY_CONTENT_FIELDS = {
+  requestors: ['description'],
+  prayers: ['name', 'description'],
+  events: ['title', 'note'],
+};
 
 // ---------------------------------------------------------------------------
 // Shared helpers
 // ---------------------------------------------------------------------------
-function createRandomId() {
-  if (globalThis.crypto?.randomUUID) {
-    return globalThis.crypto.randomUUID();
-  }
-
-  const bytes = new Uint8Array(16);
-  globalThis.crypto.getRandomValues(bytes);
-  return Array.from(bytes, (value) => value.toString(16).padStart(2, '0')).join('');
-}
-
-function getOrCreateDatabaseTransferId() {
-  try {
-    const existing = localStorage.getItem(DATABASE_TRANSFER_ID_KEY);
-    if (existing) return existing;
-
-    const created = createRandomId();
-    localStorage.setItem(DATABASE_TRANSFER_ID_KEY, created);
-    return created;
-  } catch {
-    // Storage should normally be available in the PWA. This fallback keeps an
-    // export usable even in a restricted browser session, though repeat-export
-    // identity cannot be guaranteed across reloads in that unusual case.
-    return createRandomId();
-  }
-}
-
 function toMapKey(value) {
   return `${typeof value}:${String(value)}`;
 }
 
-function makePortableId(sourceDatabaseId, tableName, sourceId) {
-  return `${sourceDatabaseId}:${tableName}:${String(sourceId)}`;
-}
-
 function preparePortableRecord(record, tableName, sourceDatabaseId) {
   if (!record) return null;
 
@@ -64,6 +53,14 @@ function preparePortableRecord(record, tableName, sourceDatabaseId) {
   };
 }
 
+// Exports carry decrypted vault fields; the export file itself is encrypted
+// whenever the vault is enabled. Rows that cannot be opened keep their envelope.
+async function openForExport(tableName, records) {
+  const opened = await openRows(tableName, records);
+
+  return opened.map(({ locked, ...record }) => record);
+}
+
 async function ensurePortableRecords(
   table,
   tableName,
@@ -80,13 +77,13 @@ async function ensurePortableRecords(
     );
 
     if (!record.portableId) {
-      await table.put(portable);
+      await table.update(record.id, { portableId: portable.portableId });
     }
 
     prepared.push(portable);
   }
 
-  return prepared;
+  return openForExport(tableName, prepared);
 }
 
 function sanitizeFilePart(value, fallback) {
@@ -102,12 +99,20 @@ function sanitizeFilePart(value, fallback) {
 
 async function getPrayersForRequestorIds(requestorIds) {
   if (!requestorIds.length) return [];
-  return db.prayers.where('requestorId').anyOf(requestorIds).toArray();
+  return db.prayers
+    .where('requestorId')
+    .anyOf(requestorIds)
+    .filter((prayer) => !isTrashed(prayer))
+    .toArray();
 }
 
 async function getEventsForPrayerIds(prayerIds) {
   if (!prayerIds.length) return [];
-  return db.events.where('prayerId').anyOf(prayerIds).toArray();
+  return db.events
+    .where('prayerId')
+    .anyOf(prayerIds)
+    .filter((event) => !isTrashed(event))
+    .toArray();
 }
 
 function selectionName(kind, record) {
@@ -195,25 +200,54 @@ async function encryptExportText(clearText, fileName) {
 // ---------------------------------------------------------------------------
 // Full backup export
 // ---------------------------------------------------------------------------
-export async function exportAllAsJson() {
-  const [categories, requestors, prayers, events, journalEntries] = await Promise.all([
-    db.categories.toArray(),
-    db.requestors.toArray(),
-    db.prayers.toArray(),
-    db.events.toArray(),
-    db.journalEntries.toArray(),
-  ]);
+/** The "Include items in Trash" backup preference; on unless turned off. */
+export function getBackupIncludeTrash() {
+  try {
+    return localStorage.getItem(BACKUP_INCLUDE_TRASH_KEY) !== '0';
+  } catch {
+    return true;
+  }
+}
 
+export function setBackupIncludeTrash(include) {
+  localStorage.setItem(BACKUP_INCLUDE_TRASH_KEY, include ? '1' : '0');
+}
+
+// Rows in the Trash follow the backup preference unless `includeTrashed` is
+// passed.
+async function collectBackupData({ includeTrashed = getBackupIncludeTrash() } = {}) {
+  const rowsOf = async (table) => {
+    const rows = await table.toArray();
+    return includeTrashed ? rows : withoutTrashed(rows);
+  };
+
+  const [categories, requestors, prayers, events, journalEntries, prayerLog] =
+    await Promise.all([
+      rowsOf(db.categories),
+      rowsOf(db.requestors).then((rows) => openForExport('requestors', rows)),
+      rowsOf(db.prayers).then((rows) => openForExport('prayers', rows)),
+      rowsOf(db.events).then((rows) => openForExport('events', rows)),
+      rowsOf(db.journalEntries).then((rows) =>
+        openForExport('journalEntries', rows)
+      ),
+      rowsOf(db.prayerLog),
+    ]);
+
+  return {
+    categories,
+    requestors,
+    prayers,
+    events,
+    journalEntries,
+    prayerLog,
+  };
+}
+
+export async function exportAllAsJson(options = {}) {
   const payload = {
     version: 1,
     exportedAt: Date.now(),
-    data: {
-      categories,
-      requestors,
-      prayers,
-      events,
-      journalEntries,
-    },
+    data: await collectBackupData(options),
   };
 
   return JSON.stringify(payload, null, 2);
@@ -237,9 +271,9 @@ export function downloadJson(jsonText, fileName = 'closet-prayer-backup.json') {
   }, 0);
 }
 
-export async function exportEncryptedBackup() {
+export async function exportEncryptedBackup(options = {}) {
   if (!isVaultEnabled()) {
-    const clear = await exportAllAsJson();
+    const clear = await exportAllAsJson(options);
 
     return {
       fileName: 'closet-prayer-backup.json',
@@ -252,7 +286,7 @@ export async function exportEncryptedBackup() {
     throw new Error('Unlock the vault before exporting.');
   }
 
-  const clear = await exportAllAsJson();
+  const clear = await exportAllAsJson(options);
   const header = exportMetaForBackup();
   const { ivB64, ctB64 } = await encryptBackupPayload(clear);
   const envelope = {
@@ -270,6 +304,66 @@ export async function exportEncryptedBackup() {
   };
 }
 
+// Readable JSON backup where only the content fields of secure records are
+// encrypted, each bound to its table, record id and field name.
+export async function exportEntryEncryptedBackup(options = {}) {
+  if (!isVaultEnabled()) {
+    throw new Error(
+      'Enable the Private Vault in Settings before exporting encrypted entries.'
+    );
+  }
+
+  if (!isUnlocked()) {
+    throw new Error('Unlock the vault before exporting.');
+  }
+
+  const data = await collectBackupData(options);
+  let encryptedRecords = 0;
+
+  for (const [tableName, fields] of Object.entries(ENTRY_CONTENT_FIELDS)) {
+    data[tableName] = await Promise.all(
+      data[tableName].map(async (record) => {
+        // Rows this vault could not open are exported with their envelope.
+        if (!record.security || record.sealed || record.entryEnvelope) {
+          return record;
+        }
+
+        encryptedRecords += 1;
+        return sealFieldEnvelopes(tableName, record, fields);
+      })
+    );
+  }
+
+  const payload = {
+    version: 1,
+    exportedAt: Date.now(),
+    exportType: ENTRY_ENCRYPTED_EXPORT_TYPE,
+    entryEncryption: {
+      version: ENTRY_ENCRYPTION_VERSION,
+      cipher: 'AES-GCM',
+      fields: ENTRY_CONTENT_FIELDS,
+      records: encryptedRecords,
+      header: exportMetaForBackup(),
+    },
+    data,
+  };
+
+  return {
+    fileName: 'closet-prayer-backup.entries.json',
+    mime: 'application/json',
+    text: JSON.stringify(payload, null, 2),
+  };
+}
+
+export function isEntryEncryptedBackup(value) {
+  return Boolean(
+    value &&
+      value.exportType === ENTRY_ENCRYPTED_EXPORT_TYPE &&
+      value.entryEncryption?.header &&
+      value.data
+  );
+}
+
 export function isEncryptedBackup(value) {
   return Boolean(
     value &&
@@ -279,12 +373,69 @@ export function isEncryptedBackup(value) {
   );
 }
 
-export async function exportSmartJson() {
+/**
+ * Summarizes a backup file before import: format flags and per-table record
+ * counts. Encrypted backups have no counts until they are opened.
+ */
+export function parseBackupPreview(text, fileName = 'backup.json') {
+  try {
+    const parsed = JSON.parse(text);
+
+    if (parsed?.header?.type === 'cp/encrypted-backup') {
+      return {
+        fileName,
+        encrypted: true,
+        portable: parsed?.header?.contents === 'portable-graft',
+        selection: null,
+        counts: null,
+        valid: true,
+        raw: parsed,
+      };
+    }
+
+    const portable = parsed?.exportType === 'cp/portable-graft';
+    const entryEncrypted = parsed?.exportType === ENTRY_ENCRYPTED_EXPORT_TYPE;
+    const data = parsed?.data || parsed || {};
+    const counts = {
+      categories: Array.isArray(data.categories) ? data.categories.length : 0,
+      requestors: Array.isArray(data.requestors) ? data.requestors.length : 0,
+      prayers: Array.isArray(data.prayers) ? data.prayers.length : 0,
+      events: Array.isArray(data.events) ? data.events.length : 0,
+      journalEntries: Array.isArray(data.journalEntries)
+        ? data.journalEntries.length
+        : 0,
+    };
+
+    return {
+      fileName,
+      encrypted: false,
+      entryEncrypted,
+      portable,
+      selection: parsed?.selection || null,
+      counts,
+      valid: true,
+      raw: parsed,
+    };
+  } catch (error) {
+    return {
+      fileName,
+      encrypted: false,
+      portable: false,
+      selection: null,
+      counts: null,
+      valid: false,
+      error: error?.message || 'Invalid JSON',
+      raw: null,
+    };
+  }
+}
+
+export async function exportSmartJson(options = {}) {
   if (isVaultEnabled()) {
-    return exportEncryptedBackup();
+    return exportEncryptedBackup(options);
   }
 
-  const clear = await exportAllAsJson();
+  const clear = await exportAllAsJson(options);
 
   return {
     fileName: 'closet-prayer-backup.json',
@@ -308,6 +459,7 @@ export async function exportSelectionSmart({ kind, id }) {
     const requestors = await db.requestors
       .where('categoryId')
       .equals(category.id)
+      .filter((requestor) => !isTrashed(requestor))
       .toArray();
     const prayers = await getPrayersForRequestorIds(
       requestors.map((requestor) => requestor.id)
@@ -365,6 +517,7 @@ export async function exportSelectionSmart({ kind, id }) {
     const prayers = await db.prayers
       .where('requestorId')
       .equals(requestor.id)
+      .filter((prayer) => !isTrashed(prayer))
       .toArray();
     const events = await getEventsForPrayerIds(
       prayers.map((prayer) => prayer.id)
@@ -422,6 +575,7 @@ export async function exportSelectionSmart({ kind, id }) {
     const events = await db.events
       .where('prayerId')
       .equals(prayer.id)
+      .filter((event) => !isTrashed(event))
       .toArray();
 
     const [portableCategories, portableRequestors, portablePrayers, portableEvents] =
@@ -556,6 +710,15 @@ export async function exportSelectionSmart({ kind, id }) {
 // ---------------------------------------------------------------------------
 // Import helpers
 // ---------------------------------------------------------------------------
+// Incoming plaintext replaces a local vault envelope; otherwise the stale
+// envelope would win over the imported fields the next time the row is opened.
+function mergeOverExisting(existing, incoming) {
+  const merged = { ...existing, ...incoming };
+  if (!incoming.sealed) delete merged.sealed;
+  if (!incoming.entryEnvelope) delete merged.entryEnvelope;
+  return merged;
+}
+
 async function createPortableIndex(table) {
   const rows = await table.toArray();
   const index = new Map();
@@ -566,6 +729,13 @@ async function createPortableIndex(table) {
     }
   }
 
+  // Rows merged away (utils/reassign) live on as aliases of the merged row.
+  for (const row of rows) {
+    for (const alias of row?.portableAliases || []) {
+      if (!index.has(alias)) index.set(alias, row);
+    }
+  }
+
   return index;
 }
 
@@ -595,11 +765,17 @@ async function upsertPortableRecords({
       existing = (await table.get(sourceItem.id)) || null;
     }
 
+    // A match through an alias keeps the local row's own portable id.
     const record = {
       ...sourceItem,
-      portableId,
+      portableId: existing?.portableId || portableId,
     };
     delete record.id;
+    if (existing?.portableAliases) {
+      record.portableAliases = Array.from(
+        new Set([...existing.portableAliases, ...(sourceItem.portableAliases || [])])
+      );
+    }
 
     if (parentField) {
       const mappedParentId = parentMap?.get(
@@ -619,11 +795,12 @@ async function upsertPortableRecords({
 
     if (existing) {
       targetId = existing.id;
-      await table.put({
-        ...existing,
-        ...record,
-        id: targetId,
-      });
+      await table.put(
+        mergeOverExisting(existing, {
+          ...record,
+          id: targetId,
+        })
+      );
     } else {
       targetId = await table.add(record);
       const created = {
@@ -735,7 +912,9 @@ export async function importFromJsonBackup(jsonObject, mode = 'merge') {
       );
     }
 
-    return importPortableGraft(jsonObject);
+    const result = await importPortableGraft(jsonObject);
+    await encryptAtRest();
+    return result;
   }
 
   const data = jsonObject?.data || {};
@@ -745,6 +924,7 @@ export async function importFromJsonBackup(jsonObject, mode = 'merge') {
     prayers = [],
     events = [],
     journalEntries = [],
+    prayerLog = [],
   } = data;
 
   const tables = [
@@ -753,6 +933,7 @@ export async function importFromJsonBackup(jsonObject, mode = 'merge') {
     db.prayers,
     db.events,
     db.journalEntries,
+    db.prayerLog,
   ];
 
   if (mode === 'replace') {
@@ -763,6 +944,7 @@ export async function importFromJsonBackup(jsonObject, mode = 'merge') {
         db.prayers.clear(),
         db.events.clear(),
         db.journalEntries.clear(),
+        db.prayerLog.clear(),
       ]);
 
       if (categories.length) await db.categories.bulkAdd(categories);
@@ -770,8 +952,10 @@ export async function importFromJsonBackup(jsonObject, mode = 'merge') {
       if (prayers.length) await db.prayers.bulkAdd(prayers);
       if (events.length) await db.events.bulkAdd(events);
       if (journalEntries.length) await db.journalEntries.bulkAdd(journalEntries);
+      if (prayerLog.length) await db.prayerLog.bulkAdd(prayerLog);
     });
 
+    await encryptAtRest();
     return true;
   }
 
@@ -782,7 +966,7 @@ export async function importFromJsonBackup(jsonObject, mode = 'merge') {
       const existing = await table.get(item.id);
 
       if (existing) {
-        await table.put({ ...existing, ...item });
+        await table.put(mergeOverExisting(existing, item));
       } else {
         await table.add(item);
       }
@@ -795,11 +979,104 @@ export async function importFromJsonBackup(jsonObject, mode = 'merge') {
     await upsert(db.prayers, prayers);
     await upsert(db.events, events);
     await upsert(db.journalEntries, journalEntries);
+    await upsert(db.prayerLog, prayerLog);
   });
 
+  await encryptAtRest();
   return true;
 }
 
+function findFirstFieldEnvelope(data) {
+  for (const tableName of Object.keys(ENTRY_CONTENT_FIELDS)) {
+    const rows = Array.isArray(data?.[tableName]) ? data[tableName] : [];
+
+    for (const record of rows) {
+      for (const [field, value] of Object.entries(record || {})) {
+        if (isFieldEnvelope(value)) return { tableName, record, field };
+      }
+    }
+  }
+
+  return null;
+}
+
+async function canOpenWithVaultKey(data) {
+  const probe = findFirstFieldEnvelope(data);
+  if (!probe || !isUnlocked()) return false;
+
+  try {
+    await openFieldEnvelopes(
+      probe.tableName,
+      { [probe.field]: probe.record[probe.field] },
+      probe.record.id
+    );
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Returns the backup data with field envelopes opened, using DEK bytes from
+ * the restore secret or the unlocked vault key. With `keepLocked`, envelopes
+ * no key can open are parked on the record so it imports as a locked record.
+ */
+async function openEntryEncryptedData(parsed, options) {
+  const { secretKind, secret, keepLocked = false } = options;
+  let dekBytes = null;
+  let canDecrypt = false;
+
+  if (secretKind && secret) {
+    try {
+      dekBytes = await unwrapDEKFromHeader(
+        parsed.entryEncryption.header,
+        secretKind,
+        secret
+      );
+    } catch {
+      throw new Error(
+        secretKind === 'recovery' ? 'Wrong Recovery Code.' : 'Wrong passphrase.'
+      );
+    }
+    canDecrypt = true;
+  } else if (
+    !findFirstFieldEnvelope(parsed.data) ||
+    (await canOpenWithVaultKey(parsed.data))
+  ) {
+    canDecrypt = true;
+  } else if (!keepLocked) {
+    const error = new Error(
+      'This backup has encrypted entries: passphrase or Recovery Code required, or import them as locked records.'
+    );
+    error.code = 'NEEDS_SECRET';
+    error.header = parsed.entryEncryption.header;
+    error.canKeepLocked = true;
+    throw error;
+  }
+
+  const data = { ...parsed.data };
+  let locked = 0;
+
+  for (const tableName of Object.keys(ENTRY_CONTENT_FIELDS)) {
+    const rows = Array.isArray(data[tableName]) ? data[tableName] : [];
+
+    data[tableName] = await Promise.all(
+      rows.map(async (record) => {
+        if (!Object.values(record || {}).some(isFieldEnvelope)) return record;
+
+        if (canDecrypt) {
+          return openFieldEnvelopes(tableName, record, record.id, dekBytes);
+        }
+
+        locked += 1;
+        return parkFieldEnvelopes(record);
+      })
+    );
+  }
+
+  return { data, locked };
+}
+
 export async function importSmartFromFileText(fileText, options = {}) {
   let parsed;
 
@@ -853,6 +1130,22 @@ export async function importSmartFromFileText(fileText, options = {}) {
     };
   }
 
+  if (isEntryEncryptedBackup(parsed)) {
+    const { data, locked } = await openEntryEncryptedData(parsed, options);
+    const result = await importFromJsonBackup(
+      { ...parsed, data },
+      options.mode || 'merge'
+    );
+
+    return {
+      encrypted: false,
+      entryEncrypted: true,
+      imported: true,
+      locked,
+      result,
+    };
+  }
+
   const result = await importFromJsonBackup(
     parsed,
     options.mode || 'merge'
@@ -0,0 +1,638 @@
+// src/utils/backupTargets.js
+// Cloud backup targets. Each adapter receives the file produced by
+// exportSmartJson(), so a vault-enabled backup leaves the device encrypted.
+// - Adapters: WebDAV (Basic auth) and S3-compatible (path-style requests
+//   signed with AWS Signature V4). Each can upload, list, and download backup
+//   files. Both accept custom endpoints, so local stand-in servers work the
+//   same as hosted ones.
+// - Scheduler: runs when the app opens and when the service worker's periodic
+//   sync asks the page to (see public/sw-handlers.js).
+// - Target settings, including credentials, live in localStorage on this
+//   device only.
+
+import { exportSmartJson, getBackupIncludeTrash } from './backup';
+import { isUnlocked, isVaultEnabled } from './vault';
+
+const TARGETS_KEY = 'cp:backupTargets:v1';
+const PERIODIC_SYNC_TAG = 'cp-backup';
+const HOUR_MS = 60 * 60 * 1000;
+
+const textEncoder = new TextEncoder();
+
+const DEFAULT_CONFIG = {
+  targets: [],
+  schedule: {
+    enabled: false,
+    intervalHours: 24,
+  },
+  privacyAcknowledged: false,
+  lastRunAt: null,
+};
+
+// ---------------------------------------------------------------------------
+// Config storage
+// ---------------------------------------------------------------------------
+export function loadBackupTargetsConfig() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(TARGETS_KEY) || 'null');
+    return {
+      ...DEFAULT_CONFIG,
+      ...(raw || {}),
+      schedule: { ...DEFAULT_CONFIG.schedule, ...(raw?.schedule || {}) },
+      targets: Array.isArray(raw?.targets) ? raw.targets : [],
+    };
+  } catch {
+    return { ...DEFAULT_CONFIG };
+  }
+}
+
+export function saveBackupTargetsConfig(config) {
+  localStorage.setItem(TARGETS_KEY, JSON.stringify(config || DEFAULT_CONFIG));
+  window.dispatchEvent(new Event('backupTargets:changed'));
+}
+
+function updateTarget(targetId, changes) {
+  const config = loadBackupTargetsConfig();
+  saveBackupTargetsConfig({
+    ...config,
+    targets: config.targets.map((target) =>
+      target.id === targetId ? { ...target, ...changes } : target
+    ),
+  });
+}
+
+export function createTargetId() {
+  if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
+  return `target-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+}
+
+// ---------------------------------------------------------------------------
+// Shared HTTP helpers
+// ---------------------------------------------------------------------------
+function joinUrl(base, ...parts) {
+  const trimmed = String(base || '').replace(/\/+$/, '');
+  const path = parts
+    .filter(Boolean)
+    .map((part) => String(part).replace(/^\/+|\/+$/g, ''))
+    .filter(Boolean)
+    .join('/');
+
+  return path ? `${trimmed}/${path}` : trimmed;
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+function bytesToHex(buffer) {
+  return Array.from(new Uint8Array(buffer), (value) =>
+    value.toString(16).padStart(2, '0')
+  ).join('');
+}
+
+function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) {
+    throw new Error('The server returned an unreadable listing.');
+  }
+  return doc;
+}
+
+function childText(element, namespace, localName) {
+  const match = namespace
+    ? element.getElementsByTagNameNS(namespace, localName)[0]
+    : element.getElementsByTagName(localName)[0];
+  return match?.textContent?.trim() || '';
+}
+
+function isBackupFileName(name) {
+  return /\.json$/i.test(name);
+}
+
+async function ensureOk(response, action) {
+  if (response.ok) return response;
+
+  let detail = '';
+  try {
+    detail = (await response.text()).slice(0, 200);
+  } catch {}
+
+  throw new Error(
+    `${action} failed (${response.status} ${response.statusText})${
+      detail ? `: ${detail}` : ''
+    }`
+  );
+}
+
+// ---------------------------------------------------------------------------
+// WebDAV adapter
+// ---------------------------------------------------------------------------
+function webdavHeaders(config, extra = {}) {
+  const headers = { ...extra };
+
+  if (config.username) {
+    const token = bytesToBase64(
+      textEncoder.encode(`${config.username}:${config.password || ''}`)
+    );
+    headers.Authorization = `Basic ${token}`;
+  }
+
+  return headers;
+}
+
+const webdavAdapter = {
+  kind: 'webdav',
+  label: 'WebDAV',
+  fields: [
+    {
+      key: 'url',
+      label: 'Folder URL',
+      placeholder: 'https://dav.example.com/closet-prayer/',
+    },
+    { key: 'username', label: 'Username' },
+    { key: 'password', label: 'Password', type: 'password' },
+  ],
+
+  validate(config) {
+    if (!/^https?:\/\//i.test(config.url || '')) {
+      return 'Enter the WebDAV folder URL, starting with http:// or https://.';
+    }
+    return '';
+  },
+
+  async test(config) {
+    const response = await fetch(joinUrl(config.url) + '/', {
+      method: 'PROPFIND',
+      headers: webdavHeaders(config, { Depth: '0' }),
+    });
+    await ensureOk(response, 'WebDAV connection test');
+  },
+
+  async upload(config, file) {
+    const response = await fetch(joinUrl(config.url, encodeURIComponent(file.fileName)), {
+      method: 'PUT',
+      headers: webdavHeaders(config, { 'Content-Type': file.mime }),
+      body: file.text,
+    });
+    await ensureOk(response, 'WebDAV upload');
+  },
+
+  async list(config) {
+    const folderUrl = joinUrl(config.url) + '/';
+    const response = await fetch(folderUrl, {
+      method: 'PROPFIND',
+      headers: webdavHeaders(config, {
+        Depth: '1',
+        'Content-Type': 'application/xml',
+      }),
+      body:
+        '<?xml version="1.0"?><d:propfind xmlns:d="DAV:"><d:prop>' +
+        '<d:getcontentlength/><d:getlastmodified/><d:resourcetype/>' +
+        '</d:prop></d:propfind>',
+    });
+    await ensureOk(response, 'WebDAV listing');
+
+    const doc = parseXml(await response.text());
+    const files = [];
+
+    for (const entry of Array.from(doc.getElementsByTagNameNS('DAV:', 'response'))) {
+      if (entry.getElementsByTagNameNS('DAV:', 'collection').length) continue;
+
+      const href = childText(entry, 'DAV:', 'href');
+      const name = decodeURIComponent(href.replace(/\/+$/, '').split('/').pop() || '');
+      if (!isBackupFileName(name)) continue;
+
+      const modified = childText(entry, 'DAV:', 'getlastmodified');
+      files.push({
+        name,
+        size: Number(childText(entry, 'DAV:', 'getcontentlength')) || null,
+        modifiedAt: modified ? new Date(modified).toISOString() : null,
+      });
+    }
+
+    return files;
+  },
+
+  async download(config, name) {
+    const response = await fetch(joinUrl(config.url, encodeURIComponent(name)), {
+      method: 'GET',
+      headers: webdavHeaders(config),
+    });
+    await ensureOk(response, 'WebDAV download');
+    return response.text();
+  },
+};
+
+// ---------------------------------------------------------------------------
+// S3-compatible adapter (AWS Signature V4)
+// ---------------------------------------------------------------------------
+async function sha256Hex(data) {
+  const bytes = typeof data === 'string' ? textEncoder.encode(data) : data;
+  return bytesToHex(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+async function hmacSha256(keyBytes, message) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    keyBytes,
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  return crypto.subtle.sign('HMAC', key, textEncoder.encode(message));
+}
+
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+}
+
+function canonicalPath(pathname) {
+  return pathname
+    .split('/')
+    .map((segment) => encodeRfc3986(decodeURIComponent(segment)))
+    .join('/');
+}
+
+function canonicalQuery(searchParams) {
+  return Array.from(searchParams.entries())
+    .map(([key, value]) => [encodeRfc3986(key), encodeRfc3986(value)])
+    .sort(([keyA, valueA], [keyB, valueB]) =>
+      keyA === keyB ? (valueA < valueB ? -1 : 1) : keyA < keyB ? -1 : 1
+    )
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+}
+
+/**
+ * Signs a request for an S3-compatible endpoint. The browser sets the Host
+ * header itself; it is signed with the same value fetch() will send.
+ */
+export async function signS3Request({
+  method,
+  url,
+  region,
+  accessKeyId,
+  secretAccessKey,
+  body = '',
+  headers = {},
+  now = new Date(),
+}) {
+  const target = new URL(url);
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = await sha256Hex(body);
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+  const signedHeaderMap = {
+    ...Object.fromEntries(
+      Object.entries(headers).map(([key, value]) => [
+        key.toLowerCase(),
+        String(value).trim(),
+      ])
+    ),
+    host: target.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+  };
+  const headerNames = Object.keys(signedHeaderMap).sort();
+  const canonicalHeaders = headerNames
+    .map((name) => `${name}:${signedHeaderMap[name]}\n`)
+    .join('');
+  const signedHeaders = headerNames.join(';');
+
+  const canonicalRequest = [
+    method,
+    canonicalPath(target.pathname),
+    canonicalQuery(target.searchParams),
+    canonicalHeaders,
+    signedHeaders,
+    payloadHash,
+  ].join('\n');
+
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    await sha256Hex(canonicalRequest),
+  ].join('\n');
+
+  let signingKey = await hmacSha256(
+    textEncoder.encode(`AWS4${secretAccessKey}`),
+    dateStamp
+  );
+  signingKey = await hmacSha256(signingKey, region);
+  signingKey = await hmacSha256(signingKey, 's3');
+  signingKey = await hmacSha256(signingKey, 'aws4_request');
+  const signature = bytesToHex(await hmacSha256(signingKey, stringToSign));
+
+  const outgoing = { ...headers };
+  outgoing['x-amz-content-sha256'] = payloadHash;
+  outgoing['x-amz-date'] = amzDate;
+  outgoing.Authorization =
+    `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, ` +
+    `SignedHeaders=${signedHeaders}, Signature=${signature}`;
+
+  return outgoing;
+}
+
+function s3ObjectUrl(config, key = '') {
+  return joinUrl(config.endpoint, config.bucket, config.prefix, key);
+}
+
+async function s3Fetch(config, method, url, { body = '', headers = {} } = {}) {
+  const signed = await signS3Request({
+    method,
+    url,
+    region: config.region || 'us-east-1',
+    accessKeyId: config.accessKeyId,
+    secretAccessKey: config.secretAccessKey,
+    body,
+    headers,
+  });
+
+  return fetch(url, {
+    method,
+    headers: signed,
+    body: method === 'GET' || method === 'HEAD' ? undefined : body,
+  });
+}
+
+const s3Adapter = {
+  kind: 's3',
+  label: 'S3-compatible',
+  fields: [
+    {
+      key: 'endpoint',
+      label: 'Endpoint URL',
+      placeholder: 'https://s3.us-east-1.amazonaws.com',
+    },
+    { key: 'region', label: 'Region', placeholder: 'us-east-1' },
+    { key: 'bucket', label: 'Bucket' },
+    { key: 'prefix', label: 'Folder prefix (optional)', placeholder: 'closet-prayer' },
+    { key: 'accessKeyId', label: 'Access key ID' },
+    { key: 'secretAccessKey', label: 'Secret access key', type: 'password' },
+  ],
+
+  validate(config) {
+    if (!/^https?:\/\//i.test(config.endpoint || '')) {
+      return 'Enter the S3 endpoint URL, starting with http:// or https://.';
+    }
+    if (!config.bucket) return 'Enter the bucket name.';
+    if (!config.accessKeyId || !config.secretAccessKey) {
+      return 'Enter the access key ID and secret access key.';
+    }
+    return '';
+  },
+
+  async test(config) {
+    const url = new URL(joinUrl(config.endpoint, config.bucket) + '/');
+    url.searchParams.set('list-type', '2');
+    url.searchParams.set('max-keys', '1');
+
+    const response = await s3Fetch(config, 'GET', url.toString());
+    await ensureOk(response, 'S3 connection test');
+  },
+
+  async upload(config, file) {
+    const response = await s3Fetch(
+      config,
+      'PUT',
+      s3ObjectUrl(config, file.fileName),
+      { body: file.text, headers: { 'Content-Type': file.mime } }
+    );
+    await ensureOk(response, 'S3 upload');
+  },
+
+  async list(config) {
+    const prefix = config.prefix
+      ? `${String(config.prefix).replace(/^\/+|\/+$/g, '')}/`
+      : '';
+    const files = [];
+    let continuationToken = '';
+
+    do {
+      const url = new URL(joinUrl(config.endpoint, config.bucket) + '/');
+      url.searchParams.set('list-type', '2');
+      if (prefix) url.searchParams.set('prefix', prefix);
+      if (continuationToken) {
+        url.searchParams.set('continuation-token', continuationToken);
+      }
+
+      const response = await s3Fetch(config, 'GET', url.toString());
+      await ensureOk(response, 'S3 listing');
+
+      const doc = parseXml(await response.text());
+
+      for (const entry of Array.from(doc.getElementsByTagName('Contents'))) {
+        const key = childText(entry, null, 'Key');
+        const name = key.slice(prefix.length);
+        if (!name || name.includes('/') || !isBackupFileName(name)) continue;
+
+        const modified = childText(entry, null, 'LastModified');
+        files.push({
+          name,
+          size: Number(childText(entry, null, 'Size')) || null,
+          modifiedAt: modified ? new Date(modified).toISOString() : null,
+        });
+      }
+
+      continuationToken =
+        childText(doc.documentElement, null, 'IsTruncated') === 'true'
+          ? childText(doc.documentElement, null, 'NextContinuationToken')
+          : '';
+    } while (continuationToken);
+
+    return files;
+  },
+
+  async download(config, name) {
+    const response = await s3Fetch(config, 'GET', s3ObjectUrl(config, name));
+    await ensureOk(response, 'S3 download');
+    return response.text();
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Adapter registry
+// ---------------------------------------------------------------------------
+export const BACKUP_TARGET_ADAPTERS = {
+  [webdavAdapter.kind]: webdavAdapter,
+  [s3Adapter.kind]: s3Adapter,
+};
+
+export function getBackupTargetAdapter(kind) {
+  const adapter = BACKUP_TARGET_ADAPTERS[kind];
+  if (!adapter) throw new Error(`Unknown backup target: ${kind}`);
+  return adapter;
+}
+
+export async function testBackupTarget(target) {
+  const adapter = getBackupTargetAdapter(target.kind);
+  const problem = adapter.validate(target.config || {});
+  if (problem) throw new Error(problem);
+
+  await adapter.test(target.config || {});
+}
+
+function backupTimeFromName(name) {
+  const match = /-(\d{8}T\d{6}Z)(?:\.cpe)?\.json$/i.exec(name);
+  if (!match) return null;
+
+  const [, stamp] = match;
+  const iso =
+    `${stamp.slice(0, 4)}-${stamp.slice(4, 6)}-${stamp.slice(6, 8)}` +
+    `T${stamp.slice(9, 11)}:${stamp.slice(11, 13)}:${stamp.slice(13, 15)}Z`;
+
+  return Number.isNaN(new Date(iso).getTime()) ? null : iso;
+}
+
+/**
+ * Lists the backup files stored on a target, newest first. `createdAt` comes
+ * from the timestamp in the file name and falls back to the server's
+ * modification time; `encrypted` reflects the `.cpe.json` suffix that vault
+ * backups use.
+ */
+export async function listRemoteBackups(target) {
+  const adapter = getBackupTargetAdapter(target.kind);
+  const problem = adapter.validate(target.config || {});
+  if (problem) throw new Error(problem);
+
+  const files = await adapter.list(target.config || {});
+
+  return files
+    .map((file) => ({
+      ...file,
+      createdAt: backupTimeFromName(file.name) || file.modifiedAt,
+      encrypted: /\.cpe\.json$/i.test(file.name),
+    }))
+    .sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+}
+
+export async function downloadRemoteBackup(target, name) {
+  return getBackupTargetAdapter(target.kind).download(target.config || {}, name);
+}
+
+// ---------------------------------------------------------------------------
+// Running backups
+// ---------------------------------------------------------------------------
+function timestampedFileName(fileName, date = new Date()) {
+  const stamp = date.toISOString().replace(/[:-]/g, '').replace(/\.\d{3}Z$/, 'Z');
+  return fileName.replace(/(\.cpe)?\.json$/i, `-${stamp}$&`);
+}
+
+// The run in progress. App open, periodic sync and the manual button can all
+// ask for a backup at once; they share one run instead of uploading twice.
+let inFlightRun = null;
+
+/**
+ * Exports once and uploads the same file to every enabled target. Results are
+ * recorded on each target as lastBackupAt / lastError. While a run is in
+ * progress, callers get that run's result.
+ */
+export function runBackupToTargets(options = {}) {
+  if (!inFlightRun) {
+    inFlightRun = uploadToTargets(options).finally(() => {
+      inFlightRun = null;
+    });
+  }
+  return inFlightRun;
+}
+
+async function uploadToTargets({ reason = 'manual' }) {
+  const config = loadBackupTargetsConfig();
+  const targets = config.targets.filter((target) => target.enabled);
+
+  if (!targets.length) {
+    return { ran: false, reason: 'No backup targets are enabled.', results: [] };
+  }
+
+  if (isVaultEnabled() && !isUnlocked()) {
+    return {
+      ran: false,
+      reason: 'Unlock the Private Vault to back up encrypted data.',
+      results: [],
+    };
+  }
+
+  const exported = await exportSmartJson({ includeTrashed: getBackupIncludeTrash() });
+  const file = {
+    ...exported,
+    fileName: timestampedFileName(exported.fileName),
+  };
+  const results = [];
+
+  for (const target of targets) {
+    try {
+      await getBackupTargetAdapter(target.kind).upload(target.config || {}, file);
+      updateTarget(target.id, {
+        lastBackupAt: new Date().toISOString(),
+        lastError: null,
+      });
+      results.push({ targetId: target.id, ok: true });
+    } catch (error) {
+      const message = error?.message || String(error);
+      updateTarget(target.id, { lastError: message });
+      results.push({ targetId: target.id, ok: false, error: message });
+    }
+  }
+
+  saveBackupTargetsConfig({
+    ...loadBackupTargetsConfig(),
+    lastRunAt: new Date().toISOString(),
+    lastRunReason: reason,
+  });
+
+  return { ran: true, fileName: file.fileName, results };
+}
+
+export function isScheduledBackupDue(config = loadBackupTargetsConfig()) {
+  if (!config.schedule.enabled) return false;
+  if (!config.targets.some((target) => target.enabled)) return false;
+  if (!config.lastRunAt) return true;
+
+  const intervalMs = Math.max(1, Number(config.schedule.intervalHours) || 24) * HOUR_MS;
+  return Date.now() - new Date(config.lastRunAt).getTime() >= intervalMs;
+}
+
+export async function runScheduledBackup(reason = 'schedule') {
+  if (inFlightRun) return inFlightRun;
+  if (!isScheduledBackupDue()) return { ran: false, reason: 'Not due.' };
+  return runBackupToTargets({ reason });
+}
+
+/**
+ * Registers the periodic background sync that wakes the service worker, which
+ * then asks an open app window to run the scheduled backup. Unsupported
+ * browsers simply rely on the app-open check.
+ */
+export async function syncPeriodicBackupRegistration() {
+  try {
+    const registration = await navigator.serviceWorker?.ready;
+    if (!registration?.periodicSync) return false;
+
+    const config = loadBackupTargetsConfig();
+
+    if (!config.schedule.enabled) {
+      await registration.periodicSync.unregister(PERIODIC_SYNC_TAG);
+      return false;
+    }
+
+    const status = await navigator.permissions
+      ?.query({ name: 'periodic-background-sync' })
+      .catch(() => null);
+    if (status && status.state !== 'granted') return false;
+
+    await registration.periodicSync.register(PERIODIC_SYNC_TAG, {
+      minInterval: Math.max(1, Number(config.schedule.intervalHours) || 24) * HOUR_MS,
+    });
+    return true;
+  } catch (error) {
+    console.warn('Periodic backup sync registration failed', error);
+    return false;
+  }
+}
@@ -0,0 +1,58 @@
+// src/utils/fieldStamps.js
+// Per-field edit times for the rows QR sync exchanges (see utils/qrSync).
+// Rows carry `fieldUpdatedAt: { [field]: ms }`; a field with no entry was last
+// written before stamping existed and counts as 0. Writes through secureStore
+// stamp the synced fields they change; sync writes pass the stamps they won.
+
+export const SYNCED_FIELDS = {
+  categories: ['name', 'description', 'showSingle'],
+  requestors: ['categoryId', 'name', 'description', 'security', 'archived', 'redaction'],
+  prayers: [
+    'requestorId',
+    'name',
+    'description',
+    'requestedAt',
+    'answeredAt',
+    'status',
+    'security',
+    'redaction',
+    'tags',
+  ],
+  events: ['prayerId', 'createdAt', 'title', 'note', 'tags', 'security'],
+};
+
+export function fieldStamp(record, field) {
+  return Number(record?.fieldUpdatedAt?.[field]) || 0;
+}
+
+/** Latest stamp of any synced field, or 0 for a row never stamped. */
+export function recordStamp(tableName, record) {
+  return Math.max(
+    0,
+    ...(SYNCED_FIELDS[tableName] || []).map((field) => fieldStamp(record, field))
+  );
+}
+
+export function sameFieldValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Adds `fieldUpdatedAt` to `changes` for every synced field whose value
+ * differs from `current`. Changes that already carry stamps are left alone.
+ */
+export function stampChanges(tableName, current, changes, now = Date.now()) {
+  const fields = SYNCED_FIELDS[tableName];
+  if (!fields || changes.fieldUpdatedAt) return changes;
+
+  const touched = fields.filter(
+    (field) =>
+      field in changes && !sameFieldValue(current?.[field], changes[field])
+  );
+  if (!touched.length) return changes;
+
+  const stamps = { ...(current?.fieldUpdatedAt || {}) };
+  for (const field of touched) stamps[field] = now;
+
+  return { ...changes, fieldUpdatedAt: stamps };
+}
@@ -0,0 +1,371 @@
+// src/utils/focusRotation.js
+// How Focus picks the next prayer. Every strategy avoids repeating the prayer
+// currently on screen; deck positions live in localStorage per device, like the
+// notification cycle counters (cp:notifyCycle:*) in notifications.js.
+//
+// Modes:
+// - random: uniform pick (the original behaviour).
+// - deck: shuffled deck; no repeats until every eligible prayer has shown.
+// - least-recent: least recently prayed (prayerLog) first, then least recently
+//   shown, so skipping with Next still moves through the list.
+// - weighted: random, weighted towards old requests and ones not prayed for in
+//   a while.
+// - requestor: one requestor per session (sessionStorage), cycling through that
+//   person's prayers; requestors themselves rotate as a shuffled deck.
+
+import { daysSincePrayed } from './prayerLog';
+
+const MODE_KEY = 'cp:focusRotation:v1';
+const DECK_KEY = 'cp:focusDeck:v1';
+const SHOWN_KEY = 'cp:focusShown:v1';
+const REQUESTOR_DECK_KEY = 'cp:focusRequestorDeck:v1';
+const SESSION_KEY = 'cp:focusSession:v1';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const ROTATION_MODES = [
+  { value: 'random', label: 'Random' },
+  { value: 'deck', label: 'Shuffled deck (no repeats)' },
+  { value: 'least-recent', label: 'Least recently prayed' },
+  { value: 'weighted', label: 'Weighted by age and urgency' },
+  { value: 'requestor', label: 'One person per session' },
+];
+
+const MODE_VALUES = new Set(ROTATION_MODES.map((mode) => mode.value));
+
+function readJson(storage, key, fallback) {
+  try {
+    const parsed = JSON.parse(storage.getItem(key) || 'null');
+    return parsed ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function writeJson(storage, key, value) {
+  try {
+    storage.setItem(key, JSON.stringify(value));
+  } catch {
+    // Storage full or unavailable: the rotation just won't persist.
+  }
+}
+
+function storageFor(area) {
+  return area === 'session' ? sessionStorage : localStorage;
+}
+
+// Rotation state ('local' or 'session' area) as the strategies see it. Focus
+// reads and writes the device's storage directly.
+const deviceState = {
+  read: (area, key, fallback) => readJson(storageFor(area), key, fallback),
+  write: (area, key, value) => writeJson(storageFor(area), key, value),
+};
+
+// Starts from the device's state but keeps every write in memory, so planning
+// a session queue leaves the decks and shown times where they were.
+function scratchState() {
+  const written = new Map();
+
+  return {
+    read: (area, key, fallback) => {
+      const slot = `${area}:${key}`;
+      return written.has(slot)
+        ? written.get(slot)
+        : deviceState.read(area, key, fallback);
+    },
+    write: (area, key, value) => {
+      written.set(`${area}:${key}`, value);
+    },
+  };
+}
+
+export function loadRotationMode() {
+  try {
+    const saved = localStorage.getItem(MODE_KEY);
+    return MODE_VALUES.has(saved) ? saved : 'random';
+  } catch {
+    return 'random';
+  }
+}
+
+export function saveRotationMode(mode) {
+  if (!MODE_VALUES.has(mode)) return;
+  localStorage.setItem(MODE_KEY, mode);
+}
+
+function shuffle(items) {
+  const copy = [...items];
+
+  for (let index = copy.length - 1; index > 0; index -= 1) {
+    const swap = Math.floor(Math.random() * (index + 1));
+    [copy[index], copy[swap]] = [copy[swap], copy[index]];
+  }
+
+  return copy;
+}
+
+/**
+ * Draws the next id from a persisted shuffled deck. The deck follows `ids` as
+ * it changes: removed ids drop out, new ones are shuffled into the part not yet
+ * drawn. A fresh deck never starts with `avoidId`.
+ */
+function drawFromDeck(state, key, ids, avoidId = null) {
+  if (!ids.length) return null;
+
+  const wanted = new Set(ids);
+  const saved = state.read('local', key, {});
+  const order = Array.isArray(saved.order) ? saved.order : [];
+  const position = Number.isInteger(saved.position) ? saved.position : 0;
+
+  const drawn = order.slice(0, position).filter((id) => wanted.has(id));
+  let remaining = order.slice(position).filter((id) => wanted.has(id));
+  const known = new Set([...drawn, ...remaining]);
+  const added = ids.filter((id) => !known.has(id));
+
+  if (added.length) remaining = shuffle([...remaining, ...added]);
+
+  let deck = { order: [...drawn, ...remaining], position: drawn.length };
+
+  // Don't hand back the prayer already on screen when another is waiting.
+  if (
+    deck.order[deck.position] === avoidId &&
+    deck.position + 1 < deck.order.length
+  ) {
+    const next = deck.position + 1;
+    [deck.order[deck.position], deck.order[next]] = [
+      deck.order[next],
+      deck.order[deck.position],
+    ];
+  }
+
+  if (deck.position >= deck.order.length) {
+    const fresh = shuffle(ids);
+
+    if (fresh.length > 1 && fresh[0] === avoidId) {
+      [fresh[0], fresh[fresh.length - 1]] = [fresh[fresh.length - 1], fresh[0]];
+    }
+    deck = { order: fresh, position: 0 };
+  }
+
+  const id = deck.order[deck.position];
+  state.write('local', key, { ...deck, position: deck.position + 1 });
+
+  return id;
+}
+
+function withoutCurrent(prayers, currentId) {
+  const others = prayers.filter((prayer) => prayer.id !== currentId);
+  return others.length ? others : prayers;
+}
+
+function pickRandom(prayers, currentId) {
+  const pool = withoutCurrent(prayers, currentId);
+  return pool[Math.floor(Math.random() * pool.length)] || null;
+}
+
+function pickFromDeck(state, prayers, currentId) {
+  const id = drawFromDeck(
+    state,
+    DECK_KEY,
+    prayers.map((prayer) => prayer.id),
+    currentId
+  );
+  return prayers.find((prayer) => prayer.id === id) || null;
+}
+
+function pickLeastRecent(state, prayers, currentId, lastPrayedById) {
+  const shown = state.read('local', SHOWN_KEY, {});
+  const pool = withoutCurrent(prayers, currentId);
+
+  const sorted = [...pool].sort((a, b) => {
+    const prayedA = lastPrayedById.get(a.id) || '';
+    const prayedB = lastPrayedById.get(b.id) || '';
+    if (prayedA !== prayedB) return prayedA < prayedB ? -1 : 1;
+
+    const shownA = shown[a.id] || '';
+    const shownB = shown[b.id] || '';
+    if (shownA !== shownB) return shownA < shownB ? -1 : 1;
+
+    return String(a.requestedAt || '').localeCompare(String(b.requestedAt || ''));
+  });
+
+  return sorted[0] || null;
+}
+
+function ageDays(prayer, now) {
+  const requested = prayer.requestedAt
+    ? new Date(
+        /^\d{4}-\d{2}-\d{2}$/.test(prayer.requestedAt)
+          ? `${prayer.requestedAt}T00:00:00`
+          : prayer.requestedAt
+      )
+    : null;
+
+  if (!requested || Number.isNaN(requested.getTime())) return 0;
+  return Math.max(0, (now - requested) / DAY_MS);
+}
+
+/** Older requests and ones not prayed for recently weigh more. */
+export function focusWeight(prayer, lastPrayedAt, now = new Date()) {
+  const age = Math.min(ageDays(prayer, now), 365);
+  const stale = Math.min(daysSincePrayed(lastPrayedAt, now) ?? age, 365);
+
+  return (1 + age / 7) * (1 + stale / 7);
+}
+
+function pickWeighted(prayers, currentId, lastPrayedById, now) {
+  const pool = withoutCurrent(prayers, currentId);
+  const weights = pool.map((prayer) =>
+    focusWeight(prayer, lastPrayedById.get(prayer.id), now)
+  );
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  let roll = Math.random() * total;
+
+  for (let index = 0; index < pool.length; index += 1) {
+    roll -= weights[index];
+    if (roll < 0) return pool[index];
+  }
+
+  return pool[pool.length - 1] || null;
+}
+
+export function getFocusSessionRequestorId() {
+  return readJson(sessionStorage, SESSION_KEY, {}).requestorId ?? null;
+}
+
+/** Ends the current person's session; the next pick moves to someone new. */
+export function endFocusSession() {
+  try {
+    sessionStorage.removeItem(SESSION_KEY);
+  } catch {}
+}
+
+function pickByRequestor(state, prayers, currentId) {
+  const requestorIds = Array.from(
+    new Set(prayers.map((prayer) => prayer.requestorId))
+  );
+  let session = state.read('session', SESSION_KEY, {});
+
+  if (!requestorIds.includes(session.requestorId)) {
+    const currentRequestorId =
+      prayers.find((prayer) => prayer.id === currentId)?.requestorId ?? null;
+
+    session = {
+      requestorId: drawFromDeck(
+        state,
+        REQUESTOR_DECK_KEY,
+        requestorIds,
+        currentRequestorId
+      ),
+      position: 0,
+    };
+  }
+
+  const own = prayers
+    .filter((prayer) => prayer.requestorId === session.requestorId)
+    .sort((a, b) =>
+      String(a.requestedAt || '').localeCompare(String(b.requestedAt || ''))
+    );
+  let index = (Number(session.position) || 0) % own.length;
+
+  if (own.length > 1 && own[index].id === currentId) {
+    index = (index + 1) % own.length;
+  }
+
+  state.write('session', SESSION_KEY, {
+    requestorId: session.requestorId,
+    position: index + 1,
+  });
+
+  return own[index];
+}
+
+function pickWith(
+  state,
+  mode,
+  prayers,
+  { currentId = null, lastPrayedById = new Map(), now = new Date() } = {}
+) {
+  if (!prayers.length) return null;
+
+  let prayer;
+
+  switch (mode) {
+    case 'deck':
+      prayer = pickFromDeck(state, prayers, currentId);
+      break;
+    case 'least-recent':
+      prayer = pickLeastRecent(state, prayers, currentId, lastPrayedById);
+      break;
+    case 'weighted':
+      prayer = pickWeighted(prayers, currentId, lastPrayedById, now);
+      break;
+    case 'requestor':
+      prayer = pickByRequestor(state, prayers, currentId);
+      break;
+    default:
+      prayer = pickRandom(prayers, currentId);
+  }
+
+  if (prayer) {
+    const shown = state.read('local', SHOWN_KEY, {});
+    const eligibleIds = new Set(prayers.map((item) => item.id));
+    const pruned = Object.fromEntries(
+      Object.entries(shown).filter(([id]) => eligibleIds.has(Number(id)))
+    );
+
+    pruned[prayer.id] = now.toISOString();
+    state.write('local', SHOWN_KEY, pruned);
+  }
+
+  return prayer;
+}
+
+/**
+ * Picks the next Focus prayer from `prayers` (already Focus-eligible) using
+ * `mode`. `lastPrayedById` maps prayer id -> last prayedAt ISO string.
+ */
+export function pickNextFocusPrayer(mode, prayers, options = {}) {
+  return pickWith(deviceState, mode, prayers, options);
+}
+
+/**
+ * Up to `count` distinct prayers in rotation order, for a guided session. Falls
+ * back to any not-yet-queued prayers if the strategy keeps repeating itself;
+ * in requestor mode only to the session person's. Planning the queue doesn't
+ * advance the device's rotation.
+ */
+export function buildSessionQueue(mode, prayers, count, options = {}) {
+  const state = scratchState();
+  const limit = Math.min(Math.max(0, count), prayers.length);
+  const queue = [];
+  const queued = new Set();
+  let currentId = options.currentId ?? null;
+
+  for (let attempt = 0; queue.length < limit && attempt < limit * 3; attempt += 1) {
+    const prayer = pickWith(state, mode, prayers, { ...options, currentId });
+    if (!prayer) break;
+
+    currentId = prayer.id;
+    if (queued.has(prayer.id)) continue;
+
+    queued.add(prayer.id);
+    queue.push(prayer);
+  }
+
+  const requestorId = state.read('session', SESSION_KEY, {}).requestorId;
+  const fallback =
+    mode === 'requestor'
+      ? prayers.filter((prayer) => prayer.requestorId === requestorId)
+      : prayers;
+
+  for (const prayer of shuffle(fallback)) {
+    if (queue.length >= limit) break;
+    if (queued.has(prayer.id)) continue;
+
+    queued.add(prayer.id);
+    queue.push(prayer);
+  }
+
+  return queue;
+}
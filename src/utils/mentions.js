@@ -0,0 +1,264 @@
+// src/utils/mentions.js
+// Journal mentions. `#prayer-<id>` links a prayer; `@Name` (or `@[Full Name]`
+// for names with spaces) links a requestor by name. `remarkMentions` turns
+// them into `#prayer-<id>` / `#requestor-<id>` links for ReactMarkdown, and
+// `findJournalBacklinks` lists the entries that mention a prayer.
+
+export const PRAYER_HREF_PREFIX = '#prayer-';
+export const REQUESTOR_HREF_PREFIX = '#requestor-';
+
+const MAX_NAME_LENGTH = 80;
+const WORD_NAME = /^[\p{L}\p{N}_](?:[\p{L}\p{N}_'.-]*[\p{L}\p{N}_])?$/u;
+
+// Group 1 is the character before the mention (no lookbehind on older Safari).
+function mentionPattern() {
+  return /(^|[^\p{L}\p{N}_])(#prayer-(\d+)|@\[([^\]\n]{1,80})\]|@([\p{L}\p{N}_](?:[\p{L}\p{N}_'.-]*[\p{L}\p{N}_])?))/gu;
+}
+
+function nameKey(name) {
+  return String(name || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/** The text inserted by autocomplete for a prayer or requestor. */
+export function mentionToken(kind, record) {
+  if (kind === 'prayer') return `#prayer-${record.id}`;
+
+  const name = String(record?.name || '').replace(/\s+/g, ' ').trim();
+  return WORD_NAME.test(name)
+    ? `@${name}`
+    : `@[${name.replace(/[[\]]/g, '').slice(0, MAX_NAME_LENGTH)}]`;
+}
+
+/**
+ * Splits plain text into `{ text }` and `{ mention }` parts, where a mention
+ * is `{ kind: 'prayer', id }` or `{ kind: 'requestor', name }`.
+ */
+export function splitMentions(text) {
+  const source = String(text || '');
+  const parts = [];
+  let cursor = 0;
+
+  for (const hit of source.matchAll(mentionPattern())) {
+    const start = hit.index + hit[1].length;
+
+    if (start > cursor) parts.push({ text: source.slice(cursor, start) });
+    parts.push({
+      raw: hit[2],
+      mention: hit[3]
+        ? { kind: 'prayer', id: Number(hit[3]) }
+        : { kind: 'requestor', name: (hit[4] || hit[5]).trim() },
+    });
+    cursor = start + hit[2].length;
+  }
+
+  if (cursor < source.length) parts.push({ text: source.slice(cursor) });
+  return parts;
+}
+
+const CODE_PATTERN = /```[\s\S]*?```|`[^`\n]*`/g;
+
+function stripCode(markdown) {
+  return String(markdown || '').replace(CODE_PATTERN, ' ');
+}
+
+/**
+ * Replaces every requestor mention whose name `matches` with `token` (see
+ * mentionToken). Code spans and blocks are left as written.
+ */
+export function replaceRequestorMentions(markdown, matches, token) {
+  const source = String(markdown || '');
+  const rewrite = (text) =>
+    splitMentions(text)
+      .map((part) =>
+        part.mention?.kind === 'requestor' && matches(part.mention.name)
+          ? token
+          : part.raw ?? part.text
+      )
+      .join('');
+
+  let result = '';
+  let cursor = 0;
+  for (const hit of source.matchAll(CODE_PATTERN)) {
+    result += rewrite(source.slice(cursor, hit.index)) + hit[0];
+    cursor = hit.index + hit[0].length;
+  }
+  return result + rewrite(source.slice(cursor));
+}
+
+/** Prayer ids and lower-cased requestor names mentioned in Markdown text. */
+export function parseMentions(markdown) {
+  const prayerIds = new Set();
+  const requestorNames = new Set();
+
+  for (const part of splitMentions(stripCode(markdown))) {
+    if (!part.mention) continue;
+    if (part.mention.kind === 'prayer') prayerIds.add(part.mention.id);
+    else requestorNames.add(nameKey(part.mention.name));
+  }
+
+  return { prayerIds, requestorNames };
+}
+
+/** Case-insensitive requestor lookup by name. */
+export function createRequestorResolver(requestors = []) {
+  const byName = new Map();
+
+  for (const requestor of requestors) {
+    const key = nameKey(requestor.name);
+    if (key && !byName.has(key)) byName.set(key, requestor);
+  }
+
+  return (name) => byName.get(nameKey(name)) || null;
+}
+
+/**
+ * Journal entries that mention `prayer` directly or through its requestor,
+ * newest first, as `[{ entry, via: 'prayer'|'requestor' }]`.
+ */
+export function findJournalBacklinks(entries, prayer, requestor = null) {
+  if (!prayer) return [];
+
+  const requestorKey = nameKey(requestor?.name);
+  const links = [];
+
+  for (const entry of entries) {
+    if (entry.locked) continue;
+
+    const { prayerIds, requestorNames } = parseMentions(entry.text);
+    if (prayerIds.has(prayer.id)) {
+      links.push({ entry, via: 'prayer' });
+    } else if (requestorKey && requestorNames.has(requestorKey)) {
+      links.push({ entry, via: 'requestor' });
+    }
+  }
+
+  return links.sort(
+    (a, b) => new Date(b.entry.createdAt) - new Date(a.entry.createdAt)
+  );
+}
+
+export function parseMentionHref(href) {
+  const match = /^#(prayer|requestor)-(\d+)$/.exec(String(href || ''));
+  return match ? { kind: match[1], id: Number(match[2]) } : null;
+}
+
+const SKIP_NODES = new Set(['link', 'linkReference', 'code', 'inlineCode', 'html']);
+
+/**
+ * Remark plugin: rewrites mentions in text nodes as links. Options:
+ *   prayerById: Map(id -> prayer)   (unknown ids stay plain text)
+ *   resolveRequestor(name) -> requestor | null
+ */
+export function remarkMentions({ prayerById = new Map(), resolveRequestor } = {}) {
+  function toNodes(value) {
+    const parts = splitMentions(value);
+    if (!parts.some((part) => part.mention)) return null;
+
+    return parts.map((part) => {
+      if (!part.mention) return { type: 'text', value: part.text };
+
+      if (part.mention.kind === 'prayer') {
+        const prayer = prayerById.get(part.mention.id);
+        if (!prayer) return { type: 'text', value: part.raw };
+
+        return {
+          type: 'link',
+          url: `${PRAYER_HREF_PREFIX}${prayer.id}`,
+          title: part.raw,
+          children: [{ type: 'text', value: `🙏 ${prayer.name || part.raw}` }],
+        };
+      }
+
+      const requestor = resolveRequestor?.(part.mention.name);
+      if (!requestor) return { type: 'text', value: part.raw };
+
+      return {
+        type: 'link',
+        url: `${REQUESTOR_HREF_PREFIX}${requestor.id}`,
+        title: part.raw,
+        children: [{ type: 'text', value: `@${requestor.name}` }],
+      };
+    });
+  }
+
+  function walk(node) {
+    if (!Array.isArray(node.children) || SKIP_NODES.has(node.type)) return;
+
+    const next = [];
+    for (const child of node.children) {
+      const replaced = child.type === 'text' ? toNodes(child.value) : null;
+      if (replaced) {
+        next.push(...replaced);
+      } else {
+        walk(child);
+        next.push(child);
+      }
+    }
+    node.children = next;
+  }
+
+  return (tree) => {
+    walk(tree);
+  };
+}
+
+/**
+ * Autocomplete context for the text before the caret, or null:
+ * `{ trigger: '@'|'#', query, start }` where `start` is the trigger's index.
+ */
+export function getMentionQuery(textBeforeCaret) {
+  const match =
+    /(^|[^\p{L}\p{N}_])(@\[([^\]\n]{0,40})|@([\p{L}\p{N}_'.-]{0,40})|#([\p{L}\p{N}_-]{1,40}))$/u.exec(
+      String(textBeforeCaret || '')
+    );
+  if (!match) return null;
+
+  return {
+    trigger: match[2][0],
+    query: (match[3] ?? match[4] ?? match[5] ?? '').trim(),
+    start: match.index + match[1].length,
+  };
+}
+
+/** Up to `limit` prayers or requestors matching an autocomplete query. */
+export function suggestMentions(
+  { trigger, query },
+  { prayers = [], requestors = [] },
+  limit = 6
+) {
+  const needle = nameKey(query);
+
+  if (trigger === '@') {
+    return requestors
+      .filter((requestor) => nameKey(requestor.name).includes(needle))
+      .sort(
+        (a, b) =>
+          Number(!nameKey(a.name).startsWith(needle)) -
+            Number(!nameKey(b.name).startsWith(needle)) ||
+          String(a.name).localeCompare(String(b.name))
+      )
+      .slice(0, limit)
+      .map((requestor) => ({
+        key: `requestor:${requestor.id}`,
+        label: `@${requestor.name}`,
+        token: mentionToken('requestor', requestor),
+      }));
+  }
+
+  const idQuery = /^prayer-(\d*)$/.exec(needle);
+
+  return prayers
+    .filter((prayer) =>
+      idQuery
+        ? String(prayer.id).startsWith(idQuery[1])
+        : nameKey(prayer.name).includes(needle)
+    )
+    .sort((a, b) => String(a.name).localeCompare(String(b.name)))
+    .slice(0, limit)
+    .map((prayer) => ({
+      key: `prayer:${prayer.id}`,
+      label: prayer.name || `Prayer ${prayer.id}`,
+      detail: `#prayer-${prayer.id}`,
+      token: mentionToken('prayer', prayer),
+    }));
+}
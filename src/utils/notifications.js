@@ -4,14 +4,39 @@
 // - Uses Notification Triggers where available; falls back to in-app timers.
 // - Optional .ics export (fixed-times enumerated; interval uses RRULE).
 // - Archived requestors are excluded from request-based notifications.
+// - Notification text honors each prayer's redaction profile.
+// - Prayers may carry their own `reminder` rule; those occurrences are merged
+//   into the same schedule and stop once the prayer is answered.
+// - Notifications about one prayer carry its id and offer Prayed / Snooze /
+//   Add update actions, handled in public/sw-handlers.js.
 // - No servers, no push endpoints, no accounts.
 
 import { db } from '../db';
+import { redactPrayer } from './redaction';
+import { isAnsweredPrayer } from './prayerStatus';
+import { isTrashed } from './trash';
 
 // ---------- constants & storage keys ----------
 const CFG_KEY = 'cp:notifications:v1';
 const CYCLE_KEY_PREFIX = 'cp:notifyCycle';
 const SCHEDULE_TAG_PREFIX = 'cp:notify:';
+const PRAYER_TAG_PREFIX = `${SCHEDULE_TAG_PREFIX}prayer:`;
+// Snoozes keep their own prefix so refreshing prayer reminders leaves them be.
+// public/sw-handlers.js builds the same tags.
+const SNOOZE_TAG_PREFIX = `${SCHEDULE_TAG_PREFIX}snooze:`;
+const SNOOZE_MINUTES = 10;
+// Separate budgets, so a busy global schedule can't push every per-prayer
+// reminder out of the scheduled set (or the other way round).
+const MAX_GLOBAL_OCCURRENCES = 64;
+const MAX_PRAYER_OCCURRENCES = 64;
+
+// Some platforms show only the first two actions, so the one-tap log and
+// snooze come first; "Add update" is also reachable by tapping the body.
+const PRAYER_ACTIONS = [
+  { action: 'prayed', title: 'Prayed' },
+  { action: 'snooze', title: `Snooze ${SNOOZE_MINUTES} min` },
+  { action: 'update', title: 'Add update' },
+];
 
 // ---------- public config helpers ----------
 export function loadNotificationConfig() {
@@ -72,10 +97,7 @@ function isAllowedDay(date, daysOfWeek) {
   return Boolean(daysOfWeek[date.getDay()]);
 }
 
-function buildUpcomingSchedule(
-  config,
-  { horizonDays = 14, maxOccurrences = 64 } = {}
-) {
+function buildGlobalTimestamps(config, { horizonDays, maxOccurrences }) {
   const now = Date.now();
   const scheduleType = config?.scheduleType || 'fixed-times';
   const daysOfWeek =
@@ -141,10 +163,180 @@ function buildUpcomingSchedule(
   return timestamps.slice(0, maxOccurrences);
 }
 
+// ---------- per-prayer reminder rules ----------
+// prayer.reminder = {
+//   enabled, time: 'HH:MM', daysOfWeek: [Sun..Sat booleans],
+//   startDate: 'YYYY-MM-DD', endDate: 'YYYY-MM-DD' | null (until answered)
+// }
+const ALL_DAYS = [true, true, true, true, true, true, true];
+
+function parseLocalDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return null;
+  const date = new Date(`${value}T00:00:00`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+export function normalizePrayerReminder(rule) {
+  if (!rule || typeof rule !== 'object') return null;
+
+  const daysOfWeek =
+    Array.isArray(rule.daysOfWeek) && rule.daysOfWeek.length === 7
+      ? rule.daysOfWeek.map(Boolean)
+      : ALL_DAYS;
+
+  return {
+    enabled: Boolean(rule.enabled),
+    time: /^\d{2}:\d{2}$/.test(rule.time || '') ? rule.time : '09:00',
+    daysOfWeek: daysOfWeek.some(Boolean) ? daysOfWeek : ALL_DAYS,
+    startDate: parseLocalDate(rule.startDate) ? rule.startDate : null,
+    endDate: parseLocalDate(rule.endDate) ? rule.endDate : null,
+  };
+}
+
+export function isPrayerReminderActive(prayer) {
+  const rule = normalizePrayerReminder(prayer?.reminder);
+  if (!rule?.enabled || isAnsweredPrayer(prayer)) return false;
+
+  const end = parseLocalDate(rule.endDate);
+  if (!end) return true;
+
+  end.setDate(end.getDate() + 1);
+  return end.getTime() > Date.now();
+}
+
+export function describePrayerReminder(rule) {
+  const normalized = normalizePrayerReminder(rule);
+  if (!normalized?.enabled) return '';
+
+  const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const days = normalized.daysOfWeek.every(Boolean)
+    ? 'Daily'
+    : `Every ${dayNames.filter((_, index) => normalized.daysOfWeek[index]).join(', ')}`;
+  const end = parseLocalDate(normalized.endDate);
+
+  return `${days} at ${normalized.time} ${
+    end ? `until ${end.toLocaleDateString()}` : 'until answered'
+  }`;
+}
+
+function prayerReminderTimestamps(prayer, { horizonDays }) {
+  if (!isPrayerReminderActive(prayer)) return [];
+
+  const rule = normalizePrayerReminder(prayer.reminder);
+  const now = Date.now();
+  const today = new Date();
+  const startDate = parseLocalDate(rule.startDate);
+  const endDate = parseLocalDate(rule.endDate);
+  const first =
+    startDate && startDate > today
+      ? startDate
+      : new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  const timestamps = [];
+
+  for (let dayOffset = 0; dayOffset < horizonDays; dayOffset += 1) {
+    const date = new Date(
+      first.getFullYear(),
+      first.getMonth(),
+      first.getDate() + dayOffset
+    );
+
+    if (endDate && date > endDate) break;
+    if (!isAllowedDay(date, rule.daysOfWeek)) continue;
+
+    const timestamp = timeOnDate(date, rule.time);
+    if (timestamp > now) timestamps.push(timestamp);
+  }
+
+  return timestamps;
+}
+
+/**
+ * Upcoming occurrences as `{ timestamp, prayerId }`, soonest first. The global
+ * schedule contributes entries with `prayerId: null`; every prayer with an
+ * active reminder rule contributes its own. Each source is capped on its own.
+ */
+function buildUpcomingSchedule(
+  config,
+  {
+    horizonDays = 14,
+    maxGlobalOccurrences = MAX_GLOBAL_OCCURRENCES,
+    maxPrayerOccurrences = MAX_PRAYER_OCCURRENCES,
+    prayers = [],
+    includeGlobal = true,
+  } = {}
+) {
+  const reminders = [];
+
+  for (const prayer of prayers) {
+    for (const timestamp of prayerReminderTimestamps(prayer, { horizonDays })) {
+      reminders.push({ timestamp, prayerId: prayer.id });
+    }
+  }
+
+  reminders.sort((left, right) => left.timestamp - right.timestamp);
+
+  const occurrences = reminders.slice(0, maxPrayerOccurrences);
+
+  if (includeGlobal) {
+    for (const timestamp of buildGlobalTimestamps(config, {
+      horizonDays,
+      maxOccurrences: maxGlobalOccurrences,
+    })) {
+      occurrences.push({ timestamp, prayerId: null });
+    }
+  }
+
+  occurrences.sort((left, right) => left.timestamp - right.timestamp);
+  return occurrences;
+}
+
+async function loadReminderPrayers() {
+  const prayers = await db.prayers
+    .filter((prayer) => Boolean(prayer.reminder?.enabled) && !isTrashed(prayer))
+    .toArray();
+
+  return prayers.filter(isPrayerReminderActive);
+}
+
+/**
+ * Active prayer reminders with their requestor and category, for the calendar
+ * export. Archived requestors are left out like everywhere else.
+ */
+export async function loadPrayerReminderEntries() {
+  const prayers = await loadReminderPrayers();
+  const entries = [];
+
+  for (const prayer of prayers) {
+    const requestor = await db.requestors.get(prayer.requestorId);
+    if (!requestor || Boolean(requestor.archived) || isTrashed(requestor)) continue;
+
+    const category = requestor.categoryId
+      ? await db.categories.get(requestor.categoryId)
+      : null;
+
+    entries.push({ prayer, requestor, category: category || null });
+  }
+
+  return entries;
+}
+
 // ---------- picking logic ----------
+function toSelection(prayer, requestor, category) {
+  const view = redactPrayer({ prayer, requestor, category });
+
+  return {
+    title: view.title,
+    requestor: view.profile.requestor
+      ? requestor?.name || 'Someone'
+      : view.requestorName,
+    category: view.categoryName,
+    id: prayer?.id,
+  };
+}
+
 async function pickRandomPrayer() {
   const [prayers, requestors, categories] = await Promise.all([
-    db.prayers.where('status').equals('requested').toArray(),
+    db.prayers.filter((prayer) => !isAnsweredPrayer(prayer)).toArray(),
     db.requestors.toArray(),
     db.categories.toArray(),
   ]);
@@ -156,7 +348,7 @@ async function pickRandomPrayer() {
   );
   const eligiblePrayers = prayers.filter((prayer) => {
     const requestor = requestorById.get(prayer.requestorId);
-    return !Boolean(requestor?.archived);
+    return !isTrashed(prayer) && !Boolean(requestor?.archived) && !isTrashed(requestor);
   });
 
   if (!eligiblePrayers.length) return null;
@@ -168,12 +360,7 @@ async function pickRandomPrayer() {
     ? categoryById.get(requestor.categoryId) || null
     : null;
 
-  return {
-    title: prayer?.name || 'Prayer request',
-    requestor: requestor?.name || 'Someone',
-    category: category?.name || 'General',
-    id: prayer?.id,
-  };
+  return toSelection(prayer, requestor, category);
 }
 
 function cycleKey(scope, id) {
@@ -205,7 +392,7 @@ async function pickOrderedByCategory(categoryId) {
     .equals(categoryId)
     .toArray();
   const activeRequestors = requestors.filter(
-    (requestor) => !Boolean(requestor.archived)
+    (requestor) => !Boolean(requestor.archived) && !isTrashed(requestor)
   );
   const requestorIds = activeRequestors.map((requestor) => requestor.id);
 
@@ -214,7 +401,7 @@ async function pickOrderedByCategory(categoryId) {
   const prayers = await db.prayers
     .where('requestorId')
     .anyOf(requestorIds)
-    .and((prayer) => prayer.status === 'requested')
+    .and((prayer) => !isAnsweredPrayer(prayer) && !isTrashed(prayer))
     .toArray();
 
   if (!prayers.length) return null;
@@ -226,12 +413,7 @@ async function pickOrderedByCategory(categoryId) {
   );
   const category = await db.categories.get(categoryId);
 
-  return {
-    title: prayer?.name || 'Prayer request',
-    requestor: requestor?.name || 'Someone',
-    category: category?.name || 'General',
-    id: prayer?.id,
-  };
+  return toSelection(prayer, requestor, category);
 }
 
 async function pickOrderedByRequestor(requestorId) {
@@ -239,12 +421,14 @@ async function pickOrderedByRequestor(requestorId) {
 
   const requestor = await db.requestors.get(requestorId);
 
-  if (!requestor || Boolean(requestor.archived)) return null;
+  if (!requestor || Boolean(requestor.archived) || isTrashed(requestor)) {
+    return null;
+  }
 
   const prayers = await db.prayers
     .where('requestorId')
     .equals(requestorId)
-    .and((prayer) => prayer.status === 'requested')
+    .and((prayer) => !isAnsweredPrayer(prayer) && !isTrashed(prayer))
     .toArray();
 
   if (!prayers.length) return null;
@@ -259,12 +443,7 @@ async function pickOrderedByRequestor(requestorId) {
     ? await db.categories.get(requestor.categoryId)
     : null;
 
-  return {
-    title: prayer?.name || 'Prayer request',
-    requestor: requestor?.name || 'Someone',
-    category: category?.name || 'General',
-    id: prayer?.id,
-  };
+  return toSelection(prayer, requestor, category);
 }
 
 async function buildPayload(config) {
@@ -285,6 +464,7 @@ async function buildPayload(config) {
       title: 'Closet Prayer — Random',
       body: `Pray for ${selection.requestor}: ${selection.title} (${selection.category})`,
       hash: '#single',
+      prayerId: selection.id,
     };
   }
 
@@ -303,6 +483,7 @@ async function buildPayload(config) {
       title: 'Closet Prayer — Focused',
       body: `Category • ${selection.category}: ${selection.requestor} — ${selection.title}`,
       hash: '#daily',
+      prayerId: selection.id,
     };
   }
 
@@ -321,6 +502,7 @@ async function buildPayload(config) {
       title: 'Closet Prayer — Focused',
       body: `Requestor • ${selection.requestor}: ${selection.title}`,
       hash: '#daily',
+      prayerId: selection.id,
     };
   }
 
@@ -331,16 +513,95 @@ async function buildPayload(config) {
   };
 }
 
+async function buildPrayerReminderPayload(prayerId) {
+  const prayer = await db.prayers.get(prayerId);
+  if (!prayer || isTrashed(prayer) || !isPrayerReminderActive(prayer)) return null;
+
+  const requestor = await db.requestors.get(prayer.requestorId);
+  if (!requestor || Boolean(requestor.archived) || isTrashed(requestor)) {
+    return null;
+  }
+
+  const category = requestor.categoryId
+    ? await db.categories.get(requestor.categoryId)
+    : null;
+  const selection = toSelection(prayer, requestor, category);
+
+  return {
+    title: 'Closet Prayer — Reminder',
+    body: `Pray for ${selection.requestor}: ${selection.title}`,
+    hash: '#daily',
+    prayerId: selection.id,
+  };
+}
+
+function occurrencePayload(config, occurrence) {
+  return occurrence.prayerId == null
+    ? buildPayload(config)
+    : buildPrayerReminderPayload(occurrence.prayerId);
+}
+
+function occurrenceTag(occurrence) {
+  return occurrence.prayerId == null
+    ? `${SCHEDULE_TAG_PREFIX}${occurrence.timestamp}`
+    : `${PRAYER_TAG_PREFIX}${occurrence.prayerId}:${occurrence.timestamp}`;
+}
+
+/**
+ * showNotification() options for a payload. Everything the service worker
+ * needs to log, snooze, or open the prayer travels in `data`.
+ */
+function notificationOptions(payload, tag, timestamp) {
+  const prayerId = payload.prayerId ?? null;
+
+  return {
+    body: payload.body,
+    tag,
+    actions: prayerId != null ? PRAYER_ACTIONS : [],
+    data: {
+      hash: payload.hash,
+      timestamp,
+      prayerId,
+      title: payload.title,
+      body: payload.body,
+      snoozeMinutes: SNOOZE_MINUTES,
+    },
+  };
+}
+
+async function showNow(title, options) {
+  // Actions need a service-worker notification; plain Notification is the
+  // last resort for browsers without one.
+  if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+    const registration = await navigator.serviceWorker.ready;
+    await registration.showNotification(title, options);
+    return;
+  }
+
+  const { actions, ...plain } = options;
+  new Notification(title, plain);
+}
+
 // ---------- scheduling ----------
 let inAppTimers = [];
 
-function clearInAppTimers() {
-  inAppTimers.forEach((timerId) => clearTimeout(timerId));
-  inAppTimers = [];
+// Snoozes share the schedule prefix but were asked for explicitly, so
+// rescheduling or clearing the schedule leaves them to fire.
+function isClearableTag(tag, prefix) {
+  const value = String(tag || '');
+  return value.startsWith(prefix) && !value.startsWith(SNOOZE_TAG_PREFIX);
 }
 
-export async function clearScheduledNotifications() {
-  clearInAppTimers();
+function clearInAppTimers(prefix) {
+  inAppTimers = inAppTimers.filter(({ tag, timerId }) => {
+    if (!isClearableTag(tag, prefix)) return true;
+    clearTimeout(timerId);
+    return false;
+  });
+}
+
+async function clearTaggedNotifications(prefix) {
+  clearInAppTimers(prefix);
 
   if (!('serviceWorker' in navigator)) return;
 
@@ -349,10 +610,7 @@ export async function clearScheduledNotifications() {
     const notifications = await registration.getNotifications({});
 
     notifications.forEach((notification) => {
-      if (
-        notification.tag &&
-        String(notification.tag).startsWith(SCHEDULE_TAG_PREFIX)
-      ) {
+      if (isClearableTag(notification.tag, prefix)) {
         notification.close();
       }
     });
@@ -361,30 +619,29 @@ export async function clearScheduledNotifications() {
   }
 }
 
-export async function scheduleNotifications(config) {
-  await ensurePermission();
-  await clearScheduledNotifications();
+export async function clearScheduledNotifications() {
+  await clearTaggedNotifications(SCHEDULE_TAG_PREFIX);
+}
 
-  const timestamps = buildUpcomingSchedule(config, {
-    horizonDays: 14,
-    maxOccurrences: 64,
-  });
+async function scheduleOccurrences(config, occurrences) {
   let useTriggers = supportsTriggers();
 
   if (useTriggers) {
     try {
       const registration = await navigator.serviceWorker.ready;
 
-      for (const timestamp of timestamps) {
-        const payload = await buildPayload(config);
-        const tag = `${SCHEDULE_TAG_PREFIX}${timestamp}`;
+      for (const occurrence of occurrences) {
+        const payload = await occurrencePayload(config, occurrence);
+        if (!payload) continue;
 
         await registration.showNotification(payload.title, {
-          body: payload.body,
-          tag,
+          ...notificationOptions(
+            payload,
+            occurrenceTag(occurrence),
+            occurrence.timestamp
+          ),
           // @ts-ignore - experimental
-          showTrigger: new TimestampTrigger(timestamp),
-          data: { hash: payload.hash, timestamp },
+          showTrigger: new TimestampTrigger(occurrence.timestamp),
         });
       }
     } catch (error) {
@@ -397,31 +654,105 @@ export async function scheduleNotifications(config) {
   }
 
   if (!useTriggers) {
-    for (const timestamp of timestamps) {
-      const delay = Math.max(0, timestamp - Date.now());
+    for (const occurrence of occurrences) {
+      const tag = occurrenceTag(occurrence);
+      const delay = Math.max(0, occurrence.timestamp - Date.now());
       const timerId = setTimeout(async () => {
         try {
-          const payload = await buildPayload(config);
-
-          new Notification(payload.title, {
-            body: payload.body,
-            tag: `${SCHEDULE_TAG_PREFIX}${timestamp}`,
-          });
+          // Built at fire time, so a prayer answered meanwhile stays quiet.
+          const payload = await occurrencePayload(config, occurrence);
+          if (!payload) return;
+
+          await showNow(
+            payload.title,
+            notificationOptions(payload, tag, occurrence.timestamp)
+          );
         } catch {
           // A failed occurrence should not stop later scheduled reminders.
         }
       }, delay);
 
-      inAppTimers.push(timerId);
+      inAppTimers.push({ tag, timerId });
     }
   }
 }
 
+export async function scheduleNotifications(config) {
+  await ensurePermission();
+  await clearScheduledNotifications();
+
+  const occurrences = buildUpcomingSchedule(config, {
+    horizonDays: 14,
+    prayers: await loadReminderPrayers(),
+  });
+
+  await scheduleOccurrences(config, occurrences);
+}
+
+/**
+ * Shows a snoozed notification again after `delayMs`. The service worker
+ * hands snoozes to an open window when the browser has no Notification
+ * Triggers, since a worker may be stopped before a long timer fires.
+ */
+export function snoozeNotification({ title, options }, delayMs) {
+  const tag = String(options?.tag || '').startsWith(SNOOZE_TAG_PREFIX)
+    ? options.tag
+    : `${SNOOZE_TAG_PREFIX}${options?.data?.prayerId ?? 'daily'}:${Date.now()}`;
+  const timerId = setTimeout(() => {
+    showNow(title, { ...options, tag }).catch((error) =>
+      console.warn('Snoozed notification failed', error)
+    );
+  }, Math.max(0, delayMs));
+
+  inAppTimers.push({ tag, timerId });
+}
+
+/**
+ * Reschedules only the per-prayer reminders, leaving the global schedule (and
+ * its ordered-cycle position) alone. Runs after data changes; does nothing
+ * until notification permission has been granted.
+ */
+export async function refreshPrayerReminders() {
+  if (!('Notification' in window) || Notification.permission !== 'granted') {
+    return 0;
+  }
+
+  await clearTaggedNotifications(PRAYER_TAG_PREFIX);
+
+  const occurrences = buildUpcomingSchedule(null, {
+    horizonDays: 14,
+    prayers: await loadReminderPrayers(),
+    includeGlobal: false,
+  });
+
+  await scheduleOccurrences(null, occurrences);
+  return occurrences.length;
+}
+
 // ---------- ICS export ----------
 function pad(value) {
   return value < 10 ? `0${value}` : String(value);
 }
 
+function toICSDateLocal(date) {
+  return (
+    date.getFullYear().toString() +
+    pad(date.getMonth() + 1) +
+    pad(date.getDate()) +
+    'T' +
+    pad(date.getHours()) +
+    pad(date.getMinutes()) +
+    pad(date.getSeconds())
+  );
+}
+
+function escapeICSText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/([,;])/g, '\\$1');
+}
+
 function toICSDateUTC(date) {
   return (
     date.getUTCFullYear().toString() +
@@ -465,7 +796,7 @@ function byDayList(daysOfWeek) {
     : null;
 }
 
-export function buildICS(config, horizonDays = 60) {
+function globalICSEvents(config, horizonDays) {
   const scheduleType = config?.scheduleType || 'fixed-times';
 
   if (scheduleType === 'interval') {
@@ -486,11 +817,8 @@ export function buildICS(config, horizonDays = 60) {
         ? Math.max(1, Math.floor(intervalMinutes / 60))
         : intervalMinutes;
     const start = nextOccurrenceForInterval(config);
-    const lines = [
-      'BEGIN:VCALENDAR',
-      'VERSION:2.0',
-      'PRODID:-//ClosetPrayer//Notifications//EN',
-      'CALSCALE:GREGORIAN',
+
+    return [
       'BEGIN:VEVENT',
       `UID:${SCHEDULE_TAG_PREFIX}interval@closetprayer.com`,
       `DTSTAMP:${toICSDateUTC(new Date())}`,
@@ -501,22 +829,14 @@ export function buildICS(config, horizonDays = 60) {
         selectedDays ? `;BYDAY=${selectedDays.join(',')}` : ''
       }`,
       'END:VEVENT',
-      'END:VCALENDAR',
     ];
-
-    return lines.join('\r\n');
   }
 
-  const timestamps = buildUpcomingSchedule(config, {
+  const timestamps = buildGlobalTimestamps(config, {
     horizonDays,
     maxOccurrences: 256,
   });
-  const lines = [
-    'BEGIN:VCALENDAR',
-    'VERSION:2.0',
-    'PRODID:-//ClosetPrayer//Notifications//EN',
-    'CALSCALE:GREGORIAN',
-  ];
+  const lines = [];
   const summary =
     config.mode === 'simple'
       ? 'Remember to pray'
@@ -543,6 +863,58 @@ export function buildICS(config, horizonDays = 60) {
     lines.push('END:VEVENT');
   }
 
+  return lines;
+}
+
+// One recurring VEVENT per prayer reminder. Times are floating (no `Z`) so the
+// calendar keeps "7am" in whatever zone it runs in, and BYDAY cannot drift
+// across midnight the way a UTC conversion would.
+function prayerReminderICSEvent({ prayer, requestor, category }) {
+  const rule = normalizePrayerReminder(prayer.reminder);
+  const [first] = prayerReminderTimestamps(prayer, { horizonDays: 8 });
+  if (!first) return [];
+
+  const selection = toSelection(prayer, requestor, category);
+  const selectedDays = byDayList(rule.daysOfWeek);
+  const endDate = parseLocalDate(rule.endDate);
+  let rrule = selectedDays
+    ? `RRULE:FREQ=WEEKLY;BYDAY=${selectedDays.join(',')}`
+    : 'RRULE:FREQ=DAILY';
+
+  if (endDate) {
+    endDate.setHours(23, 59, 59, 0);
+    rrule += `;UNTIL=${toICSDateLocal(endDate)}`;
+  }
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${PRAYER_TAG_PREFIX}${prayer.id}@closetprayer.com`,
+    `DTSTAMP:${toICSDateUTC(new Date())}`,
+    `DTSTART:${toICSDateLocal(new Date(first))}`,
+    `SUMMARY:${escapeICSText(`Pray for ${selection.requestor}: ${selection.title}`)}`,
+    'DESCRIPTION:Reminder from Closet Prayer. Delete this event once the prayer is answered.',
+    rrule,
+    'END:VEVENT',
+  ];
+}
+
+/**
+ * Calendar export of the global schedule plus, when given, each prayer's own
+ * reminder (see loadPrayerReminderEntries) as a separate recurring VEVENT.
+ */
+export function buildICS(config, horizonDays = 60, prayerReminders = []) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//ClosetPrayer//Notifications//EN',
+    'CALSCALE:GREGORIAN',
+    ...globalICSEvents(config, horizonDays),
+  ];
+
+  for (const entry of prayerReminders) {
+    lines.push(...prayerReminderICSEvent(entry));
+  }
+
   lines.push('END:VCALENDAR');
   return lines.join('\r\n');
 }
@@ -0,0 +1,36 @@
+// src/utils/portableIds.js
+// Portable ids name a row independently of this database's auto-increment
+// keys: `<database transfer id>:<table>:<local id>`. Exports, migrations,
+// merges and QR sync all build them here so the same row always gets the
+// same id. No db import: migrations.js runs before the database is open.
+
+const DATABASE_TRANSFER_ID_KEY = 'cp:databaseTransferId:v1';
+
+export function createRandomId() {
+  if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
+
+  const bytes = new Uint8Array(16);
+  globalThis.crypto.getRandomValues(bytes);
+  return Array.from(bytes, (value) => value.toString(16).padStart(2, '0')).join('');
+}
+
+/** This database's transfer id, created on first use and kept per device. */
+export function getOrCreateDatabaseTransferId() {
+  try {
+    const existing = localStorage.getItem(DATABASE_TRANSFER_ID_KEY);
+    if (existing) return existing;
+
+    const created = createRandomId();
+    localStorage.setItem(DATABASE_TRANSFER_ID_KEY, created);
+    return created;
+  } catch {
+    // Storage should normally be available in the PWA. This fallback keeps an
+    // export usable even in a restricted browser session, though repeat-export
+    // identity cannot be guaranteed across reloads in that unusual case.
+    return createRandomId();
+  }
+}
+
+export function makePortableId(sourceDatabaseId, tableName, sourceId) {
+  return `${sourceDatabaseId}:${tableName}:${String(sourceId)}`;
+}
@@ -0,0 +1,118 @@
+// src/utils/prayerLog.js
+// "Prayed" taps and the streaks derived from them. Each tap is one
+// `prayerLog` row `{ prayerId, prayedAt, source }`; days are local calendar
+// days, and a streak stays alive until the end of the day after its last tap.
+
+import { db } from '../db';
+import { withoutTrashed } from './trash';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function dayKey(value = new Date()) {
+  const date = value instanceof Date ? value : new Date(value);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function shiftDay(key, days) {
+  const date = new Date(`${key}T00:00:00`);
+  date.setDate(date.getDate() + days);
+  return dayKey(date);
+}
+
+export async function logPrayed(prayerId, source = 'app') {
+  return db.prayerLog.add({
+    prayerId,
+    prayedAt: new Date().toISOString(),
+    source,
+  });
+}
+
+/** Consecutive days with at least one tap, ending today or yesterday. */
+export function computeStreak(days, today = dayKey()) {
+  let cursor = days.has(today) ? today : shiftDay(today, -1);
+  let streak = 0;
+
+  while (days.has(cursor)) {
+    streak += 1;
+    cursor = shiftDay(cursor, -1);
+  }
+
+  return streak;
+}
+
+/**
+ * Per-prayer `{ lastPrayedAt, streak, count, prayedToday }` keyed by prayer id,
+ * plus the same figures across all prayers under `overall`.
+ */
+export function summarizePrayerLog(rows, now = new Date()) {
+  const today = dayKey(now);
+  const daysByPrayer = new Map();
+  const lastByPrayer = new Map();
+  const countByPrayer = new Map();
+  const allDays = new Set();
+  let lastPrayedAt = null;
+  let todayCount = 0;
+
+  for (const row of rows) {
+    const day = dayKey(row.prayedAt);
+
+    if (!daysByPrayer.has(row.prayerId)) daysByPrayer.set(row.prayerId, new Set());
+    daysByPrayer.get(row.prayerId).add(day);
+    allDays.add(day);
+
+    countByPrayer.set(row.prayerId, (countByPrayer.get(row.prayerId) || 0) + 1);
+
+    if (String(row.prayedAt) > String(lastByPrayer.get(row.prayerId) || '')) {
+      lastByPrayer.set(row.prayerId, row.prayedAt);
+    }
+    if (String(row.prayedAt) > String(lastPrayedAt || '')) {
+      lastPrayedAt = row.prayedAt;
+    }
+    if (day === today) todayCount += 1;
+  }
+
+  const byPrayer = new Map();
+
+  for (const [prayerId, days] of daysByPrayer.entries()) {
+    byPrayer.set(prayerId, {
+      lastPrayedAt: lastByPrayer.get(prayerId),
+      streak: computeStreak(days, today),
+      count: countByPrayer.get(prayerId),
+      prayedToday: days.has(today),
+    });
+  }
+
+  return {
+    byPrayer,
+    overall: {
+      lastPrayedAt,
+      streak: computeStreak(allDays, today),
+      todayCount,
+      prayersToday: Array.from(daysByPrayer.values()).filter((days) =>
+        days.has(today)
+      ).length,
+    },
+  };
+}
+
+export async function loadPrayerLogSummary() {
+  return summarizePrayerLog(withoutTrashed(await db.prayerLog.toArray()));
+}
+
+/** Whole calendar days since the last tap; null when never prayed. */
+export function daysSincePrayed(lastPrayedAt, now = new Date()) {
+  if (!lastPrayedAt) return null;
+
+  const last = new Date(`${dayKey(lastPrayedAt)}T00:00:00`);
+  const today = new Date(`${dayKey(now)}T00:00:00`);
+  return Math.max(0, Math.round((today - last) / DAY_MS));
+}
+
+export function formatLastPrayed(lastPrayedAt, now = new Date()) {
+  const days = daysSincePrayed(lastPrayedAt, now);
+
+  if (days == null) return 'Not prayed yet';
+  if (days === 0) return 'Prayed today';
+  if (days === 1) return 'Prayed yesterday';
+  return `Prayed ${days} days ago`;
+}
@@ -0,0 +1,49 @@
+// src/utils/prayerNav.js
+// Opens a prayer from outside the prayer lists (search hits, journal
+// mentions): in Focus when it is Focus-eligible, otherwise revealed in the
+// Daily list.
+
+import { db } from '../db';
+import { getPrayerStatus, isFocusEligible } from './prayerStatus';
+import { isTrashed, withoutTrashed } from './trash';
+
+async function loadContext(prayer) {
+  const requestor = prayer ? await db.requestors.get(prayer.requestorId) : null;
+  const category = requestor
+    ? await db.categories.get(requestor.categoryId)
+    : null;
+
+  return { prayer, requestor, category };
+}
+
+export async function openPrayer(prayerId, { onFocusPrayer, onShowPrayer }) {
+  const prayer = await db.prayers.get(prayerId);
+  if (!prayer || isTrashed(prayer)) return false;
+
+  if (isFocusEligible(await loadContext(prayer))) {
+    onFocusPrayer?.(prayerId);
+  } else {
+    onShowPrayer?.(prayerId);
+  }
+  return true;
+}
+
+/**
+ * Opens a requestor's most recent open prayer (or most recent prayer of any
+ * status). Returns false when the requestor has no prayers.
+ */
+export async function openRequestorPrayer(requestorId, handlers) {
+  const prayers = withoutTrashed(
+    await db.prayers.where('requestorId').equals(requestorId).toArray()
+  );
+  if (!prayers.length) return false;
+
+  const newestFirst = prayers.sort((a, b) =>
+    String(b.requestedAt || '').localeCompare(String(a.requestedAt || ''))
+  );
+  const target =
+    newestFirst.find((prayer) => getPrayerStatus(prayer) === 'requested') ||
+    newestFirst[0];
+
+  return openPrayer(target.id, handlers);
+}
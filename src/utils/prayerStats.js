@@ -0,0 +1,318 @@
+// src/utils/prayerStats.js
+// Numbers behind the Stats screen. Everything is computed locally from the
+// Dexie tables; only counts, dates and names are read, so encrypted details
+// never need the vault. `statsToCsvRows` flattens the same numbers for export.
+
+import { db } from '../db';
+import { getPrayerStatus, getWaitDays } from './prayerStatus';
+import { withoutTrashed } from './trash';
+
+const MONTH_NAMES = [
+  'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
+  'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec',
+];
+
+export const STATS_MONTHS = 12;
+export const STATS_WEEKS = 12;
+export const TOP_REQUESTORS = 10;
+
+function parseDate(value) {
+  if (!value) return null;
+
+  // Date-only strings are local calendar days, not UTC midnight.
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T00:00:00`)
+    : new Date(value);
+
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function monthKey(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+}
+
+// Weeks start on Sunday, matching the reminder day picker.
+function weekStart(date) {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  start.setDate(start.getDate() - start.getDay());
+  return start;
+}
+
+function dayKey(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function lastMonths(now, count) {
+  const months = [];
+
+  for (let offset = count - 1; offset >= 0; offset -= 1) {
+    const date = new Date(now.getFullYear(), now.getMonth() - offset, 1);
+    months.push({
+      key: monthKey(date),
+      label: `${MONTH_NAMES[date.getMonth()]} ${String(date.getFullYear()).slice(2)}`,
+    });
+  }
+
+  return months;
+}
+
+function lastWeeks(now, count) {
+  const current = weekStart(now);
+  const weeks = [];
+
+  for (let offset = count - 1; offset >= 0; offset -= 1) {
+    const date = new Date(current);
+    date.setDate(date.getDate() - offset * 7);
+    weeks.push({
+      key: dayKey(date),
+      label: `${MONTH_NAMES[date.getMonth()]} ${date.getDate()}`,
+    });
+  }
+
+  return weeks;
+}
+
+function countByBucket(values, buckets, toKey) {
+  const counts = new Map(buckets.map((bucket) => [bucket.key, 0]));
+
+  for (const value of values) {
+    const date = parseDate(value);
+    if (!date) continue;
+
+    const key = toKey(date);
+    if (counts.has(key)) counts.set(key, counts.get(key) + 1);
+  }
+
+  return counts;
+}
+
+export function median(values) {
+  if (!values.length) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Builds every Stats section from plain table rows:
+ * - `monthly`: `{ key, label, opened, answered }` for the last STATS_MONTHS
+ * - `answerTimes`: `{ categoryId, categoryName, answered, medianDays }` per category
+ * - `topRequestors`: `{ requestorId, name, categoryName, prayers, open, answered, events }`
+ * - `weekly`: `{ key, label, events, journal }` for the last STATS_WEEKS
+ * - `journal`: `{ total, last30Days, perWeek, lastEntryAt }`
+ */
+export function buildPrayerStats(
+  { prayers = [], events = [], requestors = [], categories = [], journalEntries = [] },
+  now = new Date()
+) {
+  const requestorById = new Map(requestors.map((row) => [row.id, row]));
+  const categoryById = new Map(categories.map((row) => [row.id, row]));
+  const prayerById = new Map(prayers.map((row) => [row.id, row]));
+
+  const categoryFor = (prayer) => {
+    const requestor = requestorById.get(prayer?.requestorId);
+    return requestor ? categoryById.get(requestor.categoryId) || null : null;
+  };
+
+  const answeredPrayers = prayers.filter(
+    (prayer) => getPrayerStatus(prayer) === 'answered'
+  );
+
+  const months = lastMonths(now, STATS_MONTHS);
+  const opened = countByBucket(
+    prayers.map((prayer) => prayer.requestedAt),
+    months,
+    monthKey
+  );
+  const answered = countByBucket(
+    answeredPrayers.map((prayer) => prayer.answeredAt),
+    months,
+    monthKey
+  );
+  const monthly = months.map((month) => ({
+    ...month,
+    opened: opened.get(month.key),
+    answered: answered.get(month.key),
+  }));
+
+  const waitsByCategory = new Map();
+
+  for (const prayer of answeredPrayers) {
+    const days = getWaitDays(prayer);
+    if (days == null) continue;
+
+    const category = categoryFor(prayer);
+    const key = category?.id ?? null;
+
+    if (!waitsByCategory.has(key)) {
+      waitsByCategory.set(key, {
+        categoryId: key,
+        categoryName: category?.name || 'Unassigned',
+        waits: [],
+      });
+    }
+    waitsByCategory.get(key).waits.push(days);
+  }
+
+  const answerTimes = Array.from(waitsByCategory.values())
+    .map(({ waits, ...row }) => ({
+      ...row,
+      answered: waits.length,
+      medianDays: median(waits),
+    }))
+    .sort((a, b) => a.categoryName.localeCompare(b.categoryName));
+
+  const activity = new Map();
+  const activityFor = (requestorId) => {
+    if (!activity.has(requestorId)) {
+      const requestor = requestorById.get(requestorId);
+      const category = requestor
+        ? categoryById.get(requestor.categoryId)
+        : null;
+
+      activity.set(requestorId, {
+        requestorId,
+        name: requestor?.name || 'Unassigned',
+        categoryName: category?.name || 'Unassigned',
+        prayers: 0,
+        open: 0,
+        answered: 0,
+        events: 0,
+      });
+    }
+    return activity.get(requestorId);
+  };
+
+  for (const prayer of prayers) {
+    const row = activityFor(prayer.requestorId ?? null);
+    row.prayers += 1;
+    if (getPrayerStatus(prayer) === 'answered') row.answered += 1;
+    else row.open += 1;
+  }
+
+  for (const event of events) {
+    const prayer = prayerById.get(event.prayerId);
+    if (prayer) activityFor(prayer.requestorId ?? null).events += 1;
+  }
+
+  const topRequestors = Array.from(activity.values())
+    .sort(
+      (a, b) =>
+        b.prayers + b.events - (a.prayers + a.events) ||
+        a.name.localeCompare(b.name)
+    )
+    .slice(0, TOP_REQUESTORS);
+
+  const weeks = lastWeeks(now, STATS_WEEKS);
+  const toWeekKey = (date) => dayKey(weekStart(date));
+  const eventsByWeek = countByBucket(
+    events.map((event) => event.createdAt),
+    weeks,
+    toWeekKey
+  );
+  const journalByWeek = countByBucket(
+    journalEntries.map((entry) => entry.createdAt),
+    weeks,
+    toWeekKey
+  );
+  const weekly = weeks.map((week) => ({
+    ...week,
+    events: eventsByWeek.get(week.key),
+    journal: journalByWeek.get(week.key),
+  }));
+
+  const thirtyDaysAgo = new Date(now);
+  thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+  let last30Days = 0;
+  let lastEntryAt = null;
+
+  for (const entry of journalEntries) {
+    const date = parseDate(entry.createdAt);
+    if (!date) continue;
+
+    if (date >= thirtyDaysAgo && date <= now) last30Days += 1;
+    if (!lastEntryAt || date > lastEntryAt) lastEntryAt = date;
+  }
+
+  const journalInWindow = weekly.reduce((sum, week) => sum + week.journal, 0);
+
+  return {
+    generatedAt: now.toISOString(),
+    monthly,
+    answerTimes,
+    topRequestors,
+    weekly,
+    journal: {
+      total: journalEntries.length,
+      last30Days,
+      perWeek: Math.round((journalInWindow / STATS_WEEKS) * 10) / 10,
+      lastEntryAt: lastEntryAt ? lastEntryAt.toISOString() : null,
+    },
+  };
+}
+
+export async function loadPrayerStats() {
+  const [prayers, events, requestors, categories, journalEntries] =
+    await Promise.all([
+      db.prayers.toArray(),
+      db.events.toArray(),
+      db.requestors.toArray(),
+      db.categories.toArray(),
+      db.journalEntries.toArray(),
+    ]);
+
+  return buildPrayerStats({
+    prayers: withoutTrashed(prayers),
+    events: withoutTrashed(events),
+    requestors: withoutTrashed(requestors),
+    categories: withoutTrashed(categories),
+    journalEntries: withoutTrashed(journalEntries),
+  });
+}
+
+/**
+ * One long-format row per number (`section, period, label, metric, value`), so
+ * every chart exports into a single spreadsheet-friendly CSV.
+ */
+export function statsToCsvRows(stats) {
+  const rows = [];
+  const push = (section, period, label, metric, value) =>
+    rows.push({ section, period, label, metric, value: value ?? '' });
+
+  for (const month of stats.monthly) {
+    push('requests_per_month', month.key, month.label, 'opened', month.opened);
+    push('requests_per_month', month.key, month.label, 'answered', month.answered);
+  }
+
+  for (const row of stats.answerTimes) {
+    push('answer_time_by_category', '', row.categoryName, 'answered', row.answered);
+    push('answer_time_by_category', '', row.categoryName, 'median_days', row.medianDays);
+  }
+
+  for (const row of stats.topRequestors) {
+    push('top_requestors', '', row.name, 'prayers', row.prayers);
+    push('top_requestors', '', row.name, 'open', row.open);
+    push('top_requestors', '', row.name, 'answered', row.answered);
+    push('top_requestors', '', row.name, 'events', row.events);
+  }
+
+  for (const week of stats.weekly) {
+    push('activity_per_week', week.key, week.label, 'events', week.events);
+    push('activity_per_week', week.key, week.label, 'journal_entries', week.journal);
+  }
+
+  push('journal', '', 'Journal', 'total_entries', stats.journal.total);
+  push('journal', '', 'Journal', 'entries_last_30_days', stats.journal.last30Days);
+  push('journal', '', 'Journal', 'entries_per_week', stats.journal.perWeek);
+  push('journal', '', 'Journal', 'last_entry_at', stats.journal.lastEntryAt);
+
+  return rows;
+}
@@ -0,0 +1,151 @@
+// src/utils/prayerStatus.js
+// Shared prayer-status selectors. Every view that asks "is this prayer still
+// open?" or "may Focus pick it?" goes through here, so answered prayers are
+// excluded from Focus in exactly one place.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function getPrayerStatus(prayer) {
+  const normalizedStatus = String(prayer?.status ?? '')
+    .trim()
+    .toLowerCase();
+
+  if (normalizedStatus === 'answered') return 'answered';
+  if (normalizedStatus === 'requested') return 'requested';
+
+  // Legacy fallback only: explicit status always wins when present.
+  return prayer?.answeredAt ? 'answered' : 'requested';
+}
+
+export function isAnsweredPrayer(prayer) {
+  return getPrayerStatus(prayer) === 'answered';
+}
+
+/**
+ * Focus may only show open prayers from active requestors in categories that
+ * opted into Focus (`showSingle`).
+ */
+export function isFocusEligible({ prayer, requestor, category }) {
+  return (
+    !isAnsweredPrayer(prayer) &&
+    Boolean(requestor) &&
+    !Boolean(requestor.archived) &&
+    Boolean(category?.showSingle)
+  );
+}
+
+export function selectFocusPrayers({ prayers, requestors, categories }) {
+  const requestorById = new Map(requestors.map((row) => [row.id, row]));
+  const categoryById = new Map(categories.map((row) => [row.id, row]));
+
+  return prayers.filter((prayer) => {
+    const requestor = requestorById.get(prayer.requestorId) || null;
+    const category = requestor
+      ? categoryById.get(requestor.categoryId) || null
+      : null;
+
+    return isFocusEligible({ prayer, requestor, category });
+  });
+}
+
+function parseDate(value) {
+  if (!value) return null;
+
+  // Date-only strings are local calendar days, not UTC midnight.
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T00:00:00`)
+    : new Date(value);
+
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+export function getWaitDays(prayer) {
+  const requested = parseDate(prayer?.requestedAt);
+  const answered = parseDate(prayer?.answeredAt);
+  if (!requested || !answered) return null;
+
+  return Math.max(0, Math.round((answered - requested) / DAY_MS));
+}
+
+export function formatWaitDuration(days) {
+  if (days == null) return '';
+  if (days === 0) return 'Answered the same day';
+  if (days < 14) return `Waited ${days} day${days === 1 ? '' : 's'}`;
+  if (days < 60) return `Waited ${Math.round(days / 7)} weeks`;
+  if (days < 730) return `Waited ${Math.round(days / 30.44)} months`;
+
+  const years = Math.round((days / 365.25) * 10) / 10;
+  return `Waited ${years} years`;
+}
+
+/**
+ * Groups answered prayers by the month they were answered, newest month
+ * first. Prayers without a valid answeredAt land in a trailing group.
+ */
+export function groupAnsweredByMonth(prayers) {
+  const groups = new Map();
+
+  for (const prayer of prayers) {
+    const answered = parseDate(prayer.answeredAt);
+    const key = answered
+      ? `${answered.getFullYear()}-${String(answered.getMonth() + 1).padStart(2, '0')}`
+      : 'undated';
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        label: answered
+          ? answered.toLocaleDateString(undefined, {
+              month: 'long',
+              year: 'numeric',
+            })
+          : 'Answer date unknown',
+        items: [],
+      });
+    }
+
+    groups.get(key).items.push(prayer);
+  }
+
+  const output = Array.from(groups.values());
+
+  for (const group of output) {
+    group.items.sort((a, b) =>
+      String(b.answeredAt || '').localeCompare(String(a.answeredAt || ''))
+    );
+  }
+
+  return output.sort((a, b) => {
+    if (a.key === 'undated') return 1;
+    if (b.key === 'undated') return -1;
+    return b.key.localeCompare(a.key);
+  });
+}
+
+/**
+ * The event that records the answer: the one chosen explicitly
+ * (`prayer.answeredEventId`), otherwise the latest event logged on the
+ * answer date.
+ */
+export function findAnsweringEvent(prayer, events) {
+  if (!events?.length) return null;
+
+  if (prayer?.answeredEventId != null) {
+    const chosen = events.find((event) => event.id === prayer.answeredEventId);
+    if (chosen) return chosen;
+  }
+
+  const answered = parseDate(prayer?.answeredAt);
+  if (!answered) return null;
+
+  const answerDay = answered.toDateString();
+  let match = null;
+
+  for (const event of events) {
+    const created = parseDate(event.createdAt);
+    if (!created || created.toDateString() !== answerDay) continue;
+    if (!match || created > parseDate(match.createdAt)) match = event;
+  }
+
+  return match;
+}
@@ -0,0 +1,202 @@
+// src/utils/qrMedia.js
+// Reads share QR codes out of picked files instead of the live camera: a
+// screenshot or photo yields at most one frame, a short screen recording is
+// stepped through frame by frame. Decoding uses the same `qr/decode.js`
+// fallback as the scanner, after the native BarcodeDetector when available.
+
+import decodeQR from 'qr/decode.js';
+
+// Large phone screenshots decode just as well at this size, and much faster.
+const MAX_IMAGE_EDGE = 1600;
+// Animated shares change frame every 650 ms; this catches each one.
+const VIDEO_STEP_SECONDS = 0.2;
+const MAX_VIDEO_SECONDS = 120;
+const SEEK_TIMEOUT_MS = 3000;
+
+export function isQrVideoFile(file) {
+  return String(file?.type || '').startsWith('video/');
+}
+
+function createNativeQrDetector() {
+  if (typeof globalThis.BarcodeDetector !== 'function') return null;
+
+  try {
+    return new globalThis.BarcodeDetector({ formats: ['qr_code'] });
+  } catch {
+    return null;
+  }
+}
+
+function drawScaled(source, sourceWidth, sourceHeight, canvas) {
+  const scale = Math.min(1, MAX_IMAGE_EDGE / Math.max(sourceWidth, sourceHeight));
+  const width = Math.max(1, Math.round(sourceWidth * scale));
+  const height = Math.max(1, Math.round(sourceHeight * scale));
+
+  canvas.width = width;
+  canvas.height = height;
+  canvas
+    .getContext('2d', { willReadFrequently: true })
+    .drawImage(source, 0, 0, width, height);
+}
+
+async function decodeCanvas(canvas, detector) {
+  if (detector) {
+    try {
+      const barcodes = await detector.detect(canvas);
+      const detectedQr = barcodes.find(
+        (barcode) => barcode.format === 'qr_code' && barcode.rawValue
+      );
+      if (detectedQr) return detectedQr.rawValue;
+    } catch {
+      // Some browsers expose BarcodeDetector without QR support.
+    }
+  }
+
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+  const image = { width: canvas.width, height: canvas.height, data };
+
+  // A screenshot usually has the QR in the middle of a tall screen, so try
+  // the centre square when the whole picture does not decode.
+  for (const opts of [{}, { cropToSquare: true }]) {
+    try {
+      const text = decodeQR(image, opts);
+      if (text) return text;
+    } catch {
+      // No readable QR code with these options.
+    }
+  }
+
+  return '';
+}
+
+async function loadImage(file) {
+  if (typeof globalThis.createImageBitmap === 'function') {
+    try {
+      const bitmap = await createImageBitmap(file);
+      return {
+        source: bitmap,
+        width: bitmap.width,
+        height: bitmap.height,
+        release: () => bitmap.close?.(),
+      };
+    } catch {
+      // Fall back to an <img>, which knows a few more formats on some browsers.
+    }
+  }
+
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+
+  try {
+    await new Promise((resolve, reject) => {
+      image.onload = resolve;
+      image.onerror = () => reject(new Error(`${file.name || 'This file'} is not a readable image.`));
+      image.src = url;
+    });
+  } catch (error) {
+    URL.revokeObjectURL(url);
+    throw error;
+  }
+
+  return {
+    source: image,
+    width: image.naturalWidth,
+    height: image.naturalHeight,
+    release: () => URL.revokeObjectURL(url),
+  };
+}
+
+/** Text of the QR code in an image file, or '' when none could be read. */
+export async function decodeQrImageFile(file) {
+  const image = await loadImage(file);
+
+  try {
+    const canvas = document.createElement('canvas');
+    drawScaled(image.source, image.width, image.height, canvas);
+    return await decodeCanvas(canvas, createNativeQrDetector());
+  } finally {
+    image.release();
+  }
+}
+
+function waitForVideo(video, eventName) {
+  return new Promise((resolve, reject) => {
+    const timer = window.setTimeout(() => {
+      cleanup();
+      reject(new Error('The recording stopped responding while it was being read.'));
+    }, SEEK_TIMEOUT_MS);
+
+    function cleanup() {
+      window.clearTimeout(timer);
+      video.removeEventListener(eventName, onDone);
+      video.removeEventListener('error', onError);
+    }
+    function onDone() {
+      cleanup();
+      resolve();
+    }
+    function onError() {
+      cleanup();
+      reject(new Error('This browser cannot play that recording.'));
+    }
+
+    video.addEventListener(eventName, onDone);
+    video.addEventListener('error', onError);
+  });
+}
+
+/**
+ * Steps through a screen recording and calls `onText` once for every
+ * distinct QR text it finds, in order. Stops early when `shouldStop()`
+ * returns true (e.g. once the share is complete). Returns how many distinct
+ * codes were found.
+ */
+export async function scanQrVideoFile(file, { onText, shouldStop = () => false }) {
+  const url = URL.createObjectURL(file);
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = 'auto';
+
+  const seen = new Set();
+
+  try {
+    const loaded = waitForVideo(video, 'loadeddata');
+    video.src = url;
+    await loaded;
+
+    // Some recorders leave the duration unknown until played through.
+    const duration = Number.isFinite(video.duration)
+      ? Math.min(video.duration, MAX_VIDEO_SECONDS)
+      : MAX_VIDEO_SECONDS;
+    const canvas = document.createElement('canvas');
+    const detector = createNativeQrDetector();
+
+    // Start half a step in: seeking to where the video already is may not
+    // fire `seeked`.
+    for (
+      let time = VIDEO_STEP_SECONDS / 2;
+      time <= duration && !shouldStop();
+      time += VIDEO_STEP_SECONDS
+    ) {
+      const seeked = waitForVideo(video, 'seeked');
+      video.currentTime = time;
+      await seeked;
+      if (video.currentTime + VIDEO_STEP_SECONDS < time) break;
+
+      drawScaled(video, video.videoWidth, video.videoHeight, canvas);
+      const text = await decodeCanvas(canvas, detector);
+      if (!text || seen.has(text)) continue;
+
+      seen.add(text);
+      await onText(text);
+    }
+  } finally {
+    video.removeAttribute('src');
+    video.load();
+    URL.revokeObjectURL(url);
+  }
+
+  return seen.size;
+}
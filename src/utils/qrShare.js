@@ -1,48 +1,61 @@
 // src/utils/qrShare.js
 // QR prayer sharing built on the portable-graft merge format.
 // Camera frames and QR payloads stay entirely on-device.
+// Fields hidden by a prayer's redaction profile are never written to a share.
+// A share can be sealed with a passphrase or a one-time code: the compressed
+// payload is encrypted with AES-GCM before chunking, and every frame carries
+// the KDF salt and IV in its `e` header field.
+//
+// Frame versions: v1 cycles fixed chunks (`i` of `n`); v2 is a fountain
+// stream (`x` is the symbol id, `n` the block count) where any sufficient
+// subset of frames rebuilds the payload. Multi-frame shares are sent as v2;
+// both versions are still read.
 
 import { db } from '../db';
 import { importFromJsonBackup } from './backup';
+import { mentionToken, parseMentions, splitMentions } from './mentions';
+import { getPrayerStatus } from './prayerStatus';
+import {
+  FULL_REDACTION_PROFILE,
+  REDACTED_LABELS,
+  normalizeRedactionProfile,
+  resolveRedactionProfile,
+} from './redaction';
+import { openRows, readRecord, readWhere } from './secureStore';
+import { isTrashed } from './trash';
+import {
+  createRandomId,
+  getOrCreateDatabaseTransferId,
+  makePortableId,
+} from './portableIds';
 
 const PORTABLE_EXPORT_TYPE = 'cp/portable-graft';
 const PORTABLE_EXPORT_VERSION = 1;
-const DATABASE_TRANSFER_ID_KEY = 'cp:databaseTransferId:v1';
 const QR_FRAME_TYPE = 'cpqr';
 const QR_FRAME_VERSION = 1;
+const QR_FOUNTAIN_FRAME_VERSION = 2;
 const QR_SHARE_VERSION = 1;
 // Keep each frame near QR version 16 at medium error correction. Denser frames
 // are difficult to resolve when one phone scans another phone's display.
 const QR_CHUNK_SIZE = 300;
+// 225 bytes is exactly QR_CHUNK_SIZE base64url characters.
+const QR_FOUNTAIN_BLOCK_BYTES = 225;
+// Decoder state is sized from a scanned frame's `n`, so a crafted QR cannot
+// ask for more than this. 4000 blocks is about 900 KB after compression, far
+// past what anyone will hold a camera up to.
+const QR_MAX_BLOCKS = 4000;
+const QR_KDF_ITERATIONS = 200_000;
+// Headers come from whoever made the QR, so a scanned share cannot ask this
+// phone for more PBKDF2 work than this. Room for raising QR_KDF_ITERATIONS.
+const QR_KDF_MAX_ITERATIONS = 1_000_000;
+// No 0/O or 1/I, so a code read aloud or copied by hand survives.
+const SHARE_CODE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const SHARE_CODE_LENGTH = 8;
+export const QR_SHARE_PROTECTION_MODES = ['passphrase', 'code'];
 
 const textEncoder = new TextEncoder();
 const textDecoder = new TextDecoder();
 
-function createRandomId() {
-  if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
-
-  const bytes = new Uint8Array(16);
-  globalThis.crypto.getRandomValues(bytes);
-  return Array.from(bytes, (value) => value.toString(16).padStart(2, '0')).join('');
-}
-
-function getOrCreateDatabaseTransferId() {
-  try {
-    const existing = localStorage.getItem(DATABASE_TRANSFER_ID_KEY);
-    if (existing) return existing;
-
-    const created = createRandomId();
-    localStorage.setItem(DATABASE_TRANSFER_ID_KEY, created);
-    return created;
-  } catch {
-    return createRandomId();
-  }
-}
-
-function makePortableId(sourceDatabaseId, tableName, sourceId) {
-  return `${sourceDatabaseId}:${tableName}:${String(sourceId)}`;
-}
-
 async function ensurePortableRecord(table, tableName, record, sourceDatabaseId) {
   if (!record) return null;
 
@@ -53,8 +66,9 @@ async function ensurePortableRecord(table, tableName, record, sourceDatabaseId)
       makePortableId(sourceDatabaseId, tableName, record.id),
   };
 
+  // Only the id is written back: `record` may hold decrypted vault fields.
   if (!record.portableId) {
-    await table.put(portable);
+    await table.update(record.id, { portableId: portable.portableId });
   }
 
   return portable;
@@ -151,6 +165,158 @@ async function decompressBytes(bytes, compression) {
   return new Uint8Array(await new Response(stream).arrayBuffer());
 }
 
+/** A one-time share code such as `K7QM-4XTB` (40 random bits). */
+export function generateShareCode() {
+  const bytes = new Uint8Array(SHARE_CODE_LENGTH);
+  globalThis.crypto.getRandomValues(bytes);
+
+  const code = Array.from(
+    bytes,
+    (value) => SHARE_CODE_ALPHABET[value % SHARE_CODE_ALPHABET.length]
+  ).join('');
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+// Codes are typed case- and dash-insensitively; passphrases are used as-is.
+function normalizeShareSecret(mode, secret) {
+  const value = String(secret || '');
+  return mode === 'code' ? value.toUpperCase().replace(/[^0-9A-Z]/g, '') : value;
+}
+
+function requireSubtleCrypto() {
+  if (!globalThis.crypto?.subtle) {
+    throw new Error(
+      'Protected QR shares need a secure (HTTPS) connection on both phones.'
+    );
+  }
+  return globalThis.crypto.subtle;
+}
+
+async function deriveShareKey(mode, secret, salt, iterations) {
+  const subtle = requireSubtleCrypto();
+  const baseKey = await subtle.importKey(
+    'raw',
+    textEncoder.encode(normalizeShareSecret(mode, secret)),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+// AAD binds the ciphertext to its share id, so frames cannot be re-labelled.
+function shareAad(shareId) {
+  return textEncoder.encode(`${QR_FRAME_TYPE}:${shareId}`);
+}
+
+async function encryptShareBytes(bytes, { mode, secret }, shareId) {
+  if (!QR_SHARE_PROTECTION_MODES.includes(mode)) {
+    throw new Error('Unknown QR share protection.');
+  }
+  if (!normalizeShareSecret(mode, secret)) {
+    throw new Error('Enter a passphrase to protect this share.');
+  }
+
+  const salt = new Uint8Array(16);
+  const iv = new Uint8Array(12);
+  globalThis.crypto.getRandomValues(salt);
+  globalThis.crypto.getRandomValues(iv);
+
+  const key = await deriveShareKey(mode, secret, salt, QR_KDF_ITERATIONS);
+  const ciphertext = await requireSubtleCrypto().encrypt(
+    { name: 'AES-GCM', iv, additionalData: shareAad(shareId) },
+    key,
+    bytes
+  );
+
+  return {
+    bytes: new Uint8Array(ciphertext),
+    encryption: {
+      m: mode,
+      k: QR_KDF_ITERATIONS,
+      s: bytesToBase64Url(salt),
+      iv: bytesToBase64Url(iv),
+    },
+  };
+}
+
+function secretError(message) {
+  const error = new Error(message);
+  error.code = 'NEEDS_SECRET';
+  return error;
+}
+
+async function decryptShareBytes(bytes, encryption, secret, shareId) {
+  if (!isValidEncryptionHeader(encryption)) {
+    throw new Error('This share uses encryption settings this app does not accept.');
+  }
+  if (!normalizeShareSecret(encryption.m, secret)) {
+    throw secretError(
+      encryption.m === 'code'
+        ? 'Enter the code shown on the sharing phone.'
+        : 'Enter the passphrase for this share.'
+    );
+  }
+
+  const key = await deriveShareKey(
+    encryption.m,
+    secret,
+    base64UrlToBytes(encryption.s),
+    encryption.k
+  );
+
+  try {
+    const clear = await requireSubtleCrypto().decrypt(
+      {
+        name: 'AES-GCM',
+        iv: base64UrlToBytes(encryption.iv),
+        additionalData: shareAad(shareId),
+      },
+      key,
+      bytes
+    );
+    return new Uint8Array(clear);
+  } catch {
+    throw secretError(
+      encryption.m === 'code'
+        ? 'That code does not match this share. Check it and try again.'
+        : 'That passphrase does not match this share. Check it and try again.'
+    );
+  }
+}
+
+function isValidEncryptionHeader(value) {
+  return (
+    QR_SHARE_PROTECTION_MODES.includes(value?.m) &&
+    Number.isInteger(value?.k) &&
+    value.k > 0 &&
+    value.k <= QR_KDF_MAX_ITERATIONS &&
+    typeof value?.s === 'string' &&
+    typeof value?.iv === 'string'
+  );
+}
+
+function sameEncryption(a, b) {
+  return (
+    (a?.m ?? null) === (b?.m ?? null) &&
+    (a?.k ?? null) === (b?.k ?? null) &&
+    (a?.s ?? null) === (b?.s ?? null) &&
+    (a?.iv ?? null) === (b?.iv ?? null)
+  );
+}
+
+/** 'passphrase', 'code' or null for a plaintext share. */
+export function getQrShareProtection(assembly) {
+  return assembly?.encryption?.m || null;
+}
+
 function sha256Fallback(bytes) {
   // Pure-JavaScript SHA-256 fallback for insecure local-development origins,
   // where crypto.subtle is intentionally unavailable. Production HTTPS uses
@@ -278,7 +444,11 @@ function normalizeName(value) {
 async function findByPortableId(table, portableId) {
   if (!portableId) return null;
   const rows = await table.toArray();
-  return rows.find((row) => row?.portableId === portableId) || null;
+  return (
+    rows.find((row) => row?.portableId === portableId) ||
+    rows.find((row) => row?.portableAliases?.includes(portableId)) ||
+    null
+  );
 }
 
 async function findUniqueNameMatch(table, name, predicate = () => true) {
@@ -293,11 +463,34 @@ async function findUniqueNameMatch(table, name, predicate = () => true) {
   return matches.length === 1 ? matches[0] : null;
 }
 
+// Points a shared journal entry's `#prayer-<id>` mentions at this device's
+// copy of each prayer, or turns them into plain text when it has none.
+async function relinkPrayerMentions(text, prayerMentions) {
+  let relinked = '';
+
+  for (const part of splitMentions(text)) {
+    const mention = part.mention?.kind === 'prayer'
+      ? prayerMentions[part.mention.id]
+      : null;
+
+    if (!mention) {
+      relinked += part.text ?? part.raw;
+      continue;
+    }
+
+    const local = await findByPortableId(db.prayers, mention.portableId);
+    relinked += local && !isTrashed(local)
+      ? mentionToken('prayer', local)
+      : mention.name || REDACTED_LABELS.title;
+  }
+
+  return relinked;
+}
+
 async function prepareQrPayloadForLocalMerge(payload) {
   const prepared = JSON.parse(JSON.stringify(payload));
   const scope = prepared?.qrShare?.scope || 'prayer';
   const incomingCategory = prepared?.data?.categories?.[0] || null;
-  const incomingRequestor = prepared?.data?.requestors?.[0] || null;
 
   let localCategory = null;
 
@@ -335,7 +528,9 @@ async function prepareQrPayloadForLocalMerge(payload) {
     }
   }
 
-  if (incomingRequestor) {
+  const incomingRequestors = prepared?.data?.requestors || [];
+
+  for (const [index, incomingRequestor] of incomingRequestors.entries()) {
     let localRequestor = await findByPortableId(
       db.requestors,
       incomingRequestor.portableId
@@ -362,7 +557,7 @@ async function prepareQrPayloadForLocalMerge(payload) {
     // Likewise, Prayer-only sharing sends only a requestor routing stub. If a
     // matching requestor already exists locally, preserve their local details.
     if (localRequestor && scope === 'prayer') {
-      prepared.data.requestors[0] = {
+      prepared.data.requestors[index] = {
         ...localRequestor,
         id: incomingRequestor.id,
         categoryId: incomingRequestor.categoryId,
@@ -371,9 +566,176 @@ async function prepareQrPayloadForLocalMerge(payload) {
     }
   }
 
+  const prayerMentions = prepared?.qrShare?.prayerMentions;
+  if (prayerMentions) {
+    for (const entry of prepared.data.journalEntries || []) {
+      entry.text = await relinkPrayerMentions(entry.text, prayerMentions);
+    }
+  }
+
   return prepared;
 }
 
+// ---------------------------------------------------------------------------
+// Fountain (LT) frames
+// ---------------------------------------------------------------------------
+// The payload is cut into `n` blocks. Symbol `x < n` is block x itself, so a
+// clean scan finishes after n frames; later symbols XOR a pseudo-random set
+// of blocks picked from `x` alone (robust soliton degrees), so the receiver
+// can fill gaps from whichever frames it catches instead of waiting a loop.
+
+function mulberry32(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const solitonCache = new Map();
+
+function robustSolitonCdf(blockCount) {
+  if (solitonCache.has(blockCount)) return solitonCache.get(blockCount);
+
+  const c = 0.1;
+  const delta = 0.5;
+  const spike = c * Math.log(blockCount / delta) * Math.sqrt(blockCount);
+  const pivot = Math.max(1, Math.min(blockCount, Math.floor(blockCount / spike)));
+  const weights = [];
+
+  for (let degree = 1; degree <= blockCount; degree += 1) {
+    const ideal = degree === 1 ? 1 / blockCount : 1 / (degree * (degree - 1));
+    let robust = 0;
+    if (degree < pivot) robust = spike / (degree * blockCount);
+    else if (degree === pivot) robust = (spike * Math.log(spike / delta)) / blockCount;
+    weights.push(ideal + Math.max(0, robust));
+  }
+
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  let running = 0;
+  const cdf = weights.map((weight) => (running += weight / total));
+  solitonCache.set(blockCount, cdf);
+  return cdf;
+}
+
+function fountainNeighbors(symbolId, blockCount) {
+  if (symbolId < blockCount) return [symbolId];
+
+  const random = mulberry32(Math.imul(symbolId, 0x9e3779b1) ^ blockCount);
+  const cdf = robustSolitonCdf(blockCount);
+  const roll = random();
+  const found = cdf.findIndex((value) => roll <= value);
+  const degree = found === -1 ? blockCount : found + 1;
+  const picked = new Set();
+
+  while (picked.size < Math.min(degree, blockCount)) {
+    picked.add(Math.floor(random() * blockCount));
+  }
+  return Array.from(picked);
+}
+
+function xorInto(target, source) {
+  for (let index = 0; index < target.length; index += 1) {
+    target[index] ^= source[index];
+  }
+}
+
+function splitBlocks(bytes, blockSize) {
+  const blocks = [];
+  for (let offset = 0; offset < bytes.length; offset += blockSize) {
+    const block = new Uint8Array(blockSize);
+    block.set(bytes.subarray(offset, offset + blockSize));
+    blocks.push(block);
+  }
+  return blocks.length ? blocks : [new Uint8Array(blockSize)];
+}
+
+function encodeFountainSymbol(blocks, symbolId) {
+  const symbol = new Uint8Array(blocks[0].length);
+  for (const index of fountainNeighbors(symbolId, blocks.length)) {
+    xorInto(symbol, blocks[index]);
+  }
+  return symbol;
+}
+
+function createFountainDecoder(blockCount, byteLength) {
+  return {
+    blockCount,
+    byteLength,
+    blocks: new Array(blockCount).fill(null),
+    decoded: 0,
+    pending: [],
+    seen: new Set(),
+  };
+}
+
+// Peeling decoder: strip known blocks from every symbol; any symbol left
+// with one unknown block reveals it, which may unlock others in turn.
+function addFountainSymbol(decoder, symbolId, data) {
+  if (decoder.seen.has(symbolId)) return;
+  decoder.seen.add(symbolId);
+
+  const queue = [
+    { indices: new Set(fountainNeighbors(symbolId, decoder.blockCount)), data },
+  ];
+
+  while (queue.length) {
+    const symbol = queue.pop();
+
+    for (const index of Array.from(symbol.indices)) {
+      if (decoder.blocks[index]) {
+        xorInto(symbol.data, decoder.blocks[index]);
+        symbol.indices.delete(index);
+      }
+    }
+
+    if (symbol.indices.size === 0) continue;
+    if (symbol.indices.size > 1) {
+      decoder.pending.push(symbol);
+      continue;
+    }
+
+    const [index] = symbol.indices;
+    decoder.blocks[index] = symbol.data;
+    decoder.decoded += 1;
+
+    const stillPending = [];
+    for (const other of decoder.pending) {
+      if (other.indices.has(index)) queue.push(other);
+      else stillPending.push(other);
+    }
+    decoder.pending = stillPending;
+  }
+}
+
+function fountainBytes(decoder) {
+  const bytes = new Uint8Array(decoder.blockCount * QR_FOUNTAIN_BLOCK_BYTES);
+  decoder.blocks.forEach((block, index) => {
+    bytes.set(block, index * QR_FOUNTAIN_BLOCK_BYTES);
+  });
+  return bytes.subarray(0, decoder.byteLength);
+}
+
+/**
+ * The frame to show at position `index` of a transfer: fixed transfers loop
+ * their frames, fountain transfers keep producing fresh repair symbols.
+ */
+export function qrShareFrameAt(transfer, index) {
+  if (transfer.mode !== 'fountain') {
+    return transfer.frames[index % transfer.frames.length];
+  }
+
+  return JSON.stringify({
+    ...transfer.header,
+    x: index,
+    d: bytesToBase64Url(encodeFountainSymbol(transfer.blocks, index)),
+  });
+}
+
 export const QR_SHARE_SCOPES = {
   prayer: {
     label: 'Prayer only',
@@ -389,23 +751,97 @@ export const QR_SHARE_SCOPES = {
   },
 };
 
+// What a share starts from. Prayer shares pick a scope above; the others
+// share downward with a fixed amount of context.
+export const QR_SHARE_KINDS = {
+  prayer: { label: 'Prayer' },
+  requestor: {
+    label: 'Requestor',
+    description: 'Shares the requestor details and all of their open prayers with their updates. Only the category name is included for placement.',
+  },
+  category: {
+    label: 'Category',
+    description: 'Shares the category details, every active requestor in it, and their open prayers with updates.',
+  },
+  journal: {
+    label: 'Journal entry',
+    description: 'Shares the entry. Prayer mentions link up on the other phone when it already has that prayer; otherwise they become plain text.',
+  },
+};
+
+// Vault-locked events never leave the device through a QR share.
+async function readShareableEvents(prayerId) {
+  return openRows(
+    'events',
+    await db.events
+      .where('prayerId')
+      .equals(prayerId)
+      .filter((event) => !event.security && !isTrashed(event))
+      .toArray()
+  );
+}
+
+function assertUnlocked(records, what) {
+  if (records.some((record) => record?.locked)) {
+    throw new Error(`Unlock the Private Vault in Settings before sharing this ${what}.`);
+  }
+}
+
+function redactPrayerRecord(record, profile) {
+  if (!profile.title) record.name = REDACTED_LABELS.title;
+  if (!profile.description) {
+    record.description = '';
+    record.tags = [];
+  }
+  if (!profile.dates) {
+    record.requestedAt = null;
+    record.answeredAt = null;
+  }
+  return record;
+}
+
+function sharePayload({ kind, scope = kind, sourceDatabaseId, sourceId, label, meta, data }) {
+  return {
+    version: 1,
+    exportedAt: Date.now(),
+    exportType: PORTABLE_EXPORT_TYPE,
+    portableExportVersion: PORTABLE_EXPORT_VERSION,
+    sourceDatabaseId,
+    selection: { kind, sourceId, label },
+    qrShare: {
+      version: QR_SHARE_VERSION,
+      kind,
+      scope,
+      label,
+      ...meta,
+    },
+    data: {
+      categories: [],
+      requestors: [],
+      prayers: [],
+      events: [],
+      journalEntries: [],
+      ...data,
+    },
+  };
+}
+
 export async function buildPrayerSharePayload(prayerId, scope = 'prayer') {
   if (!QR_SHARE_SCOPES[scope]) throw new Error('Unknown QR sharing level.');
 
-  const prayer = await db.prayers.get(prayerId);
+  const prayer = await readRecord('prayers', prayerId);
   if (!prayer) throw new Error('Prayer request not found.');
 
   const sourceDatabaseId = getOrCreateDatabaseTransferId();
   const requestor = prayer.requestorId != null
-    ? await db.requestors.get(prayer.requestorId)
+    ? await readRecord('requestors', prayer.requestorId)
     : null;
   const category = requestor?.categoryId != null
     ? await db.categories.get(requestor.categoryId)
     : null;
-  const events = await db.events
-    .where('prayerId')
-    .equals(prayer.id)
-    .toArray();
+  const events = await readShareableEvents(prayer.id);
+
+  assertUnlocked([prayer, requestor, ...events], 'prayer');
 
   const portablePrayer = await ensurePortableRecord(
     db.prayers,
@@ -442,48 +878,61 @@ export async function buildPrayerSharePayload(prayerId, scope = 'prayer') {
     );
   }
 
-  const categoryRecord = scope === 'category' && portableCategory
-    ? portableCategory
-    : makeCategoryStub(portableCategory, sourceDatabaseId, prayer.id);
+  const profile = resolveRedactionProfile(prayer, requestor);
 
-  const requestorRecord = scope !== 'prayer' && portableRequestor
-    ? {
-        ...portableRequestor,
-        categoryId: categoryRecord.id,
-      }
-    : makeRequestorStub(
-        portableRequestor,
+  // Redacted parents become anonymous stubs shared by every redacted prayer
+  // from this database, so no hidden name or record identity is transferred.
+  const categoryRecord = !profile.category
+    ? makeCategoryStub(
+        { id: 'redacted', name: REDACTED_LABELS.category },
+        sourceDatabaseId,
+        prayer.id
+      )
+    : scope === 'category' && portableCategory
+      ? portableCategory
+      : makeCategoryStub(portableCategory, sourceDatabaseId, prayer.id);
+
+  const requestorRecord = !profile.requestor
+    ? makeRequestorStub(
+        { id: 'redacted', name: REDACTED_LABELS.requestor },
         categoryRecord.id,
         prayer,
         sourceDatabaseId,
         prayer.id
-      );
-
-  const prayerRecord = {
-    ...portablePrayer,
-    requestorId: requestorRecord.id,
-  };
+      )
+    : scope !== 'prayer' && portableRequestor
+      ? {
+          ...portableRequestor,
+          categoryId: categoryRecord.id,
+        }
+      : makeRequestorStub(
+          portableRequestor,
+          categoryRecord.id,
+          prayer,
+          sourceDatabaseId,
+          prayer.id
+        );
+
+  const prayerRecord = redactPrayerRecord(
+    { ...portablePrayer, requestorId: requestorRecord.id },
+    profile
+  );
 
-  const eventRecords = portableEvents.map((event) => ({
-    ...event,
-    prayerId: prayerRecord.id,
-  }));
+  const eventRecords = profile.events
+    ? portableEvents.map((event) => ({
+        ...event,
+        prayerId: prayerRecord.id,
+      }))
+    : [];
 
-  return {
-    version: 1,
-    exportedAt: Date.now(),
-    exportType: PORTABLE_EXPORT_TYPE,
-    portableExportVersion: PORTABLE_EXPORT_VERSION,
+  return sharePayload({
+    kind: 'prayer',
+    scope,
     sourceDatabaseId,
-    selection: {
-      kind: 'prayer',
-      sourceId: prayer.id,
-      label: prayer.name || `Prayer ${prayer.id}`,
-    },
-    qrShare: {
-      version: QR_SHARE_VERSION,
-      scope,
-      prayerName: prayer.name || 'Prayer request',
+    sourceId: prayer.id,
+    label: prayerRecord.name || `Prayer ${prayer.id}`,
+    meta: {
+      prayerName: prayerRecord.name || 'Prayer request',
       requestorName: requestorRecord.name || 'Shared Requestor',
       categoryName: categoryRecord.name || 'Shared Prayers',
     },
@@ -492,41 +941,303 @@ export async function buildPrayerSharePayload(prayerId, scope = 'prayer') {
       requestors: [requestorRecord],
       prayers: [prayerRecord],
       events: eventRecords,
-      journalEntries: [],
     },
+  });
+}
+
+// A requestor's open prayers as share records. A prayer whose profile hides
+// its requestor or category is left out: sharing it under them would reveal
+// exactly that. Returns `{ prayers, events, withheld }`.
+async function buildOpenPrayerRecords(requestor, sourceDatabaseId) {
+  const open = (await readWhere('prayers', 'requestorId', requestor.id)).filter(
+    (prayer) => getPrayerStatus(prayer) === 'requested'
+  );
+  const result = { prayers: [], events: [], withheld: 0 };
+
+  for (const prayer of open) {
+    const profile = resolveRedactionProfile(prayer, requestor);
+    if (!profile.requestor || !profile.category) {
+      result.withheld += 1;
+      continue;
+    }
+
+    const events = profile.events ? await readShareableEvents(prayer.id) : [];
+    assertUnlocked([prayer, ...events], 'requestor');
+
+    const portablePrayer = await ensurePortableRecord(
+      db.prayers,
+      'prayers',
+      prayer,
+      sourceDatabaseId
+    );
+    result.prayers.push(redactPrayerRecord({ ...portablePrayer }, profile));
+
+    for (const event of events) {
+      result.events.push(
+        await ensurePortableRecord(db.events, 'events', event, sourceDatabaseId)
+      );
+    }
+  }
+
+  return result;
+}
+
+function ownProfile(requestor) {
+  return normalizeRedactionProfile(requestor?.redaction) || FULL_REDACTION_PROFILE;
+}
+
+async function buildRequestorSharePayload(requestorId) {
+  const requestor = await readRecord('requestors', requestorId);
+  if (!requestor) throw new Error('Requestor not found.');
+  assertUnlocked([requestor], 'requestor');
+
+  const profile = ownProfile(requestor);
+  if (!profile.requestor) {
+    throw new Error(
+      "This requestor's redaction profile hides their name. Share their prayers one at a time instead."
+    );
+  }
+
+  const sourceDatabaseId = getOrCreateDatabaseTransferId();
+  const category = await readRecord('categories', requestor.categoryId);
+  const portableCategory = category && profile.category
+    ? await ensurePortableRecord(db.categories, 'categories', category, sourceDatabaseId)
+    : { id: 'redacted', name: REDACTED_LABELS.category };
+  const categoryRecord = makeCategoryStub(
+    portableCategory,
+    sourceDatabaseId,
+    requestor.id
+  );
+  const requestorRecord = {
+    ...(await ensurePortableRecord(
+      db.requestors,
+      'requestors',
+      requestor,
+      sourceDatabaseId
+    )),
+    categoryId: categoryRecord.id,
+  };
+  const { prayers, events, withheld } = await buildOpenPrayerRecords(
+    requestor,
+    sourceDatabaseId
+  );
+
+  return {
+    withheld,
+    payload: sharePayload({
+      kind: 'requestor',
+      sourceDatabaseId,
+      sourceId: requestor.id,
+      label: requestor.name || `Requestor ${requestor.id}`,
+      meta: {
+        requestorName: requestorRecord.name,
+        categoryName: categoryRecord.name,
+        prayerCount: prayers.length,
+      },
+      data: {
+        categories: [categoryRecord],
+        requestors: [requestorRecord],
+        prayers,
+        events,
+      },
+    }),
   };
 }
 
-export async function createPrayerShareFrames(prayerId, scope = 'prayer') {
-  const payload = await buildPrayerSharePayload(prayerId, scope);
+async function buildCategorySharePayload(categoryId) {
+  const category = await readRecord('categories', categoryId);
+  if (!category) throw new Error('Category not found.');
+
+  const sourceDatabaseId = getOrCreateDatabaseTransferId();
+  const categoryRecord = await ensurePortableRecord(
+    db.categories,
+    'categories',
+    category,
+    sourceDatabaseId
+  );
+  const requestors = (await readWhere('requestors', 'categoryId', category.id))
+    .filter((requestor) => !requestor.archived);
+  assertUnlocked(requestors, 'category');
+
+  const data = {
+    categories: [categoryRecord],
+    requestors: [],
+    prayers: [],
+    events: [],
+  };
+  let withheld = 0;
+
+  for (const requestor of requestors) {
+    const profile = ownProfile(requestor);
+    const records = await buildOpenPrayerRecords(requestor, sourceDatabaseId);
+
+    if (!profile.requestor || !profile.category) {
+      withheld += records.prayers.length + records.withheld;
+      continue;
+    }
+
+    data.requestors.push(
+      await ensurePortableRecord(db.requestors, 'requestors', requestor, sourceDatabaseId)
+    );
+    data.prayers.push(...records.prayers);
+    data.events.push(...records.events);
+    withheld += records.withheld;
+  }
+
+  return {
+    withheld,
+    payload: sharePayload({
+      kind: 'category',
+      sourceDatabaseId,
+      sourceId: category.id,
+      label: category.name || `Category ${category.id}`,
+      meta: {
+        categoryName: category.name,
+        requestorCount: data.requestors.length,
+        prayerCount: data.prayers.length,
+      },
+      data,
+    }),
+  };
+}
+
+async function buildJournalSharePayload(entryId) {
+  const entry = await readRecord('journalEntries', entryId);
+  if (!entry) throw new Error('Journal entry not found.');
+  assertUnlocked([entry], 'journal entry');
+
+  const sourceDatabaseId = getOrCreateDatabaseTransferId();
+  const portableEntry = await ensurePortableRecord(
+    db.journalEntries,
+    'journalEntries',
+    entry,
+    sourceDatabaseId
+  );
+
+  // `#prayer-<id>` only means something here; the receiver relinks it by
+  // portable id, or falls back to the (redaction-aware) title as text.
+  const prayerMentions = {};
+  for (const prayerId of parseMentions(entry.text).prayerIds) {
+    const prayer = await db.prayers.get(prayerId);
+    if (!prayer || isTrashed(prayer)) continue;
+
+    const requestor = await db.requestors.get(prayer.requestorId);
+    const profile = resolveRedactionProfile(prayer, requestor);
+    const portable = await ensurePortableRecord(
+      db.prayers,
+      'prayers',
+      prayer,
+      sourceDatabaseId
+    );
+    prayerMentions[prayerId] = {
+      portableId: portable.portableId,
+      name: profile.title ? prayer.name : REDACTED_LABELS.title,
+    };
+  }
+
+  const label = entry.title || 'Journal entry';
+  return {
+    withheld: 0,
+    payload: sharePayload({
+      kind: 'journal',
+      sourceDatabaseId,
+      sourceId: entry.id,
+      label,
+      meta: { prayerMentions },
+      data: { journalEntries: [portableEntry] },
+    }),
+  };
+}
+
+/**
+ * `target` is `{ kind, id, scope }`; scope only applies to prayers. Returns
+ * `{ payload, withheld }`, where withheld counts prayers that were left out
+ * because their redaction profile hides the requestor or category.
+ */
+export async function buildSharePayload({ kind = 'prayer', id, scope = 'prayer' }) {
+  switch (kind) {
+    case 'prayer':
+      return { payload: await buildPrayerSharePayload(id, scope), withheld: 0 };
+    case 'requestor':
+      return buildRequestorSharePayload(id);
+    case 'category':
+      return buildCategorySharePayload(id);
+    case 'journal':
+      return buildJournalSharePayload(id);
+    default:
+      throw new Error('Unknown QR share type.');
+  }
+}
+
+/**
+ * Frames any JSON payload (QR sync uses this too). `protection` is null for
+ * a plaintext share, or `{ mode, secret }` where mode is 'passphrase' or
+ * 'code' (see generateShareCode). Show the result with `qrShareFrameAt`;
+ * `frameCount` is the frames a clean scan needs.
+ */
+export async function createQrPayloadFrames(payload, { protection = null } = {}) {
   const clearBytes = textEncoder.encode(JSON.stringify(payload));
   const compressed = await compressBytes(clearBytes);
-  const encoded = bytesToBase64Url(compressed.bytes);
-  const chunks = splitText(encoded, QR_CHUNK_SIZE);
   const shareId = createRandomId();
-  const hash = await digestBytes(compressed.bytes);
+  const sealed = protection
+    ? await encryptShareBytes(compressed.bytes, protection, shareId)
+    : { bytes: compressed.bytes, encryption: null };
+  // Over the transferred bytes, so a protected share's hash reveals nothing.
+  const hash = await digestBytes(sealed.bytes);
+  const header = {
+    t: QR_FRAME_TYPE,
+    s: shareId,
+    c: compressed.compression,
+    h: hash,
+    ...(sealed.encryption ? { e: sealed.encryption } : {}),
+  };
+  const summary = {
+    payload,
+    shareId,
+    compression: compressed.compression,
+    protection: sealed.encryption?.m || null,
+    originalBytes: clearBytes.length,
+    transferBytes: sealed.bytes.length,
+  };
+
+  const chunks = splitText(bytesToBase64Url(sealed.bytes), QR_CHUNK_SIZE);
+  if (chunks.length > 1) {
+    const blocks = splitBlocks(sealed.bytes, QR_FOUNTAIN_BLOCK_BYTES);
+    if (blocks.length > QR_MAX_BLOCKS) {
+      throw new Error('This is too much to share by QR. Use a backup file instead.');
+    }
+
+    return {
+      ...summary,
+      mode: 'fountain',
+      header: {
+        ...header,
+        v: QR_FOUNTAIN_FRAME_VERSION,
+        n: blocks.length,
+        l: sealed.bytes.length,
+      },
+      blocks,
+      frameCount: blocks.length,
+    };
+  }
 
   const frames = chunks.map((chunk, index) =>
     JSON.stringify({
-      t: QR_FRAME_TYPE,
+      ...header,
       v: QR_FRAME_VERSION,
-      s: shareId,
       i: index,
       n: chunks.length,
-      c: compressed.compression,
-      h: hash,
       d: chunk,
     })
   );
 
-  return {
-    payload,
-    frames,
-    shareId,
-    compression: compressed.compression,
-    originalBytes: clearBytes.length,
-    transferBytes: compressed.bytes.length,
-  };
+  return { ...summary, mode: 'fixed', frames, frameCount: frames.length };
+}
+
+/** `target` is as for buildSharePayload; `options` as for createQrPayloadFrames. */
+export async function createQrShareFrames(target, options = {}) {
+  const { payload, withheld } = await buildSharePayload(target);
+  return { ...(await createQrPayloadFrames(payload, options)), withheld };
 }
 
 export function parseQrShareFrame(rawText) {
@@ -537,72 +1248,140 @@ export function parseQrShareFrame(rawText) {
     throw new Error('This is not a Closet Prayer sharing QR code.');
   }
 
-  if (
-    frame?.t !== QR_FRAME_TYPE ||
-    frame?.v !== QR_FRAME_VERSION ||
-    typeof frame?.s !== 'string' ||
-    !Number.isInteger(frame?.i) ||
-    !Number.isInteger(frame?.n) ||
-    frame.i < 0 ||
-    frame.n < 1 ||
-    frame.i >= frame.n ||
-    typeof frame?.d !== 'string' ||
-    typeof frame?.h !== 'string'
-  ) {
+  const validHeader =
+    frame?.t === QR_FRAME_TYPE &&
+    typeof frame?.s === 'string' &&
+    Number.isInteger(frame?.n) &&
+    frame.n >= 1 &&
+    frame.n <= QR_MAX_BLOCKS &&
+    typeof frame?.d === 'string' &&
+    typeof frame?.h === 'string' &&
+    (frame.e == null || isValidEncryptionHeader(frame.e));
+  const validFixed =
+    frame?.v === QR_FRAME_VERSION &&
+    Number.isInteger(frame?.i) &&
+    frame.i >= 0 &&
+    frame.i < frame.n;
+  const validFountain =
+    frame?.v === QR_FOUNTAIN_FRAME_VERSION &&
+    Number.isInteger(frame?.x) &&
+    frame.x >= 0 &&
+    Number.isInteger(frame?.l) &&
+    frame.l > 0 &&
+    frame.l <= frame.n * QR_FOUNTAIN_BLOCK_BYTES;
+
+  if (!validHeader || !(validFixed || validFountain)) {
     throw new Error('This QR code is not a supported Closet Prayer share.');
   }
 
   return frame;
 }
 
+function isAssemblyComplete(assembly) {
+  if (assembly?.mode === 'fountain') {
+    return assembly.decoder.decoded === assembly.total;
+  }
+
+  return Boolean(
+    assembly?.chunks?.length && assembly.chunks.every((chunk) => chunk != null)
+  );
+}
+
+/**
+ * Adds one scanned frame. `received` of `total` counts frames for fixed
+ * shares and recovered blocks for fountain shares; `recoverable` is the
+ * share of the payload that can be rebuilt so far (0–1).
+ */
 export function collectQrShareFrame(currentAssembly, rawText) {
   const frame = parseQrShareFrame(rawText);
+  const mode = frame.v === QR_FOUNTAIN_FRAME_VERSION ? 'fountain' : 'fixed';
   let assembly = currentAssembly;
 
   if (!assembly || assembly.shareId !== frame.s) {
     assembly = {
       shareId: frame.s,
+      mode,
       total: frame.n,
       compression: frame.c || 'none',
       hash: frame.h,
-      chunks: new Array(frame.n).fill(null),
+      encryption: frame.e || null,
+      ...(mode === 'fountain'
+        ? { decoder: createFountainDecoder(frame.n, frame.l), frames: 0 }
+        : { chunks: new Array(frame.n).fill(null) }),
     };
   }
 
   if (
+    assembly.mode !== mode ||
     assembly.total !== frame.n ||
     assembly.hash !== frame.h ||
-    assembly.compression !== (frame.c || 'none')
+    assembly.compression !== (frame.c || 'none') ||
+    !sameEncryption(assembly.encryption, frame.e) ||
+    (mode === 'fountain' && assembly.decoder.byteLength !== frame.l)
   ) {
     throw new Error('QR frames from different shares were mixed together. Restart the scan and try again.');
   }
 
-  assembly.chunks[frame.i] = frame.d;
-  const received = assembly.chunks.reduce(
-    (count, chunk) => count + (chunk != null ? 1 : 0),
-    0
-  );
+  let received;
+  if (mode === 'fountain') {
+    const data = base64UrlToBytes(frame.d);
+    if (data.length !== QR_FOUNTAIN_BLOCK_BYTES) {
+      throw new Error('This QR frame is damaged. Keep scanning.');
+    }
+
+    addFountainSymbol(assembly.decoder, frame.x, data);
+    assembly.frames = assembly.decoder.seen.size;
+    received = assembly.decoder.decoded;
+  } else {
+    assembly.chunks[frame.i] = frame.d;
+    received = assembly.chunks.reduce(
+      (count, chunk) => count + (chunk != null ? 1 : 0),
+      0
+    );
+  }
 
   return {
     assembly,
+    mode,
     received,
     total: assembly.total,
-    complete: received === assembly.total,
+    recoverable: received / assembly.total,
+    complete: isAssemblyComplete(assembly),
   };
 }
 
-export async function decodeQrShareAssembly(assembly) {
-  if (!assembly?.chunks?.length || assembly.chunks.some((chunk) => chunk == null)) {
+/**
+ * `secret` is the passphrase or code of a protected share. `accept` checks
+ * the decoded payload; it defaults to the share kinds importQrSharePayload
+ * takes.
+ */
+export async function decodeQrShareAssembly(
+  assembly,
+  { secret = '', accept = isValidSharePayload } = {}
+) {
+  if (!isAssemblyComplete(assembly)) {
     throw new Error('The QR share is incomplete.');
   }
 
-  const compressedBytes = base64UrlToBytes(assembly.chunks.join(''));
-  const actualHash = await digestBytes(compressedBytes);
+  const transferBytes =
+    assembly.mode === 'fountain'
+      ? fountainBytes(assembly.decoder)
+      : base64UrlToBytes(assembly.chunks.join(''));
+  const actualHash = await digestBytes(transferBytes);
 
   if (actualHash !== assembly.hash) {
     throw new Error('The QR share failed its integrity check. Please scan it again.');
   }
 
+  const compressedBytes = assembly.encryption
+    ? await decryptShareBytes(
+        transferBytes,
+        assembly.encryption,
+        secret,
+        assembly.shareId
+      )
+    : transferBytes;
+
   const clearBytes = await decompressBytes(
     compressedBytes,
     assembly.compression
@@ -615,19 +1394,40 @@ export async function decodeQrShareAssembly(assembly) {
     throw new Error('The QR share could not be decoded as JSON.');
   }
 
+  if (!accept(payload)) {
+    throw new Error('The QR data is not a valid Closet Prayer share.');
+  }
+
+  return payload;
+}
+
+// Shares from before QR_SHARE_KINDS carry no kind and are single prayers.
+function isValidSharePayload(payload) {
   if (
     payload?.exportType !== PORTABLE_EXPORT_TYPE ||
-    payload?.qrShare?.version !== QR_SHARE_VERSION ||
-    !Array.isArray(payload?.data?.prayers) ||
-    payload.data.prayers.length !== 1
+    payload?.qrShare?.version !== QR_SHARE_VERSION
   ) {
-    throw new Error('The QR data is not a valid Closet Prayer prayer share.');
+    return false;
   }
 
-  return payload;
+  const count = (key) =>
+    Array.isArray(payload.data?.[key]) ? payload.data[key].length : -1;
+
+  switch (payload.qrShare.kind || 'prayer') {
+    case 'prayer':
+      return count('prayers') === 1;
+    case 'requestor':
+      return count('requestors') === 1 && count('prayers') >= 0;
+    case 'category':
+      return count('categories') === 1 && count('requestors') >= 0;
+    case 'journal':
+      return count('journalEntries') === 1;
+    default:
+      return false;
+  }
 }
 
-export async function importPrayerSharePayload(payload) {
+export async function importQrSharePayload(payload) {
   const prepared = await prepareQrPayloadForLocalMerge(payload);
   const result = await importFromJsonBackup(prepared, 'merge');
   window.dispatchEvent(new Event('db:changed'));
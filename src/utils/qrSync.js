@@ -0,0 +1,620 @@
+// src/utils/qrSync.js
+// Two-way QR sync of one category between two phones, carried by the QR
+// share transport (utils/qrShare) and matched on portable ids (as in
+// utils/backup). A session has three QR hops:
+//
+//   1. summary  A shows the portable id, latest field stamp and a content
+//               hash of every record in the category.
+//   2. reply    B answers with its records that A lacks or that differ and
+//               may hold newer fields, and lists the ids it wants from A.
+//   3. changes  A merges the reply, then shows what B asked for, plus any
+//               record whose merge kept some of A's fields, for B to scan.
+//
+// Records are merged last-writer-wins per field on `fieldUpdatedAt` (see
+// utils/fieldStamps). Equal field stamps fall back to the record's latest
+// stamp, then to comparing the values, so both phones pick the same winner.
+// Rows in the Trash on either phone are left alone; deletes are not synced.
+//
+// Privacy follows QR shares: vault-locked events never leave the phone, a
+// prayer whose redaction profile hides its requestor or category is withheld
+// with its events, and other hidden fields are left out of the records. A
+// category holding any security record can only be synced with a passphrase.
+
+import { db, emitDbChanged } from '../db';
+import {
+  SYNCED_FIELDS,
+  fieldStamp,
+  sameFieldValue,
+} from './fieldStamps';
+import { createQrPayloadFrames } from './qrShare';
+import {
+  FULL_REDACTION_PROFILE,
+  REDACTED_LABELS,
+  normalizeRedactionProfile,
+  resolveRedactionProfile,
+} from './redaction';
+import { addRecord, openRows, updateRecord } from './secureStore';
+import { isTrashed } from './trash';
+import { isUnlocked, isVaultEnabled } from './vault';
+import {
+  createRandomId,
+  getOrCreateDatabaseTransferId,
+  makePortableId,
+} from './portableIds';
+
+const QR_SYNC_VERSION = 1;
+
+// Parents first, so references resolve while merging.
+const SYNC_TABLES = ['categories', 'requestors', 'prayers', 'events'];
+
+// Field that points at a parent row, and the parent's table.
+const REFERENCE_FIELDS = {
+  requestors: { categoryId: 'categories' },
+  prayers: { requestorId: 'requestors' },
+  events: { prayerId: 'prayers' },
+};
+
+// Local-only fields a new row needs but sync does not carry.
+const NEW_ROW_DEFAULTS = {
+  categories: { showSingle: 0 },
+  requestors: { security: 0, archived: 0 },
+  prayers: { security: 0, reminder: null },
+  events: { security: 0 },
+};
+
+// Placeholders for a new row whose partner left these fields out.
+const REDACTED_ROW_DEFAULTS = {
+  requestors: { name: REDACTED_LABELS.requestor, description: '' },
+  prayers: { name: REDACTED_LABELS.title, description: '', tags: [] },
+};
+
+// Synced fields each redaction profile key keeps off the QR.
+const REDACTED_FIELDS = {
+  title: ['name'],
+  description: ['description', 'tags'],
+  dates: ['requestedAt', 'answeredAt'],
+};
+
+// FNV-1a; only used to spot records that differ, never to protect them.
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < text.length; index += 1) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+function requireOpenVault() {
+  if (isVaultEnabled() && !isUnlocked()) {
+    throw new Error('Unlock the Private Vault in Settings before syncing.');
+  }
+}
+
+function assertReadable(entries) {
+  if (entries.some(({ row }) => row.locked)) {
+    throw new Error(
+      'Some records in this category are encrypted. Unlock the Private Vault in Settings before syncing.'
+    );
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Local index
+// ---------------------------------------------------------------------------
+
+// Every row of the synced tables (Trash included, so trashed rows are
+// recognised and skipped), opened, and findable by portable id or alias.
+async function loadIndex() {
+  requireOpenVault();
+
+  const transferId = getOrCreateDatabaseTransferId();
+  const index = { byPortableId: new Map(), portableIds: {}, rows: {}, byId: {} };
+
+  for (const tableName of SYNC_TABLES) {
+    const rows = await openRows(tableName, await db.table(tableName).toArray());
+    index.rows[tableName] = rows;
+    index.portableIds[tableName] = new Map();
+    index.byId[tableName] = new Map();
+
+    for (const row of rows) {
+      const portableId =
+        row.portableId || makePortableId(transferId, tableName, row.id);
+      addToIndex(index, tableName, row, portableId);
+    }
+  }
+
+  return index;
+}
+
+function addToIndex(index, tableName, row, portableId) {
+  const entry = { tableName, row, portableId };
+  index.portableIds[tableName].set(row.id, portableId);
+  index.byId[tableName].set(row.id, row);
+
+  for (const alias of row.portableAliases || []) {
+    if (!index.byPortableId.has(alias)) index.byPortableId.set(alias, entry);
+  }
+  index.byPortableId.set(portableId, entry);
+}
+
+function entryKey({ tableName, row }) {
+  return `${tableName}:${row.id}`;
+}
+
+function findEntry(index, tableName, portableId) {
+  const entry = index.byPortableId.get(portableId);
+  return entry?.tableName === tableName ? entry : null;
+}
+
+// Synced fields of a row that may leave this phone, or null when the whole
+// row is withheld.
+function shareableFields(index, tableName, row) {
+  const fields = SYNCED_FIELDS[tableName];
+
+  if (tableName === 'requestors') {
+    const own = normalizeRedactionProfile(row.redaction) || FULL_REDACTION_PROFILE;
+    return own.requestor
+      ? fields
+      : fields.filter((field) => !['name', 'description'].includes(field));
+  }
+
+  if (tableName === 'prayers') {
+    const requestor = index.byId.requestors.get(row.requestorId);
+    const profile = resolveRedactionProfile(row, requestor);
+    if (!profile.requestor || !profile.category) return null;
+
+    const hidden = Object.entries(REDACTED_FIELDS).flatMap(([key, names]) =>
+      profile[key] ? [] : names
+    );
+    return fields.filter((field) => !hidden.includes(field));
+  }
+
+  if (tableName === 'events') {
+    if (row.security) return null;
+
+    const prayer = index.byId.prayers.get(row.prayerId);
+    if (!prayer) return fields;
+    if (!shareableFields(index, 'prayers', prayer)) return null;
+
+    const requestor = index.byId.requestors.get(prayer.requestorId);
+    return resolveRedactionProfile(prayer, requestor).events ? fields : null;
+  }
+
+  return fields;
+}
+
+// Live rows of one category, parents first, withheld rows included.
+function categoryRows(index, categoryId) {
+  const live = (tableName, keep) =>
+    index.rows[tableName]
+      .filter((row) => !isTrashed(row) && keep(row))
+      .map((row) => ({
+        tableName,
+        row,
+        portableId: index.portableIds[tableName].get(row.id),
+      }));
+
+  const categories = live('categories', (row) => row.id === categoryId);
+  const requestors = live('requestors', (row) => row.categoryId === categoryId);
+  const requestorIds = new Set(requestors.map(({ row }) => row.id));
+  const prayers = live('prayers', (row) => requestorIds.has(row.requestorId));
+  const prayerIds = new Set(prayers.map(({ row }) => row.id));
+  const events = live('events', (row) => prayerIds.has(row.prayerId));
+
+  return [...categories, ...requestors, ...prayers, ...events];
+}
+
+// The rows of a category that sync may send.
+function categoryEntries(index, categoryId) {
+  return categoryRows(index, categoryId).filter(({ tableName, row }) =>
+    shareableFields(index, tableName, row)
+  );
+}
+
+function holdsSecurityRecords(index, categoryId) {
+  return categoryRows(index, categoryId).some(({ row }) => Boolean(row.security));
+}
+
+function isShareableEntry(index, entry) {
+  return Boolean(
+    entry && !isTrashed(entry.row) && shareableFields(index, entry.tableName, entry.row)
+  );
+}
+
+// Shareable synced fields with references swapped for the parent's portable
+// id. Withheld rows are only described when merging, never sent.
+function portableFields(index, tableName, row) {
+  const references = REFERENCE_FIELDS[tableName] || {};
+  const fields = {};
+
+  for (const field of shareableFields(index, tableName, row) || SYNCED_FIELDS[tableName]) {
+    const value = row[field] ?? null;
+    fields[field] =
+      references[field] && value != null
+        ? index.portableIds[references[field]].get(value) ?? null
+        : value;
+  }
+
+  return fields;
+}
+
+// Fields left out of a record are left out of its hash too, so two phones
+// that redact the same fields still agree.
+function hashFields(tableName, fields) {
+  return hashText(
+    JSON.stringify(
+      SYNCED_FIELDS[tableName]
+        .filter((field) => field in fields)
+        .map((field) => [field, fields[field] ?? null])
+    )
+  );
+}
+
+// Latest stamp among the given fields of a row.
+function latestStamp(row, fields) {
+  return Math.max(0, ...fields.map((field) => fieldStamp(row, field)));
+}
+
+function describeEntry(index, { tableName, row, portableId }) {
+  const fields = portableFields(index, tableName, row);
+  const stamps = {};
+  for (const field of Object.keys(fields)) {
+    const stamp = fieldStamp(row, field);
+    if (stamp) stamps[field] = stamp;
+  }
+
+  return {
+    stamp: latestStamp(row, Object.keys(fields)),
+    hash: hashFields(tableName, fields),
+    record: { tableName, portableId, fields, stamps },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Merging
+// ---------------------------------------------------------------------------
+
+function theirsWins(field, local, localFields, incoming) {
+  const mine = fieldStamp(local.row, field);
+  const theirs = Number(incoming.stamps?.[field]) || 0;
+  if (mine !== theirs) return theirs > mine;
+
+  // Only over the fields both copies carry, so redactions do not tip it.
+  const carried = Object.keys(incoming.fields);
+  const mineLatest = latestStamp(local.row, carried);
+  const theirsLatest = latestStamp({ fieldUpdatedAt: incoming.stamps }, carried);
+  if (mineLatest !== theirsLatest) return theirsLatest > mineLatest;
+
+  return (
+    JSON.stringify(incoming.fields[field] ?? null) >
+    JSON.stringify(localFields[field] ?? null)
+  );
+}
+
+// Local value for an incoming field; `undefined` when it names a parent this
+// phone does not have (the field is then left as it is).
+function localValue(index, tableName, field, value) {
+  const parentTable = REFERENCE_FIELDS[tableName]?.[field];
+  if (!parentTable || value == null) return value;
+
+  const parent = findEntry(index, parentTable, value);
+  return parent && !isTrashed(parent.row) ? parent.row.id : undefined;
+}
+
+function isMergeableRecord(record) {
+  return (
+    SYNC_TABLES.includes(record?.tableName) &&
+    typeof record.portableId === 'string' &&
+    record.fields &&
+    typeof record.fields === 'object'
+  );
+}
+
+async function addIncoming(index, incoming) {
+  const { tableName } = incoming;
+  const values = {};
+
+  for (const field of SYNCED_FIELDS[tableName]) {
+    if (!(field in incoming.fields)) continue;
+
+    const value = localValue(index, tableName, field, incoming.fields[field]);
+    // A child whose parent is missing here has nowhere to go.
+    if (value === undefined) return false;
+    values[field] = value;
+  }
+
+  const stamps = {};
+  for (const field of SYNCED_FIELDS[tableName]) {
+    const stamp = Number(incoming.stamps?.[field]) || 0;
+    if (stamp) stamps[field] = stamp;
+  }
+
+  const record = {
+    ...NEW_ROW_DEFAULTS[tableName],
+    ...REDACTED_ROW_DEFAULTS[tableName],
+    ...values,
+    portableId: incoming.portableId,
+    fieldUpdatedAt: stamps,
+  };
+  const id = await addRecord(tableName, record);
+  const row = { ...record, id };
+  index.rows[tableName].push(row);
+  addToIndex(index, tableName, row, incoming.portableId);
+  return true;
+}
+
+async function mergeIncoming(index, local, incoming) {
+  const { tableName } = local;
+  const localFields = portableFields(index, tableName, local.row);
+  const stamps = { ...(local.row.fieldUpdatedAt || {}) };
+  const changes = {};
+  let restamped = false;
+
+  for (const field of SYNCED_FIELDS[tableName]) {
+    if (!(field in incoming.fields)) continue;
+
+    const theirStamp = Number(incoming.stamps?.[field]) || 0;
+    if (sameFieldValue(localFields[field], incoming.fields[field])) {
+      if (theirStamp > fieldStamp(local.row, field)) {
+        stamps[field] = theirStamp;
+        restamped = true;
+      }
+      continue;
+    }
+    if (!theirsWins(field, local, localFields, incoming)) continue;
+
+    const value = localValue(index, tableName, field, incoming.fields[field]);
+    if (value === undefined) continue;
+
+    changes[field] = value;
+    if (theirStamp) stamps[field] = theirStamp;
+  }
+
+  const changed = Object.keys(changes).length > 0;
+  if (!changed && !restamped) return false;
+
+  await updateRecord(tableName, local.row.id, { ...changes, fieldUpdatedAt: stamps });
+  Object.assign(local.row, changes, { fieldUpdatedAt: stamps });
+  return changed;
+}
+
+/**
+ * Merges sync records into this phone. Returns counts, plus the entries that
+ * were touched so the caller can describe them again after the merge.
+ */
+async function mergeSyncRecords(index, records) {
+  const counts = { added: 0, updated: 0, skipped: 0 };
+  const merged = [];
+  const ordered = records
+    .filter(isMergeableRecord)
+    .sort(
+      (a, b) => SYNC_TABLES.indexOf(a.tableName) - SYNC_TABLES.indexOf(b.tableName)
+    );
+
+  for (const incoming of ordered) {
+    const local = findEntry(index, incoming.tableName, incoming.portableId);
+
+    try {
+      if (!local) {
+        if (await addIncoming(index, incoming)) counts.added += 1;
+        else counts.skipped += 1;
+        continue;
+      }
+      // Trashed here, or private here: a locked event or a withheld prayer.
+      if (!isShareableEntry(index, local)) {
+        counts.skipped += 1;
+        continue;
+      }
+
+      if (await mergeIncoming(index, local, incoming)) counts.updated += 1;
+      merged.push({ local, incoming });
+    } catch (error) {
+      // e.g. a locked event while this phone has no Private Vault.
+      console.warn(`QR sync skipped ${incoming.portableId}`, error);
+      counts.skipped += 1;
+    }
+  }
+
+  if (counts.added || counts.updated) emitDbChanged();
+  return { counts, merged };
+}
+
+// ---------------------------------------------------------------------------
+// Payloads
+// ---------------------------------------------------------------------------
+
+function syncPayload(step, session, body) {
+  return {
+    qrSync: {
+      version: QR_SYNC_VERSION,
+      step,
+      sessionId: session.sessionId,
+      category: session.category,
+      protected: Boolean(session.protected),
+    },
+    ...body,
+  };
+}
+
+/** Checks a decoded QR payload; `step` is 'summary', 'reply' or 'changes'. */
+export function isQrSyncPayload(payload, step = null) {
+  const sync = payload?.qrSync;
+  if (
+    sync?.version !== QR_SYNC_VERSION ||
+    typeof sync.sessionId !== 'string' ||
+    typeof sync.category?.portableId !== 'string' ||
+    (step && sync.step !== step)
+  ) {
+    return false;
+  }
+
+  switch (sync.step) {
+    case 'summary':
+      return (
+        Array.isArray(payload.entries) &&
+        payload.entries.every(
+          (entry) => Array.isArray(entry) && typeof entry[0] === 'string'
+        )
+      );
+    case 'reply':
+      return Array.isArray(payload.records) && Array.isArray(payload.want);
+    case 'changes':
+      return Array.isArray(payload.records);
+    default:
+      return false;
+  }
+}
+
+function requireStep(payload, step, sessionId) {
+  if (!isQrSyncPayload(payload, step)) {
+    throw new Error('This QR code is not the next step of a Closet Prayer sync.');
+  }
+  if (sessionId && payload.qrSync.sessionId !== sessionId) {
+    throw new Error('This QR code belongs to a different sync session. Start again on both phones.');
+  }
+}
+
+/**
+ * QR frames for a sync payload. A session that touches security records on
+ * either phone must be encrypted with `protection` (see utils/qrShare).
+ */
+export async function createSyncFrames(payload, protection = null) {
+  if (payload.qrSync.protected && !protection) {
+    const error = new Error(
+      'This category holds security records. Both phones need the same passphrase to sync it.'
+    );
+    error.code = 'NEEDS_PROTECTION';
+    throw error;
+  }
+  return createQrPayloadFrames(payload, { protection });
+}
+
+/** Step 1 on phone A: what this phone holds for the category. */
+export async function buildSyncSummary(categoryId) {
+  const index = await loadIndex();
+  const entries = categoryEntries(index, categoryId);
+  if (!entries.length) throw new Error('Category not found.');
+  assertReadable(entries);
+
+  const [category] = entries;
+  return syncPayload(
+    'summary',
+    {
+      sessionId: createRandomId(),
+      category: { portableId: category.portableId, name: category.row.name },
+      protected: holdsSecurityRecords(index, categoryId),
+    },
+    {
+      entries: entries.map((entry) => {
+        const { stamp, hash } = describeEntry(index, entry);
+        return [entry.portableId, stamp, hash];
+      }),
+    }
+  );
+}
+
+/**
+ * Step 2 on phone B: answers a summary without changing anything here.
+ * Returns the reply payload and how many records it sends and asks for.
+ */
+export async function answerSyncSummary(summary) {
+  requireStep(summary, 'summary');
+
+  const index = await loadIndex();
+  const { category } = summary.qrSync;
+  const localCategory = findEntry(index, 'categories', category.portableId);
+  if (localCategory && isTrashed(localCategory.row)) {
+    throw new Error(`“${category.name}” is in the Trash on this phone. Restore it before syncing.`);
+  }
+
+  const local = localCategory ? categoryEntries(index, localCategory.row.id) : [];
+  assertReadable(local);
+
+  const records = [];
+  const want = [];
+  const answered = new Set();
+
+  for (const [portableId, theirStamp, theirHash] of summary.entries) {
+    const entry = index.byPortableId.get(portableId);
+    if (!entry) {
+      want.push(portableId);
+      continue;
+    }
+    if (!isShareableEntry(index, entry)) continue;
+
+    answered.add(entryKey(entry));
+    assertReadable([entry]);
+    const mine = describeEntry(index, entry);
+    if (mine.hash === theirHash) continue;
+
+    // A record's latest stamp cannot say which of its fields are newer, so
+    // differing copies cross unless one was never edited since stamping
+    // began: that copy loses every field to a stamped one.
+    const stamp = Number(theirStamp) || 0;
+    if (mine.stamp > 0 || stamp === 0) records.push(mine.record);
+    if (stamp > 0 || mine.stamp === 0) want.push(portableId);
+  }
+
+  for (const entry of local) {
+    if (!answered.has(entryKey(entry))) records.push(describeEntry(index, entry).record);
+  }
+
+  const session = {
+    ...summary.qrSync,
+    protected:
+      Boolean(summary.qrSync.protected) ||
+      Boolean(localCategory && holdsSecurityRecords(index, localCategory.row.id)),
+  };
+
+  return {
+    payload: syncPayload('reply', session, { records, want }),
+    sending: records.length,
+    wanted: want.length,
+  };
+}
+
+/**
+ * Step 3 on phone A: merges B's reply (checked against the summary's
+ * `sessionId`) and returns the changes payload for B, or null when B needs
+ * nothing.
+ */
+export async function applySyncReply(reply, sessionId) {
+  requireStep(reply, 'reply', sessionId);
+
+  const index = await loadIndex();
+  const { counts, merged } = await mergeSyncRecords(index, reply.records);
+
+  const outgoing = new Map();
+  for (const portableId of reply.want) {
+    const entry = index.byPortableId.get(portableId);
+    if (isShareableEntry(index, entry)) {
+      outgoing.set(entryKey(entry), describeEntry(index, entry).record);
+    }
+  }
+  // Where the merge kept some of A's fields, B's copy is now behind.
+  for (const { local, incoming } of merged) {
+    const after = describeEntry(index, local);
+    if (after.hash !== hashFields(local.tableName, incoming.fields)) {
+      outgoing.set(entryKey(local), after.record);
+    }
+  }
+
+  return {
+    counts,
+    payload: outgoing.size
+      ? syncPayload('changes', reply.qrSync, {
+          records: Array.from(outgoing.values()),
+        })
+      : null,
+  };
+}
+
+/** Last step on phone B: merges the changes A sent back for this session. */
+export async function applySyncChanges(changes, sessionId) {
+  requireStep(changes, 'changes', sessionId);
+
+  const index = await loadIndex();
+  const { counts } = await mergeSyncRecords(index, changes.records);
+  return { counts };
+}
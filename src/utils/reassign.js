@@ -0,0 +1,237 @@
+// src/utils/reassign.js
+// Moving requestors between categories and merging two requestors or two
+// categories. A merge re-points the source's children at the target, then
+// moves the emptied source to the Trash (so the usual undo brings it back);
+// the source's portable id (and any it had collected) is kept on the target
+// as `portableAliases`, so later graft imports and QR shares of the old
+// record land on the merged one instead of recreating it. Journal mentions of
+// a merged requestor are rewritten to mention the target.
+
+import { db } from '../db';
+import { readAll, updateRecord } from './secureStore';
+import {
+  createRequestorResolver,
+  mentionToken,
+  parseMentions,
+  replaceRequestorMentions,
+} from './mentions';
+import { isTrashed, moveToTrash } from './trash';
+import { stampChanges } from './fieldStamps';
+import {
+  createRandomId,
+  getOrCreateDatabaseTransferId,
+  makePortableId,
+} from './portableIds';
+
+// Table that points at a merged row, and the field it points with.
+const MERGE_CHILDREN = {
+  categories: { tableName: 'requestors', field: 'categoryId' },
+  requestors: { tableName: 'prayers', field: 'requestorId' },
+};
+
+function portableIdOf(tableName, row) {
+  return (
+    row.portableId ||
+    makePortableId(getOrCreateDatabaseTransferId(), tableName, row.id)
+  );
+}
+
+/**
+ * Moves requestors (and so their prayers) to another category.
+ * Returns the number of requestors that changed category.
+ */
+export async function moveRequestors(requestorIds, categoryId) {
+  let moved = 0;
+
+  await db.transaction('rw', db.categories, db.requestors, async () => {
+    const category = await db.categories.get(categoryId);
+    if (!category || isTrashed(category)) {
+      throw new Error('The destination category no longer exists.');
+    }
+
+    for (const id of requestorIds) {
+      const requestor = await db.requestors.get(id);
+      if (!requestor || requestor.categoryId === categoryId) continue;
+
+      await db.requestors.update(
+        id,
+        stampChanges('requestors', requestor, { categoryId })
+      );
+      moved += 1;
+    }
+  });
+
+  return moved;
+}
+
+async function loadPair(tableName, sourceId, targetId) {
+  if (!MERGE_CHILDREN[tableName]) {
+    throw new Error(`Cannot merge ${tableName}.`);
+  }
+  if (sourceId === targetId) {
+    throw new Error('Choose two different records to merge.');
+  }
+
+  const table = db.table(tableName);
+  const [source, target] = await Promise.all([
+    table.get(sourceId),
+    table.get(targetId),
+  ]);
+
+  if (!source || isTrashed(source) || !target || isTrashed(target)) {
+    throw new Error('One of the records to merge no longer exists.');
+  }
+
+  return { source, target };
+}
+
+// Journal entries that mention `source` and would need rewriting to reach
+// `target`, plus how many entries the locked vault kept from being checked.
+async function findJournalMentions(source, target) {
+  const resolve = createRequestorResolver([source]);
+  if (createRequestorResolver([target])(source.name)) {
+    return { entries: [], locked: 0, matches: resolve };
+  }
+
+  const entries = await readAll('journalEntries');
+  return {
+    entries: entries.filter(
+      (entry) =>
+        !entry.locked &&
+        Array.from(parseMentions(entry.text).requestorNames).some(resolve)
+    ),
+    locked: entries.filter((entry) => entry.locked).length,
+    matches: resolve,
+  };
+}
+
+/**
+ * Dry run of `mergeRecords`: what would move and what the target keeps,
+ * without writing anything. Trashed children move too (so restoring them
+ * later lands on the target) but are counted separately.
+ */
+export async function previewMerge(tableName, sourceId, targetId) {
+  const { source, target } = await loadPair(tableName, sourceId, targetId);
+  const child = MERGE_CHILDREN[tableName];
+  const children = await db
+    .table(child.tableName)
+    .where(child.field)
+    .equals(sourceId)
+    .toArray();
+  const live = children.filter((row) => !isTrashed(row));
+
+  const moves = { [child.tableName]: live.length };
+  if (tableName === 'categories') {
+    moves.prayers = live.length
+      ? await db.prayers
+          .where('requestorId')
+          .anyOf(live.map((row) => row.id))
+          .filter((prayer) => !isTrashed(prayer))
+          .count()
+      : 0;
+  }
+
+  const notes = [];
+  if (
+    tableName === 'categories' &&
+    Boolean(source.showSingle) !== Boolean(target.showSingle)
+  ) {
+    notes.push(
+      target.showSingle
+        ? `Requestors from “${source.name}” will start showing in Focus.`
+        : `Requestors from “${source.name}” will stop showing in Focus.`
+    );
+  }
+  if (tableName === 'requestors') {
+    const mentions = await findJournalMentions(source, target);
+    const count = mentions.entries.length;
+    if (count) {
+      notes.push(
+        `${count} journal ${count === 1 ? 'entry mentions' : 'entries mention'} ` +
+          `${mentionToken('requestor', source)}; ` +
+          `${count === 1 ? 'it' : 'they'} will mention ${mentionToken('requestor', target)} instead.`
+      );
+    }
+    if (mentions.locked) {
+      notes.push(
+        `${mentions.locked} locked journal ${mentions.locked === 1 ? 'entry was' : 'entries were'} ` +
+          'not checked for mentions. Unlock the Private Vault first to update them too.'
+      );
+    }
+  }
+
+  return {
+    tableName,
+    source: { id: source.id, name: source.name },
+    target: { id: target.id, name: target.name },
+    moves,
+    trashedMoves: children.length - live.length,
+    aliases: [portableIdOf(tableName, source), ...(source.portableAliases || [])],
+    notes,
+  };
+}
+
+/**
+ * Merges `sourceId` into `targetId`. The target keeps its own name,
+ * description and settings. Returns the preview of what was applied.
+ */
+export async function mergeRecords(tableName, sourceId, targetId) {
+  // The preview reads journal entries through the vault, which cannot run
+  // inside a Dexie transaction; the pair is checked again below.
+  const preview = await previewMerge(tableName, sourceId, targetId);
+  const mentions =
+    tableName === 'requestors'
+      ? await findJournalMentions(preview.source, preview.target)
+      : null;
+  const child = MERGE_CHILDREN[tableName];
+  const table = db.table(tableName);
+
+  await db.transaction('rw', table, db.table(child.tableName), async () => {
+    const { source, target } = await loadPair(tableName, sourceId, targetId);
+
+    await db
+      .table(child.tableName)
+      .where(child.field)
+      .equals(sourceId)
+      .modify((row) => {
+        Object.assign(
+          row,
+          stampChanges(child.tableName, row, { [child.field]: targetId })
+        );
+      });
+
+    const targetPortableId = portableIdOf(tableName, target);
+    const aliases = new Set([
+      ...(target.portableAliases || []),
+      portableIdOf(tableName, source),
+      ...(source.portableAliases || []),
+    ]);
+    aliases.delete(targetPortableId);
+
+    await table.update(targetId, {
+      portableId: targetPortableId,
+      portableAliases: Array.from(aliases),
+    });
+    // The old ids now belong to the target; the emptied source gets a fresh
+    // one so imports never match it, even after it is restored.
+    await table.update(sourceId, {
+      portableId: makePortableId(getOrCreateDatabaseTransferId(), tableName, createRandomId()),
+      portableAliases: [],
+    });
+  });
+
+  if (mentions) {
+    const token = mentionToken('requestor', preview.target);
+    for (const entry of mentions.entries) {
+      await updateRecord('journalEntries', entry.id, {
+        text: replaceRequestorMentions(entry.text, mentions.matches, token),
+      });
+    }
+  }
+
+  await moveToTrash(tableName, sourceId, {
+    label: `“${preview.source.name}” (merged into “${preview.target.name}”)`,
+  });
+
+  return preview;
+}
@@ -0,0 +1,79 @@
+// src/utils/redaction.js
+// Per-field redaction profiles for the Security view.
+// A profile is stored on a prayer (`prayer.redaction`) or on its requestor
+// (`requestor.redaction`). The prayer's own profile wins; `null` means inherit.
+// Security, Focus, notification payloads, and QR shares all read prayers
+// through redactPrayer() so hidden details never leak into those surfaces.
+
+export const REDACTION_FIELDS = [
+  { key: 'title', label: 'Title' },
+  { key: 'description', label: 'Description' },
+  { key: 'requestor', label: 'Requestor name' },
+  { key: 'category', label: 'Category' },
+  { key: 'dates', label: 'Dates' },
+  { key: 'events', label: 'Event timeline' },
+];
+
+export const REDACTED_LABELS = {
+  title: 'Private request',
+  requestor: 'Someone',
+  category: 'Shared Prayers',
+};
+
+export const FULL_REDACTION_PROFILE = Object.freeze(
+  Object.fromEntries(REDACTION_FIELDS.map(({ key }) => [key, true]))
+);
+
+export function normalizeRedactionProfile(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const profile = {};
+
+  for (const { key } of REDACTION_FIELDS) {
+    profile[key] = raw[key] !== false;
+  }
+
+  return profile;
+}
+
+export function hasRedactions(profile) {
+  const normalized = normalizeRedactionProfile(profile);
+  if (!normalized) return false;
+
+  return REDACTION_FIELDS.some(({ key }) => !normalized[key]);
+}
+
+export function resolveRedactionProfile(prayer, requestor) {
+  return (
+    normalizeRedactionProfile(prayer?.redaction) ||
+    normalizeRedactionProfile(requestor?.redaction) ||
+    FULL_REDACTION_PROFILE
+  );
+}
+
+/**
+ * Returns the display-safe view of a prayer. Hidden fields are replaced with
+ * neutral placeholders (or emptied) rather than omitted so callers can render
+ * the result without extra branching.
+ */
+export function redactPrayer({ prayer, requestor = null, category = null }) {
+  const profile = resolveRedactionProfile(prayer, requestor);
+
+  return {
+    profile,
+    redacted: hasRedactions(profile),
+    title: profile.title
+      ? prayer?.name || 'Prayer request'
+      : REDACTED_LABELS.title,
+    description: profile.description ? prayer?.description || '' : '',
+    requestorName: profile.requestor
+      ? requestor?.name || 'Unassigned'
+      : REDACTED_LABELS.requestor,
+    categoryName: profile.category
+      ? category?.name || 'General'
+      : REDACTED_LABELS.category,
+    requestedAt: profile.dates ? prayer?.requestedAt || null : null,
+    answeredAt: profile.dates ? prayer?.answeredAt || null : null,
+    showEvents: profile.events,
+  };
+}
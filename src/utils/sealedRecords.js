@@ -0,0 +1,206 @@
+// src/utils/sealedRecords.js
+// Record-level sealing on top of the Private Vault entry helpers.
+// Sensitive fields are moved into one AES-GCM envelope stored as `sealed`;
+// the plaintext columns are nulled. AAD is `${table}:${id}:${ver}`, so an
+// envelope cannot be replayed onto another row.
+//
+// Per-entry backups use a second format: each content field becomes its own
+// `{iv, ct}` envelope bound to the record's id in the backup file. Records
+// imported without a key keep those envelopes under `entryEnvelope`.
+
+import {
+  decryptEntryBody,
+  decryptFieldEnvelope,
+  encryptEntryBody,
+  encryptFieldEnvelope,
+  isUnlocked,
+  isVaultEnabled,
+} from './vault';
+
+const SEAL_VERSION = 1;
+
+export function isSealed(record) {
+  return Boolean(record?.sealed?.ctB64 && record?.sealed?.ivB64);
+}
+
+function hasEntryEnvelope(record) {
+  return Boolean(record?.entryEnvelope?.fields);
+}
+
+/** Field names whose values are currently unreadable without the vault. */
+export function encryptedFieldNames(record) {
+  return [
+    ...(record?.sealed?.fields || []),
+    ...Object.keys(record?.entryEnvelope?.fields || {}),
+  ];
+}
+
+export async function sealRecord(tableName, record, fields) {
+  if (!record || record.id == null) {
+    throw new Error('A saved record is required before it can be sealed.');
+  }
+
+  if (!isVaultEnabled()) {
+    throw new Error('Enable the Private Vault in Settings before locking data.');
+  }
+
+  if (!isUnlocked()) {
+    throw new Error('Unlock the Private Vault in Settings before locking data.');
+  }
+
+  if (isSealed(record)) return record;
+
+  const body = {};
+  for (const field of fields) body[field] = record[field] ?? null;
+
+  const { ivB64, ctB64, ver } = await encryptEntryBody({
+    table: tableName,
+    entryId: record.id,
+    version: SEAL_VERSION,
+    body: JSON.stringify(body),
+  });
+
+  const sealed = { ...record, sealed: { ivB64, ctB64, ver, fields } };
+  for (const field of fields) sealed[field] = null;
+
+  return sealed;
+}
+
+/**
+ * Returns the record with its sealed fields restored. While the vault is
+ * locked, the record is returned unchanged with `locked: true`; that flag is
+ * display-only and must never be written back.
+ */
+export async function openRecord(tableName, record) {
+  if (hasEntryEnvelope(record)) return openParkedEnvelopes(tableName, record);
+  if (!isSealed(record)) return record;
+  if (!isUnlocked()) return { ...record, locked: true };
+
+  try {
+    const clear = await decryptEntryBody({
+      table: tableName,
+      entryId: record.id,
+      version: record.sealed.ver || SEAL_VERSION,
+      ivB64: record.sealed.ivB64,
+      ctB64: record.sealed.ctB64,
+    });
+    const body = JSON.parse(clear);
+    const opened = { ...record, ...body };
+    delete opened.sealed;
+    return opened;
+  } catch (error) {
+    console.warn(`openRecord(${tableName}:${record.id}) failed`, error);
+    return { ...record, locked: true };
+  }
+}
+
+export async function openRecords(tableName, records) {
+  return Promise.all(records.map((record) => openRecord(tableName, record)));
+}
+
+/**
+ * Returns a plaintext copy ready to be stored without its envelope.
+ * Requires an unlocked vault when the record is sealed.
+ */
+export async function unsealRecord(tableName, record) {
+  if (!isSealed(record) && !hasEntryEnvelope(record)) return record;
+  if (!isUnlocked()) {
+    throw new Error('Unlock the Private Vault in Settings first.');
+  }
+
+  const opened = await openRecord(tableName, record);
+  if (opened.locked) {
+    throw new Error('This record could not be decrypted with the current vault key.');
+  }
+
+  return opened;
+}
+
+// ---------- Per-entry backup envelopes ----------
+export function isFieldEnvelope(value) {
+  return Boolean(
+    value &&
+      typeof value === 'object' &&
+      typeof value.iv === 'string' &&
+      typeof value.ct === 'string'
+  );
+}
+
+export function entryEnvelopeAad(tableName, sourceId, field) {
+  return `cp:entry:${tableName}:${String(sourceId)}:${field}`;
+}
+
+export async function sealFieldEnvelopes(tableName, record, fields) {
+  const next = { ...record };
+
+  for (const field of fields) {
+    next[field] = await encryptFieldEnvelope(
+      JSON.stringify(record[field] ?? null),
+      entryEnvelopeAad(tableName, record.id, field)
+    );
+  }
+
+  return next;
+}
+
+/**
+ * Replaces every `{iv, ct}` field with its value. Throws if any envelope fails
+ * to open, so a wrong key never produces a half-decrypted record.
+ */
+export async function openFieldEnvelopes(
+  tableName,
+  record,
+  sourceId = record.id,
+  dekBytes = null
+) {
+  const next = { ...record };
+
+  for (const [field, value] of Object.entries(record)) {
+    if (!isFieldEnvelope(value)) continue;
+
+    const clear = await decryptFieldEnvelope(
+      value,
+      entryEnvelopeAad(tableName, sourceId, field),
+      dekBytes
+    );
+    next[field] = JSON.parse(clear);
+  }
+
+  return next;
+}
+
+/**
+ * Moves `{iv, ct}` fields into `entryEnvelope` and blanks the columns, for
+ * records imported while no matching key was available.
+ */
+export function parkFieldEnvelopes(record) {
+  const fields = {};
+  const next = { ...record };
+
+  for (const [field, value] of Object.entries(record)) {
+    if (!isFieldEnvelope(value)) continue;
+    fields[field] = value;
+    next[field] = null;
+  }
+
+  if (!Object.keys(fields).length) return record;
+
+  next.entryEnvelope = { version: 1, sourceId: record.id, fields };
+  return next;
+}
+
+async function openParkedEnvelopes(tableName, record) {
+  if (!isUnlocked()) return { ...record, locked: true };
+
+  try {
+    const { entryEnvelope, ...rest } = record;
+    return await openFieldEnvelopes(
+      tableName,
+      { ...rest, ...entryEnvelope.fields },
+      entryEnvelope.sourceId
+    );
+  } catch {
+    // Exported from a different vault; only that vault's secret can open it.
+    return { ...record, locked: true };
+  }
+}
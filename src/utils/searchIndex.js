@@ -0,0 +1,362 @@
+// src/utils/searchIndex.js
+// Small in-memory full-text index for global search. Documents are prayers,
+// prayer events, requestors and journal entries, read through secureStore so
+// only text the vault currently exposes is indexed. `sync()` diffs documents by
+// fingerprint, so a `db:changed` refresh only re-tokenizes what changed.
+// Tags are indexed with title weight.
+
+import { db } from '../db';
+import { openRows, readAll } from './secureStore';
+import { getPrayerStatus } from './prayerStatus';
+import { normalizeTags } from './tags';
+import { withoutTrashed } from './trash';
+
+export const SEARCH_TYPES = [
+  { value: 'prayer', label: 'Prayers' },
+  { value: 'event', label: 'Events' },
+  { value: 'requestor', label: 'Requestors' },
+  { value: 'journal', label: 'Journal' },
+];
+
+const TITLE_WEIGHT = 3;
+
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+export function tokenize(text) {
+  return normalize(text).match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function toDocs({ prayers, events, requestors, categories, journalEntries }) {
+  const requestorById = new Map(requestors.map((row) => [row.id, row]));
+  const categoryById = new Map(categories.map((row) => [row.id, row]));
+  const prayerById = new Map(prayers.map((row) => [row.id, row]));
+  const docs = [];
+
+  const prayerMeta = (prayer) => {
+    const requestor = requestorById.get(prayer?.requestorId) || null;
+
+    return {
+      status: prayer ? getPrayerStatus(prayer) : null,
+      categoryId: requestor?.categoryId ?? null,
+      security: Boolean(prayer?.security),
+      requestorName: requestor?.name || 'Unassigned',
+    };
+  };
+
+  for (const prayer of prayers) {
+    docs.push({
+      key: `prayer:${prayer.id}`,
+      type: 'prayer',
+      id: prayer.id,
+      prayerId: prayer.id,
+      title: prayer.name || '',
+      body: prayer.locked ? '' : prayer.description || '',
+      tags: normalizeTags(prayer.tags),
+      date: prayer.requestedAt || null,
+      ...prayerMeta(prayer),
+    });
+  }
+
+  for (const event of events) {
+    const prayer = prayerById.get(event.prayerId);
+
+    docs.push({
+      key: `event:${event.id}`,
+      type: 'event',
+      id: event.id,
+      prayerId: event.prayerId,
+      title: event.locked ? '' : event.title || '',
+      body: event.locked ? '' : event.note || '',
+      tags: event.locked ? [] : normalizeTags(event.tags),
+      context: prayer?.name || '',
+      date: event.createdAt || null,
+      ...prayerMeta(prayer),
+    });
+  }
+
+  for (const requestor of requestors) {
+    docs.push({
+      key: `requestor:${requestor.id}`,
+      type: 'requestor',
+      id: requestor.id,
+      prayerId: null,
+      title: requestor.name || '',
+      body: requestor.locked ? '' : requestor.description || '',
+      context: categoryById.get(requestor.categoryId)?.name || '',
+      date: null,
+      status: null,
+      categoryId: requestor.categoryId ?? null,
+      security: Boolean(requestor.security),
+    });
+  }
+
+  for (const entry of journalEntries) {
+    docs.push({
+      key: `journal:${entry.id}`,
+      type: 'journal',
+      id: entry.id,
+      prayerId: null,
+      title: entry.title || '',
+      body: entry.locked ? '' : entry.text || '',
+      tags: normalizeTags(entry.tags),
+      date: entry.createdAt || null,
+      status: null,
+      categoryId: null,
+      security: false,
+    });
+  }
+
+  return docs;
+}
+
+export async function loadSearchDocs() {
+  const [prayers, eventRows, requestors, categories, journalEntries] =
+    await Promise.all([
+      readAll('prayers'),
+      db.events.toArray(),
+      readAll('requestors'),
+      db.categories.toArray(),
+      readAll('journalEntries'),
+    ]);
+
+  return toDocs({
+    prayers,
+    events: await openRows('events', withoutTrashed(eventRows)),
+    requestors,
+    categories: withoutTrashed(categories),
+    journalEntries,
+  });
+}
+
+function fingerprint(doc) {
+  return JSON.stringify([
+    doc.title,
+    doc.body,
+    doc.tags,
+    doc.context,
+    doc.date,
+    doc.status,
+    doc.categoryId,
+    doc.security,
+  ]);
+}
+
+function dayOf(value) {
+  if (!value) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function matchesFilters(doc, filters) {
+  if (filters.types?.length && !filters.types.includes(doc.type)) return false;
+
+  if (filters.status && doc.status !== filters.status) return false;
+
+  if (filters.categoryId != null && doc.categoryId !== filters.categoryId) {
+    return false;
+  }
+
+  if (filters.security === 'only' && !doc.security) return false;
+  if (filters.security === 'exclude' && doc.security) return false;
+
+  if (filters.from || filters.to) {
+    const day = dayOf(doc.date);
+    if (!day) return false;
+    if (filters.from && day < filters.from) return false;
+    if (filters.to && day > filters.to) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Returns `{ sync(docs), search(query, filters), size }`. Query terms are
+ * prefix-matched and all must appear; title hits rank above body hits.
+ *
+ * filters: { types?: string[], status?: 'requested'|'answered',
+ *            categoryId?: number, security?: 'only'|'exclude',
+ *            from?: 'YYYY-MM-DD', to?: 'YYYY-MM-DD' }
+ */
+export function createSearchIndex() {
+  const docs = new Map();
+  const prints = new Map();
+  // token -> Map(docKey -> weight)
+  const postings = new Map();
+
+  function remove(key) {
+    const doc = docs.get(key);
+    if (!doc) return;
+
+    const tokens = new Set([
+      ...tokenize(doc.title),
+      ...tokenize(doc.body),
+      ...tokenize((doc.tags || []).join(' ')),
+    ]);
+
+    for (const token of tokens) {
+      const entries = postings.get(token);
+      entries?.delete(key);
+      if (entries && !entries.size) postings.delete(token);
+    }
+
+    docs.delete(key);
+    prints.delete(key);
+  }
+
+  function add(doc) {
+    const weights = new Map();
+
+    for (const token of tokenize([doc.title, ...(doc.tags || [])].join(' '))) {
+      weights.set(token, (weights.get(token) || 0) + TITLE_WEIGHT);
+    }
+    for (const token of tokenize(doc.body)) {
+      weights.set(token, (weights.get(token) || 0) + 1);
+    }
+
+    for (const [token, weight] of weights) {
+      if (!postings.has(token)) postings.set(token, new Map());
+      postings.get(token).set(doc.key, weight);
+    }
+
+    docs.set(doc.key, doc);
+    prints.set(doc.key, fingerprint(doc));
+  }
+
+  function sync(nextDocs) {
+    const seen = new Set();
+    let changed = 0;
+
+    for (const doc of nextDocs) {
+      seen.add(doc.key);
+      if (prints.get(doc.key) === fingerprint(doc)) {
+        // Metadata-only refresh (e.g. requestor renamed) without re-tokenizing.
+        docs.set(doc.key, doc);
+        continue;
+      }
+
+      remove(doc.key);
+      add(doc);
+      changed += 1;
+    }
+
+    for (const key of Array.from(docs.keys())) {
+      if (!seen.has(key)) {
+        remove(key);
+        changed += 1;
+      }
+    }
+
+    return changed;
+  }
+
+  function search(query, filters = {}) {
+    const terms = Array.from(new Set(tokenize(query)));
+    if (!terms.length) return [];
+
+    let scores = null;
+
+    for (const term of terms) {
+      const termScores = new Map();
+
+      for (const [token, entries] of postings) {
+        if (!token.startsWith(term)) continue;
+
+        // Exact word hits outrank prefix hits.
+        const boost = token === term ? 2 : 1;
+        for (const [key, weight] of entries) {
+          termScores.set(key, (termScores.get(key) || 0) + weight * boost);
+        }
+      }
+
+      if (!scores) {
+        scores = termScores;
+      } else {
+        for (const key of Array.from(scores.keys())) {
+          if (termScores.has(key)) {
+            scores.set(key, scores.get(key) + termScores.get(key));
+          } else {
+            scores.delete(key);
+          }
+        }
+      }
+
+      if (!scores.size) return [];
+    }
+
+    return Array.from(scores)
+      .map(([key, score]) => ({ doc: docs.get(key), score }))
+      .filter(({ doc }) => doc && matchesFilters(doc, filters))
+      .sort(
+        (a, b) =>
+          b.score - a.score ||
+          String(b.doc.date || '').localeCompare(String(a.doc.date || ''))
+      )
+      .map(({ doc }) => doc);
+  }
+
+  return {
+    sync,
+    search,
+    get size() {
+      return docs.size;
+    },
+  };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Splits a window of `text` around the first query hit into
+ * `[{ text, match }]` segments for highlighting. Terms match at word starts,
+ * case-insensitively.
+ */
+export function buildSnippet(text, query, radius = 60) {
+  const source = String(text || '').replace(/\s+/g, ' ').trim();
+  const terms = tokenize(query);
+  if (!source) return [];
+  if (!terms.length) return [{ text: source.slice(0, radius * 2), match: false }];
+
+  // Group 1 is the character before the word (no lookbehind on older Safari).
+  const pattern = new RegExp(
+    `(^|[^\\p{L}\\p{N}])(${terms.map(escapeRegExp).join('|')})`,
+    'giu'
+  );
+  const firstHit = pattern.exec(source);
+  const first = firstHit ? firstHit.index + firstHit[1].length : -1;
+  pattern.lastIndex = 0;
+  const start = first > radius ? source.lastIndexOf(' ', first - radius) + 1 : 0;
+  const end = Math.min(source.length, Math.max(first, 0) + radius * 2);
+  const window = source.slice(start, end);
+  const segments = [];
+  let cursor = 0;
+
+  if (start > 0) segments.push({ text: '…', match: false });
+
+  for (const hit of window.matchAll(pattern)) {
+    const matchStart = hit.index + hit[1].length;
+
+    if (matchStart > cursor) {
+      segments.push({ text: window.slice(cursor, matchStart), match: false });
+    }
+    segments.push({ text: hit[2], match: true });
+    cursor = matchStart + hit[2].length;
+  }
+
+  if (cursor < window.length) {
+    segments.push({ text: window.slice(cursor), match: false });
+  }
+  if (end < source.length) segments.push({ text: '…', match: false });
+
+  return segments;
+}
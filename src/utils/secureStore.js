@@ -0,0 +1,289 @@
+// src/utils/secureStore.js
+// Storage layer between components and `db` for fields that are encrypted at
+// rest while the Private Vault is enabled. Writes seal SECURE_FIELDS through
+// sealedRecords; reads open them again while the vault is unlocked.
+//
+// Rows written while the vault is locked are stored in plaintext and sealed by
+// encryptAtRest() on the next unlock. Sealed fields cannot be edited while
+// locked because they could not be merged with the stored envelope.
+//
+// Reads skip rows in the Trash (see utils/trash) unless `includeTrashed`.
+// Writes stamp the synced fields they change (see utils/fieldStamps).
+
+import { db } from '../db';
+import {
+  encryptedFieldNames,
+  isSealed,
+  openRecord,
+  openRecords,
+  sealRecord,
+} from './sealedRecords';
+import { isUnlocked, isVaultEnabled } from './vault';
+import { isTrashed, withoutTrashed } from './trash';
+import { stampChanges } from './fieldStamps';
+
+export const SECURE_FIELDS = {
+  prayers: ['description'],
+  requestors: ['description'],
+  events: ['note'],
+  journalEntries: ['text'],
+};
+
+// Events locked individually also hide their title, vault or not.
+export const LOCKED_EVENT_FIELDS = ['title', 'note'];
+
+let _migration = null;
+
+function isLockedEvent(tableName, record) {
+  return tableName === 'events' && Boolean(record?.security);
+}
+
+export function sealedFieldsFor(tableName, record) {
+  if (isLockedEvent(tableName, record)) return LOCKED_EVENT_FIELDS;
+  return isVaultEnabled() ? SECURE_FIELDS[tableName] || [] : [];
+}
+
+function hasClearSecureValue(record, fields) {
+  return fields.some((field) => record?.[field] != null && record[field] !== '');
+}
+
+// `locked` is a display flag added by openRecord and is never persisted.
+function withoutDisplayFlags(record) {
+  const { locked, ...rest } = record;
+  return rest;
+}
+
+async function toStored(tableName, record) {
+  const clean = withoutDisplayFlags(record);
+  const fields = sealedFieldsFor(tableName, clean);
+
+  if (!fields.length) return clean;
+
+  // Individually locked events must never reach the disk in plaintext;
+  // sealRecord throws when the vault is locked.
+  if (!isUnlocked() && !isLockedEvent(tableName, clean)) return clean;
+
+  return sealRecord(tableName, clean, fields);
+}
+
+// ---------------------------------------------------------------------------
+// Reads
+// ---------------------------------------------------------------------------
+export async function readRecord(tableName, id, { includeTrashed = false } = {}) {
+  const record = await db.table(tableName).get(id);
+  if (!record || (isTrashed(record) && !includeTrashed)) return undefined;
+
+  return openRecord(tableName, record);
+}
+
+export async function readAll(tableName, { includeTrashed = false } = {}) {
+  const rows = await db.table(tableName).toArray();
+  return openRecords(tableName, includeTrashed ? rows : withoutTrashed(rows));
+}
+
+export async function readWhere(
+  tableName,
+  indexName,
+  value,
+  { includeTrashed = false } = {}
+) {
+  const rows = await db
+    .table(tableName)
+    .where(indexName)
+    .equals(value)
+    .toArray();
+
+  return openRecords(tableName, includeTrashed ? rows : withoutTrashed(rows));
+}
+
+/**
+ * Opens rows fetched with a custom Dexie query. Records that cannot be opened
+ * keep their envelope and carry `locked: true`.
+ */
+export function openRows(tableName, rows) {
+  return openRecords(tableName, rows);
+}
+
+// ---------------------------------------------------------------------------
+// Writes
+// ---------------------------------------------------------------------------
+export async function addRecord(tableName, unstamped) {
+  const table = db.table(tableName);
+  const record = stampChanges(tableName, {}, unstamped);
+  const fields = sealedFieldsFor(tableName, record);
+  const mustSeal =
+    fields.length > 0 && (isUnlocked() || isLockedEvent(tableName, record));
+
+  if (!mustSeal) return table.add(withoutDisplayFlags(record));
+
+  // The AAD binds the envelope to the row id, so insert a placeholder with the
+  // sensitive fields blank first and seal once the id is known.
+  const placeholder = withoutDisplayFlags(record);
+  for (const field of fields) placeholder[field] = null;
+
+  const id = await table.add(placeholder);
+
+  try {
+    await table.put(await toStored(tableName, { ...record, id }));
+  } catch (error) {
+    await table.delete(id);
+    throw error;
+  }
+
+  return id;
+}
+
+export async function updateRecord(tableName, id, unstamped) {
+  const table = db.table(tableName);
+  const stored = await table.get(id);
+  if (!stored) return 0;
+
+  const current = await openRecord(tableName, stored);
+  const changes = stampChanges(tableName, current, unstamped);
+
+  if (current.locked) {
+    const sealedFields = encryptedFieldNames(stored);
+    const touchesSealed = Object.keys(changes).some((key) =>
+      sealedFields.includes(key) || key === 'security'
+    );
+
+    if (touchesSealed) {
+      throw new Error(
+        'Unlock the Private Vault in Settings before editing encrypted details.'
+      );
+    }
+
+    return table.update(id, changes);
+  }
+
+  await table.put(await toStored(tableName, { ...current, ...changes }));
+  return 1;
+}
+
+// ---------------------------------------------------------------------------
+// Migration
+// ---------------------------------------------------------------------------
+// A row edited while it was being transformed is transformed again from the
+// fresh copy; after this many tries it is left for the next run.
+const MIGRATION_ATTEMPTS = 3;
+
+// WebCrypto awaits cannot run inside a Dexie transaction, so each row is
+// transformed first and written in a short transaction that re-reads it and
+// only writes when the row is still the one that was transformed.
+async function migrateRow(table, id, transform) {
+  let row = await table.get(id);
+
+  for (let attempt = 0; attempt < MIGRATION_ATTEMPTS; attempt += 1) {
+    if (!row) return false;
+
+    const next = await transform(row);
+    if (!next) return false;
+
+    const snapshot = JSON.stringify(row);
+    const outcome = await db.transaction('rw', table, async () => {
+      const latest = await table.get(id);
+      if (JSON.stringify(latest) !== snapshot) return { latest };
+
+      await table.put(next);
+      return { written: true };
+    });
+    if (outcome.written) return true;
+
+    row = outcome.latest;
+  }
+
+  throw new Error('Row kept changing during the migration.');
+}
+
+async function migrateTable(tableName, transform) {
+  const table = db.table(tableName);
+  const ids = await table.toCollection().primaryKeys();
+  let changed = 0;
+  let failed = 0;
+
+  for (const id of ids) {
+    try {
+      if (await migrateRow(table, id, transform)) changed += 1;
+    } catch (error) {
+      console.warn(`At-rest migration skipped ${tableName}:${id}`, error);
+      failed += 1;
+    }
+  }
+
+  return { changed, failed };
+}
+
+function runMigration(task) {
+  if (_migration) return _migration;
+
+  _migration = task().finally(() => {
+    _migration = null;
+  });
+
+  return _migration;
+}
+
+/**
+ * Seals every row that still holds plaintext secure fields. Runs when the
+ * vault is first enabled, on each unlock, and after imports. Safe to call
+ * repeatedly; a no-op while the vault is disabled or locked.
+ */
+export function encryptAtRest() {
+  return runMigration(async () => {
+    const summary = { changed: 0, failed: 0 };
+    if (!isVaultEnabled() || !isUnlocked()) return summary;
+
+    for (const tableName of Object.keys(SECURE_FIELDS)) {
+      const result = await migrateTable(tableName, async (stored) => {
+        let row = stored;
+
+        // Adopt per-entry backup envelopes this vault's key can open.
+        if (row.entryEnvelope) {
+          row = await openRecord(tableName, row);
+          if (row.locked) return null;
+        }
+
+        const fields = sealedFieldsFor(tableName, row);
+        if (isSealed(row)) return null;
+        if (!hasClearSecureValue(row, fields)) return row === stored ? null : row;
+        return sealRecord(tableName, row, fields);
+      });
+
+      summary.changed += result.changed;
+      summary.failed += result.failed;
+    }
+
+    return summary;
+  });
+}
+
+/**
+ * Opens every sealed row and stores it in plaintext, including individually
+ * locked events, which lose their lock. Call before the vault is turned off;
+ * rows that fail to open are counted in `failed` and left sealed.
+ */
+export function decryptAtRest() {
+  return runMigration(async () => {
+    if (!isUnlocked()) {
+      throw new Error('Unlock the Private Vault in Settings first.');
+    }
+
+    const summary = { changed: 0, failed: 0 };
+
+    for (const tableName of Object.keys(SECURE_FIELDS)) {
+      const result = await migrateTable(tableName, async (row) => {
+        if (!isSealed(row) && !row.entryEnvelope) return null;
+
+        const opened = await openRecord(tableName, row);
+        if (opened.locked) throw new Error('Envelope could not be opened.');
+
+        return tableName === 'events' ? { ...opened, security: 0 } : opened;
+      });
+
+      summary.changed += result.changed;
+      summary.failed += result.failed;
+    }
+
+    return summary;
+  });
+}
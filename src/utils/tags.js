@@ -0,0 +1,64 @@
+// src/utils/tags.js
+// Free-form theme tags on prayers, events and journal entries (`tags: string[]`,
+// multi-entry indexed in db.js). Tags are stored normalized: trimmed, lower
+// case, single-spaced, without a leading '#'.
+
+import { db } from '../db';
+
+export const TAGGED_TABLES = ['prayers', 'events', 'journalEntries'];
+
+const MAX_TAG_LENGTH = 40;
+
+export function normalizeTag(value) {
+  return String(value ?? '')
+    .replace(/^#+/, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase()
+    .slice(0, MAX_TAG_LENGTH)
+    .trim();
+}
+
+/** Normalized, de-duplicated tags in their original order. */
+export function normalizeTags(values) {
+  const list = Array.isArray(values) ? values : values ? [values] : [];
+  const seen = new Set();
+  const tags = [];
+
+  for (const value of list) {
+    const tag = normalizeTag(value);
+    if (!tag || seen.has(tag)) continue;
+
+    seen.add(tag);
+    tags.push(tag);
+  }
+
+  return tags;
+}
+
+/** Splits typed input such as "healing, #provision" into tags. */
+export function parseTagInput(text) {
+  return normalizeTags(String(text || '').split(','));
+}
+
+export function hasTag(record, tag) {
+  return Boolean(tag) && normalizeTags(record?.tags).includes(tag);
+}
+
+/** Every tag in use outside the Trash with its row count, most used first. */
+export async function loadTagCounts() {
+  const counts = new Map();
+
+  for (const tableName of TAGGED_TABLES) {
+    await db[tableName].each((row) => {
+      if (row.deletedAt) return;
+      for (const tag of normalizeTags(row.tags)) {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      }
+    });
+  }
+
+  return Array.from(counts, ([tag, count]) => ({ tag, count })).sort(
+    (a, b) => b.count - a.count || a.tag.localeCompare(b.tag)
+  );
+}
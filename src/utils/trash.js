@@ -0,0 +1,228 @@
+// src/utils/trash.js
+// Soft delete. Deleting stamps `deletedAt` and a shared `trashBatch` id on the
+// row and everything that hangs off it (a requestor's prayers, a prayer's
+// events and prayed log), so one delete restores or purges as one unit.
+// Views drop trashed rows with `withoutTrashed`; secureStore reads do it by
+// default. Only the Trash screen and full backups look at them.
+
+import { db } from '../db';
+
+// Parent-first: the first table holding rows of a batch is its root.
+export const TRASH_TABLES = [
+  'categories',
+  'requestors',
+  'prayers',
+  'events',
+  'journalEntries',
+  'prayerLog',
+];
+
+export const TRASHED_EVENT = 'trash:moved';
+
+export function isTrashed(row) {
+  return Boolean(row?.deletedAt);
+}
+
+export function withoutTrashed(rows) {
+  return rows.filter((row) => !isTrashed(row));
+}
+
+function createBatchId() {
+  if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
+
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function trashTables() {
+  return TRASH_TABLES.map((tableName) => db.table(tableName));
+}
+
+// Rows removed along with `tableName:id`, excluding the row itself.
+async function collectChildren(tableName, id) {
+  const children = [];
+
+  if (tableName === 'requestors') {
+    const prayers = await db.prayers.where('requestorId').equals(id).toArray();
+    children.push(...prayers.map((row) => ['prayers', row]));
+
+    for (const prayer of prayers) {
+      children.push(...(await collectChildren('prayers', prayer.id)));
+    }
+  } else if (tableName === 'prayers') {
+    const [events, log] = await Promise.all([
+      db.events.where('prayerId').equals(id).toArray(),
+      db.prayerLog.where('prayerId').equals(id).toArray(),
+    ]);
+    children.push(...events.map((row) => ['events', row]));
+    children.push(...log.map((row) => ['prayerLog', row]));
+  }
+
+  return children;
+}
+
+/**
+ * Moves a row and its children to the Trash. Children already in the Trash
+ * keep their own batch. Announces `trash:moved` with `{ batchId, label }` so
+ * the app can offer an undo. Returns the batch id, or null if nothing moved.
+ */
+export async function moveToTrash(tableName, id, { label = '' } = {}) {
+  const batchId = createBatchId();
+  const deletedAt = new Date().toISOString();
+  let moved = 0;
+
+  await db.transaction('rw', trashTables(), async () => {
+    const row = await db.table(tableName).get(id);
+    if (!row || isTrashed(row)) return;
+
+    const rows = [[tableName, row], ...(await collectChildren(tableName, id))];
+    for (const [name, item] of rows) {
+      if (isTrashed(item)) continue;
+
+      await db.table(name).update(item.id, { deletedAt, trashBatch: batchId });
+      moved += 1;
+    }
+  });
+
+  if (!moved) return null;
+
+  window.dispatchEvent(
+    new CustomEvent(TRASHED_EVENT, { detail: { batchId, label, count: moved } })
+  );
+  return batchId;
+}
+
+// Restoring a child brings back trashed parents it cannot live without.
+async function restoreParents(tableName, row) {
+  let parent = null;
+
+  if (tableName === 'events' || tableName === 'prayerLog') {
+    parent = ['prayers', await db.prayers.get(row.prayerId)];
+  } else if (tableName === 'prayers') {
+    parent = ['requestors', await db.requestors.get(row.requestorId)];
+  } else if (tableName === 'requestors') {
+    parent = ['categories', await db.categories.get(row.categoryId)];
+  }
+
+  if (!parent?.[1] || !isTrashed(parent[1])) return 0;
+
+  const [parentTable, parentRow] = parent;
+  await db.table(parentTable).update(parentRow.id, {
+    deletedAt: undefined,
+    trashBatch: undefined,
+  });
+  return 1 + (await restoreParents(parentTable, parentRow));
+}
+
+async function batchRows(batchId) {
+  const rows = [];
+
+  for (const tableName of TRASH_TABLES) {
+    const items = await db
+      .table(tableName)
+      .where('trashBatch')
+      .equals(batchId)
+      .toArray();
+    rows.push(...items.map((row) => [tableName, row]));
+  }
+
+  return rows;
+}
+
+/** Restores every row of a batch. Returns the number of rows restored. */
+export async function restoreFromTrash(batchId) {
+  let restored = 0;
+
+  await db.transaction('rw', trashTables(), async () => {
+    const rows = await batchRows(batchId);
+
+    for (const [tableName, row] of rows) {
+      await db.table(tableName).update(row.id, {
+        deletedAt: undefined,
+        trashBatch: undefined,
+      });
+      restored += 1;
+    }
+
+    for (const [tableName, row] of rows) {
+      restored += await restoreParents(tableName, row);
+    }
+  });
+
+  return restored;
+}
+
+async function purgeRows(rows) {
+  for (const [tableName, row] of rows) {
+    await db.table(tableName).delete(row.id);
+
+    // Children trashed earlier in another batch would be left orphaned.
+    for (const [childTable, child] of await collectChildren(tableName, row.id)) {
+      await db.table(childTable).delete(child.id);
+    }
+  }
+
+  return rows.length;
+}
+
+/** Permanently deletes a batch. Returns the number of batch rows removed. */
+export function purgeFromTrash(batchId) {
+  return db.transaction('rw', trashTables(), async () =>
+    purgeRows(await batchRows(batchId))
+  );
+}
+
+/** Permanently deletes everything in the Trash. */
+export function emptyTrash() {
+  return db.transaction('rw', trashTables(), async () => {
+    const rows = [];
+
+    for (const tableName of TRASH_TABLES) {
+      const items = await db.table(tableName).orderBy('trashBatch').toArray();
+      rows.push(...items.map((row) => [tableName, row]));
+    }
+
+    return purgeRows(rows);
+  });
+}
+
+function rootLabel(tableName, row) {
+  if (tableName === 'events') {
+    return row.security ? '🔒 Locked update' : row.title || 'Prayer update';
+  }
+  if (tableName === 'journalEntries') return row.title || 'Journal entry';
+  if (tableName === 'prayerLog') return 'Prayed log entry';
+  return row.name || 'Untitled';
+}
+
+/**
+ * Trash contents grouped by batch, newest first:
+ * `[{ batchId, deletedAt, tableName, id, label, counts: { [table]: n } }]`.
+ */
+export async function listTrash() {
+  const batches = new Map();
+
+  for (const tableName of TRASH_TABLES) {
+    const rows = await db.table(tableName).orderBy('trashBatch').toArray();
+
+    for (const row of rows) {
+      let batch = batches.get(row.trashBatch);
+      if (!batch) {
+        batch = {
+          batchId: row.trashBatch,
+          deletedAt: row.deletedAt,
+          tableName,
+          id: row.id,
+          label: rootLabel(tableName, row),
+          counts: {},
+        };
+        batches.set(row.trashBatch, batch);
+      }
+
+      batch.counts[tableName] = (batch.counts[tableName] || 0) + 1;
+    }
+  }
+
+  return Array.from(batches.values()).sort((a, b) =>
+    String(b.deletedAt).localeCompare(String(a.deletedAt))
+  );
+}
@@ -1,35 +1,54 @@
 // src/utils/tutorialSlides.js
 // First-run tutorial content with user-facing Focus terminology.
+// Slide fields (target, tab, waitForTap, media) are described in
+// components/TutorialModal.jsx; targets use the `data-tour` attributes.
 
 const slides = [
   {
     title: 'Welcome to Closet Prayer',
     body:
       'This app helps you track prayer requests, updates, and answers—privately, on your device. No account, no cloud by default.',
+    media: {
+      type: 'image',
+      src: 'assets/icons/icon-192x192.png',
+      alt: 'Closet Prayer icon',
+    },
     cta: 'Get started',
   },
   {
     title: 'Your main tabs',
     body:
       'Daily (lists requests, grouped), Focus (one-at-a-time), Categories (organize people + requests), Security (private-only), Journal (personal notes), Settings (backup/restore & options).',
+    target: 'nav[aria-label="Bottom Navigation"]',
     cta: 'Next',
   },
   {
     title: 'The categories tab (start here)',
+    body: 'Tap Categories to open it.',
+    target: '[data-tour="nav-categories"]',
+    waitForTap: true,
+  },
+  {
+    title: 'Add a category',
     body:
-      'Create categories (e.g., Family, Church, Urgent). Add requestors inside categories. Requestors are those who requested you pray for something. Categories can also control which requests are eligible for Focus.',
+      'Create categories (e.g., Family, Church, Urgent) with this button. Add requestors inside categories. Requestors are those who requested you pray for something. Categories can also control which requests are eligible for Focus.',
+    tab: 'categories',
+    target: '[data-tour="categories-add"]',
     cta: 'Next',
   },
   {
     title: 'The Daily tab',
     body:
       'Tap the + button to add a new prayer. This is where you record what your requestors have asked for, and your notes on how you are talking to God about it. It also serves as a list of things you will pray for daily.',
+    tab: 'daily',
+    target: '[data-tour="daily-add"]',
     cta: 'Next',
   },
   {
     title: 'The Focus tab',
     body:
       "Focus shows one eligible prayer request at a time. Open an eligible request with its Focus button, or use the tab to begin with a random request. The 'Next' button randomly selects another eligible request.",
+    target: '[data-tour="nav-single"]',
     cta: 'Next',
   },
   {
@@ -42,21 +61,46 @@ const slides = [
     title: 'Personal journaling (Journal tab)',
     body:
       'Write free-form entries about your walk with God. Supports Markdown (e.g., bold, italic, lists). Search across your entries.',
+    target: '[data-tour="nav-journal"]',
     cta: 'Next',
   },
   {
     title: 'Securely share requests (Security tab)',
     body:
       'Security only shows entries marked for the Security view. This allows you to visually share specific requests with other people without sharing your entire journal.',
+    target: '[data-tour="nav-security"]',
     cta: 'Next',
   },
   {
     title: 'Private by default',
     body:
       'Data lives locally (IndexedDB). Use Settings → Backup/Restore to export/import. You can install this app to your Home Screen for offline use.',
+    target: '[data-tour="nav-settings"]',
     cta: 'Finish',
     secondaryCta: 'Open Settings',
   },
 ];
 
+// Shown once, before the first cloud backup target is turned on.
+export const backupPrivacySlides = [
+  {
+    title: 'Backups leave this device',
+    body:
+      'Cloud backup uploads a full copy of your journal to a server you choose. Whoever runs that server can keep the file, and it may be stored in other backups you do not control.',
+    cta: 'Next',
+  },
+  {
+    title: 'What the server can read',
+    body:
+      'With the Private Vault enabled, the uploaded file is encrypted and only your passphrase or Recovery Code opens it. Without the vault, everything in the file is readable plain text.',
+    cta: 'Next',
+  },
+  {
+    title: 'Credentials stay here',
+    body:
+      'Server passwords and access keys are saved on this device only. Use an account or key limited to the backup folder, and remove the target here if this device is lost.',
+    cta: 'I understand',
+  },
+];
+
 export default slides;
@@ -35,6 +35,10 @@ function randBytes(n) {
   return a;
 }
 function nowMs() { return Date.now(); }
+// Views holding decrypted data listen for this to re-render on lock/unlock.
+function emitVaultChanged() {
+  try { window.dispatchEvent(new Event('vault:changed')); } catch {}
+}
 
 // ---------- KDF (PBKDF2-SHA-256) ----------
 async function deriveKEK(passphrase, saltB64u, iterations) {
@@ -165,6 +169,7 @@ export async function enableVaultFirstTime(passphrase) {
   _dek = dekKey;
   _bindActivity();
   resetIdleTimer();
+  emitVaultChanged();
 
   return { recoveryCode }; // show once; **user must store it safely**
 }
@@ -183,6 +188,7 @@ export async function unlockWithPassphrase(passphrase) {
   _dek = await crypto.subtle.importKey('raw', dekBytes, 'AES-GCM', false, ['encrypt','decrypt']);
   _bindActivity();
   resetIdleTimer();
+  emitVaultChanged();
   return true;
 }
 
@@ -201,12 +207,24 @@ export async function unlockWithRecoveryCode(code) {
   _dek = await crypto.subtle.importKey('raw', dekBytes, 'AES-GCM', false, ['encrypt','decrypt']);
   _bindActivity();
   resetIdleTimer();
+  emitVaultChanged();
   return true;
 }
 
 export function lockNow() {
   _dek = null; // forget everything
   clearTimeout(_idleTimer);
+  emitVaultChanged();
+}
+
+// Turn the vault off. Callers must decrypt stored data first (see
+// secureStore.decryptAtRest); the DEK is gone once the metadata is removed.
+export function disableVault() {
+  if (!_dek) throw new Error('Unlock the vault first.');
+  localStorage.removeItem(VAULT_KEY);
+  _dek = null;
+  clearTimeout(_idleTimer);
+  emitVaultChanged();
 }
 
 // Change passphrase = rewrap DEK under new KEK
@@ -275,6 +293,24 @@ export async function decryptEntryBody({ table, entryId, version = 1, ivB64, ctB
   return textDec.decode(pt);
 }
 
+// ---------- Field envelopes (per-entry backups) ----------
+// `{iv, ct}` pairs for single values. Decryption accepts DEK bytes unwrapped
+// from a backup header; without them the in-memory vault key is used.
+export async function encryptFieldEnvelope(plainUtf8, aadStr) {
+  if (!_dek) throw new Error('Vault is locked.');
+  const { ivB64, ctB64 } = await aesGcmEncrypt(_dek, textEnc.encode(plainUtf8), aadStr);
+  return { iv: ivB64, ct: ctB64 };
+}
+export async function decryptFieldEnvelope(envelope, aadStr, dekBytes = null) {
+  let key = _dek;
+  if (dekBytes) {
+    key = await crypto.subtle.importKey('raw', dekBytes, 'AES-GCM', false, ['decrypt']);
+  }
+  if (!key) throw new Error('Vault is locked.');
+  const pt = await aesGcmDecrypt(key, envelope.iv, envelope.ct, aadStr);
+  return textDec.decode(pt);
+}
+
 // ---------- File-level encryption (export blobs) ----------
 export function exportMetaForBackup() {
   const meta = loadVaultMeta();
@@ -21,6 +21,8 @@ export default defineConfig(() => {
         workbox: {
           globPatterns: ['**/*.{js,css,html,ico,png,svg}'],
           navigateFallback: `${base}index.html`,
+          // Periodic-sync and message handlers that live outside the bundle.
+          importScripts: ['sw-handlers.js'],
         },
         manifest: {
           name: 'Prayer Journal',